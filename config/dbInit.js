@@ -4,7 +4,8 @@ const env = require('./env');
 
 class DatabaseInitializer {
   constructor() {
-    this.collections = ['superadmins', 'admins', 'teachers'];
+    // All accounts share `users` with the platform backend
+    this.collections = ['users', 'mailmessages'];
   }
 
   async initializeDatabase() {
@@ -20,6 +21,9 @@ class DatabaseInitializer {
       // Initialize SuperAdmin account
       await this.initializeSuperAdmin();
 
+      // Accounts created before password changes were enforced
+      await this.flagFirstLoginAccounts();
+
       console.log('✅ Database initialization completed successfully');
     } catch (error) {
       console.error('❌ Database initialization failed:', error.message);
@@ -52,38 +56,32 @@ class DatabaseInitializer {
     const db = mongoose.connection.db;
 
     try {
-      // SuperAdmin indexes
-      await db.collection('superadmins').createIndexes([
-        { key: { username: 1 }, unique: true },
-        { key: { email: 1 }, unique: true },
-        { key: { isActive: 1 } },
-        { key: { lastLogin: 1 } }
-      ]);
-      console.log('📊 Created indexes for superadmins collection');
-
-      // Admin indexes
-      await db.collection('admins').createIndexes([
-        { key: { username: 1 }, unique: true },
+      // User indexes; key and options must match the schemas of both servers
+      await db.collection('users').createIndexes([
         { key: { email: 1 }, unique: true },
-        { key: { isActive: 1 } },
+        { key: { username: 1 }, unique: true, sparse: true },
+        { key: { role: 1, isActive: 1 } },
         { key: { createdBy: 1 } },
-        { key: { lastLogin: 1 } },
-        { key: { lockUntil: 1 }, sparse: true }
+        { key: { 'profile.employeeId': 1 }, sparse: true },
+        // Employee IDs are unique among teachers (role: faculty)
+        {
+          key: { role: 1, 'profile.employeeId': 1 },
+          name: 'faculty_employeeId_unique',
+          unique: true,
+          partialFilterExpression: { role: 'faculty', 'profile.employeeId': { $type: 'string' } }
+        },
+        { key: { 'profile.department': 1, role: 1 } },
+        { key: { lastLogin: -1 } },
+        { key: { passwordResetToken: 1 }, sparse: true }
       ]);
-      console.log('📊 Created indexes for admins collection');
+      console.log('📊 Created indexes for users collection');
 
-      // Teacher indexes
-      await db.collection('teachers').createIndexes([
-        { key: { username: 1 }, unique: true },
-        { key: { email: 1 }, unique: true },
-        { key: { employeeId: 1 }, unique: true },
-        { key: { department: 1 } },
-        { key: { isActive: 1 } },
-        { key: { createdBy: 1 } },
-        { key: { lastLogin: 1 } },
-        { key: { lockUntil: 1 }, sparse: true }
+      // Mail outbox indexes
+      await db.collection('mailmessages').createIndexes([
+        { key: { status: 1, nextAttemptAt: 1 } },
+        { key: { to: 1, createdAt: -1 } }
       ]);
-      console.log('📊 Created indexes for teachers collection');
+      console.log('📊 Created indexes for mailmessages collection');
 
     } catch (error) {
       console.error('❌ Error creating indexes:', error.message);
@@ -94,12 +92,10 @@ class DatabaseInitializer {
   async initializeSuperAdmin() {
     try {
       const db = mongoose.connection.db;
-      const superAdminCollection = db.collection('superadmins');
+      const usersCollection = db.collection('users');
 
       // Check if SuperAdmin already exists
-      const existingSuperAdmin = await superAdminCollection.findOne({
-        username: env.superAdmin.username
-      });
+      const existingSuperAdmin = await usersCollection.findOne({ role: 'superadmin' });
 
       if (existingSuperAdmin) {
         console.log('👑 SuperAdmin account already exists');
@@ -115,14 +111,19 @@ class DatabaseInitializer {
         email: env.superAdmin.email,
         password: hashedPassword,
         role: 'superadmin',
+        profile: {
+          firstName: 'Super',
+          lastName: 'Admin'
+        },
         isActive: true,
         loginAttempts: 0,
+        passwordChangedAt: new Date(),
         createdAt: new Date(),
         updatedAt: new Date()
       };
 
       // Insert SuperAdmin
-      await superAdminCollection.insertOne(superAdminDoc);
+      await usersCollection.insertOne(superAdminDoc);
       console.log('👑 SuperAdmin account created successfully');
       console.log(`   Username: ${env.superAdmin.username}`);
       console.log(`   Email: ${env.superAdmin.email}`);
@@ -134,6 +135,20 @@ class DatabaseInitializer {
     }
   }
 
+  async flagFirstLoginAccounts() {
+    const db = mongoose.connection.db;
+
+    // Admins and teachers that never signed in still have the password they were created with
+    const result = await db.collection('users').updateMany(
+      { isFirstLogin: true, mustChangePassword: { $exists: false } },
+      { $set: { mustChangePassword: true } }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`🔑 ${result.modifiedCount} account(s) must change their password at next sign-in`);
+    }
+  }
+
   async dropDatabase() {
     try {
       console.log('🗑️  Dropping database...');
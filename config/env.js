@@ -1,5 +1,6 @@
 const dotenv = require('dotenv');
 const path = require('path');
+const { getPolicy } = require('@unione/shared/server/passwordPolicy');
 
 // Load environment variables
 dotenv.config();
@@ -13,6 +14,7 @@ class EnvironmentConfig {
     const requiredVars = [
       'MONGODB_URI',
       'JWT_SECRET',
+      'JWT_REFRESH_SECRET',
       'SUPERADMIN_USERNAME',
       'SUPERADMIN_EMAIL',
       'SUPERADMIN_PASSWORD'
@@ -56,13 +58,15 @@ class EnvironmentConfig {
   get database() {
     return {
       uri: process.env.MONGODB_URI,
-      name: process.env.DB_NAME || 'unione-auth'
+      name: process.env.DB_NAME || 'unione'
     };
   }
 
   get jwt() {
     return {
       secret: process.env.JWT_SECRET,
+      // Must match the platform backend so refresh tokens issued here can be rotated there
+      refreshSecret: process.env.JWT_REFRESH_SECRET,
       expiresIn: process.env.JWT_EXPIRES_IN || '30m',
       refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
     };
@@ -79,6 +83,16 @@ class EnvironmentConfig {
       from: {
         email: process.env.FROM_EMAIL || 'noreply@unione.edu',
         name: process.env.FROM_NAME || 'UniONE System'
+      },
+      // 'smtp' delivers through the server above, 'file' writes .eml files to outputDir
+      transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST && this.server.nodeEnv === 'production' ? 'smtp' : 'file'),
+      outputDir: process.env.MAIL_OUTPUT_DIR || path.join(process.cwd(), 'tmp', 'mail'),
+      appUrl: process.env.APP_URL || 'http://localhost:3000',
+      outbox: {
+        maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5,
+        retryDelay: parseInt(process.env.MAIL_RETRY_DELAY) || 60, // seconds, doubled after each failure
+        pollInterval: parseInt(process.env.MAIL_POLL_INTERVAL) || 30, // seconds
+        batchSize: parseInt(process.env.MAIL_BATCH_SIZE) || 20
       }
     };
   }
@@ -86,8 +100,18 @@ class EnvironmentConfig {
   get security() {
     return {
       bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
-      maxLoginAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5,
-      lockTime: parseInt(process.env.LOCK_TIME) || 30 // minutes
+      passwordResetExpires: parseInt(process.env.PASSWORD_RESET_EXPIRES) || 30, // minutes
+      twoFactor: {
+        // Roles that must enrol before they can sign in, e.g. "superadmin,admin"
+        requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+          .split(',')
+          .map(role => role.trim().toLowerCase())
+          .filter(Boolean),
+        issuer: process.env.TWO_FACTOR_ISSUER || 'UniONE',
+        challengeExpires: parseInt(process.env.TWO_FACTOR_CHALLENGE_EXPIRES) || 300 // seconds
+      },
+      // PASSWORD_* policy, read by the module the platform backend uses too
+      passwordPolicy: getPolicy()
     };
   }
 
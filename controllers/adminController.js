@@ -0,0 +1,154 @@
+const PasswordService = require('../services/passwordService');
+const MailService = require('../services/mailService');
+const Admin = require('../models/Admin');
+const handleSaveError = require('../utils/handleSaveError');
+// Registers the discriminator so authenticate loads req.user as a SuperAdmin
+require('../models/SuperAdmin');
+
+const adminNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'ADMIN_NOT_FOUND',
+    message: 'Admin not found'
+  }
+});
+
+/**
+ * List admins with pagination, search and filters
+ */
+const getAdmins = async (req, res) => {
+  const { page, limit, search, isActive, sortBy, sortOrder } = req.query;
+
+  const { admins, pagination } = await Admin.findWithPagination({
+    page,
+    limit,
+    search,
+    isActive,
+    sortBy,
+    sortOrder
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { admins, pagination }
+  });
+};
+
+/**
+ * Admin counts and an overview of admin and teacher activity
+ */
+const getAdminStats = async (req, res) => {
+  const [summary, { firstLoginPending }, overview] = await Promise.all([
+    req.user.getAdminStats(),
+    Admin.getStatistics(),
+    req.user.getSystemOverview()
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      admins: { ...summary, firstLoginPending },
+      overview
+    }
+  });
+};
+
+/**
+ * Get one admin
+ */
+const getAdmin = async (req, res) => {
+  const admin = await Admin.findById(req.params.adminId)
+    .populate('createdBy', 'username email profile.firstName profile.lastName');
+
+  if (!admin) {
+    return adminNotFound(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { admin }
+  });
+};
+
+/**
+ * Create an admin with a temporary password, emailed to them
+ */
+const createAdmin = async (req, res) => {
+  const validation = req.user.validateAdminData(req.body);
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: validation.errors.map(message => ({ message }))
+      }
+    });
+  }
+
+  const temporaryPassword = PasswordService.generateTemporaryPassword();
+  const admin = new Admin({
+    ...req.body,
+    password: temporaryPassword,
+    createdBy: req.user._id
+  });
+
+  try {
+    await admin.save();
+  } catch (error) {
+    return handleSaveError(error, res);
+  }
+
+  await MailService.sendAccountCreated(admin, temporaryPassword, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Admin created. Sign-in details have been emailed to them',
+    data: { admin }
+  });
+};
+
+/**
+ * Re-enable a deactivated admin
+ */
+const activateAdmin = async (req, res) => {
+  const admin = await Admin.findById(req.params.adminId);
+  if (!admin) {
+    return adminNotFound(res);
+  }
+
+  await admin.activate();
+
+  res.status(200).json({
+    success: true,
+    message: 'Admin activated successfully',
+    data: { admin }
+  });
+};
+
+/**
+ * Deactivate an admin; their tokens stop working on the next request
+ */
+const deactivateAdmin = async (req, res) => {
+  const admin = await Admin.findById(req.params.adminId);
+  if (!admin) {
+    return adminNotFound(res);
+  }
+
+  await admin.deactivate();
+
+  res.status(200).json({
+    success: true,
+    message: 'Admin deactivated successfully',
+    data: { admin }
+  });
+};
+
+module.exports = {
+  getAdmins,
+  getAdminStats,
+  getAdmin,
+  createAdmin,
+  activateAdmin,
+  deactivateAdmin
+};
\ No newline at end of file
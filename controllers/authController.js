@@ -0,0 +1,421 @@
+const env = require('../config/env');
+const PasswordService = require('../services/passwordService');
+const MailService = require('../services/mailService');
+const TwoFactorService = require('../services/twoFactorService');
+const TokenService = require('../services/tokenService');
+const User = require('../models/User');
+
+// Accounts that sign in here; faculty and students sign in on the platform
+const SIGN_IN_ROLES = ['superadmin', 'admin'];
+
+const getClientInfo = (req) => ({
+  userAgent: req.get('User-Agent') || null,
+  ip: req.ip || null
+});
+
+const invalidCredentials = (res) => res.status(401).json({
+  success: false,
+  error: {
+    code: 'INVALID_CREDENTIALS',
+    message: 'Invalid username/email or password'
+  }
+});
+
+const accountLocked = (res, lockUntil) => res.status(423).json({
+  success: false,
+  error: {
+    code: 'ACCOUNT_LOCKED',
+    message: 'Account is temporarily locked due to too many failed login attempts',
+    lockUntil
+  }
+});
+
+const invalidChallenge = (res) => res.status(401).json({
+  success: false,
+  error: {
+    code: 'INVALID_CHALLENGE',
+    message: 'Verification has expired. Please sign in again'
+  }
+});
+
+// Load the user behind an unused challenge token, with their 2FA secrets
+const loadChallengeUser = async (token, purpose) => {
+  const challenge = TwoFactorService.verifyChallenge(token, purpose);
+  if (!challenge || await TokenService.isDenylisted(challenge)) return {};
+
+  const user = await User.findWithTwoFactorSecrets({ _id: challenge.userId });
+  if (!user || !user.isActive || (challenge.ver || 0) !== user.tokenVersion) return {};
+
+  return { user, challenge };
+};
+
+// Whether login must stop at a password change: an admin-set or expired password
+const needsPasswordChange = (user) => user.mustChangePassword || PasswordService.isPasswordExpired(user);
+
+const passwordReused = (res) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'PASSWORD_REUSED',
+    message: `New password must not match any of your last ${env.security.passwordPolicy.history} passwords`
+  }
+});
+
+// Login response for an account that must replace its password first
+const passwordChangeRequired = (res, user) => {
+  const { token, expiresIn } = TokenService.issuePasswordChangeToken(user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password must be changed before signing in',
+    data: {
+      passwordChangeRequired: true,
+      reason: user.mustChangePassword ? 'temporary' : 'expired',
+      passwordChangeToken: token,
+      expiresIn
+    }
+  });
+};
+
+// Start a session for a fully authenticated user
+const completeSignIn = async (req, res, user, extra = {}) => {
+  const { accessToken, refreshToken } = await TokenService.issueTokens(user, getClientInfo(req));
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user,
+      accessToken,
+      refreshToken,
+      ...extra
+    }
+  });
+};
+
+/**
+ * Sign in a SuperAdmin or Admin by username or email
+ * Accounts with 2FA get a challenge token to finish at /2fa/verify; roles that
+ * must use 2FA but have not enrolled get one for /2fa/setup instead.
+ */
+const login = async (req, res) => {
+  const { identifier, password } = req.body;
+
+  const user = await User.findByEmailOrUsername(identifier);
+  if (!user || !SIGN_IN_ROLES.includes(user.role)) {
+    return invalidCredentials(res);
+  }
+
+  if (!user.isActive) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'ACCOUNT_INACTIVE',
+        message: 'Account is inactive. Please contact the SuperAdmin'
+      }
+    });
+  }
+
+  if (user.isLocked) {
+    return accountLocked(res, user.lockUntil);
+  }
+
+  if (!(await user.comparePassword(password))) {
+    await user.incLoginAttempts();
+    return invalidCredentials(res);
+  }
+
+  if (user.loginAttempts > 0) {
+    await user.resetLoginAttempts();
+  }
+
+  if (user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor verification required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: TwoFactorService.createChallenge(user, 'login'),
+        expiresIn: env.security.twoFactor.challengeExpires
+      }
+    });
+  }
+
+  // Admin-set and expired passwords are replaced before anything else happens
+  if (needsPasswordChange(user)) {
+    return passwordChangeRequired(res, user);
+  }
+
+  if (user.isTwoFactorRequired) {
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication must be set up before signing in',
+      data: {
+        twoFactorSetupRequired: true,
+        challengeToken: TwoFactorService.createChallenge(user, 'setup'),
+        expiresIn: env.security.twoFactor.challengeExpires
+      }
+    });
+  }
+
+  await completeSignIn(req, res, user);
+};
+
+/**
+ * Finish signing in with a TOTP or recovery code
+ * Wrong codes count towards the same lockout as wrong passwords.
+ */
+const verifyTwoFactor = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const { user, challenge } = await loadChallengeUser(challengeToken, 'login');
+  if (!user) {
+    return invalidChallenge(res);
+  }
+
+  if (user.isLocked) {
+    return accountLocked(res, user.lockUntil);
+  }
+
+  if (!(await user.verifyTwoFactor({ code, recoveryCode }))) {
+    await user.incLoginAttempts();
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'INVALID_TWO_FACTOR_CODE',
+        message: recoveryCode ? 'Invalid recovery code' : 'Invalid verification code'
+      }
+    });
+  }
+
+  // Each challenge can be exchanged for a session once
+  if (!(await TokenService.denylist(challenge))) {
+    return invalidChallenge(res);
+  }
+
+  if (user.loginAttempts > 0) {
+    await user.resetLoginAttempts();
+  }
+
+  if (needsPasswordChange(user)) {
+    return passwordChangeRequired(res, user);
+  }
+
+  await completeSignIn(req, res, user, recoveryCode
+    ? { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length - 1 }
+    : {});
+};
+
+/**
+ * Start mandatory 2FA enrolment with a setup challenge from login
+ */
+const setupTwoFactor = async (req, res) => {
+  const { user } = await loadChallengeUser(req.body.challengeToken, 'setup');
+  if (!user) {
+    return invalidChallenge(res);
+  }
+
+  const { secret, otpauthUri } = user.beginTwoFactorSetup();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: { secret, otpauthUri }
+  });
+};
+
+/**
+ * Confirm mandatory 2FA enrolment and finish signing in
+ * The recovery codes are only ever shown in this response.
+ */
+const enableTwoFactor = async (req, res) => {
+  const { user, challenge } = await loadChallengeUser(req.body.challengeToken, 'setup');
+  if (!user) {
+    return invalidChallenge(res);
+  }
+
+  const recoveryCodes = await user.enableTwoFactor(req.body.code);
+  if (!recoveryCodes) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_TWO_FACTOR_CODE',
+        message: 'Invalid verification code'
+      }
+    });
+  }
+
+  await TokenService.denylist(challenge);
+  await completeSignIn(req, res, user, { recoveryCodes });
+};
+
+/**
+ * Change the password of the signed-in account, or of an account holding the
+ * password-change token from login. Other sessions are signed out. The
+ * password-change token is single use: afterwards the user signs in again
+ * with the new password (and 2FA, if enrolled).
+ */
+const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const user = req.user;
+
+  if (!(await user.comparePassword(currentPassword))) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'INVALID_CURRENT_PASSWORD',
+        message: 'Current password is incorrect'
+      }
+    });
+  }
+
+  const passwordValidation = PasswordService.validatePasswordStrength(newPassword);
+  if (!passwordValidation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'WEAK_PASSWORD',
+        message: 'Password does not meet security requirements',
+        details: passwordValidation.errors
+      }
+    });
+  }
+
+  if (await user.comparePassword(newPassword)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'PASSWORD_UNCHANGED',
+        message: 'New password must be different from the current password'
+      }
+    });
+  }
+
+  if (await user.isPasswordReused(newPassword)) {
+    return passwordReused(res);
+  }
+
+  await user.completePasswordChange(newPassword);
+
+  // Sign out every other device; the one making the change stays signed in
+  await TokenService.revokeUserSessions(user._id, 'password_change', { except: req.token && req.token.sid });
+
+  if (req.passwordChangeToken) {
+    await TokenService.denylist(req.passwordChangeToken);
+    return res.status(200).json({
+      success: true,
+      message: 'Password changed successfully. Please sign in with your new password'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Password changed successfully'
+  });
+};
+
+/**
+ * Sign out the current session
+ */
+const logout = async (req, res) => {
+  await TokenService.denylist(req.token);
+  if (req.token.sid) {
+    await TokenService.revokeSession(req.token.sid, 'logout');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+};
+
+/**
+ * Get the signed-in account
+ */
+const getMe = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { user: req.user }
+  });
+};
+
+/**
+ * Request a password reset email
+ * The response is the same whether or not the account exists.
+ */
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+  const expiresInMinutes = env.security.passwordResetExpires;
+
+  const user = await User.findOne({ email });
+  if (user && user.isActive) {
+    const token = user.createPasswordResetToken(expiresInMinutes);
+    await user.save({ validateBeforeSave: false });
+    await MailService.sendPasswordReset(user, token, expiresInMinutes);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
+};
+
+/**
+ * Reset a password with an emailed token
+ * The token is cleared as it is matched, so it can only be used once, and
+ * the account's tokenVersion is bumped to sign out every existing session.
+ */
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  const passwordValidation = PasswordService.validatePasswordStrength(password);
+  if (!passwordValidation.isValid) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'WEAK_PASSWORD',
+        message: 'Password does not meet security requirements',
+        details: passwordValidation.errors
+      }
+    });
+  }
+
+  // Check reuse before using the token up, so the link can be tried again
+  const pending = await User.findByResetToken(token);
+  if (pending && await pending.isPasswordReused(password)) {
+    return passwordReused(res);
+  }
+
+  const user = await User.consumeResetToken(token);
+  if (!user || !user.isActive) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_RESET_TOKEN',
+        message: 'Password reset link is invalid or has expired'
+      }
+    });
+  }
+
+  await user.setPasswordAndRevokeSessions(password);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset. Please sign in with your new password'
+  });
+};
+
+module.exports = {
+  login,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  changePassword,
+  logout,
+  getMe,
+  forgotPassword,
+  resetPassword
+};
\ No newline at end of file
@@ -0,0 +1,182 @@
+const PasswordService = require('../services/passwordService');
+const MailService = require('../services/mailService');
+const Teacher = require('../models/Teacher');
+const handleSaveError = require('../utils/handleSaveError');
+
+// Fields an admin may set on a teacher; names, employee ID and department map onto `profile`
+const EDITABLE_FIELDS = ['username', 'email', 'firstName', 'lastName', 'employeeId', 'department', 'designation', 'isActive'];
+
+const teacherNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'TEACHER_NOT_FOUND',
+    message: 'Teacher not found'
+  }
+});
+
+// Department a scoped admin is limited to; null for the SuperAdmin and unscoped admins
+const getManagedDepartment = (user) => (user.role === 'admin' && user.managedDepartment) || null;
+
+const outsideDepartmentScope = (res, department) => res.status(403).json({
+  success: false,
+  error: {
+    code: 'OUTSIDE_DEPARTMENT_SCOPE',
+    message: `You can only manage teachers in the ${department} department`
+  }
+});
+
+/**
+ * List teachers with pagination, search and filters
+ */
+const getTeachers = async (req, res) => {
+  const { page, limit, search, isActive, sortBy, sortOrder } = req.query;
+  const department = getManagedDepartment(req.user) || req.query.department;
+
+  const { teachers, pagination } = await Teacher.findWithPagination({
+    page,
+    limit,
+    search,
+    department,
+    isActive,
+    sortBy,
+    sortOrder
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { teachers, pagination }
+  });
+};
+
+/**
+ * Teacher counts per department
+ */
+const getTeacherStats = async (req, res) => {
+  const managedDepartment = getManagedDepartment(req.user);
+  const departments = (await Teacher.countByDepartment())
+    .filter(({ _id }) => !managedDepartment || _id === managedDepartment);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      departments: departments.map(({ _id, total, active }) => ({ department: _id, total, active })),
+      total: departments.reduce((sum, { total }) => sum + total, 0)
+    }
+  });
+};
+
+/**
+ * Get one teacher
+ */
+const getTeacher = async (req, res) => {
+  const teacher = await Teacher.findById(req.params.teacherId)
+    .populate('createdBy', 'username email profile.firstName profile.lastName');
+
+  if (!teacher) {
+    return teacherNotFound(res);
+  }
+
+  const managedDepartment = getManagedDepartment(req.user);
+  if (managedDepartment && teacher.department !== managedDepartment) {
+    return outsideDepartmentScope(res, managedDepartment);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { teacher }
+  });
+};
+
+/**
+ * Create a teacher with a temporary password, emailed to them
+ */
+const createTeacher = async (req, res) => {
+  const temporaryPassword = PasswordService.generateTemporaryPassword();
+  const teacher = new Teacher({
+    ...req.body,
+    // Department admins can only add teachers to their own department
+    department: getManagedDepartment(req.user) || req.body.department,
+    password: temporaryPassword,
+    createdBy: req.user._id
+  });
+
+  try {
+    await teacher.save();
+  } catch (error) {
+    return handleSaveError(error, res);
+  }
+
+  await MailService.sendAccountCreated(teacher, temporaryPassword, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Teacher created. Sign-in details have been emailed to them',
+    data: { teacher }
+  });
+};
+
+/**
+ * Update a teacher's details
+ */
+const updateTeacher = async (req, res) => {
+  const teacher = await Teacher.findById(req.params.teacherId);
+  if (!teacher) {
+    return teacherNotFound(res);
+  }
+
+  // A department admin's teachers can't be moved out of their department either
+  const managedDepartment = getManagedDepartment(req.user);
+  if (managedDepartment && (teacher.department !== managedDepartment ||
+    (req.body.department !== undefined && req.body.department !== managedDepartment))) {
+    return outsideDepartmentScope(res, managedDepartment);
+  }
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      teacher.set(field, req.body[field]);
+    }
+  });
+
+  try {
+    await teacher.save();
+  } catch (error) {
+    return handleSaveError(error, res);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Teacher updated successfully',
+    data: { teacher }
+  });
+};
+
+/**
+ * Delete a teacher account
+ */
+const deleteTeacher = async (req, res) => {
+  const teacher = await Teacher.findById(req.params.teacherId);
+  if (!teacher) {
+    return teacherNotFound(res);
+  }
+
+  const managedDepartment = getManagedDepartment(req.user);
+  if (managedDepartment && teacher.department !== managedDepartment) {
+    return outsideDepartmentScope(res, managedDepartment);
+  }
+
+  await teacher.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Teacher deleted successfully'
+  });
+};
+
+module.exports = {
+  getTeachers,
+  getTeacherStats,
+  getTeacher,
+  createTeacher,
+  updateTeacher,
+  deleteTeacher
+};
\ No newline at end of file
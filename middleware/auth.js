@@ -0,0 +1,128 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const env = require('../config/env');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const TokenService = require('../services/tokenService');
+
+/**
+ * Authentication middleware
+ * Access tokens are the ones the platform backend issues (same JWT_SECRET,
+ * payload { userId, ver, sid }), so a signed-in user can call either server.
+ * Sessions and denylisted tokens live in collections shared with the backend,
+ * so logging out or revoking a device on either server applies here too.
+ */
+
+const unauthorized = (res, code, message) => res.status(401).json({
+  success: false,
+  error: { code, message }
+});
+
+// Whether the backend has revoked the token's session or denylisted the token itself
+const isTokenRevoked = async (decoded) => {
+  if (decoded.sid) {
+    if (!mongoose.Types.ObjectId.isValid(decoded.sid)) return true;
+    const session = await Session.findById(decoded.sid).select('user revokedAt').lean();
+    if (!session || session.revokedAt || session.user.toString() !== decoded.userId) {
+      return true;
+    }
+  }
+
+  return TokenService.isDenylisted(decoded);
+};
+
+/**
+ * Require a valid access token; sets req.user and req.token
+ */
+const authenticate = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+  if (!token) {
+    return unauthorized(res, 'NO_TOKEN', 'Access token is required');
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, env.jwt.secret);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return unauthorized(res, 'TOKEN_EXPIRED', 'Access token has expired');
+    }
+    return unauthorized(res, 'INVALID_TOKEN', 'Invalid access token');
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user) {
+    return unauthorized(res, 'USER_NOT_FOUND', 'User not found');
+  }
+
+  if (!user.isActive) {
+    return unauthorized(res, 'USER_INACTIVE', 'User account is inactive');
+  }
+
+  // tokenVersion is bumped on password reset, which signs out every session
+  if ((decoded.ver || 0) !== user.tokenVersion || await isTokenRevoked(decoded)) {
+    return unauthorized(res, 'TOKEN_REVOKED', 'Session has been revoked. Please sign in again');
+  }
+
+  req.user = user;
+  req.token = decoded;
+  next();
+};
+
+/**
+ * Accept a normal access token, or the limited-scope token login issues to
+ * accounts that must change their password; the latter sets
+ * req.passwordChangeToken instead of req.token
+ */
+const authenticatePasswordChange = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+  if (!token || !TokenService.isPasswordChangeToken(token)) {
+    return authenticate(req, res, next);
+  }
+
+  const decoded = TokenService.verifyPasswordChangeToken(token);
+  const user = decoded && !(await TokenService.isDenylisted(decoded))
+    ? await User.findById(decoded.userId)
+    : null;
+
+  if (!user || !user.isActive || (decoded.ver || 0) !== user.tokenVersion) {
+    return unauthorized(res, 'INVALID_PASSWORD_CHANGE_TOKEN', 'Password change has expired. Please sign in again');
+  }
+
+  req.user = user;
+  req.passwordChangeToken = decoded;
+  next();
+};
+
+/**
+ * Require a role at or above the given one in the hierarchy
+ * (superadmin > admin > faculty > student)
+ * @param {string} minimumRole - Lowest role allowed
+ */
+const requireRole = (minimumRole) => (req, res, next) => {
+  if (!req.user) {
+    return unauthorized(res, 'AUTHENTICATION_REQUIRED', 'Authentication required');
+  }
+
+  if (!User.hasRoleAtLeast(req.user.role, minimumRole)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'INSUFFICIENT_PERMISSIONS',
+        message: `Access denied. Requires ${minimumRole} role or higher`
+      }
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticate,
+  authenticatePasswordChange,
+  requireRole
+};
\ No newline at end of file
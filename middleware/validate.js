@@ -0,0 +1,36 @@
+/**
+ * Request validation middleware
+ * Validates req[source] against a Joi schema and replaces it with the
+ * converted value, or responds with VALIDATION_ERROR listing every problem.
+ */
+const validate = (schema, source = 'body') => (req, res, next) => {
+  const { error, value } = schema.validate(req[source], {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      }
+    });
+  }
+
+  if (source === 'query') {
+    // req.query is a getter in Express 5 that re-parses the URL on every access,
+    // so shadow it on this request with the converted values
+    Object.defineProperty(req, 'query', { value, writable: true, enumerable: true, configurable: true });
+  } else {
+    req[source] = value;
+  }
+  next();
+};
+
+module.exports = validate;
\ No newline at end of file
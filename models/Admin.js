@@ -1,29 +1,13 @@
 const mongoose = require('mongoose');
-const baseUserSchema = require('./BaseUser');
+const User = require('./User');
+const Teacher = require('./Teacher');
 
 /**
  * Admin Model
- * Extends BaseUser with Admin-specific fields and methods
+ * User discriminator (role: 'admin') with Admin-specific fields and methods
  * Admins are created and managed by SuperAdmin
  */
 const adminSchema = new mongoose.Schema({
-  firstName: {
-    type: String,
-    required: [true, 'First name is required'],
-    trim: true,
-    maxlength: [50, 'First name cannot exceed 50 characters']
-  },
-  lastName: {
-    type: String,
-    required: [true, 'Last name is required'],
-    trim: true,
-    maxlength: [50, 'Last name cannot exceed 50 characters']
-  },
-  role: {
-    type: String,
-    default: 'admin',
-    immutable: true // Cannot be changed after creation
-  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'SuperAdmin',
@@ -33,22 +17,16 @@ const adminSchema = new mongoose.Schema({
   isFirstLogin: {
     type: Boolean,
     default: true
+  },
+  // Admins with a department here can only manage teachers in that department;
+  // set by the SuperAdmin through the platform backend
+  managedDepartment: {
+    type: String,
+    trim: true,
+    default: null
   }
 });
 
-// Add base user schema fields
-adminSchema.add(baseUserSchema);
-
-// Create indexes for efficient querying (email and username are already indexed via unique: true in BaseUser)
-adminSchema.index({ createdBy: 1 });
-adminSchema.index({ isActive: 1 });
-adminSchema.index({ createdAt: -1 });
-
-// Virtual for full name
-adminSchema.virtual('fullName').get(function() {
-  return `${this.firstName} ${this.lastName}`;
-});
-
 // Virtual to check if admin is newly created (within last 24 hours)
 adminSchema.virtual('isNewlyCreated').get(function() {
   const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
@@ -91,22 +69,34 @@ adminSchema.statics.findWithPagination = function(options = {}) {
   
   // Search in username, email, firstName, or lastName
   if (search) {
+    const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
     query.$or = [
-      { username: { $regex: search, $options: 'i' } },
-      { email: { $regex: search, $options: 'i' } },
-      { firstName: { $regex: search, $options: 'i' } },
-      { lastName: { $regex: search, $options: 'i' } }
+      { username: pattern },
+      { email: pattern },
+      { 'profile.firstName': pattern },
+      { 'profile.lastName': pattern }
     ];
   }
 
   const skip = (page - 1) * limit;
   const sort = { [sortBy]: sortOrder };
 
-  return this.find(query)
-    .populate('createdBy', 'username email firstName lastName')
-    .sort(sort)
-    .skip(skip)
-    .limit(limit);
+  return Promise.all([
+    this.find(query)
+      .populate('createdBy', 'username email profile.firstName profile.lastName')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit),
+    this.countDocuments(query)
+  ]).then(([admins, total]) => ({
+    admins,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  }));
 };
 
 // Static method to get admin statistics
@@ -199,83 +189,64 @@ adminSchema.methods.completeFirstLogin = async function() {
 
 // Instance method to get teacher statistics for this admin
 adminSchema.methods.getTeacherStats = async function() {
-  try {
-    const Teacher = mongoose.model('Teacher');
-    
-    const stats = await Teacher.aggregate([
-      { $match: { createdBy: this._id } },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          active: { $sum: { $cond: ['$isActive', 1, 0] } },
-          inactive: { $sum: { $cond: ['$isActive', 0, 1] } },
-          firstLoginPending: { $sum: { $cond: ['$isFirstLogin', 1, 0] } },
-          recentLogins: {
-            $sum: {
-              $cond: [
-                { $gte: ['$lastLogin', new Date(Date.now() - 24 * 60 * 60 * 1000)] },
-                1,
-                0
-              ]
-            }
+  const stats = await Teacher.aggregate([
+    { $match: { createdBy: this._id } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        active: { $sum: { $cond: ['$isActive', 1, 0] } },
+        inactive: { $sum: { $cond: ['$isActive', 0, 1] } },
+        firstLoginPending: { $sum: { $cond: ['$isFirstLogin', 1, 0] } },
+        recentLogins: {
+          $sum: {
+            $cond: [
+              { $gte: ['$lastLogin', new Date(Date.now() - 24 * 60 * 60 * 1000)] },
+              1,
+              0
+            ]
           }
         }
       }
-    ]);
-
-    return stats[0] || {
-      total: 0,
-      active: 0,
-      inactive: 0,
-      firstLoginPending: 0,
-      recentLogins: 0
-    };
-  } catch (error) {
-    // If Teacher model doesn't exist yet, return default stats
-    return {
-      total: 0,
-      active: 0,
-      inactive: 0,
-      firstLoginPending: 0,
-      recentLogins: 0
-    };
-  }
+    }
+  ]);
+
+  return stats[0] || {
+    total: 0,
+    active: 0,
+    inactive: 0,
+    firstLoginPending: 0,
+    recentLogins: 0
+  };
 };
 
 // Instance method to get teachers created by this admin
 adminSchema.methods.getTeachers = function(options = {}) {
-  try {
-    const Teacher = mongoose.model('Teacher');
-    const {
-      isActive,
-      department,
-      limit = 10,
-      skip = 0,
-      sortBy = 'createdAt',
-      sortOrder = -1
-    } = options;
-
-    const query = { createdBy: this._id };
-    
-    if (typeof isActive === 'boolean') {
-      query.isActive = isActive;
-    }
-    
-    if (department) {
-      query.department = department;
-    }
+  const {
+    isActive,
+    department,
+    limit = 10,
+    skip = 0,
+    sortBy = 'createdAt',
+    sortOrder = -1
+  } = options;
 
-    const sort = { [sortBy]: sortOrder };
+  const query = { createdBy: this._id };
 
-    return Teacher.find(query)
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
-  } catch (error) {
-    // If Teacher model doesn't exist yet, return empty array
-    return Promise.resolve([]);
+  if (typeof isActive === 'boolean') {
+    query.isActive = isActive;
+  }
+
+  if (department) {
+    query['profile.department'] = department;
   }
+
+  const sort = { [sortBy]: sortOrder };
+
+  return Teacher.find(query)
+    .sort(sort)
+    .skip(skip)
+    .limit(limit);
 };
 
 // Instance method to update admin profile
@@ -313,13 +284,19 @@ adminSchema.methods.changePassword = async function(currentPassword, newPassword
     throw new Error(`Password validation failed: ${passwordValidation.errors.join(', ')}`);
   }
 
+  if (await this.isPasswordReused(newPassword)) {
+    throw new Error('New password must not match a recently used password');
+  }
+
   // Update password (will be hashed by pre-save middleware)
   this.password = newPassword;
   this.isFirstLogin = false; // Mark first login as completed if changing password
+  this.mustChangePassword = false;
   
   // Reset login attempts when password is changed
   this.loginAttempts = 0;
-  this.lockUntil = undefined;
+  this.lockUntil = null;
+  this.lockCount = 0;
 
   return this.save();
 };
@@ -340,10 +317,6 @@ adminSchema.pre('save', async function(next) {
   next();
 });
 
-// Ensure virtual fields are serialized
-adminSchema.set('toJSON', { virtuals: true });
-adminSchema.set('toObject', { virtuals: true });
-
-const Admin = mongoose.model('Admin', adminSchema);
+const Admin = User.discriminator('Admin', adminSchema, 'admin');
 
 module.exports = Admin;
\ No newline at end of file
@@ -1,15 +1,27 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const PasswordService = require('../services/passwordService');
+const TwoFactorService = require('../services/twoFactorService');
+const lockout = require('@unione/shared/server/lockout');
+const env = require('../config/env');
+
+// Role hierarchy, lowest to highest; the platform backend uses the same list
+const ROLES = ['student', 'faculty', 'admin', 'superadmin'];
 
 /**
  * Base User Schema with common fields and methods
- * This serves as a foundation for SuperAdmin, Admin, and Teacher models
+ * Backs the single `users` collection shared with the platform backend
+ * (apps/backend/src/models/User.js), so documents keep that shape: names and
+ * department live under `profile`. SuperAdmin, Admin and Teacher are
+ * discriminators on the `role` key.
  */
 const baseUserSchema = new mongoose.Schema({
+  // Required for accounts managed here; platform-registered users sign in by email
   username: {
     type: String,
-    required: [true, 'Username is required'],
+    required: [function() { return ['superadmin', 'admin'].includes(this.role); }, 'Username is required'],
     unique: true,
+    sparse: true,
     trim: true,
     minlength: [3, 'Username must be at least 3 characters long'],
     maxlength: [50, 'Username cannot exceed 50 characters']
@@ -22,10 +34,45 @@ const baseUserSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Strength is checked with PasswordService.validatePasswordStrength wherever a password is set
   password: {
     type: String,
-    required: [true, 'Password is required'],
-    minlength: [8, 'Password must be at least 8 characters long']
+    required: [true, 'Password is required']
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: [true, 'Role is required']
+  },
+  profile: {
+    firstName: {
+      type: String,
+      required: [true, 'First name is required'],
+      trim: true,
+      maxlength: [50, 'First name cannot exceed 50 characters']
+    },
+    lastName: {
+      type: String,
+      required: [true, 'Last name is required'],
+      trim: true,
+      maxlength: [50, 'Last name cannot exceed 50 characters']
+    },
+    department: {
+      type: String,
+      trim: true
+    },
+    employeeId: {
+      type: String,
+      trim: true
+    },
+    studentId: {
+      type: String,
+      trim: true
+    },
+    avatar: {
+      type: String,
+      default: null
+    }
   },
   isActive: {
     type: Boolean,
@@ -37,16 +84,104 @@ const baseUserSchema = new mongoose.Schema({
   },
   loginAttempts: {
     type: Number,
-    default: 0,
-    max: 5
+    default: 0
   },
   lockUntil: {
     type: Date,
     default: null
+  },
+  // Lockouts since the last successful login; each one doubles the next lock time
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  // Only the hash of an emailed reset token is stored
+  passwordResetToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Hashes of the most recent passwords, newest first (env.security.passwordPolicy.history entries)
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  // Set on accounts created by an admin or the SuperAdmin: login only grants a
+  // password-change token until it is cleared
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  // Embedded in issued tokens; incrementing it revokes every existing session
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // TOTP second factor; the secret is encrypted and recovery codes are SHA-256 hashes
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Secret shown during setup, promoted to `secret` once a code from it is confirmed
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt automatically
-  discriminatorKey: 'role' // Allows for inheritance by other models
+  discriminatorKey: 'role', // Allows for inheritance by other models
+  collection: 'users'
+});
+
+// Indexes shared with the platform backend; definitions must match it exactly
+baseUserSchema.index({ role: 1, isActive: 1 });
+baseUserSchema.index({ createdBy: 1 });
+baseUserSchema.index({ 'profile.employeeId': 1 }, { sparse: true });
+baseUserSchema.index({ 'profile.department': 1, role: 1 });
+baseUserSchema.index({ passwordResetToken: 1 }, { sparse: true });
+
+// Name accessors, kept from when names were top-level fields
+baseUserSchema.virtual('firstName')
+  .get(function() { return this.profile && this.profile.firstName; })
+  .set(function(value) { this.set('profile.firstName', value); });
+
+baseUserSchema.virtual('lastName')
+  .get(function() { return this.profile && this.profile.lastName; })
+  .set(function(value) { this.set('profile.lastName', value); });
+
+baseUserSchema.virtual('fullName').get(function() {
+  return `${this.firstName} ${this.lastName}`;
 });
 
 // Virtual property to check if account is locked
@@ -54,6 +189,14 @@ baseUserSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
+// Someone else chose the initial password of an account with a creator
+baseUserSchema.pre('save', function(next) {
+  if (this.isNew && this.createdBy) {
+    this.mustChangePassword = true;
+  }
+  next();
+});
+
 // Pre-save middleware to hash password
 baseUserSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
@@ -63,45 +206,205 @@ baseUserSchema.pre('save', async function(next) {
     // Hash password with cost of 12
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    this.passwordChangedAt = new Date();
+    this.$locals.newPasswordHash = this.password;
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Record the new password in the history with an atomic update, so it works
+// whether or not passwordHistory was selected on this document
+baseUserSchema.post('save', async function(doc) {
+  const hash = doc.$locals.newPasswordHash;
+  if (!hash) return;
+  delete doc.$locals.newPasswordHash;
+
+  const { history } = env.security.passwordPolicy;
+  await doc.constructor.updateOne(
+    { _id: doc._id },
+    history > 0
+      ? { $push: { passwordHistory: { $each: [hash], $position: 0, $slice: history } } }
+      : { $set: { passwordHistory: [] } }
+  );
+});
+
 // Instance method to compare password
 baseUserSchema.methods.comparePassword = async function(candidatePassword) {
   if (!candidatePassword) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Instance method to increment login attempts
+// Instance method to check a candidate against the current and recent passwords
+baseUserSchema.methods.isPasswordReused = async function(candidatePassword) {
+  const { history } = env.security.passwordPolicy;
+  const stored = await this.constructor.findById(this._id).select('+password +passwordHistory');
+  if (!stored) return false;
+
+  const hashes = new Set([stored.password, ...(stored.passwordHistory || []).slice(0, history)]);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) return true;
+  }
+  return false;
+};
+
+// Instance method to record a failed login; returns the lock expiry if this
+// attempt locked the account (progressive, same rules as the platform backend)
 baseUserSchema.methods.incLoginAttempts = async function() {
-  // If we have a previous lock that has expired, restart at 1
-  if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
-      $unset: { lockUntil: 1 },
-      $set: { loginAttempts: 1 }
-    });
+  const { update, lockUntil } = lockout.failedLoginUpdate(this);
+  await this.updateOne(update);
+  return lockUntil;
+};
+
+// Instance method to clear failed logins after a successful one
+baseUserSchema.methods.resetLoginAttempts = async function() {
+  return this.updateOne(lockout.resetLoginUpdate());
+};
+
+// Instance method to issue a password reset token (caller saves the user)
+baseUserSchema.methods.createPasswordResetToken = function(expiresInMinutes) {
+  const token = PasswordService.generateResetToken();
+  this.passwordResetToken = PasswordService.hashResetToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return token;
+};
+
+// Instance method to set a new password and sign out every existing session
+baseUserSchema.methods.setPasswordAndRevokeSessions = async function(newPassword) {
+  this.password = newPassword;
+  this.passwordResetToken = null;
+  this.passwordResetExpires = null;
+  this.passwordChangedAt = new Date();
+  this.mustChangePassword = false;
+  this.tokenVersion += 1;
+  this.loginAttempts = 0;
+  this.lockUntil = null;
+  this.lockCount = 0;
+  return this.save();
+};
+
+// Instance method to replace the password the user signed in with; clears the
+// must-change flag and, for Admins and Teachers, completes their first login
+baseUserSchema.methods.completePasswordChange = function(newPassword) {
+  this.password = newPassword;
+  this.passwordChangedAt = new Date();
+  this.mustChangePassword = false;
+  if (this.schema.path('isFirstLogin')) {
+    this.isFirstLogin = false;
   }
-  
-  const updates = { $inc: { loginAttempts: 1 } };
-  
-  // If we have reached max attempts and it's not locked already, lock the account
-  if (this.loginAttempts + 1 >= 5 && !this.isLocked) {
-    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 }; // Lock for 2 hours
+  return this.save();
+};
+
+// Whether the 2FA policy makes enrolment mandatory for this user's role
+baseUserSchema.virtual('isTwoFactorRequired').get(function() {
+  return TwoFactorService.isRequiredForRole(this.role);
+});
+
+// Instance method to start 2FA enrolment (caller saves the user)
+baseUserSchema.methods.beginTwoFactorSetup = function() {
+  const secret = TwoFactorService.generateSecret();
+  this.twoFactor.pendingSecret = TwoFactorService.encryptSecret(secret);
+  return {
+    secret,
+    otpauthUri: TwoFactorService.buildOtpauthUri(secret, this.email)
+  };
+};
+
+// Instance method to confirm enrolment; returns the recovery codes, or null if the code is wrong.
+// Expects twoFactor.pendingSecret to have been selected
+baseUserSchema.methods.enableTwoFactor = async function(code) {
+  if (!this.twoFactor.pendingSecret) return null;
+
+  const step = TwoFactorService.verifyCode(TwoFactorService.decryptSecret(this.twoFactor.pendingSecret), code);
+  if (step === null) return null;
+
+  const recoveryCodes = TwoFactorService.generateRecoveryCodes();
+  this.twoFactor.enabled = true;
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = null;
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.recoveryCodes = recoveryCodes.map(code => TwoFactorService.hashRecoveryCode(code));
+  this.twoFactor.enabledAt = new Date();
+  await this.save();
+
+  return recoveryCodes;
+};
+
+// Instance method to check a TOTP code or consume a recovery code.
+// Expects twoFactor.secret to have been selected; each code is accepted once
+baseUserSchema.methods.verifyTwoFactor = async function({ code, recoveryCode }) {
+  if (!this.twoFactor.enabled) return false;
+
+  if (recoveryCode) {
+    const hash = TwoFactorService.hashRecoveryCode(recoveryCode);
+    const result = await this.constructor.updateOne(
+      { _id: this._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount > 0;
   }
-  
-  return this.updateOne(updates);
+
+  const step = TwoFactorService.verifyCode(TwoFactorService.decryptSecret(this.twoFactor.secret), code);
+  if (step === null) return false;
+
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount > 0;
 };
 
-// Instance method to reset login attempts
-baseUserSchema.methods.resetLoginAttempts = async function() {
-  return this.updateOne({
-    $unset: { loginAttempts: 1, lockUntil: 1 }
+// Instance method to replace the recovery codes; returns the new codes
+baseUserSchema.methods.regenerateRecoveryCodes = async function() {
+  const recoveryCodes = TwoFactorService.generateRecoveryCodes();
+  this.twoFactor.recoveryCodes = recoveryCodes.map(code => TwoFactorService.hashRecoveryCode(code));
+  await this.save();
+  return recoveryCodes;
+};
+
+// Instance method to turn 2FA off (callers enforce the mandatory policy)
+baseUserSchema.methods.disableTwoFactor = function() {
+  this.twoFactor = {
+    enabled: false,
+    secret: null,
+    pendingSecret: null,
+    recoveryCodes: [],
+    lastUsedStep: null,
+    enabledAt: null
+  };
+  return this.save();
+};
+
+// Static method to load users together with their 2FA secrets
+baseUserSchema.statics.findWithTwoFactorSecrets = function(query) {
+  return this.findOne(query)
+    .select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+};
+
+// Static method to look up the user behind a reset token without using it up
+baseUserSchema.statics.findByResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: PasswordService.hashResetToken(token),
+    passwordResetExpires: { $gt: new Date() }
   });
 };
 
+// Static method to consume a reset token; it matches at most once
+baseUserSchema.statics.consumeResetToken = function(token) {
+  return this.findOneAndUpdate(
+    {
+      passwordResetToken: PasswordService.hashResetToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    },
+    { $set: { passwordResetToken: null, passwordResetExpires: null } },
+    { new: true }
+  );
+};
+
 // Static method to find user by email or username
 baseUserSchema.statics.findByEmailOrUsername = function(identifier) {
   return this.findOne({
@@ -112,34 +415,34 @@ baseUserSchema.statics.findByEmailOrUsername = function(identifier) {
   });
 };
 
-// Static method to validate password strength
-baseUserSchema.statics.validatePasswordStrength = function(password) {
-  const errors = [];
-  
-  if (!password || password.length < 8) {
-    errors.push('Password must be at least 8 characters long');
-  }
-  
-  if (!/(?=.*[a-z])/.test(password)) {
-    errors.push('Password must contain at least one lowercase letter');
-  }
-  
-  if (!/(?=.*[A-Z])/.test(password)) {
-    errors.push('Password must contain at least one uppercase letter');
-  }
-  
-  if (!/(?=.*\d)/.test(password)) {
-    errors.push('Password must contain at least one number');
+// Serialize virtuals (names, isLocked) but never credentials; discriminators inherit this
+baseUserSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.password;
+    delete ret.passwordResetToken;
+    delete ret.passwordHistory;
+    if (ret.twoFactor) {
+      delete ret.twoFactor.secret;
+      delete ret.twoFactor.pendingSecret;
+      delete ret.twoFactor.recoveryCodes;
+      delete ret.twoFactor.lastUsedStep;
+    }
+    return ret;
   }
-  
-  if (!/(?=.*[@$!%*?&])/.test(password)) {
-    errors.push('Password must contain at least one special character (@$!%*?&)');
-  }
-  
-  return {
-    isValid: errors.length === 0,
-    errors
-  };
+});
+baseUserSchema.set('toObject', { virtuals: true });
+
+baseUserSchema.statics.ROLES = ROLES;
+
+// Static method to check whether a role is at or above another in the hierarchy
+baseUserSchema.statics.hasRoleAtLeast = function(role, minimumRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+};
+
+// Static method to validate password strength against the configured policy
+baseUserSchema.statics.validatePasswordStrength = function(password) {
+  return PasswordService.validatePasswordStrength(password);
 };
 
 module.exports = baseUserSchema;
\ No newline at end of file
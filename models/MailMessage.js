@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+const { createMailMessageSchema } = require('@unione/shared/server/mailOutbox');
+
+/**
+ * MailMessage Model
+ * Outbox entry for an email, in the `mailmessages` collection the platform
+ * backend also queues into. Messages are delivered by
+ * MailService.processOutbox, which retries failures with exponential
+ * backoff until maxAttempts is reached.
+ */
+const MailMessage = mongoose.model('MailMessage', createMailMessageSchema(mongoose));
+
+module.exports = MailMessage;
\ No newline at end of file
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+const { createRevokedTokenSchema } = require('@unione/shared/server/sessions');
+
+/**
+ * RevokedToken Model
+ * Denylisted token IDs, in the `revokedtokens` collection shared with the
+ * platform backend; both servers build it from the same schema.
+ */
+const RevokedToken = mongoose.model('RevokedToken', createRevokedTokenSchema(mongoose));
+
+module.exports = RevokedToken;
\ No newline at end of file
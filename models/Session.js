@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+const { createSessionSchema } = require('@unione/shared/server/sessions');
+
+/**
+ * Session Model
+ * A signed-in device, in the `sessions` collection shared with the platform
+ * backend; both servers build it from the same schema.
+ */
+const Session = mongoose.model('Session', createSessionSchema(mongoose));
+
+module.exports = Session;
\ No newline at end of file
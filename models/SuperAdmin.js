@@ -1,38 +1,14 @@
 const mongoose = require('mongoose');
-const baseUserSchema = require('./BaseUser');
+const User = require('./User');
+const Admin = require('./Admin');
+const Teacher = require('./Teacher');
 
 /**
  * SuperAdmin Model
- * Extends BaseUser with SuperAdmin-specific fields and methods
+ * User discriminator (role: 'superadmin') with SuperAdmin-specific methods
  * There should only be one SuperAdmin account in the system
  */
-const superAdminSchema = new mongoose.Schema({
-  firstName: {
-    type: String,
-    required: [true, 'First name is required'],
-    trim: true,
-    maxlength: [50, 'First name cannot exceed 50 characters']
-  },
-  lastName: {
-    type: String,
-    required: [true, 'Last name is required'],
-    trim: true,
-    maxlength: [50, 'Last name cannot exceed 50 characters']
-  },
-  role: {
-    type: String,
-    default: 'superadmin',
-    immutable: true // Cannot be changed after creation
-  }
-});
-
-// Add base user schema fields
-superAdminSchema.add(baseUserSchema);
-
-// Virtual for full name
-superAdminSchema.virtual('fullName').get(function() {
-  return `${this.firstName} ${this.lastName}`;
-});
+const superAdminSchema = new mongoose.Schema({});
 
 // Ensure only one SuperAdmin can exist
 superAdminSchema.pre('save', async function(next) {
@@ -75,8 +51,6 @@ superAdminSchema.statics.initializeDefault = async function(credentials = {}) {
 
 // Instance method to get admin management statistics
 superAdminSchema.methods.getAdminStats = async function() {
-  const Admin = mongoose.model('Admin');
-  
   const totalAdmins = await Admin.countDocuments({});
   const activeAdmins = await Admin.countDocuments({ isActive: true });
   const inactiveAdmins = await Admin.countDocuments({ isActive: false });
@@ -94,62 +68,50 @@ superAdminSchema.methods.getAdminStats = async function() {
 
 // Instance method to get system overview
 superAdminSchema.methods.getSystemOverview = async function() {
-  try {
-    const Admin = mongoose.model('Admin');
-    const Teacher = mongoose.model('Teacher');
-
-    const [adminStats, teacherStats] = await Promise.all([
-      Admin.aggregate([
-        {
-          $group: {
-            _id: null,
-            total: { $sum: 1 },
-            active: { $sum: { $cond: ['$isActive', 1, 0] } },
-            recentLogins: {
-              $sum: {
-                $cond: [
-                  { $gte: ['$lastLogin', new Date(Date.now() - 24 * 60 * 60 * 1000)] },
-                  1,
-                  0
-                ]
-              }
+  const [adminStats, teacherStats] = await Promise.all([
+    Admin.aggregate([
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          active: { $sum: { $cond: ['$isActive', 1, 0] } },
+          recentLogins: {
+            $sum: {
+              $cond: [
+                { $gte: ['$lastLogin', new Date(Date.now() - 24 * 60 * 60 * 1000)] },
+                1,
+                0
+              ]
             }
           }
         }
-      ]),
-      Teacher.aggregate([
-        {
-          $group: {
-            _id: null,
-            total: { $sum: 1 },
-            active: { $sum: { $cond: ['$isActive', 1, 0] } },
-            recentLogins: {
-              $sum: {
-                $cond: [
-                  { $gte: ['$lastLogin', new Date(Date.now() - 24 * 60 * 60 * 1000)] },
-                  1,
-                  0
-                ]
-              }
+      }
+    ]),
+    Teacher.aggregate([
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          active: { $sum: { $cond: ['$isActive', 1, 0] } },
+          recentLogins: {
+            $sum: {
+              $cond: [
+                { $gte: ['$lastLogin', new Date(Date.now() - 24 * 60 * 60 * 1000)] },
+                1,
+                0
+              ]
             }
           }
         }
-      ])
-    ]);
-
-    return {
-      admins: adminStats[0] || { total: 0, active: 0, recentLogins: 0 },
-      teachers: teacherStats[0] || { total: 0, active: 0, recentLogins: 0 },
-      lastUpdated: new Date()
-    };
-  } catch (error) {
-    // If Admin or Teacher models don't exist yet, return default stats
-    return {
-      admins: { total: 0, active: 0, recentLogins: 0 },
-      teachers: { total: 0, active: 0, recentLogins: 0 },
-      lastUpdated: new Date()
-    };
-  }
+      }
+    ])
+  ]);
+
+  return {
+    admins: adminStats[0] || { total: 0, active: 0, recentLogins: 0 },
+    teachers: teacherStats[0] || { total: 0, active: 0, recentLogins: 0 },
+    lastUpdated: new Date()
+  };
 };
 
 // Instance method to validate admin creation data
@@ -185,10 +147,6 @@ superAdminSchema.methods.validateAdminData = function(adminData) {
   };
 };
 
-// Ensure virtual fields are serialized
-superAdminSchema.set('toJSON', { virtuals: true });
-superAdminSchema.set('toObject', { virtuals: true });
-
-const SuperAdmin = mongoose.model('SuperAdmin', superAdminSchema);
+const SuperAdmin = User.discriminator('SuperAdmin', superAdminSchema, 'superadmin');
 
 module.exports = SuperAdmin;
\ No newline at end of file
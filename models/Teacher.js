@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+
+/**
+ * Teacher Model
+ * User discriminator (role: 'faculty') for teaching staff. Teachers are
+ * created and managed by Admins; the platform backend sees them as faculty.
+ * Employee ID and department live under `profile` like every other user.
+ */
+const teacherSchema = new mongoose.Schema({
+  designation: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Designation cannot exceed 100 characters'],
+    default: null
+  },
+  // Null for faculty who registered on the platform themselves
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true // Cannot be changed after creation
+  },
+  isFirstLogin: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Accessors for the profile fields that identify a teacher
+teacherSchema.virtual('employeeId')
+  .get(function() { return this.profile && this.profile.employeeId; })
+  .set(function(value) { this.set('profile.employeeId', value); });
+
+teacherSchema.virtual('department')
+  .get(function() { return this.profile && this.profile.department; })
+  .set(function(value) { this.set('profile.department', value); });
+
+// Employee ID and department are optional on the base user but required for teachers,
+// and an employee ID may only belong to one teacher
+teacherSchema.pre('validate', async function(next) {
+  if (!this.profile.employeeId) {
+    this.invalidate('profile.employeeId', 'Employee ID is required');
+  }
+  if (!this.profile.department) {
+    this.invalidate('profile.department', 'Department is required');
+  }
+
+  if (this.profile.employeeId && (this.isNew || this.isModified('profile.employeeId'))) {
+    const taken = await this.constructor.exists({
+      'profile.employeeId': this.profile.employeeId,
+      _id: { $ne: this._id }
+    });
+    if (taken) {
+      this.invalidate('profile.employeeId', 'Employee ID is already in use');
+    }
+  }
+  next();
+});
+
+// Pre-save middleware to validate createdBy reference
+teacherSchema.pre('save', async function(next) {
+  if (this.isNew && this.createdBy) {
+    const creator = await User.findById(this.createdBy);
+    if (!creator || !User.hasRoleAtLeast(creator.role, 'admin')) {
+      return next(new Error('Teacher must be created by an Admin'));
+    }
+  }
+  next();
+});
+
+// Static method to find teachers with pagination and filtering
+teacherSchema.statics.findWithPagination = function(options = {}) {
+  const {
+    page = 1,
+    limit = 10,
+    sortBy = 'createdAt',
+    sortOrder = -1,
+    isActive,
+    department,
+    search,
+    createdBy
+  } = options;
+
+  const query = {};
+
+  if (typeof isActive === 'boolean') {
+    query.isActive = isActive;
+  }
+
+  if (department) {
+    query['profile.department'] = department;
+  }
+
+  if (createdBy) {
+    query.createdBy = createdBy;
+  }
+
+  // Search in username, email, names or employee ID
+  if (search) {
+    const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    query.$or = [
+      { username: pattern },
+      { email: pattern },
+      { 'profile.firstName': pattern },
+      { 'profile.lastName': pattern },
+      { 'profile.employeeId': pattern }
+    ];
+  }
+
+  const skip = (page - 1) * limit;
+  const sort = { [sortBy]: sortOrder };
+
+  return Promise.all([
+    this.find(query)
+      .populate('createdBy', 'username email profile.firstName profile.lastName')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit),
+    this.countDocuments(query)
+  ]).then(([teachers, total]) => ({
+    teachers,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  }));
+};
+
+// Static method to count teachers per department
+teacherSchema.statics.countByDepartment = function() {
+  return this.aggregate([
+    {
+      $group: {
+        _id: '$profile.department',
+        total: { $sum: 1 },
+        active: { $sum: { $cond: ['$isActive', 1, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+// Instance method to activate teacher account
+teacherSchema.methods.activate = async function() {
+  this.isActive = true;
+  return this.save();
+};
+
+// Instance method to deactivate teacher account
+teacherSchema.methods.deactivate = async function() {
+  this.isActive = false;
+  return this.save();
+};
+
+const Teacher = User.discriminator('Teacher', teacherSchema, 'faculty');
+
+module.exports = Teacher;
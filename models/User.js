@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+const baseUserSchema = require('./BaseUser');
+
+/**
+ * User Model
+ * Every account, whatever its role, lives in the `users` collection that the
+ * platform backend also reads. Role-specific models (SuperAdmin, Admin,
+ * Teacher) are discriminators of this one, so User queries see all of them.
+ */
+const User = mongoose.model('User', baseUserSchema);
+
+module.exports = User;
\ No newline at end of file
@@ -0,0 +1,83 @@
+const express = require('express');
+const Joi = require('joi');
+const validate = require('../middleware/validate');
+const { authenticate, requireRole } = require('../middleware/auth');
+const {
+  getAdmins,
+  getAdminStats,
+  getAdmin,
+  createAdmin,
+  activateAdmin,
+  deactivateAdmin
+} = require('../controllers/adminController');
+
+const router = express.Router();
+
+// Validation schemas
+const adminIdSchema = Joi.object({
+  adminId: Joi.string().hex().length(24).required()
+    .messages({ 'string.hex': 'Invalid admin ID', 'string.length': 'Invalid admin ID' })
+});
+
+const listAdminsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  search: Joi.string().trim().max(100),
+  isActive: Joi.boolean(),
+  sortBy: Joi.string().valid('createdAt', 'lastLogin', 'username', 'profile.lastName').default('createdAt'),
+  sortOrder: Joi.number().valid(1, -1).default(-1)
+});
+
+const createAdminSchema = Joi.object({
+  username: Joi.string().trim().min(3).max(50).required(),
+  email: Joi.string().trim().lowercase().email().required(),
+  firstName: Joi.string().trim().min(1).max(50).required(),
+  lastName: Joi.string().trim().min(1).max(50).required()
+});
+
+// Admin accounts are managed by the SuperAdmin only
+router.use(authenticate, requireRole('superadmin'));
+
+/**
+ * @route   GET /api/admins
+ * @desc    List admins (paginated; search and isActive filters)
+ * @access  SuperAdmin
+ */
+router.get('/', validate(listAdminsSchema, 'query'), getAdmins);
+
+/**
+ * @route   GET /api/admins/stats
+ * @desc    Admin counts and admin/teacher activity overview
+ * @access  SuperAdmin
+ */
+router.get('/stats', getAdminStats);
+
+/**
+ * @route   POST /api/admins
+ * @desc    Create an admin; a temporary password is emailed to them
+ * @access  SuperAdmin
+ */
+router.post('/', validate(createAdminSchema), createAdmin);
+
+/**
+ * @route   GET /api/admins/:adminId
+ * @desc    Get an admin
+ * @access  SuperAdmin
+ */
+router.get('/:adminId', validate(adminIdSchema, 'params'), getAdmin);
+
+/**
+ * @route   PATCH /api/admins/:adminId/activate
+ * @desc    Re-enable a deactivated admin
+ * @access  SuperAdmin
+ */
+router.patch('/:adminId/activate', validate(adminIdSchema, 'params'), activateAdmin);
+
+/**
+ * @route   PATCH /api/admins/:adminId/deactivate
+ * @desc    Deactivate an admin (signs them out on their next request)
+ * @access  SuperAdmin
+ */
+router.patch('/:adminId/deactivate', validate(adminIdSchema, 'params'), deactivateAdmin);
+
+module.exports = router;
\ No newline at end of file
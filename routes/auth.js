@@ -0,0 +1,126 @@
+const express = require('express');
+const Joi = require('joi');
+const validate = require('../middleware/validate');
+const { authenticate, authenticatePasswordChange } = require('../middleware/auth');
+const {
+  login,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  changePassword,
+  logout,
+  getMe,
+  forgotPassword,
+  resetPassword
+} = require('../controllers/authController');
+
+const router = express.Router();
+
+// Validation schemas
+const loginSchema = Joi.object({
+  identifier: Joi.string().trim().max(254).required()
+    .messages({ 'any.required': 'Username or email is required' }),
+  password: Joi.string().required()
+});
+
+const totpCode = Joi.string().pattern(/^\d{6}$/)
+  .messages({ 'string.pattern.base': 'Verification code must be 6 digits' });
+
+const verifyTwoFactorSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: totpCode,
+  recoveryCode: Joi.string().trim().max(20)
+}).xor('code', 'recoveryCode')
+  .messages({
+    'object.xor': 'Provide either a verification code or a recovery code',
+    'object.missing': 'A verification code or recovery code is required'
+  });
+
+const setupTwoFactorSchema = Joi.object({
+  challengeToken: Joi.string().required()
+});
+
+const enableTwoFactorSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: totpCode.required()
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().required()
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().pattern(/^[a-f0-9]{64}$/).required()
+    .messages({ 'string.pattern.base': 'Invalid reset token' }),
+  password: Joi.string().required()
+});
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Sign in a SuperAdmin or Admin by username or email
+ * @access  Public
+ */
+router.post('/login', validate(loginSchema), login);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Finish signing in with a TOTP or recovery code
+ * @access  Public (challenge token from login)
+ */
+router.post('/2fa/verify', validate(verifyTwoFactorSchema), verifyTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start mandatory 2FA enrolment
+ * @access  Public (setup challenge token from login)
+ */
+router.post('/2fa/setup', validate(setupTwoFactorSchema), setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm mandatory 2FA enrolment and sign in
+ * @access  Public (setup challenge token from login)
+ */
+router.post('/2fa/enable', validate(enableTwoFactorSchema), enableTwoFactor);
+
+/**
+ * @route   PUT /api/auth/change-password
+ * @desc    Change the password (also accepts the password-change token from login)
+ * @access  Private
+ */
+router.put('/change-password', authenticatePasswordChange, validate(changePasswordSchema), changePassword);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Sign out the current session
+ * @access  Private
+ */
+router.post('/logout', authenticate, logout);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the signed-in account
+ * @access  Private
+ */
+router.get('/me', authenticate, getMe);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', validate(forgotPasswordSchema), forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token (signs out all sessions)
+ * @access  Public
+ */
+router.post('/reset-password', validate(resetPasswordSchema), resetPassword);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,101 @@
+const express = require('express');
+const Joi = require('joi');
+const validate = require('../middleware/validate');
+const { authenticate, requireRole } = require('../middleware/auth');
+const {
+  getTeachers,
+  getTeacherStats,
+  getTeacher,
+  createTeacher,
+  updateTeacher,
+  deleteTeacher
+} = require('../controllers/teacherController');
+
+const router = express.Router();
+
+// Validation schemas
+const teacherIdSchema = Joi.object({
+  teacherId: Joi.string().hex().length(24).required()
+    .messages({ 'string.hex': 'Invalid teacher ID', 'string.length': 'Invalid teacher ID' })
+});
+
+const listTeachersSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  search: Joi.string().trim().max(100),
+  department: Joi.string().trim().max(100),
+  isActive: Joi.boolean(),
+  sortBy: Joi.string().valid('createdAt', 'lastLogin', 'profile.lastName', 'profile.department').default('createdAt'),
+  sortOrder: Joi.number().valid(1, -1).default(-1)
+});
+
+const teacherFields = {
+  username: Joi.string().trim().min(3).max(50),
+  email: Joi.string().trim().lowercase().email(),
+  firstName: Joi.string().trim().min(1).max(50),
+  lastName: Joi.string().trim().min(1).max(50),
+  employeeId: Joi.string().trim().min(3).max(20),
+  department: Joi.string().trim().min(2).max(100),
+  designation: Joi.string().trim().max(100)
+};
+
+const createTeacherSchema = Joi.object({
+  ...teacherFields,
+  email: teacherFields.email.required(),
+  firstName: teacherFields.firstName.required(),
+  lastName: teacherFields.lastName.required(),
+  employeeId: teacherFields.employeeId.required(),
+  department: teacherFields.department.required()
+});
+
+const updateTeacherSchema = Joi.object({
+  ...teacherFields,
+  isActive: Joi.boolean()
+}).min(1);
+
+// Every teacher route is for admins (and the superadmin)
+router.use(authenticate, requireRole('admin'));
+
+/**
+ * @route   GET /api/teachers
+ * @desc    List teachers (paginated; search, department and isActive filters)
+ * @access  Admin
+ */
+router.get('/', validate(listTeachersSchema, 'query'), getTeachers);
+
+/**
+ * @route   GET /api/teachers/stats
+ * @desc    Teacher counts per department
+ * @access  Admin
+ */
+router.get('/stats', getTeacherStats);
+
+/**
+ * @route   POST /api/teachers
+ * @desc    Create a teacher; a temporary password is emailed to them
+ * @access  Admin
+ */
+router.post('/', validate(createTeacherSchema), createTeacher);
+
+/**
+ * @route   GET /api/teachers/:teacherId
+ * @desc    Get a teacher
+ * @access  Admin
+ */
+router.get('/:teacherId', validate(teacherIdSchema, 'params'), getTeacher);
+
+/**
+ * @route   PATCH /api/teachers/:teacherId
+ * @desc    Update a teacher's details or active status
+ * @access  Admin
+ */
+router.patch('/:teacherId', validate(teacherIdSchema, 'params'), validate(updateTeacherSchema), updateTeacher);
+
+/**
+ * @route   DELETE /api/teachers/:teacherId
+ * @desc    Delete a teacher account
+ * @access  Admin
+ */
+router.delete('/:teacherId', validate(teacherIdSchema, 'params'), deleteTeacher);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+/**
+ * User Migration Script
+ * Merges the legacy superadmins/admins/teachers collections into the single
+ * `users` collection shared with the platform backend.
+ *
+ * Documents are copied with the raw driver so password hashes are kept as-is.
+ * Legacy accounts keep their _id unless an account with the same email already
+ * exists in `users`; then the two are merged (keeping the higher role and the
+ * existing password) and createdBy references are rewritten to the merged _id.
+ * The script can be re-run safely: accounts already migrated are skipped.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const databaseConfig = require('../config/database');
+
+const ROLES = ['student', 'faculty', 'admin', 'superadmin'];
+
+class UserMigrator {
+  constructor() {
+    // Legacy collections, migrated top-down so creators exist before the accounts they created
+    this.sources = [
+      { collection: 'superadmins', role: 'superadmin' },
+      { collection: 'admins', role: 'admin' },
+      { collection: 'teachers', role: 'faculty' }
+    ];
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = { inserted: 0, merged: 0, skipped: 0, warnings: [] };
+    this.idMap = new Map(); // legacy _id -> users _id, for merged accounts
+  }
+
+  warn(message) {
+    this.stats.warnings.push(message);
+    console.warn(`⚠️  ${message}`);
+  }
+
+  /**
+   * Convert a legacy document to the shared users shape
+   * (names, department and employeeId move under `profile`)
+   */
+  toUserDocument(legacy, role) {
+    const { firstName, lastName, department, employeeId, ...rest } = legacy;
+    const profile = { ...(legacy.profile || {}) };
+
+    profile.firstName = profile.firstName || firstName || legacy.username || legacy.email.split('@')[0];
+    profile.lastName = profile.lastName || lastName || role.charAt(0).toUpperCase() + role.slice(1);
+    if (department && !profile.department) profile.department = department;
+    if (employeeId && !profile.employeeId) profile.employeeId = employeeId;
+
+    return {
+      ...rest,
+      role,
+      profile,
+      createdAt: legacy.createdAt || new Date(),
+      updatedAt: new Date()
+    };
+  }
+
+  async migrate(options = {}) {
+    const { dryRun = false, archive = false } = options;
+
+    try {
+      console.log(`🔀 Starting user migration${dryRun ? ' (dry run)' : ''}...`);
+      this.resetStats();
+
+      await databaseConfig.connect();
+      const db = mongoose.connection.db;
+      const users = db.collection('users');
+
+      const existingNames = (await db.listCollections().toArray()).map(collection => collection.name);
+
+      for (const { collection, role } of this.sources) {
+        if (!existingNames.includes(collection)) {
+          console.log(`📁 No legacy ${collection} collection, skipping`);
+          continue;
+        }
+
+        const legacyDocs = await db.collection(collection).find({}).toArray();
+        console.log(`📁 ${collection}: ${legacyDocs.length} document(s)`);
+
+        for (const legacy of legacyDocs) {
+          await this.migrateDocument(users, this.toUserDocument(legacy, role), dryRun);
+        }
+      }
+
+      // Point createdBy at the surviving account for merged creators
+      for (const [legacyId, userId] of this.idMap) {
+        if (dryRun) continue;
+        await users.updateMany({ createdBy: legacyId }, { $set: { createdBy: userId } });
+      }
+
+      if (archive && !dryRun) {
+        await this.archiveLegacyCollections(db, existingNames);
+      }
+
+      console.log('✅ User migration completed:');
+      console.log(`   Inserted: ${this.stats.inserted}`);
+      console.log(`   Merged:   ${this.stats.merged}`);
+      console.log(`   Skipped:  ${this.stats.skipped}`);
+      console.log(`   Warnings: ${this.stats.warnings.length}`);
+
+      return this.stats;
+
+    } catch (error) {
+      console.error('❌ User migration failed:', error.message);
+      throw error;
+    } finally {
+      await databaseConfig.disconnect();
+    }
+  }
+
+  async migrateDocument(users, doc, dryRun) {
+    // Already migrated on a previous run
+    if (await users.findOne({ _id: doc._id }, { projection: { _id: 1 } })) {
+      this.stats.skipped += 1;
+      return;
+    }
+
+    // Only one SuperAdmin may exist
+    if (doc.role === 'superadmin') {
+      const superAdmin = await users.findOne({ role: 'superadmin' });
+      if (superAdmin && superAdmin.email !== doc.email) {
+        this.warn(`SuperAdmin ${doc.email} not migrated: ${superAdmin.email} already exists in users`);
+        this.idMap.set(doc._id, superAdmin._id);
+        this.stats.skipped += 1;
+        return;
+      }
+    }
+
+    if (doc.username) {
+      const usernameOwner = await users.findOne({ username: doc.username, email: { $ne: doc.email } });
+      if (usernameOwner) {
+        this.warn(`Username "${doc.username}" of ${doc.email} is taken by ${usernameOwner.email}; dropped (sign in by email)`);
+        delete doc.username;
+      }
+    }
+
+    const existing = await users.findOne({ email: doc.email });
+    if (!existing) {
+      if (!dryRun) await users.insertOne(doc);
+      this.stats.inserted += 1;
+      return;
+    }
+
+    // Same person registered on the platform: fill in what the platform account lacks
+    const updates = {};
+    if (ROLES.indexOf(doc.role) > ROLES.indexOf(existing.role)) {
+      updates.role = doc.role;
+    }
+    for (const field of ['username', 'createdBy', 'isFirstLogin']) {
+      if (existing[field] === undefined && doc[field] !== undefined) updates[field] = doc[field];
+    }
+    for (const field of ['department', 'employeeId']) {
+      if (!existing.profile || !existing.profile[field]) {
+        if (doc.profile[field]) updates[`profile.${field}`] = doc.profile[field];
+      }
+    }
+
+    this.warn(`${doc.email} exists in users; merged into ${existing._id} and kept its password`);
+    if (!dryRun && Object.keys(updates).length > 0) {
+      await users.updateOne({ _id: existing._id }, { $set: updates });
+    }
+    this.idMap.set(doc._id, existing._id);
+    this.stats.merged += 1;
+  }
+
+  async archiveLegacyCollections(db, existingNames) {
+    const suffix = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+
+    for (const { collection } of this.sources) {
+      if (!existingNames.includes(collection)) continue;
+
+      const archiveName = `${collection}_legacy_${suffix}`;
+      await db.collection(collection).rename(archiveName);
+      console.log(`📦 Archived ${collection} as ${archiveName}`);
+    }
+  }
+
+  displayHelp() {
+    console.log(`
+🔀 User Migration Script
+
+Merges the legacy superadmins, admins and teachers collections into the
+shared users collection read by both the auth server and the platform backend.
+
+Usage: node scripts/migrate-users.js [options]
+
+Options:
+  --help, -h      Show this help message
+  --dry-run, -n   Report what would change without writing
+  --archive, -a   Rename the legacy collections to <name>_legacy_<date> afterwards
+
+Environment Variables:
+  MONGODB_URI     Database shared by both servers
+
+Examples:
+  node scripts/migrate-users.js --dry-run
+  node scripts/migrate-users.js
+  node scripts/migrate-users.js --archive
+    `);
+  }
+}
+
+// CLI execution
+async function main() {
+  const migrator = new UserMigrator();
+  const args = process.argv.slice(2);
+
+  try {
+    if (args.includes('--help') || args.includes('-h')) {
+      migrator.displayHelp();
+      return;
+    }
+
+    await migrator.migrate({
+      dryRun: args.includes('--dry-run') || args.includes('-n'),
+      archive: args.includes('--archive') || args.includes('-a')
+    });
+
+  } catch (error) {
+    console.error('💥 Script execution failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = UserMigrator;
\ No newline at end of file
@@ -1,6 +1,10 @@
 const express = require('express');
 const cors = require('cors');
 const config = require('./config');
+const MailService = require('./services/mailService');
+const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admins');
+const teacherRoutes = require('./routes/teachers');
 
 const app = express();
 const PORT = config.env.server.port;
@@ -59,6 +63,11 @@ app.get('/', (req, res) => {
   });
 });
 
+// API routes
+app.use('/api/auth', authRoutes);
+app.use('/api/admins', adminRoutes);
+app.use('/api/teachers', teacherRoutes);
+
 // Global error handling middleware
 app.use((err, req, res, next) => {
   console.error('Error:', err.stack);
@@ -87,12 +96,14 @@ app.use((req, res) => {
 // Graceful shutdown handling
 process.on('SIGTERM', async () => {
   console.log('🛑 SIGTERM received, shutting down gracefully...');
+  MailService.stopWorker();
   await config.shutdown();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('🛑 SIGINT received, shutting down gracefully...');
+  MailService.stopWorker();
   await config.shutdown();
   process.exit(0);
 });
@@ -102,6 +113,9 @@ async function startServer() {
   try {
     // Initialize application first
     await initializeApp();
+
+    // Deliver queued emails in the background
+    MailService.startWorker();
     
     // Start HTTP server
     app.listen(PORT, () => {
@@ -109,6 +123,7 @@ async function startServer() {
       console.log(`🌍 Environment: ${config.env.server.nodeEnv}`);
       console.log(`💚 Health check: http://localhost:${PORT}/health`);
       console.log(`📊 Database: ${config.env.database.name}`);
+      console.log(`📧 Mail transport: ${config.env.email.transport}`);
     });
   } catch (error) {
     console.error('💥 Failed to start server:', error.message);
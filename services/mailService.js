@@ -0,0 +1,250 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const env = require('../config/env');
+const MailMessage = require('../models/MailMessage');
+const { renderMessage } = require('@unione/shared/server/mailOutbox');
+
+// A message stuck in 'sending' this long (worker crashed mid-send) is picked up again
+const SENDING_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Transport that writes each message to disk as an .eml file instead of
+ * talking to an SMTP server. Used in development and tests.
+ */
+class FileTransport {
+  constructor(outputDir) {
+    this.outputDir = outputDir;
+    this.stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  async sendMail(mailOptions) {
+    const info = await this.stream.sendMail(mailOptions);
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+
+    await fs.mkdir(this.outputDir, { recursive: true });
+    await fs.writeFile(path.join(this.outputDir, fileName), info.message);
+
+    return { ...info, path: path.join(this.outputDir, fileName) };
+  }
+}
+
+/**
+ * Mail Service - Renders templated emails into the outbox and delivers them.
+ * The platform backend queues into the same outbox (welcome emails on
+ * self-registration, deadline reminders); this worker sends both.
+ */
+class MailService {
+
+  static transport = null;
+  static worker = null;
+
+  /**
+   * Get the configured transport (created on first use)
+   * @returns {Object} - Object with a nodemailer-compatible sendMail method
+   */
+  static getTransport() {
+    if (!this.transport) {
+      const { transport, smtp, outputDir } = env.email;
+
+      if (transport === 'smtp') {
+        this.transport = nodemailer.createTransport({
+          host: smtp.host,
+          port: smtp.port,
+          secure: smtp.port === 465,
+          auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+        });
+      } else if (transport === 'file') {
+        this.transport = new FileTransport(outputDir);
+      } else {
+        throw new Error(`Unknown mail transport: ${transport}`);
+      }
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the transport (e.g. with a FileTransport in tests)
+   * @param {Object} transport - Object with a sendMail method
+   */
+  static setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Render a template and add it to the outbox
+   * @param {string} template - Template name
+   * @param {string} to - Recipient email address
+   * @param {Object} data - Template variables
+   * @returns {Promise<Object>} - Queued MailMessage
+   */
+  static async queue(template, to, data = {}) {
+    return MailMessage.create({
+      ...renderMessage(template, to, data),
+      maxAttempts: env.email.outbox.maxAttempts
+    });
+  }
+
+  /**
+   * Send a message through the transport
+   * @param {Object} message - MailMessage document
+   * @returns {Promise<Object>} - Transport result
+   */
+  static async deliver(message) {
+    const { from } = env.email;
+
+    return this.getTransport().sendMail({
+      from: { name: from.name, address: from.email },
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+  }
+
+  /**
+   * Claim the next due message so that concurrent workers don't send it twice
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} - Claimed MailMessage
+   */
+  static async claimNext(now = new Date()) {
+    return MailMessage.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - SENDING_TIMEOUT) } }
+        ]
+      },
+      {
+        $set: { status: 'sending', lockedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Deliver due messages from the outbox
+   * Failed messages are retried after retryDelay * 2^(attempts - 1) seconds
+   * and marked failed once maxAttempts is reached.
+   * @param {Object} options - { batchSize, now }
+   * @returns {Promise<Object>} - Counts of sent, retried and failed messages
+   */
+  static async processOutbox({ batchSize = env.email.outbox.batchSize, now = new Date() } = {}) {
+    const result = { sent: 0, retried: 0, failed: 0 };
+
+    for (let i = 0; i < batchSize; i++) {
+      const message = await this.claimNext(now);
+      if (!message) break;
+
+      const update = { lockedAt: null };
+      try {
+        const info = await this.deliver(message);
+        Object.assign(update, { status: 'sent', sentAt: new Date(), messageId: info.messageId || null, lastError: null });
+        result.sent++;
+      } catch (error) {
+        update.lastError = error.message;
+        if (message.attempts >= message.maxAttempts) {
+          update.status = 'failed';
+          result.failed++;
+        } else {
+          const delay = env.email.outbox.retryDelay * 1000 * Math.pow(2, message.attempts - 1);
+          Object.assign(update, { status: 'pending', nextAttemptAt: new Date(now.getTime() + delay) });
+          result.retried++;
+        }
+      }
+
+      if (message.sensitive && update.status !== 'pending') {
+        Object.assign(update, { text: null, html: null });
+      }
+
+      await MailMessage.updateOne({ _id: message._id }, { $set: update });
+    }
+
+    return result;
+  }
+
+  /**
+   * Poll the outbox on an interval
+   * @param {number} interval - Poll interval in milliseconds
+   */
+  static startWorker(interval = env.email.outbox.pollInterval * 1000) {
+    if (this.worker) return;
+
+    let running = false;
+    this.worker = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        const { sent, retried, failed } = await this.processOutbox();
+        if (sent || retried || failed) {
+          console.log(`📧 Mail outbox: ${sent} sent, ${retried} retrying, ${failed} failed`);
+        }
+      } catch (error) {
+        console.error('❌ Mail outbox error:', error.message);
+      } finally {
+        running = false;
+      }
+    }, interval);
+    this.worker.unref();
+  }
+
+  /**
+   * Stop polling the outbox
+   */
+  static stopWorker() {
+    clearInterval(this.worker);
+    this.worker = null;
+  }
+
+  /**
+   * Queue a password reset email
+   * @param {Object} user - User document
+   * @param {string} token - Plain reset token (only its hash is stored on the user)
+   * @param {number} expiresInMinutes - Token lifetime
+   * @returns {Promise<Object>} - Queued MailMessage
+   */
+  static async sendPasswordReset(user, token, expiresInMinutes) {
+    return this.queue('passwordReset', user.email, {
+      name: this.displayName(user),
+      resetUrl: `${env.email.appUrl}/reset-password?token=${encodeURIComponent(token)}`,
+      expiresInMinutes
+    });
+  }
+
+  /**
+   * Queue the credentials email for an account created by an administrator
+   * @param {Object} user - Created user document
+   * @param {string} temporaryPassword - Generated temporary password
+   * @param {Object} createdBy - Administrator who created the account
+   * @returns {Promise<Object>} - Queued MailMessage
+   */
+  static async sendAccountCreated(user, temporaryPassword, createdBy) {
+    return this.queue('accountCreated', user.email, {
+      name: this.displayName(user),
+      role: user.role,
+      // Platform accounts without a username sign in with their email
+      username: user.username || user.email,
+      temporaryPassword,
+      createdByName: this.displayName(createdBy),
+      loginUrl: `${env.email.appUrl}/login`
+    });
+  }
+
+  /**
+   * Name used in greetings
+   * @param {Object} user - User document
+   * @returns {string} - Full name, falling back to the username
+   */
+  static displayName(user) {
+    if (user.firstName) {
+      return [user.firstName, user.lastName].filter(Boolean).join(' ');
+    }
+    return user.username || user.email;
+  }
+}
+
+MailService.FileTransport = FileTransport;
+
+module.exports = MailService;
\ No newline at end of file
@@ -1,5 +1,7 @@
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const passwordPolicy = require('@unione/shared/server/passwordPolicy');
+const env = require('../config/env');
 
 /**
  * Password Service - Utility functions for password operations
@@ -65,66 +67,32 @@ class PasswordService {
   }
   
   /**
-   * Generate a temporary password for new users
+   * Generate a temporary password for new users (long enough for the policy)
    * @returns {string} - Temporary password
    */
   static generateTemporaryPassword() {
-    return this.generateSecurePassword(10);
+    return this.generateSecurePassword(Math.max(12, env.security.passwordPolicy.minLength));
   }
   
   /**
-   * Validate password strength
+   * Check whether a password is on the common/breached password list
+   * @param {string} password - Password to check
+   * @returns {boolean} - True if listed (case-insensitive)
+   */
+  static isCommonPassword(password) {
+    return passwordPolicy.isCommonPassword(password);
+  }
+  
+  /**
+   * Validate a password against the PASSWORD_* policy shared with the platform backend
    * @param {string} password - Password to validate
-   * @returns {Object} - Validation result with isValid and errors
+   * @returns {Object} - Validation result with isValid, errors and strength
    */
   static validatePasswordStrength(password) {
-    const errors = [];
-    
-    if (!password) {
-      errors.push('Password is required');
-      return { isValid: false, errors };
-    }
-    
-    if (password.length < 8) {
-      errors.push('Password must be at least 8 characters long');
-    }
-    
-    if (password.length > 128) {
-      errors.push('Password cannot exceed 128 characters');
-    }
-    
-    if (!/(?=.*[a-z])/.test(password)) {
-      errors.push('Password must contain at least one lowercase letter');
-    }
-    
-    if (!/(?=.*[A-Z])/.test(password)) {
-      errors.push('Password must contain at least one uppercase letter');
-    }
-    
-    if (!/(?=.*\d)/.test(password)) {
-      errors.push('Password must contain at least one number');
-    }
-    
-    if (!/(?=.*[@$!%*?&])/.test(password)) {
-      errors.push('Password must contain at least one special character (@$!%*?&)');
-    }
-    
-    // Check for common weak patterns
-    const commonPatterns = [
-      /(.)\1{2,}/, // Three or more repeated characters
-      /123456|654321|abcdef|qwerty/i, // Common sequences
-      /password|admin|user|login/i // Common words
-    ];
-    
-    for (const pattern of commonPatterns) {
-      if (pattern.test(password)) {
-        errors.push('Password contains common patterns and is not secure');
-        break;
-      }
-    }
+    const { isValid, errors } = passwordPolicy.validatePassword(password);
     
     return {
-      isValid: errors.length === 0,
+      isValid,
       errors,
       strength: this.calculatePasswordStrength(password)
     };
@@ -167,6 +135,15 @@ class PasswordService {
     return { score, level };
   }
   
+  /**
+   * Check whether a user's password is older than the policy's maximum age
+   * @param {Object} user - User document
+   * @returns {boolean} - True if the password must be changed
+   */
+  static isPasswordExpired(user) {
+    return passwordPolicy.isPasswordExpired(user);
+  }
+  
   /**
    * Generate a password reset token
    * @returns {string} - Reset token
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const env = require('../config/env');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
+
+const PASSWORD_CHANGE_EXPIRES = 15 * 60; // seconds
+
+/**
+ * Token Service - issues the same access/refresh token pairs as the platform
+ * backend (apps/backend/src/services/tokenService.js). Each sign-in is a
+ * Session in the shared `sessions` collection, so the backend can refresh,
+ * list and revoke sessions started here, and tokens work against either server.
+ */
+class TokenService {
+
+  static newTokenId() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Start a session and issue its first token pair
+   * @param {Object} user - User document
+   * @param {Object} client - { userAgent, ip }
+   * @returns {Promise<Object>} - { accessToken, refreshToken, sessionId }
+   */
+  static async issueTokens(user, { userAgent = null, ip = null } = {}) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const refreshTokenId = this.newTokenId();
+    const payload = { userId: user._id, ver: user.tokenVersion, sid: sessionId.toString() };
+
+    const accessToken = jwt.sign(payload, env.jwt.secret, {
+      expiresIn: env.jwt.expiresIn,
+      jwtid: this.newTokenId()
+    });
+
+    const refreshToken = jwt.sign(payload, env.jwt.refreshSecret, {
+      expiresIn: env.jwt.refreshExpiresIn,
+      jwtid: refreshTokenId
+    });
+
+    await Session.create({
+      _id: sessionId,
+      user: user._id,
+      tokenId: refreshTokenId,
+      userAgent,
+      ip,
+      expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+    });
+
+    return { accessToken, refreshToken, sessionId };
+  }
+
+  /**
+   * Revoke a session: its refresh token stops working and its access tokens
+   * are rejected on the next request, here and on the platform backend
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - One of Session.REVOKE_REASONS
+   * @returns {Promise<boolean>} - Whether an active session was revoked
+   */
+  static async revokeSession(sessionId, reason) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+    const result = await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke all of a user's sessions
+   * @param {string} userId - User ID
+   * @param {string} reason - One of Session.REVOKE_REASONS
+   * @param {Object} options - { except: session ID to keep signed in }
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  static async revokeUserSessions(userId, reason, { except = null } = {}) {
+    const query = { user: userId, revokedAt: null };
+    if (except) query._id = { $ne: except };
+
+    const result = await Session.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Denylist a signed token (access token or 2FA challenge) until it expires
+   * @param {Object} decoded - Verified token payload with jti and exp
+   * @returns {Promise<boolean>} - False if it had already been denylisted
+   */
+  static async denylist(decoded) {
+    if (!decoded.jti) return false;
+
+    const result = await RevokedToken.updateOne(
+      { _id: decoded.jti },
+      { $setOnInsert: { user: decoded.userId, expiresAt: new Date(decoded.exp * 1000) } },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  }
+
+  /**
+   * Issue a limited-scope token that only allows changing the password, for
+   * accounts that must replace the password they were created with.
+   * Secret and payload match the backend's, so either server accepts it.
+   * @param {Object} user - User document
+   * @returns {Object} - { token, expiresIn }
+   */
+  static issuePasswordChangeToken(user) {
+    const token = jwt.sign(
+      { userId: user._id, ver: user.tokenVersion, scope: 'password-change' },
+      `${env.jwt.secret}:password-change`,
+      { expiresIn: PASSWORD_CHANGE_EXPIRES, jwtid: this.newTokenId() }
+    );
+    return { token, expiresIn: PASSWORD_CHANGE_EXPIRES };
+  }
+
+  /**
+   * Verify a password-change token
+   * @param {string} token - Password-change token
+   * @returns {Object|null} - Payload, or null if invalid or expired
+   */
+  static verifyPasswordChangeToken(token) {
+    try {
+      const payload = jwt.verify(token, `${env.jwt.secret}:password-change`);
+      return payload.scope === 'password-change' ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a bearer token claims the password-change scope (not verified)
+   * @param {string} token - Bearer token
+   * @returns {boolean}
+   */
+  static isPasswordChangeToken(token) {
+    const decoded = jwt.decode(token);
+    return !!decoded && decoded.scope === 'password-change';
+  }
+
+  /**
+   * Whether a token's jti has been denylisted
+   * @param {Object} decoded - Verified token payload
+   * @returns {Promise<boolean>}
+   */
+  static async isDenylisted(decoded) {
+    if (!decoded.jti) return false;
+    return !!(await RevokedToken.exists({ _id: decoded.jti }));
+  }
+}
+
+module.exports = TokenService;
\ No newline at end of file
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const env = require('../config/env');
+const twoFactor = require('@unione/shared/server/twoFactor');
+
+/**
+ * Two-Factor Service - TOTP (RFC 6238) helpers for Admin and SuperAdmin accounts.
+ * Codes, secret encryption and recovery-code hashing come from @unione/shared,
+ * which the platform backend uses too, so either server can check a user's 2FA.
+ */
+class TwoFactorService {
+
+  /**
+   * Generate a new shared secret
+   * @returns {string} - Base32 secret (160 bits)
+   */
+  static generateSecret() {
+    return twoFactor.generateSecret();
+  }
+
+  /**
+   * Check a code, allowing one step of clock drift either way
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number} time - Milliseconds since the epoch
+   * @returns {number|null} - Matching time step, or null if the code is wrong
+   */
+  static verifyCode(secret, code, time = Date.now()) {
+    return twoFactor.verifyTOTP(secret, code, { time });
+  }
+
+  /**
+   * Build the otpauth:// URI authenticator apps import (usually as a QR code)
+   * @param {string} secret - Base32 secret
+   * @param {string} accountName - Account label, e.g. the email
+   * @returns {string} - otpauth URI
+   */
+  static buildOtpauthUri(secret, accountName) {
+    return twoFactor.buildOtpauthUri(secret, accountName, env.security.twoFactor.issuer);
+  }
+
+  /**
+   * Encrypt a secret for storage (AES-256-GCM)
+   * @param {string} secret - Base32 secret
+   * @returns {string} - iv:tag:ciphertext in hex
+   */
+  static encryptSecret(secret) {
+    return twoFactor.encryptSecret(secret);
+  }
+
+  /**
+   * Decrypt a stored secret
+   * @param {string} stored - Value from encryptSecret
+   * @returns {string} - Base32 secret
+   */
+  static decryptSecret(stored) {
+    return twoFactor.decryptSecret(stored);
+  }
+
+  /**
+   * Generate single-use recovery codes
+   * @returns {Array<string>} - Codes formatted as xxxxx-xxxxx
+   */
+  static generateRecoveryCodes() {
+    return twoFactor.generateRecoveryCodes();
+  }
+
+  /**
+   * Hash a recovery code for storage; formatting and case are ignored
+   * @param {string} code - Recovery code
+   * @returns {string} - SHA-256 hash
+   */
+  static hashRecoveryCode(code) {
+    return twoFactor.hashRecoveryCode(code);
+  }
+
+  /**
+   * Whether the policy makes 2FA mandatory for a role
+   * @param {string} role - User role
+   * @returns {boolean}
+   */
+  static isRequiredForRole(role) {
+    return env.security.twoFactor.requiredRoles.includes(role);
+  }
+
+  /**
+   * Sign a short-lived challenge token for the second login step.
+   * It uses its own secret so it can never pass as an access token; the secret
+   * and jti match the backend's, so either server can complete the sign-in.
+   * @param {Object} user - User document
+   * @param {string} purpose - 'login' (enter a code) or 'setup' (mandatory enrolment)
+   * @returns {string} - Challenge token
+   */
+  static createChallenge(user, purpose) {
+    return jwt.sign(
+      { userId: user._id, ver: user.tokenVersion, purpose },
+      `${env.jwt.secret}:two-factor`,
+      { expiresIn: env.security.twoFactor.challengeExpires, jwtid: crypto.randomBytes(16).toString('hex') }
+    );
+  }
+
+  /**
+   * Verify a challenge token
+   * @param {string} token - Challenge token
+   * @param {string} purpose - Expected purpose
+   * @returns {Object|null} - Payload, or null if invalid, expired or for another purpose
+   */
+  static verifyChallenge(token, purpose) {
+    try {
+      const payload = jwt.verify(token, `${env.jwt.secret}:two-factor`);
+      return payload.purpose === purpose ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = TwoFactorService;
\ No newline at end of file
@@ -0,0 +1,200 @@
+const request = require('supertest');
+const Admin = require('../models/Admin');
+const MailMessage = require('../models/MailMessage');
+const {
+  app,
+  useTestDatabase,
+  superAdminData,
+  adminData,
+  login,
+  createSuperAdmin,
+  createAdmin
+} = require('./helpers');
+
+describe('Admin management', () => {
+  useTestDatabase();
+
+  let superAdmin, superAdminToken;
+
+  beforeEach(async () => {
+    ({ superAdmin, accessToken: superAdminToken } = await createSuperAdmin());
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should sign in the SuperAdmin by username or email', async () => {
+      const byEmail = await login(superAdminData.email, superAdminData.password);
+
+      expect(byEmail.user.role).toBe('superadmin');
+      expect(byEmail.accessToken).toBeTruthy();
+      expect(byEmail.user.password).toBeUndefined();
+    });
+
+    it('should sign in an admin', async () => {
+      const { admin } = await createAdmin(superAdmin);
+
+      const data = await login(adminData().email, adminData().password);
+      expect(data.user._id).toBe(admin._id.toString());
+      expect(data.user.role).toBe('admin');
+    });
+
+    it('should reject a wrong password', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: superAdminData.username, password: 'WrongPass123!' })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('INVALID_CREDENTIALS');
+    });
+  });
+
+  describe('SuperAdmin-only access', () => {
+    it('should reject admins', async () => {
+      const { accessToken } = await createAdmin(superAdmin);
+
+      const response = await request(app)
+        .get('/api/admins')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      await request(app)
+        .post('/api/admins')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ username: 'another', email: 'another@unione.edu', firstName: 'An', lastName: 'Other' })
+        .expect(403);
+      expect(await Admin.countDocuments({})).toBe(1);
+    });
+
+    it('should require a token', async () => {
+      const response = await request(app)
+        .get('/api/admins')
+        .expect(401);
+
+      expect(response.body.error.code).toBe('NO_TOKEN');
+    });
+  });
+
+  describe('POST /api/admins', () => {
+    const newAdmin = { username: 'physadmin', email: 'physadmin@unione.edu', firstName: 'Pat', lastName: 'Admin' };
+
+    it('should create an admin and queue their sign-in details', async () => {
+      const response = await request(app)
+        .post('/api/admins')
+        .set('Authorization', `Bearer ${superAdminToken}`)
+        .send(newAdmin)
+        .expect(201);
+
+      const { admin } = response.body.data;
+      expect(admin.username).toBe('physadmin');
+      expect(admin.password).toBeUndefined();
+      expect(admin.mustChangePassword).toBe(true);
+      expect(admin.createdBy).toBe(superAdmin._id.toString());
+
+      const mail = await MailMessage.findOne({ to: 'physadmin@unione.edu' });
+      expect(mail.template).toBe('accountCreated');
+      expect(mail.status).toBe('pending');
+      expect(mail.sensitive).toBe(true);
+      expect(mail.text).toContain('physadmin');
+    });
+
+    it('should only allow the temporary password to be changed at first sign-in', async () => {
+      await request(app)
+        .post('/api/admins')
+        .set('Authorization', `Bearer ${superAdminToken}`)
+        .send(newAdmin)
+        .expect(201);
+
+      const mail = await MailMessage.findOne({ to: 'physadmin@unione.edu' });
+      const temporaryPassword = mail.text.match(/Temporary password: (\S+)/)[1];
+
+      const data = await login('physadmin', temporaryPassword);
+      expect(data.passwordChangeRequired).toBe(true);
+      expect(data.accessToken).toBeUndefined();
+    });
+
+    it('should reject a taken username', async () => {
+      await createAdmin(superAdmin, { username: 'physadmin' });
+
+      const response = await request(app)
+        .post('/api/admins')
+        .set('Authorization', `Bearer ${superAdminToken}`)
+        .send(newAdmin)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('DUPLICATE_FIELD');
+      expect(await MailMessage.countDocuments({ to: 'physadmin@unione.edu' })).toBe(0);
+    });
+  });
+
+  describe('GET /api/admins', () => {
+    it('should list admins with pagination', async () => {
+      await createAdmin(superAdmin);
+      await createAdmin(superAdmin, { username: 'physadmin', email: 'physadmin@unione.edu' });
+
+      const response = await request(app)
+        .get('/api/admins')
+        .query({ limit: 1 })
+        .set('Authorization', `Bearer ${superAdminToken}`)
+        .expect(200);
+
+      const { admins, pagination } = response.body.data;
+      expect(admins).toHaveLength(1);
+      expect(pagination.total).toBe(2);
+    });
+  });
+
+  describe('Activation', () => {
+    let admin, adminToken;
+
+    beforeEach(async () => {
+      ({ admin, accessToken: adminToken } = await createAdmin(superAdmin));
+    });
+
+    const setActive = (action) => request(app)
+      .patch(`/api/admins/${admin._id}/${action}`)
+      .set('Authorization', `Bearer ${superAdminToken}`)
+      .expect(200);
+
+    it("should reject a deactivated admin's token and sign-in", async () => {
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await setActive('deactivate');
+      expect(response.body.data.admin.isActive).toBe(false);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(401);
+      expect(me.body.error.code).toBe('USER_INACTIVE');
+
+      const signIn = await request(app)
+        .post('/api/auth/login')
+        .send({ identifier: adminData().username, password: adminData().password })
+        .expect(401);
+      expect(signIn.body.error.code).toBe('ACCOUNT_INACTIVE');
+    });
+
+    it('should let a reactivated admin back in', async () => {
+      await setActive('deactivate');
+      await setActive('activate');
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+    });
+
+    it('should 404 for an unknown admin', async () => {
+      const response = await request(app)
+        .patch('/api/admins/0123456789abcdef01234567/deactivate')
+        .set('Authorization', `Bearer ${superAdminToken}`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('ADMIN_NOT_FOUND');
+    });
+  });
+});
\ No newline at end of file
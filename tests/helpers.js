@@ -0,0 +1,126 @@
+// Shared setup and fixtures for the API tests
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/User');
+const SuperAdmin = require('../models/SuperAdmin');
+const Admin = require('../models/Admin');
+const Teacher = require('../models/Teacher');
+const MailMessage = require('../models/MailMessage');
+const Session = require('../models/Session');
+
+/**
+ * Run the calling test file against an in-memory MongoDB, emptied before each test
+ */
+const useTestDatabase = () => {
+  let mongoServer;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    // Build the unique indexes before any test relies on them
+    await User.init();
+  }, 60000);
+
+  beforeEach(async () => {
+    await Promise.all([User, MailMessage, Session].map(model => model.deleteMany({})));
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (mongoServer) {
+      await mongoServer.stop();
+    }
+  });
+};
+
+const superAdminData = {
+  username: 'superadmin',
+  email: 'superadmin@unione.edu',
+  password: 'SuperAdmin123!',
+  firstName: 'Super',
+  lastName: 'Admin'
+};
+
+const adminData = (overrides = {}) => ({
+  username: 'csadmin',
+  email: 'csadmin@unione.edu',
+  password: 'AdminPass123!',
+  firstName: 'Casey',
+  lastName: 'Admin',
+  ...overrides
+});
+
+// Fields an admin sends to create a teacher; the password is generated
+const teacherData = (overrides = {}) => ({
+  email: 'teacher@unione.edu',
+  firstName: 'Taylor',
+  lastName: 'Teacher',
+  employeeId: 'FAC001',
+  department: 'Computer Science',
+  ...overrides
+});
+
+/**
+ * Sign in through the API
+ * @param {string} identifier - Username or email
+ * @param {string} password - Password
+ * @returns {Promise<Object>} - Response body data ({ user, accessToken, refreshToken })
+ */
+const login = async (identifier, password) => {
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({ identifier, password })
+    .expect(200);
+  return response.body.data;
+};
+
+/**
+ * Create the SuperAdmin and sign in
+ * @returns {Promise<Object>} - { superAdmin, accessToken }
+ */
+const createSuperAdmin = async () => {
+  const superAdmin = await SuperAdmin.create(superAdminData);
+  const { accessToken } = await login(superAdminData.username, superAdminData.password);
+  return { superAdmin, accessToken };
+};
+
+/**
+ * Create an admin whose temporary password has already been replaced, and sign in
+ * @param {Object} superAdmin - Creating SuperAdmin
+ * @param {Object} overrides - Account fields (e.g. managedDepartment)
+ * @returns {Promise<Object>} - { admin, accessToken }
+ */
+const createAdmin = async (superAdmin, overrides = {}) => {
+  const data = adminData(overrides);
+  const admin = await Admin.create({ ...data, createdBy: superAdmin._id });
+  await Admin.updateOne({ _id: admin._id }, { mustChangePassword: false });
+
+  const { accessToken } = await login(data.username, data.password);
+  return { admin, accessToken };
+};
+
+/**
+ * Create a teacher directly
+ * @param {Object} createdBy - Creating admin
+ * @param {Object} overrides - Account fields
+ * @returns {Promise<Object>} - Teacher document
+ */
+const createTeacher = (createdBy, overrides = {}) => Teacher.create({
+  ...teacherData(overrides),
+  password: 'TeacherPass123!',
+  createdBy: createdBy._id
+});
+
+module.exports = {
+  app,
+  useTestDatabase,
+  superAdminData,
+  adminData,
+  teacherData,
+  login,
+  createSuperAdmin,
+  createAdmin,
+  createTeacher
+};
\ No newline at end of file
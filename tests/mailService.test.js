@@ -0,0 +1,129 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const MailService = require('../services/mailService');
+const MailMessage = require('../models/MailMessage');
+
+const { FileTransport } = MailService;
+
+describe('MailService', () => {
+  let outputDir;
+
+  const now = new Date('2024-09-01T10:00:00Z');
+
+  // Outbox entry as claimNext returns it (attempts already incremented)
+  const outboxMessage = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    to: 'student@university.edu',
+    template: 'passwordReset',
+    subject: 'Reset your UniONE password',
+    text: 'Reset link',
+    html: '<p>Reset link</p>',
+    sensitive: true,
+    attempts: 1,
+    maxAttempts: 3,
+    ...overrides
+  });
+
+  // Let processOutbox claim the given messages, then find the outbox empty
+  const queueUp = (...messages) => {
+    const claim = jest.spyOn(MailService, 'claimNext');
+    messages.forEach(message => claim.mockResolvedValueOnce(message));
+    claim.mockResolvedValue(null);
+  };
+
+  const savedUpdate = () => MailMessage.updateOne.mock.calls[0][1].$set;
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'unione-mail-'));
+    jest.spyOn(MailMessage, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    MailService.setTransport(null);
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  describe('FileTransport', () => {
+    it('should write each message to an .eml file', async () => {
+      const transport = new FileTransport(path.join(outputDir, 'mail'));
+
+      const info = await transport.sendMail({
+        from: { name: 'UniONE System', address: 'noreply@unione.edu' },
+        to: 'student@university.edu',
+        subject: 'Welcome to UniONE',
+        text: 'Your UniONE student account is ready.'
+      });
+
+      expect(path.extname(info.path)).toBe('.eml');
+      const files = await fs.readdir(path.join(outputDir, 'mail'));
+      expect(files).toEqual([path.basename(info.path)]);
+
+      const eml = await fs.readFile(info.path, 'utf8');
+      expect(eml).toContain('To: student@university.edu');
+      expect(eml).toContain('Subject: Welcome to UniONE');
+      expect(eml).toContain('Your UniONE student account is ready.');
+    });
+  });
+
+  describe('Outbox', () => {
+    it('should deliver due messages through the transport', async () => {
+      MailService.setTransport(new FileTransport(outputDir));
+      queueUp(outboxMessage());
+
+      const result = await MailService.processOutbox({ now });
+
+      expect(result).toEqual({ sent: 1, retried: 0, failed: 0 });
+      expect(await fs.readdir(outputDir)).toHaveLength(1);
+
+      const update = savedUpdate();
+      expect(update.status).toBe('sent');
+      expect(update.messageId).toBeTruthy();
+      // Reset links don't stay in the outbox once delivered
+      expect(update.text).toBeNull();
+      expect(update.html).toBeNull();
+    });
+
+    it('should retry failed deliveries with exponential backoff', async () => {
+      MailService.setTransport({ sendMail: jest.fn().mockRejectedValue(new Error('SMTP unavailable')) });
+      queueUp(outboxMessage({ attempts: 2 }));
+
+      const result = await MailService.processOutbox({ now });
+
+      expect(result).toEqual({ sent: 0, retried: 1, failed: 0 });
+      const update = savedUpdate();
+      expect(update.status).toBe('pending');
+      expect(update.lastError).toBe('SMTP unavailable');
+      // MAIL_RETRY_DELAY (60s) doubled once for the second attempt
+      expect(update.nextAttemptAt).toEqual(new Date(now.getTime() + 120 * 1000));
+      // The body is still needed for the next attempt
+      expect(update.text).toBeUndefined();
+    });
+
+    it('should give up after the last attempt', async () => {
+      MailService.setTransport({ sendMail: jest.fn().mockRejectedValue(new Error('Mailbox unavailable')) });
+      queueUp(outboxMessage({ attempts: 3 }));
+
+      const result = await MailService.processOutbox({ now });
+
+      expect(result).toEqual({ sent: 0, retried: 0, failed: 1 });
+      const update = savedUpdate();
+      expect(update.status).toBe('failed');
+      expect(update.lastError).toBe('Mailbox unavailable');
+      expect(update.text).toBeNull();
+    });
+
+    it('should stop at the batch size', async () => {
+      const sendMail = jest.fn().mockResolvedValue({ messageId: '<id@unione.edu>' });
+      MailService.setTransport({ sendMail });
+      queueUp(outboxMessage(), outboxMessage(), outboxMessage());
+
+      const result = await MailService.processOutbox({ batchSize: 2, now });
+
+      expect(result.sent).toBe(2);
+      expect(sendMail).toHaveBeenCalledTimes(2);
+    });
+  });
+});
\ No newline at end of file
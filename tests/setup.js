@@ -0,0 +1,9 @@
+// Test setup file: the variables config/env.js requires, so services load without a .env
+process.env.NODE_ENV = 'test';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/unione-test';
+process.env.JWT_SECRET = 'test-jwt-secret-key-at-least-32-characters';
+process.env.JWT_REFRESH_SECRET = 'test-jwt-refresh-secret-key-at-least-32-chars';
+process.env.SUPERADMIN_USERNAME = 'superadmin';
+process.env.SUPERADMIN_EMAIL = 'superadmin@unione.edu';
+process.env.SUPERADMIN_PASSWORD = 'SuperAdmin123!';
+process.env.MAIL_RETRY_DELAY = '60';
\ No newline at end of file
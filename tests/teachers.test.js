@@ -0,0 +1,135 @@
+const request = require('supertest');
+const Teacher = require('../models/Teacher');
+const MailMessage = require('../models/MailMessage');
+const {
+  app,
+  useTestDatabase,
+  teacherData,
+  createSuperAdmin,
+  createAdmin,
+  createTeacher
+} = require('./helpers');
+
+describe('Teacher management', () => {
+  useTestDatabase();
+
+  let superAdmin, adminToken;
+
+  beforeEach(async () => {
+    ({ superAdmin } = await createSuperAdmin());
+    ({ accessToken: adminToken } = await createAdmin(superAdmin));
+  });
+
+  describe('POST /api/teachers', () => {
+    it('should create a teacher and queue their sign-in details', async () => {
+      const response = await request(app)
+        .post('/api/teachers')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(teacherData({ designation: 'Lecturer' }))
+        .expect(201);
+
+      const { teacher } = response.body.data;
+      expect(teacher.role).toBe('faculty');
+      expect(teacher.profile.department).toBe('Computer Science');
+      expect(teacher.mustChangePassword).toBe(true);
+
+      const mail = await MailMessage.findOne({ to: 'teacher@unione.edu' });
+      expect(mail.template).toBe('accountCreated');
+      expect(mail.status).toBe('pending');
+    });
+
+    it('should reject a taken employee ID', async () => {
+      await createTeacher(superAdmin, { email: 'first@unione.edu' });
+
+      const response = await request(app)
+        .post('/api/teachers')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(teacherData())
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details[0].field).toBe('profile.employeeId');
+    });
+  });
+
+  describe('Department-scoped admins', () => {
+    let scopedToken, physicsTeacher, csTeacher;
+
+    beforeEach(async () => {
+      ({ accessToken: scopedToken } = await createAdmin(superAdmin, {
+        username: 'csdeptadmin',
+        email: 'csdeptadmin@unione.edu',
+        managedDepartment: 'Computer Science'
+      }));
+
+      physicsTeacher = await createTeacher(superAdmin, {
+        email: 'physics@unione.edu',
+        employeeId: 'PHY001',
+        department: 'Physics'
+      });
+      csTeacher = await createTeacher(superAdmin);
+    });
+
+    const asScopedAdmin = (method, url) => request(app)[method](url)
+      .set('Authorization', `Bearer ${scopedToken}`);
+
+    it("should not read, update or delete another department's teacher", async () => {
+      const url = `/api/teachers/${physicsTeacher._id}`;
+
+      const read = await asScopedAdmin('get', url).expect(403);
+      expect(read.body.error.code).toBe('OUTSIDE_DEPARTMENT_SCOPE');
+
+      const update = await asScopedAdmin('patch', url).send({ designation: 'Professor' }).expect(403);
+      expect(update.body.error.code).toBe('OUTSIDE_DEPARTMENT_SCOPE');
+
+      const remove = await asScopedAdmin('delete', url).expect(403);
+      expect(remove.body.error.code).toBe('OUTSIDE_DEPARTMENT_SCOPE');
+
+      const unchanged = await Teacher.findById(physicsTeacher._id);
+      expect(unchanged.designation).toBeNull();
+    });
+
+    it('should not move their own teachers to another department', async () => {
+      const response = await asScopedAdmin('patch', `/api/teachers/${csTeacher._id}`)
+        .send({ department: 'Physics' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('OUTSIDE_DEPARTMENT_SCOPE');
+      expect((await Teacher.findById(csTeacher._id)).department).toBe('Computer Science');
+    });
+
+    it('should manage teachers in their own department', async () => {
+      await asScopedAdmin('patch', `/api/teachers/${csTeacher._id}`)
+        .send({ designation: 'Professor' })
+        .expect(200);
+
+      await asScopedAdmin('delete', `/api/teachers/${csTeacher._id}`).expect(200);
+      expect(await Teacher.exists({ _id: csTeacher._id })).toBeNull();
+    });
+
+    it('should create teachers in their own department only', async () => {
+      const response = await asScopedAdmin('post', '/api/teachers')
+        .send(teacherData({ email: 'new@unione.edu', employeeId: 'FAC002', department: 'Physics' }))
+        .expect(201);
+
+      expect(response.body.data.teacher.profile.department).toBe('Computer Science');
+    });
+
+    it('should only list teachers in their own department', async () => {
+      const response = await asScopedAdmin('get', '/api/teachers')
+        .query({ department: 'Physics' })
+        .expect(200);
+
+      const { teachers } = response.body.data;
+      expect(teachers).toHaveLength(1);
+      expect(teachers[0]._id).toBe(csTeacher._id.toString());
+    });
+
+    it("should let unscoped admins manage any department's teachers", async () => {
+      await request(app)
+        .get(`/api/teachers/${physicsTeacher._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * Enrollment Reconciliation Script
+ * Repairs drift between Course.enrolledStudents and User.enrolledCourses
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { reconcileEnrollments } = require('../src/services/enrollmentService');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/unione');
+    console.log('✅ Connected to MongoDB');
+
+    console.log(dryRun
+      ? '🔍 Checking enrollments for drift (dry run)...'
+      : '🔧 Reconciling enrollments...');
+
+    const report = await reconcileEnrollments({ dryRun });
+
+    console.log('\n📊 Reconciliation report:');
+    console.log(`   Courses scanned:          ${report.coursesScanned}`);
+    console.log(`   Invalid roster entries:   ${report.invalidRosterEntries}`);
+    console.log(`   Missing user links:       ${report.missingUserLinks}`);
+    console.log(`   Stale user links:         ${report.staleUserLinks}`);
+    console.log(`   Waitlist conflicts:       ${report.waitlistConflicts}`);
+    console.log(`   Links to deleted courses: ${report.orphanedUserLinks}`);
+
+    if (dryRun) {
+      console.log('\n💡 Run without --dry-run to apply the repairs');
+    }
+  } catch (error) {
+    console.error('❌ Enrollment reconciliation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
\ No newline at end of file
@@ -1,3 +1,4 @@
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -7,6 +8,7 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 5000;
 
 // Security middleware
@@ -39,10 +41,35 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/unione',
 // Routes
 const authRoutes = require('./src/routes/auth');
 const userRoutes = require('./src/routes/users');
+const courseRoutes = require('./src/routes/courses');
+const adminRoutes = require('./src/routes/admin');
+const attendanceRoutes = require('./src/routes/attendance');
+const assignmentRoutes = require('./src/routes/assignments');
+const fileRoutes = require('./src/routes/files');
+const announcementRoutes = require('./src/routes/announcements');
+const notificationRoutes = require('./src/routes/notifications');
 
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/courses', courseRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/assignments', assignmentRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/announcements', announcementRoutes);
+app.use('/api/notifications', notificationRoutes);
+
+// Real-time notifications (Socket.IO shares the HTTP server with Express)
+const { initRealtime } = require('./src/services/realtimeService');
+const { startScheduler } = require('./src/services/schedulerService');
+
+initRealtime(server, app, {
+  cors: {
+    origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+    credentials: true
+  }
+});
 
 // Health check
 app.get('/health', (req, res) => {
@@ -71,7 +98,9 @@ app.use('*', (req, res) => {
   });
 });
 
-app.listen(PORT, () => {
+server.listen(PORT, () => {
   console.log(`🚀 UniOne Backend Server running on port ${PORT} - Powered by IoSC`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
+  console.log(`🔌 Real-time notifications on ws://localhost:${PORT}/socket.io`);
+  startScheduler();
 });
\ No newline at end of file
@@ -32,10 +32,24 @@ app.use(express.urlencoded({ extended: true }));
 // Routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const courseRoutes = require('./routes/courses');
+const adminRoutes = require('./routes/admin');
+const attendanceRoutes = require('./routes/attendance');
+const assignmentRoutes = require('./routes/assignments');
+const fileRoutes = require('./routes/files');
+const announcementRoutes = require('./routes/announcements');
+const notificationRoutes = require('./routes/notifications');
 
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/courses', courseRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/assignments', assignmentRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/announcements', announcementRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -0,0 +1,584 @@
+const { validationResult } = require('express-validator');
+const Announcement = require('../models/Announcement');
+const Comment = require('../models/Comment');
+const Course = require('../models/Course');
+const realtime = require('../services/realtimeService');
+const { notify } = require('../services/notificationService');
+
+const AUTHOR_FIELDS = 'profile.firstName profile.lastName profile.avatar role';
+
+// Get course announcements feed (pinned first, then newest)
+const getAnnouncements = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    const query = { course: courseId };
+
+    const [announcements, total] = await Promise.all([
+      Announcement.find(query)
+        .populate('author', AUTHOR_FIELDS)
+        .sort({ isPinned: -1, pinnedAt: -1, createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Announcement.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        announcements,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get announcements error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ANNOUNCEMENTS_FETCH_ERROR',
+        message: 'Failed to fetch announcements',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Create announcement (Instructor/Admin)
+const createAnnouncement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId } = req.params;
+    const { title, content, isPinned = false } = req.body;
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'COURSE_NOT_FOUND',
+          message: 'Course not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (course.isArchived) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'COURSE_ARCHIVED',
+          message: 'Announcements cannot be posted to an archived course',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const announcement = new Announcement({
+      course: course._id,
+      title,
+      content,
+      author: req.user._id,
+      isPinned,
+      pinnedAt: isPinned ? new Date() : null
+    });
+
+    await announcement.save();
+    await announcement.populate('author', AUTHOR_FIELDS);
+
+    realtime.emitToCourse(course._id, 'announcement:created', { announcement });
+    await notify(course.enrolledStudents, {
+      category: 'announcements',
+      type: 'announcement:created',
+      title: `New announcement in ${course.code}`,
+      message: announcement.title,
+      course: course._id,
+      data: { announcementId: announcement._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Announcement created successfully',
+      data: {
+        announcement
+      }
+    });
+  } catch (error) {
+    console.error('Create announcement error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ANNOUNCEMENT_CREATION_ERROR',
+        message: 'Failed to create announcement',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Update announcement (Instructor/Admin)
+const updateAnnouncement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, announcementId } = req.params;
+    const { title, content } = req.body;
+
+    const announcement = await Announcement.findOne({ _id: announcementId, course: courseId });
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ANNOUNCEMENT_NOT_FOUND',
+          message: 'Announcement not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (title !== undefined) announcement.title = title;
+    if (content !== undefined) announcement.content = content;
+    announcement.editedAt = new Date();
+
+    await announcement.save();
+    await announcement.populate('author', AUTHOR_FIELDS);
+
+    res.json({
+      success: true,
+      message: 'Announcement updated successfully',
+      data: {
+        announcement
+      }
+    });
+  } catch (error) {
+    console.error('Update announcement error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ANNOUNCEMENT_UPDATE_ERROR',
+        message: 'Failed to update announcement',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Pin or unpin announcement (Instructor/Admin)
+const setAnnouncementPinned = (pinned) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, announcementId } = req.params;
+
+    const announcement = await Announcement.findOne({ _id: announcementId, course: courseId });
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ANNOUNCEMENT_NOT_FOUND',
+          message: 'Announcement not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (announcement.isPinned !== pinned) {
+      await announcement.setPinned(pinned);
+    }
+
+    res.json({
+      success: true,
+      message: pinned ? 'Announcement pinned successfully' : 'Announcement unpinned successfully',
+      data: {
+        announcement
+      }
+    });
+  } catch (error) {
+    console.error('Pin announcement error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ANNOUNCEMENT_PIN_ERROR',
+        message: 'Failed to update announcement',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+const pinAnnouncement = setAnnouncementPinned(true);
+const unpinAnnouncement = setAnnouncementPinned(false);
+
+// Delete announcement and its comments (Instructor/Admin)
+const deleteAnnouncement = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, announcementId } = req.params;
+
+    const announcement = await Announcement.findOneAndDelete({ _id: announcementId, course: courseId });
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ANNOUNCEMENT_NOT_FOUND',
+          message: 'Announcement not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    await Comment.deleteMany({ announcement: announcement._id });
+
+    res.json({
+      success: true,
+      message: 'Announcement deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete announcement error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ANNOUNCEMENT_DELETE_ERROR',
+        message: 'Failed to delete announcement',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Get comment threads for an announcement (top-level comments are paginated)
+const getComments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, announcementId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    const announcement = await Announcement.exists({ _id: announcementId, course: courseId });
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ANNOUNCEMENT_NOT_FOUND',
+          message: 'Announcement not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const query = { announcement: announcementId, thread: null };
+
+    const [threads, total] = await Promise.all([
+      Comment.find(query)
+        .populate('author', AUTHOR_FIELDS)
+        .sort({ createdAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Comment.countDocuments(query)
+    ]);
+
+    // Replies come back flat in posting order; `parent` tells the client where each one nests
+    const replies = await Comment.find({ thread: { $in: threads.map(thread => thread._id) } })
+      .populate('author', AUTHOR_FIELDS)
+      .sort({ createdAt: 1 });
+
+    const comments = threads.map(thread => ({
+      ...thread.toJSON(),
+      replies: replies
+        .filter(reply => reply.thread.toString() === thread._id.toString())
+        .map(reply => reply.toJSON())
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        comments,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'COMMENTS_FETCH_ERROR',
+        message: 'Failed to fetch comments',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Comment on an announcement or reply to a comment (only when discussions are enabled)
+const addComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, announcementId } = req.params;
+    const { content, parentId } = req.body;
+
+    const course = await Course.findById(courseId).select('settings isArchived');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'COURSE_NOT_FOUND',
+          message: 'Course not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (!course.settings.allowDiscussions || course.isArchived) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'DISCUSSIONS_DISABLED',
+          message: 'Discussions are disabled for this course',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const announcement = await Announcement.findOne({ _id: announcementId, course: courseId });
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ANNOUNCEMENT_NOT_FOUND',
+          message: 'Announcement not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, announcement: announcement._id });
+      if (!parent || parent.isDeleted) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'COMMENT_NOT_FOUND',
+            message: 'Comment to reply to was not found',
+            timestamp: new Date()
+          }
+        });
+      }
+    }
+
+    const comment = await Comment.create({
+      announcement: announcement._id,
+      thread: parent ? (parent.thread || parent._id) : null,
+      parent: parent ? parent._id : null,
+      author: req.user._id,
+      content
+    });
+
+    await Announcement.updateOne({ _id: announcement._id }, { $inc: { commentCount: 1 } });
+    await comment.populate('author', AUTHOR_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: {
+        comment
+      }
+    });
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'COMMENT_CREATION_ERROR',
+        message: 'Failed to add comment',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Delete a comment (author, course instructor, TA with announcements capability or Admin)
+const deleteComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, announcementId, commentId } = req.params;
+
+    const announcement = await Announcement.exists({ _id: announcementId, course: courseId });
+    const comment = announcement && await Comment.findOne({
+      _id: commentId,
+      announcement: announcementId,
+      isDeleted: false
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'COMMENT_NOT_FOUND',
+          message: 'Comment not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const isAuthor = comment.author.toString() === req.user._id.toString();
+    const { role, capabilities } = req.courseAccess;
+    const canModerate = role === 'admin' || role === 'instructor' ||
+      (role === 'ta' && capabilities.includes('announcements'));
+    if (!isAuthor && !canModerate) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'COMMENT_ACCESS_DENIED',
+          message: 'You can only delete your own comments',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    // Keep a placeholder so replies stay attached to their thread
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+    await comment.save();
+
+    await Announcement.updateOne(
+      { _id: announcementId, commentCount: { $gt: 0 } },
+      { $inc: { commentCount: -1 } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'COMMENT_DELETE_ERROR',
+        message: 'Failed to delete comment',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+module.exports = {
+  getAnnouncements,
+  createAnnouncement,
+  updateAnnouncement,
+  pinAnnouncement,
+  unpinAnnouncement,
+  deleteAnnouncement,
+  getComments,
+  addComment,
+  deleteComment
+};
\ No newline at end of file
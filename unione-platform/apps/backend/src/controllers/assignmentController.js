@@ -0,0 +1,495 @@
+const { validationResult } = require('express-validator');
+const Assignment = require('../models/Assignment');
+const Course = require('../models/Course');
+const ServiceError = require('../utils/ServiceError');
+const { resolveAttachments } = require('../services/fileService');
+
+// Rubric criteria must add up to the assignment's max points
+const rubricMatchesPoints = (rubric, maxPoints) => (
+  !rubric || rubric.length === 0 ||
+  rubric.reduce((sum, item) => sum + item.maxPoints, 0) === maxPoints
+);
+
+// Students never see drafts; course staff (including TAs) do
+const visibleStatuses = (courseAccess) => (
+  courseAccess.role === 'student' ? ['published', 'closed'] : ['draft', 'published', 'closed']
+);
+
+// List assignments for a course
+const getAssignments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId } = req.params;
+    const { page = 1, limit = 20, status } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    const statuses = visibleStatuses(req.courseAccess).filter(value => !status || value === status);
+    const query = { course: courseId, status: { $in: statuses } };
+
+    const [assignments, total] = await Promise.all([
+      Assignment.find(query)
+        .sort({ dueDate: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Assignment.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        assignments,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get assignments error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ASSIGNMENTS_FETCH_ERROR',
+        message: 'Failed to fetch assignments',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Get single assignment details
+const getAssignment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, assignmentId } = req.params;
+
+    const assignment = await Assignment.findOne({
+      _id: assignmentId,
+      course: courseId,
+      status: { $in: visibleStatuses(req.courseAccess) }
+    })
+      .populate('createdBy', 'profile.firstName profile.lastName');
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ASSIGNMENT_NOT_FOUND',
+          message: 'Assignment not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        assignment
+      }
+    });
+  } catch (error) {
+    console.error('Get assignment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ASSIGNMENT_FETCH_ERROR',
+        message: 'Failed to fetch assignment',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Create assignment (Instructor/Admin)
+const createAssignment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId } = req.params;
+    const { title, description, dueDate, maxPoints = 100, attachments, rubric, publish } = req.body;
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'COURSE_NOT_FOUND',
+          message: 'Course not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (course.isArchived) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'COURSE_ARCHIVED',
+          message: 'Assignments cannot be added to an archived course',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (!rubricMatchesPoints(rubric, maxPoints)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'RUBRIC_POINTS_MISMATCH',
+          message: `Rubric points must add up to ${maxPoints}`,
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (publish && new Date(dueDate) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'DUE_DATE_PASSED',
+          message: 'Due date must be in the future to publish',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const assignment = new Assignment({
+      course: course._id,
+      title,
+      description,
+      dueDate,
+      maxPoints,
+      attachments: await resolveAttachments(attachments, {
+        courseId: course._id,
+        userId: req.user._id,
+        purpose: 'course',
+        allowShared: true
+      }),
+      rubric,
+      createdBy: req.user._id
+    });
+
+    if (publish) {
+      assignment.status = 'published';
+      assignment.publishedAt = new Date();
+    }
+
+    await assignment.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Assignment created successfully',
+      data: {
+        assignment
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Create assignment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ASSIGNMENT_CREATION_ERROR',
+        message: 'Failed to create assignment',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Update assignment (Instructor/Admin)
+const updateAssignment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, assignmentId } = req.params;
+    const { title, description, dueDate, maxPoints, attachments, rubric } = req.body;
+
+    const assignment = await Assignment.findOne({ _id: assignmentId, course: courseId });
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ASSIGNMENT_NOT_FOUND',
+          message: 'Assignment not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (assignment.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ASSIGNMENT_CLOSED',
+          message: 'Closed assignments cannot be modified',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    // Grading scheme can't change under students once the assignment is out
+    const pointsChanged = maxPoints !== undefined && maxPoints !== assignment.maxPoints;
+    if ((pointsChanged || rubric !== undefined) && assignment.status === 'published') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ASSIGNMENT_PUBLISHED',
+          message: 'Max points and rubric cannot be changed after publishing',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (!rubricMatchesPoints(rubric || assignment.rubric, maxPoints !== undefined ? maxPoints : assignment.maxPoints)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'RUBRIC_POINTS_MISMATCH',
+          message: 'Rubric points must add up to the assignment max points',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    // Update fields
+    if (title !== undefined) assignment.title = title;
+    if (description !== undefined) assignment.description = description;
+    if (dueDate !== undefined) {
+      assignment.dueDate = dueDate;
+      assignment.reminderSentAt = null; // Remind again ahead of the new deadline
+    }
+    if (maxPoints !== undefined) assignment.maxPoints = maxPoints;
+    if (attachments !== undefined) {
+      assignment.attachments = await resolveAttachments(attachments, {
+        courseId: assignment.course,
+        userId: req.user._id,
+        purpose: 'course',
+        allowShared: true
+      });
+    }
+    if (rubric !== undefined) assignment.rubric = rubric;
+
+    await assignment.save();
+
+    res.json({
+      success: true,
+      message: 'Assignment updated successfully',
+      data: {
+        assignment
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Update assignment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ASSIGNMENT_UPDATE_ERROR',
+        message: 'Failed to update assignment',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Publish a draft assignment to students (Instructor/Admin)
+const publishAssignment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, assignmentId } = req.params;
+
+    const assignment = await Assignment.findOne({ _id: assignmentId, course: courseId });
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ASSIGNMENT_NOT_FOUND',
+          message: 'Assignment not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (assignment.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ASSIGNMENT_NOT_DRAFT',
+          message: 'Only draft assignments can be published',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (assignment.isPastDue) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'DUE_DATE_PASSED',
+          message: 'Due date must be in the future to publish',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    await assignment.publish();
+
+    res.json({
+      success: true,
+      message: 'Assignment published successfully',
+      data: {
+        assignment
+      }
+    });
+  } catch (error) {
+    console.error('Publish assignment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ASSIGNMENT_PUBLISH_ERROR',
+        message: 'Failed to publish assignment',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Close an assignment to further submissions (Instructor/Admin)
+const closeAssignment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, assignmentId } = req.params;
+
+    const assignment = await Assignment.findOne({ _id: assignmentId, course: courseId });
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ASSIGNMENT_NOT_FOUND',
+          message: 'Assignment not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (assignment.status !== 'published') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ASSIGNMENT_NOT_PUBLISHED',
+          message: 'Only published assignments can be closed',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    await assignment.close();
+
+    res.json({
+      success: true,
+      message: 'Assignment closed successfully',
+      data: {
+        assignment
+      }
+    });
+  } catch (error) {
+    console.error('Close assignment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ASSIGNMENT_CLOSE_ERROR',
+        message: 'Failed to close assignment',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+module.exports = {
+  getAssignments,
+  getAssignment,
+  createAssignment,
+  updateAssignment,
+  publishAssignment,
+  closeAssignment
+};
\ No newline at end of file
@@ -0,0 +1,812 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Attendance = require('../models/Attendance');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const ServiceError = require('../utils/ServiceError');
+const attendanceService = require('../services/attendanceService');
+const permissionService = require('../services/permissionService');
+const realtime = require('../services/realtimeService');
+const { notify } = require('../services/notificationService');
+const { getDistance, isPointWithinRadius } = require('geolib');
+const { isAdmin } = require('../utils/roles');
+
+// Reject check-ins whose GPS fix is less precise than this (meters)
+const MAX_GPS_ACCURACY = parseInt(process.env.ATTENDANCE_MAX_GPS_ACCURACY) || 50;
+
+// Each record of newly closed sessions starts counting towards attendance
+const closedSessionChanges = (sessions) => sessions.flatMap(session =>
+  session.records.map(record => ({ student: record.student, previous: null, current: record.status })));
+
+// Open an attendance session (Instructor/Admin)
+const openSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId } = req.params;
+    const { title, location, radius, durationMinutes = 60, lateAfterMinutes = 15 } = req.body;
+
+    const course = await Course.findById(courseId);
+    if (!course || course.isArchived) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'COURSE_NOT_FOUND',
+          message: 'Course not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (course.settings.geofenceRequired && !location) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'LOCATION_REQUIRED',
+          message: 'Session location is required for geofenced courses',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    // Close any session whose window ran out before checking for overlap
+    const expired = await Attendance.closeExpiredSessions({ course: course._id });
+    await attendanceService.alertNewShortages(course._id, closedSessionChanges(expired));
+
+    const existingSession = await Attendance.findOpenSession(course._id);
+    if (existingSession) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'SESSION_ALREADY_OPEN',
+          message: 'An attendance session is already open for this course',
+          sessionId: existingSession._id,
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const startTime = new Date();
+    const session = new Attendance({
+      course: course._id,
+      startedBy: req.user._id,
+      title,
+      location: location ? { latitude: location.latitude, longitude: location.longitude } : undefined,
+      radius,
+      startTime,
+      lateAfter: new Date(startTime.getTime() + lateAfterMinutes * 60 * 1000),
+      endTime: new Date(startTime.getTime() + durationMinutes * 60 * 1000)
+    });
+
+    await session.save();
+
+    realtime.emitToCourse(course._id, 'attendance:session-opened', {
+      courseId: course._id,
+      sessionId: session._id,
+      title: session.title,
+      startTime: session.startTime,
+      lateAfter: session.lateAfter,
+      endTime: session.endTime
+    });
+    await notify(course.enrolledStudents, {
+      category: 'attendance',
+      type: 'attendance:session-opened',
+      title: `Attendance is open for ${course.code}`,
+      message: session.title,
+      course: course._id,
+      data: { sessionId: session._id, endTime: session.endTime }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Attendance session opened successfully',
+      data: {
+        session
+      }
+    });
+  } catch (error) {
+    console.error('Open session error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSION_OPEN_ERROR',
+        message: 'Failed to open attendance session',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Close an attendance session and mark missing students absent (Instructor/Admin)
+const closeSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, sessionId } = req.params;
+
+    const session = await Attendance.findOne({ _id: sessionId, course: courseId });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Attendance session not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (session.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'SESSION_ALREADY_CLOSED',
+          message: 'Attendance session is already closed',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    // Another request (e.g. the lazy close of expired sessions) may have got there first
+    const closed = await session.close();
+    if (!closed) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'SESSION_ALREADY_CLOSED',
+          message: 'Attendance session is already closed',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    await attendanceService.alertNewShortages(courseId, closedSessionChanges([closed]));
+
+    res.json({
+      success: true,
+      message: 'Attendance session closed successfully',
+      data: {
+        session: closed
+      }
+    });
+  } catch (error) {
+    console.error('Close session error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSION_CLOSE_ERROR',
+        message: 'Failed to close attendance session',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// List attendance sessions for a course
+const getSessions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    const expired = await Attendance.closeExpiredSessions({ course: courseId });
+    await attendanceService.alertNewShortages(courseId, closedSessionChanges(expired));
+
+    const [sessions, total] = await Promise.all([
+      Attendance.find({ course: courseId })
+        .sort({ startTime: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Attendance.countDocuments({ course: courseId })
+    ]);
+
+    // Everyone without attendance:take (students, TAs without the capability) only sees their own record
+    const ownRecordOnly = !(await permissionService.hasCoursePermission(req.user, req.courseAccess, 'attendance:take'));
+    const results = sessions.map(session => {
+      const json = session.toJSON();
+      if (ownRecordOnly) {
+        const record = session.getRecord(req.user._id);
+        delete json.records;
+        delete json.summary;
+        json.myRecord = record ? record.toJSON() : null;
+      }
+      return json;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: results,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSIONS_FETCH_ERROR',
+        message: 'Failed to fetch attendance sessions',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Get a single attendance session with its records (Instructor/Admin)
+const getSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, sessionId } = req.params;
+
+    const session = await Attendance.findOne({ _id: sessionId, course: courseId })
+      .populate('records.student', 'email profile.firstName profile.lastName profile.studentId')
+      .populate('startedBy', 'profile.firstName profile.lastName')
+      .populate('records.history.changedBy', 'email profile.firstName profile.lastName');
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Attendance session not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        session
+      }
+    });
+  } catch (error) {
+    console.error('Get session error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSION_FETCH_ERROR',
+        message: 'Failed to fetch attendance session',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Check in to an open session with the device's GPS position (Student)
+const checkIn = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, sessionId } = req.params;
+    const { latitude, longitude, accuracy } = req.body;
+    const now = new Date();
+
+    const [session, course] = await Promise.all([
+      Attendance.findOne({ _id: sessionId, course: courseId }),
+      Course.findById(courseId).select('settings')
+    ]);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Attendance session not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (session.status === 'closed' || now > session.endTime) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'SESSION_CLOSED',
+          message: 'The attendance window for this session has closed',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (session.getRecord(req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ALREADY_CHECKED_IN',
+          message: 'You have already checked in to this session',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const record = {
+      student: req.user._id,
+      status: now <= session.lateAfter ? 'Present' : 'Late',
+      method: 'geofence',
+      checkedInAt: now
+    };
+
+    const hasPosition = latitude !== undefined && longitude !== undefined;
+    if (hasPosition) {
+      record.location = { latitude, longitude, accuracy };
+    }
+
+    if (course.settings.geofenceRequired && session.location) {
+      if (!hasPosition || accuracy === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'LOCATION_REQUIRED',
+            message: 'GPS position and accuracy are required to check in',
+            timestamp: new Date()
+          }
+        });
+      }
+
+      if (accuracy > MAX_GPS_ACCURACY) {
+        return res.status(422).json({
+          success: false,
+          error: {
+            code: 'GPS_ACCURACY_TOO_LOW',
+            message: `GPS accuracy must be within ${MAX_GPS_ACCURACY} meters. Move to an open area and try again`,
+            accuracy,
+            maxAccuracy: MAX_GPS_ACCURACY,
+            timestamp: new Date()
+          }
+        });
+      }
+
+      // Plain objects: geolib doesn't read coordinates off Mongoose subdocuments
+      const center = { latitude: session.location.latitude, longitude: session.location.longitude };
+      const point = { latitude, longitude };
+      const distance = getDistance(center, point);
+      if (!isPointWithinRadius(point, center, session.radius)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'OUTSIDE_GEOFENCE',
+            message: 'You are outside the attendance area for this session',
+            distance,
+            radius: session.radius,
+            timestamp: new Date()
+          }
+        });
+      }
+
+      record.distance = distance;
+    }
+
+    // Conditional push so concurrent requests can't create two records
+    const result = await Attendance.updateOne(
+      { _id: session._id, status: 'open', 'records.student': { $ne: req.user._id } },
+      { $push: { records: record } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ALREADY_CHECKED_IN',
+          message: 'You have already checked in to this session',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Attendance marked as ${record.status}`,
+      data: {
+        record: {
+          status: record.status,
+          checkedInAt: record.checkedInAt,
+          distance: record.distance === undefined ? null : record.distance
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Check-in error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CHECK_IN_ERROR',
+        message: 'Failed to record attendance',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Manually set a student's status for a session, e.g. after a GPS failure (Instructor/Admin)
+const overrideRecord = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, sessionId, studentId } = req.params;
+    const { status, reason } = req.body;
+
+    const [session, course] = await Promise.all([
+      Attendance.findOne({ _id: sessionId, course: courseId }),
+      Course.findById(courseId).select('enrolledStudents')
+    ]);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Attendance session not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const existingRecord = session.getRecord(studentId);
+    const isEnrolled = course.enrolledStudents.some(id => id.toString() === studentId);
+
+    if (!existingRecord && !isEnrolled) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'STUDENT_NOT_ENROLLED',
+          message: 'Student is not enrolled in this course',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (existingRecord && existingRecord.status === status) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'STATUS_UNCHANGED',
+          message: `Attendance is already marked as ${status}`,
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const entry = {
+      previousStatus: existingRecord ? existingRecord.status : null,
+      status,
+      reason,
+      changedBy: req.user._id,
+      changedAt: new Date()
+    };
+
+    // Both updates are conditional on the record we just read so a concurrent
+    // check-in or override can't be silently overwritten
+    let result;
+    if (existingRecord) {
+      result = await Attendance.updateOne(
+        { _id: session._id, records: { $elemMatch: { student: studentId, status: existingRecord.status } } },
+        {
+          $set: { 'records.$.status': status, 'records.$.method': 'manual' },
+          $push: { 'records.$.history': entry }
+        }
+      );
+    } else {
+      result = await Attendance.updateOne(
+        { _id: session._id, 'records.student': { $ne: studentId } },
+        {
+          $push: {
+            records: {
+              student: studentId,
+              status,
+              method: 'manual',
+              history: [entry]
+            }
+          }
+        }
+      );
+    }
+
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'RECORD_CONFLICT',
+          message: 'Attendance record changed while updating. Please try again',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const updatedSession = await Attendance.findById(session._id);
+
+    // Only closed sessions count towards attendance
+    if (session.status === 'closed') {
+      await attendanceService.alertNewShortages(courseId, [{ student: studentId, previous: entry.previousStatus, current: status }]);
+    }
+
+    res.json({
+      success: true,
+      message: `Attendance updated to ${status}`,
+      data: {
+        record: updatedSession.getRecord(studentId)
+      }
+    });
+  } catch (error) {
+    console.error('Override attendance error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ATTENDANCE_OVERRIDE_ERROR',
+        message: 'Failed to update attendance',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Audit trail of manual attendance changes for a course (Instructor/Admin)
+const getOverrideHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId } = req.params;
+    const { studentId, page = 1, limit = 50 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    const recordFilter = studentId
+      ? [{ $match: { 'records.student': new mongoose.Types.ObjectId(studentId) } }]
+      : [];
+
+    const [result] = await Attendance.aggregate([
+      { $match: { course: new mongoose.Types.ObjectId(courseId) } },
+      { $unwind: '$records' },
+      ...recordFilter,
+      { $unwind: '$records.history' },
+      { $sort: { 'records.history.changedAt': -1 } },
+      {
+        $project: {
+          _id: 0,
+          session: '$_id',
+          sessionTitle: '$title',
+          sessionStart: '$startTime',
+          student: '$records.student',
+          previousStatus: '$records.history.previousStatus',
+          status: '$records.history.status',
+          reason: '$records.history.reason',
+          changedBy: '$records.history.changedBy',
+          changedAt: '$records.history.changedAt'
+        }
+      },
+      {
+        $facet: {
+          entries: [{ $skip: (pageNum - 1) * limitNum }, { $limit: limitNum }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const history = await User.populate(result.entries, [
+      { path: 'student', model: 'User', select: 'email profile.firstName profile.lastName profile.studentId' },
+      { path: 'changedBy', model: 'User', select: 'email role profile.firstName profile.lastName' }
+    ]);
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.json({
+      success: true,
+      data: {
+        history,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get attendance history error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ATTENDANCE_HISTORY_ERROR',
+        message: 'Failed to fetch attendance history',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Attendance percentages against the course threshold; without attendance:reports, only your own
+const getAttendanceReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId } = req.params;
+
+    if (!(await permissionService.hasCoursePermission(req.user, req.courseAccess, 'attendance:reports'))) {
+      const standing = await attendanceService.getStudentStanding(courseId, req.user._id);
+      return res.json({
+        success: true,
+        data: {
+          standing
+        }
+      });
+    }
+
+    const report = await attendanceService.getCourseReport(courseId);
+
+    res.json({
+      success: true,
+      data: {
+        report
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Get attendance report error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ATTENDANCE_REPORT_ERROR',
+        message: 'Failed to fetch attendance report',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Students in shortage (or about to be) across the instructor's courses (Faculty/Admin)
+const getAtRiskStudents = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, includeWarnings } = req.query;
+
+    // Faculty only see the courses they teach; admins can look at any
+    const filter = isAdmin(req.user) ? {} : Course.instructorFilter(req.user._id);
+    if (courseId) filter._id = courseId;
+
+    const courses = await attendanceService.getAtRiskStudents(filter, {
+      includeWarnings: includeWarnings !== 'false'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        courses,
+        totalAtRisk: courses.reduce((sum, course) => sum + course.students.length, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Get at-risk students error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'AT_RISK_FETCH_ERROR',
+        message: 'Failed to fetch at-risk students',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+module.exports = {
+  openSession,
+  closeSession,
+  getSessions,
+  getSession,
+  checkIn,
+  overrideRecord,
+  getOverrideHistory,
+  getAttendanceReport,
+  getAtRiskStudents
+};
\ No newline at end of file
@@ -1,24 +1,72 @@
-const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
-
-// Generate JWT tokens
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { userId },
-    process.env.JWT_SECRET || 'fallback-secret-key',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  );
-
-  const refreshToken = jwt.sign(
-    { userId },
-    process.env.JWT_REFRESH_SECRET || 'fallback-refresh-secret',
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-  );
-
-  return { accessToken, refreshToken };
+const mailService = require('../services/mailService');
+const tokenService = require('../services/tokenService');
+const twoFactorService = require('../services/twoFactorService');
+const ServiceError = require('../utils/ServiceError');
+const { getPolicy, isPasswordExpired } = require('../utils/passwordPolicy');
+
+// Reset links stay valid for this many minutes
+const PASSWORD_RESET_EXPIRES = parseInt(process.env.PASSWORD_RESET_EXPIRES) || 30;
+
+// Response for a login attempt against a locked account
+const accountLockedResponse = (res, lockUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((lockUntil - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    error: {
+      code: 'ACCOUNT_LOCKED',
+      message: `Account is locked after too many failed login attempts. Try again after ${lockUntil.toISOString()}`,
+      lockedUntil: lockUntil,
+      retryAfter,
+      timestamp: new Date()
+    }
+  });
 };
 
+// Response for a wrong, expired or already used challenge token
+const invalidChallengeResponse = (res) => res.status(401).json({
+  success: false,
+  error: {
+    code: 'INVALID_CHALLENGE',
+    message: 'Verification has expired. Please sign in again',
+    timestamp: new Date()
+  }
+});
+
+// Whether login must stop at a password change: an admin-set or expired password
+const needsPasswordChange = (user) => user.mustChangePassword || isPasswordExpired(user);
+
+// Login response for an account that must replace its password first
+const passwordChangeRequiredResponse = (res, user) => res.json({
+  success: true,
+  message: 'Password must be changed before signing in',
+  data: {
+    passwordChangeRequired: true,
+    reason: user.mustChangePassword ? 'temporary' : 'expired',
+    passwordChangeToken: tokenService.issuePasswordChangeToken(user),
+    expiresIn: tokenService.PASSWORD_CHANGE_EXPIRES_IN
+  }
+});
+
+// Response for a role with mandatory 2FA that hasn't enrolled yet; no session is issued
+const twoFactorSetupRequiredResponse = (res, user, status = 200) => res.status(status).json({
+  success: true,
+  message: 'Two-factor authentication must be set up before signing in',
+  data: {
+    twoFactorSetupRequired: true,
+    challengeToken: twoFactorService.createChallenge(user, 'setup'),
+    expiresIn: twoFactorService.CHALLENGE_EXPIRES_IN
+  }
+});
+
+// Device details stored with the session
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip
+});
+
 // Register new user
 const register = async (req, res) => {
   try {
@@ -63,12 +111,12 @@ const register = async (req, res) => {
       });
     }
 
-    if ((role === 'faculty' || role === 'admin') && !profile.employeeId) {
+    if (role === 'faculty' && !profile.employeeId) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'EMPLOYEE_ID_REQUIRED',
-          message: 'Employee ID is required for faculty/admin role',
+          message: 'Employee ID is required for faculty role',
           timestamp: new Date()
         }
       });
@@ -84,8 +132,16 @@ const register = async (req, res) => {
 
     await user.save();
 
+    // The account already exists, so a failed welcome email doesn't fail the registration
+    await mailService.sendWelcome(user).catch(error => console.error('Welcome email error:', error));
+
+    // The account exists, but roles with mandatory 2FA enrol before they get a session
+    if (twoFactorService.isRequiredFor(user)) {
+      return twoFactorSetupRequiredResponse(res, user, 201);
+    }
+
     // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    const { accessToken, refreshToken } = await tokenService.issueTokens(user, getClientInfo(req));
 
     // Update last login
     user.lastLogin = new Date();
@@ -170,9 +226,19 @@ const login = async (req, res) => {
       });
     }
 
+    // Refuse locked accounts before checking the password
+    if (user.isLocked) {
+      return accountLockedResponse(res, user.lockUntil);
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const lockUntil = await user.incLoginAttempts();
+      if (lockUntil) {
+        return accountLockedResponse(res, lockUntil);
+      }
+
       return res.status(401).json({
         success: false,
         error: {
@@ -183,8 +249,35 @@ const login = async (req, res) => {
       });
     }
 
+    if (user.loginAttempts > 0 || user.lockCount > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    // Enrolled users finish signing in at /2fa/verify
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor verification required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.createChallenge(user, 'login'),
+          expiresIn: twoFactorService.CHALLENGE_EXPIRES_IN
+        }
+      });
+    }
+
+    // Admin-set and expired passwords are replaced before anything else happens
+    if (needsPasswordChange(user)) {
+      return passwordChangeRequiredResponse(res, user);
+    }
+
+    // Roles with mandatory 2FA must enrol before they get a session
+    if (twoFactorService.isRequiredFor(user)) {
+      return twoFactorSetupRequiredResponse(res, user);
+    }
+
     // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    const { accessToken, refreshToken } = await tokenService.issueTokens(user, getClientInfo(req));
 
     // Update last login
     user.lastLogin = new Date();
@@ -228,43 +321,23 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(
+    // Rotate: the presented refresh token stops working once this succeeds
+    const { accessToken, refreshToken: nextRefreshToken } = await tokenService.rotateRefreshToken(
       refreshToken,
-      process.env.JWT_REFRESH_SECRET || 'fallback-refresh-secret'
+      getClientInfo(req)
     );
 
-    // Get user
-    const user = await User.findById(decoded.userId);
-    if (!user || !user.isActive) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'INVALID_REFRESH_TOKEN',
-          message: 'Invalid refresh token',
-          timestamp: new Date()
-        }
-      });
-    }
-
-    // Generate new tokens
-    const tokens = generateTokens(user._id);
-
     res.json({
       success: true,
       message: 'Token refreshed successfully',
-      data: tokens
+      data: {
+        accessToken,
+        refreshToken: nextRefreshToken
+      }
     });
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'INVALID_REFRESH_TOKEN',
-          message: 'Invalid or expired refresh token',
-          timestamp: new Date()
-        }
-      });
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
     }
 
     console.error('Token refresh error:', error);
@@ -301,11 +374,14 @@ const getProfile = async (req, res) => {
   }
 };
 
-// Logout user (client-side token removal)
+// Logout user: end the session and denylist the access token used for this request
 const logout = async (req, res) => {
   try {
-    // In a more advanced implementation, you might want to blacklist the token
-    // For now, we'll just send a success response
+    await tokenService.denylistAccessToken(req.token);
+    if (req.token.sid) {
+      await tokenService.revokeSession(req.token.sid, 'logout');
+    }
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -323,10 +399,430 @@ const logout = async (req, res) => {
   }
 };
 
+// Request a password reset email
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const user = await User.findByEmail(req.body.email);
+
+    // Respond the same way whether or not the account exists
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken(PASSWORD_RESET_EXPIRES);
+      await user.save();
+      // Queued for the outbox worker, so mail server problems can't reveal the account
+      await mailService.sendPasswordReset(user, token, PASSWORD_RESET_EXPIRES);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PASSWORD_RESET_ERROR',
+        message: 'Failed to start password reset',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Reset password with an emailed token
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { token, password } = req.body;
+
+    // Check reuse before using the token up, so the link can be tried again
+    const pending = await User.findByResetToken(token);
+    if (pending && await pending.isPasswordReused(password)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'PASSWORD_REUSED',
+          message: `New password must not match any of your last ${getPolicy().history} passwords`,
+          timestamp: new Date()
+        }
+      });
+    }
+
+    // Clearing the token in the same update makes it single-use
+    const user = await User.consumeResetToken(token);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_RESET_TOKEN',
+          message: 'Password reset link is invalid or has expired',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    await user.setPasswordAndRevokeSessions(password);
+    await tokenService.revokeUserSessions(user._id, 'password_reset');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PASSWORD_RESET_ERROR',
+        message: 'Failed to reset password',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Second login step: exchange a challenge token and a TOTP or recovery code for tokens
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    const { user, challenge } = await twoFactorService.verifyChallenge(challengeToken, 'login');
+
+    if (user.isLocked) {
+      return accountLockedResponse(res, user.lockUntil);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const { valid, usedRecoveryCode } = await twoFactorService.verifySecondFactor(user, { code, recoveryCode });
+    if (!valid) {
+      const lockUntil = await user.incLoginAttempts();
+      if (lockUntil) {
+        return accountLockedResponse(res, lockUntil);
+      }
+
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_TWO_FACTOR_CODE',
+          message: usedRecoveryCode ? 'Invalid recovery code' : 'Invalid verification code',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (!(await twoFactorService.consumeChallenge(challenge))) {
+      return invalidChallengeResponse(res);
+    }
+
+    if (user.loginAttempts > 0 || user.lockCount > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    if (needsPasswordChange(user)) {
+      return passwordChangeRequiredResponse(res, user);
+    }
+
+    const { accessToken, refreshToken } = await tokenService.issueTokens(user, getClientInfo(req));
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.getPublicProfile(),
+        accessToken,
+        refreshToken,
+        ...(usedRecoveryCode && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length - 1 })
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LOGIN_ERROR',
+        message: 'Failed to verify two-factor code',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Get the current user's 2FA status
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const twoFactor = await twoFactorService.getStatus(req.user);
+
+    res.json({
+      success: true,
+      data: { twoFactor }
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'TWO_FACTOR_ERROR',
+        message: 'Failed to get two-factor status',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Start 2FA enrolment: returns the secret and an otpauth:// URI for a QR code
+const setupTwoFactor = async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await twoFactorService.beginSetup(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code from it',
+      data: {
+        secret,
+        otpauthUrl
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'TWO_FACTOR_ERROR',
+        message: 'Failed to start two-factor setup',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Confirm enrolment with a code; during a mandatory setup this also completes the login
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.enable(req.user._id, req.body.code);
+
+    if (!req.twoFactorChallenge) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+        data: { recoveryCodes }
+      });
+    }
+
+    if (!(await twoFactorService.consumeChallenge(req.twoFactorChallenge))) {
+      return invalidChallengeResponse(res);
+    }
+
+    const { accessToken, refreshToken } = await tokenService.issueTokens(req.user, getClientInfo(req));
+    await User.updateOne({ _id: req.user._id }, { $set: { lastLogin: new Date() } });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+      data: {
+        recoveryCodes,
+        user: (await User.findById(req.user._id)).getPublicProfile(),
+        accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'TWO_FACTOR_ERROR',
+        message: 'Failed to enable two-factor authentication',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Turn 2FA off; needs the password and a current code
+const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const user = await twoFactorService.withSecrets(req.user._id);
+    const { valid } = (await user.comparePassword(req.body.password))
+      ? await twoFactorService.verifySecondFactor(user, { code: req.body.code })
+      : { valid: false };
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_CREDENTIALS',
+          message: 'Invalid password or verification code',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    await twoFactorService.disable(user);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'TWO_FACTOR_ERROR',
+        message: 'Failed to disable two-factor authentication',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Replace the recovery codes; needs a current code
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const user = await twoFactorService.withSecrets(req.user._id);
+    const { valid } = await twoFactorService.verifySecondFactor(user, { code: req.body.code });
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_TWO_FACTOR_CODE',
+          message: 'Invalid verification code',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'TWO_FACTOR_ERROR',
+        message: 'Failed to regenerate recovery codes',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
   refreshToken,
   getProfile,
-  logout
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 };
\ No newline at end of file
@@ -0,0 +1,350 @@
+const { validationResult } = require('express-validator');
+const Broadcast = require('../models/Broadcast');
+const User = require('../models/User');
+const ServiceError = require('../utils/ServiceError');
+const broadcastService = require('../services/broadcastService');
+
+// Query for broadcasts in a lifecycle state
+const statusQuery = (status, now = new Date()) => {
+  switch (status) {
+    case 'scheduled':
+      return { publishAt: { $gt: now } };
+    case 'active':
+      return Broadcast.liveQuery(now);
+    case 'expired':
+      return { expiresAt: { $ne: null, $lte: now } };
+    default:
+      return {};
+  }
+};
+
+// Expiry has to come after publishing
+const hasValidSchedule = (publishAt, expiresAt) => (
+  !expiresAt || new Date(expiresAt) > new Date(publishAt || Date.now())
+);
+
+// Create a broadcast announcement (Admin)
+const createBroadcast = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { title, content, priority, audience = {}, publishAt, expiresAt } = req.body;
+
+    if (!hasValidSchedule(publishAt, expiresAt)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SCHEDULE',
+          message: 'Expiry must be after the publish time',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    await broadcastService.validateAudience(audience);
+
+    const broadcast = await Broadcast.create({
+      title,
+      content,
+      priority,
+      audience,
+      publishAt,
+      expiresAt,
+      createdBy: req.user._id
+    });
+
+    const audienceSize = await User.countDocuments(
+      await broadcastService.buildRecipientQuery(broadcast.audience)
+    );
+
+    // Scheduled broadcasts are pushed by the scheduler once publishAt passes
+    if (broadcast.status === 'active') {
+      await broadcastService.deliverBroadcast(broadcast);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: broadcast.status === 'scheduled' ? 'Broadcast scheduled successfully' : 'Broadcast published successfully',
+      data: {
+        broadcast,
+        audienceSize
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Create broadcast error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'BROADCAST_CREATION_ERROR',
+        message: 'Failed to create broadcast',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// List broadcasts with optional status filter (Admin)
+const getBroadcasts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    const query = statusQuery(status);
+
+    const [broadcasts, total] = await Promise.all([
+      Broadcast.find(query)
+        .populate('createdBy', 'profile.firstName profile.lastName')
+        .populate('audience.courses', 'code name')
+        .sort({ publishAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Broadcast.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        broadcasts,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get broadcasts error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'BROADCASTS_FETCH_ERROR',
+        message: 'Failed to fetch broadcasts',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Update a broadcast (Admin)
+const updateBroadcast = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { title, content, priority, audience, publishAt, expiresAt } = req.body;
+
+    const broadcast = await Broadcast.findById(req.params.broadcastId);
+    if (!broadcast) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'BROADCAST_NOT_FOUND',
+          message: 'Broadcast not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const nextPublishAt = publishAt !== undefined ? publishAt : broadcast.publishAt;
+    const nextExpiresAt = expiresAt !== undefined ? expiresAt : broadcast.expiresAt;
+    if (!hasValidSchedule(nextPublishAt, nextExpiresAt)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SCHEDULE',
+          message: 'Expiry must be after the publish time',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (audience !== undefined) {
+      await broadcastService.validateAudience(audience);
+      broadcast.audience = audience;
+    }
+
+    // Update fields
+    if (title !== undefined) broadcast.title = title;
+    if (content !== undefined) broadcast.content = content;
+    if (priority !== undefined) broadcast.priority = priority;
+    if (publishAt !== undefined) {
+      broadcast.publishAt = publishAt;
+      if (broadcast.status === 'scheduled') broadcast.deliveredAt = null;
+    }
+    if (expiresAt !== undefined) broadcast.expiresAt = expiresAt;
+
+    await broadcast.save();
+
+    res.json({
+      success: true,
+      message: 'Broadcast updated successfully',
+      data: {
+        broadcast
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Update broadcast error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'BROADCAST_UPDATE_ERROR',
+        message: 'Failed to update broadcast',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Delete a broadcast (Admin)
+const deleteBroadcast = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const broadcast = await Broadcast.findByIdAndDelete(req.params.broadcastId);
+    if (!broadcast) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'BROADCAST_NOT_FOUND',
+          message: 'Broadcast not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Broadcast deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete broadcast error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'BROADCAST_DELETE_ERROR',
+        message: 'Failed to delete broadcast',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Get the current user's broadcast feed (published, unexpired, targeted at them)
+const getFeed = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    const query = await broadcastService.buildFeedQuery(req.user);
+
+    const [broadcasts, total] = await Promise.all([
+      Broadcast.find(query)
+        .select('-audience')
+        .populate('createdBy', 'profile.firstName profile.lastName')
+        .sort({ publishAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Broadcast.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        broadcasts,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FEED_FETCH_ERROR',
+        message: 'Failed to fetch announcements feed',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+module.exports = {
+  createBroadcast,
+  getBroadcasts,
+  updateBroadcast,
+  deleteBroadcast,
+  getFeed
+};
\ No newline at end of file
@@ -0,0 +1,817 @@
+const { validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const enrollmentService = require('../services/enrollmentService');
+const { isAdmin } = require('../utils/roles');
+
+const USER_SUMMARY = 'email profile.firstName profile.lastName profile.department';
+
+// Lead instructor, co-instructors and TAs as shown in course responses
+const STAFF_POPULATE = [
+  { path: 'instructor', select: USER_SUMMARY },
+  { path: 'coInstructors', select: USER_SUMMARY },
+  { path: 'teachingAssistants.user', select: USER_SUMMARY }
+];
+
+// Course as listed to any caller: rosters are only served by the course:roster
+// endpoints, so one cached copy fits everyone who can see the course
+const toCourseSummary = (course) => {
+  const { enrolledStudents, waitlist, ...summary } = course.toJSON();
+  return { ...summary, waitlistCount: waitlist.length };
+};
+
+// Get courses with optional semester/year/instructor filters, or the caller's teaching courses
+const getCourses = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { page = 1, limit = 10, semester, year, instructor, teaching, archived } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100); // Cap at 100 for performance
+
+    // Build filter
+    const filter = { isArchived: archived === 'true' };
+    if (semester) filter.semester = semester;
+    if (year) filter.year = parseInt(year);
+
+    // Instructor matches lead and co-instructors; teaching=true also covers the caller's TA courses
+    const staffConditions = [];
+    if (instructor) staffConditions.push(Course.instructorFilter(instructor));
+    if (teaching === 'true') staffConditions.push(Course.staffFilter(req.user._id));
+    if (staffConditions.length) filter.$and = staffConditions;
+
+    const [courses, total] = await Promise.all([
+      Course.find(filter)
+        .populate(STAFF_POPULATE)
+        .sort({ year: -1, code: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Course.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        courses: teaching === 'true'
+          ? courses.map(course => ({ ...toCourseSummary(course), courseRole: course.getCourseRole(req.user._id) }))
+          : courses.map(toCourseSummary),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get courses error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'COURSES_FETCH_ERROR',
+        message: 'Failed to fetch courses',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Get single course details
+const getCourse = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const course = await Course.findById(req.params.courseId)
+      .populate(STAFF_POPULATE);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'COURSE_NOT_FOUND',
+          message: 'Course not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        course: toCourseSummary(course)
+      }
+    });
+  } catch (error) {
+    console.error('Get course error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'COURSE_FETCH_ERROR',
+        message: 'Failed to fetch course',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Create course (Faculty/Admin)
+const createCourse = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { code, name, description, semester, year, capacity, settings } = req.body;
+
+    // Faculty always teach the courses they create; admins must name an instructor
+    let instructorId = req.user._id;
+    if (isAdmin(req.user)) {
+      if (!req.body.instructor) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INSTRUCTOR_REQUIRED',
+            message: 'Instructor is required when an admin creates a course',
+            timestamp: new Date()
+          }
+        });
+      }
+
+      const instructor = await User.findById(req.body.instructor);
+      if (!instructor || instructor.role !== 'faculty' || !instructor.isActive) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_INSTRUCTOR',
+            message: 'Instructor must be an active faculty member',
+            timestamp: new Date()
+          }
+        });
+      }
+
+      instructorId = instructor._id;
+    }
+
+    const course = new Course({
+      code,
+      name,
+      description,
+      instructor: instructorId,
+      semester,
+      year,
+      capacity,
+      settings
+    });
+
+    await course.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Course created successfully',
+      data: {
+        course
+      }
+    });
+  } catch (error) {
+    console.error('Create course error:', error);
+
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern)[0];
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_FIELD',
+          message: `${field} already exists`,
+          timestamp: new Date()
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'COURSE_CREATION_ERROR',
+        message: 'Failed to create course',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Update course (Instructor/Admin)
+const updateCourse = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId } = req.params;
+    const { code, name, description, semester, year, capacity, settings, instructor } = req.body;
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'COURSE_NOT_FOUND',
+          message: 'Course not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (course.isArchived) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'COURSE_ARCHIVED',
+          message: 'Archived courses cannot be modified',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    // Course code and instructor reassignment are reserved for admins
+    if ((code !== undefined || instructor !== undefined) && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Only admins can change the course code or instructor',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (instructor !== undefined) {
+      const instructorUser = await User.findById(instructor);
+      if (!instructorUser || instructorUser.role !== 'faculty' || !instructorUser.isActive) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_INSTRUCTOR',
+            message: 'Instructor must be an active faculty member',
+            timestamp: new Date()
+          }
+        });
+      }
+      course.instructor = instructorUser._id;
+
+      // The new lead gives up any co-instructor or TA place they had
+      course.coInstructors.pull(instructorUser._id);
+      course.teachingAssistants = course.teachingAssistants
+        .filter(assistant => !assistant.user.equals(instructorUser._id));
+    }
+
+    // Update fields
+    if (code !== undefined) course.code = code;
+    if (name !== undefined) course.name = name;
+    if (description !== undefined) course.description = description;
+    if (semester !== undefined) course.semester = semester;
+    if (year !== undefined) course.year = year;
+    if (capacity !== undefined) course.capacity = capacity;
+    if (settings) {
+      Object.keys(settings).forEach(key => {
+        if (settings[key] !== undefined) {
+          course.settings[key] = settings[key];
+        }
+      });
+    }
+
+    const capacityChanged = course.isModified('capacity');
+    await course.save();
+
+    // Seats opened by a larger (or removed) capacity go to the waitlist
+    let promoted = [];
+    if (capacityChanged && course.waitlist.length > 0) {
+      promoted = await enrollmentService.promoteWaitlist(course._id);
+    }
+
+    res.json({
+      success: true,
+      message: promoted.length > 0
+        ? `Course updated successfully. ${promoted.length} waitlisted student(s) enrolled`
+        : 'Course updated successfully',
+      data: {
+        course
+      }
+    });
+  } catch (error) {
+    console.error('Update course error:', error);
+
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern)[0];
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_FIELD',
+          message: `${field} already exists`,
+          timestamp: new Date()
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'COURSE_UPDATE_ERROR',
+        message: 'Failed to update course',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Archive course (Instructor/Admin) - courses are never hard-deleted
+const archiveCourse = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'COURSE_NOT_FOUND',
+          message: 'Course not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (course.isArchived) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'COURSE_ALREADY_ARCHIVED',
+          message: 'Course is already archived',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    course.isArchived = true;
+    course.archivedAt = new Date();
+    await course.save();
+
+    res.json({
+      success: true,
+      message: 'Course archived successfully',
+      data: {
+        course
+      }
+    });
+  } catch (error) {
+    console.error('Archive course error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'COURSE_ARCHIVE_ERROR',
+        message: 'Failed to archive course',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Restore archived course (Admin only)
+const restoreCourse = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'COURSE_NOT_FOUND',
+          message: 'Course not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (!course.isArchived) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'COURSE_NOT_ARCHIVED',
+          message: 'Course is not archived',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    course.isArchived = false;
+    course.archivedAt = null;
+    await course.save();
+
+    res.json({
+      success: true,
+      message: 'Course restored successfully',
+      data: {
+        course
+      }
+    });
+  } catch (error) {
+    console.error('Restore course error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'COURSE_RESTORE_ERROR',
+        message: 'Failed to restore course',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Load a course for a staff change; sends 404/400 and returns null when it cannot change
+const loadCourseForStaffChange = async (courseId, res) => {
+  const course = await Course.findById(courseId);
+
+  if (!course) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'COURSE_NOT_FOUND',
+        message: 'Course not found',
+        timestamp: new Date()
+      }
+    });
+    return null;
+  }
+
+  if (course.isArchived) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'COURSE_ARCHIVED',
+        message: 'Archived courses cannot be modified',
+        timestamp: new Date()
+      }
+    });
+    return null;
+  }
+
+  return course;
+};
+
+// Respond with the course's staff after a change
+const sendStaff = async (res, course, message) => {
+  await course.populate(STAFF_POPULATE);
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      instructor: course.instructor,
+      coInstructors: course.coInstructors,
+      teachingAssistants: course.teachingAssistants
+    }
+  });
+};
+
+// Co-instructors are chosen by the lead instructor or an admin
+const canChangeInstructors = (user, course) => isAdmin(user) || course.instructor.equals(user._id);
+
+const leadOnly = (res) => res.status(403).json({
+  success: false,
+  error: {
+    code: 'INSUFFICIENT_PERMISSIONS',
+    message: 'Only the lead instructor or an admin can change the instructors',
+    timestamp: new Date()
+  }
+});
+
+// Add a co-instructor (Lead instructor/Admin)
+const addInstructor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const course = await loadCourseForStaffChange(req.params.courseId, res);
+    if (!course) return;
+
+    if (!canChangeInstructors(req.user, course)) {
+      return leadOnly(res);
+    }
+
+    const instructor = await User.findById(req.body.userId);
+    if (!instructor || instructor.role !== 'faculty' || !instructor.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_INSTRUCTOR',
+          message: 'Instructor must be an active faculty member',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (course.isInstructor(instructor._id)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ALREADY_INSTRUCTOR',
+          message: 'User already teaches this course',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    // A TA promoted to co-instructor gives up the TA place
+    course.coInstructors.push(instructor._id);
+    course.teachingAssistants = course.teachingAssistants
+      .filter(assistant => !assistant.user.equals(instructor._id));
+    await course.save();
+
+    await sendStaff(res, course, 'Co-instructor added successfully');
+  } catch (error) {
+    console.error('Add instructor error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'STAFF_UPDATE_ERROR',
+        message: 'Failed to add co-instructor',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Remove a co-instructor (Lead instructor/Admin)
+const removeInstructor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const course = await loadCourseForStaffChange(req.params.courseId, res);
+    if (!course) return;
+
+    if (!canChangeInstructors(req.user, course)) {
+      return leadOnly(res);
+    }
+
+    const { userId } = req.params;
+
+    if (course.instructor.equals(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'LEAD_INSTRUCTOR',
+          message: 'The lead instructor cannot be removed; an admin can reassign the course instead',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (!course.coInstructors.some(id => id.equals(userId))) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'INSTRUCTOR_NOT_FOUND',
+          message: 'User is not a co-instructor of this course',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    course.coInstructors.pull(userId);
+    await course.save();
+
+    await sendStaff(res, course, 'Co-instructor removed successfully');
+  } catch (error) {
+    console.error('Remove instructor error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'STAFF_UPDATE_ERROR',
+        message: 'Failed to remove co-instructor',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Add a TA or change their capabilities (Instructor/Admin)
+const setTeachingAssistant = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const course = await loadCourseForStaffChange(req.params.courseId, res);
+    if (!course) return;
+
+    const assistant = await User.findById(req.params.userId);
+    if (!assistant || !['student', 'faculty'].includes(assistant.role) || !assistant.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ASSISTANT',
+          message: 'Teaching assistant must be an active student or faculty member',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const courseRole = course.getCourseRole(assistant._id);
+    if (courseRole === 'instructor') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ALREADY_INSTRUCTOR',
+          message: 'User already teaches this course',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (courseRole === 'student') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ASSISTANT_ENROLLED',
+          message: 'Students enrolled in the course cannot assist it',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const capabilities = [...new Set(req.body.capabilities || [])];
+    const existing = course.getTeachingAssistant(assistant._id);
+    if (existing) {
+      existing.capabilities = capabilities;
+    } else {
+      course.teachingAssistants.push({ user: assistant._id, capabilities });
+    }
+    await course.save();
+
+    await sendStaff(res, course, existing
+      ? 'Teaching assistant updated successfully'
+      : 'Teaching assistant added successfully');
+  } catch (error) {
+    console.error('Set teaching assistant error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'STAFF_UPDATE_ERROR',
+        message: 'Failed to update teaching assistant',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Remove a TA (Instructor/Admin)
+const removeTeachingAssistant = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const course = await loadCourseForStaffChange(req.params.courseId, res);
+    if (!course) return;
+
+    if (!course.getTeachingAssistant(req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ASSISTANT_NOT_FOUND',
+          message: 'User is not a teaching assistant of this course',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    course.teachingAssistants = course.teachingAssistants
+      .filter(assistant => !assistant.user.equals(req.params.userId));
+    await course.save();
+
+    await sendStaff(res, course, 'Teaching assistant removed successfully');
+  } catch (error) {
+    console.error('Remove teaching assistant error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'STAFF_UPDATE_ERROR',
+        message: 'Failed to remove teaching assistant',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+module.exports = {
+  getCourses,
+  getCourse,
+  createCourse,
+  updateCourse,
+  archiveCourse,
+  restoreCourse,
+  addInstructor,
+  removeInstructor,
+  setTeachingAssistant,
+  removeTeachingAssistant
+};
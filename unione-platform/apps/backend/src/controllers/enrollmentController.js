@@ -0,0 +1,405 @@
+const { validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const { courseCache } = require('../config/redis');
+const enrollmentService = require('../services/enrollmentService');
+const ServiceError = require('../utils/ServiceError');
+
+// Self-enroll in a course using its join code (Student)
+const joinCourse = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const result = await enrollmentService.enrollByJoinCode(req.body.joinCode, req.user._id);
+    await courseCache.delCourse(result.courseId);
+
+    res.status(result.status === 'enrolled' ? 201 : 202).json({
+      success: true,
+      message: result.status === 'enrolled'
+        ? 'Enrolled in course successfully'
+        : `Course is full. You have been added to the waitlist at position ${result.position}`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Join course error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ENROLLMENT_ERROR',
+        message: 'Failed to enroll in course',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Leave a course or its waitlist (Student)
+const leaveCourse = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const result = await enrollmentService.unenrollStudent(req.params.courseId, req.user._id);
+
+    res.json({
+      success: true,
+      message: result.status === 'unenrolled'
+        ? 'Unenrolled from course successfully'
+        : 'Removed from course waitlist successfully',
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Leave course error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UNENROLLMENT_ERROR',
+        message: 'Failed to unenroll from course',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Get course roster and waitlist (Instructor/Admin)
+const getRoster = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const studentFields = 'email profile.firstName profile.lastName profile.studentId profile.department';
+    const course = await Course.findById(req.params.courseId)
+      .select('code name capacity enrolledStudents waitlist')
+      .populate('enrolledStudents', studentFields)
+      .populate('waitlist.student', studentFields);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'COURSE_NOT_FOUND',
+          message: 'Course not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        course: {
+          _id: course._id,
+          code: course.code,
+          name: course.name,
+          capacity: course.capacity
+        },
+        students: course.enrolledStudents,
+        waitlist: course.waitlist
+      }
+    });
+  } catch (error) {
+    console.error('Get roster error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ROSTER_FETCH_ERROR',
+        message: 'Failed to fetch course roster',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Add students to a course (Instructor/Admin)
+const addStudents = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { studentIds, emails } = req.body;
+    const result = await enrollmentService.bulkEnroll(req.params.courseId, { studentIds, emails });
+
+    res.json({
+      success: true,
+      message: `${result.summary.enrolled} enrolled, ${result.summary.waitlisted} waitlisted, ${result.summary.failed} failed`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Add students error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ENROLLMENT_ERROR',
+        message: 'Failed to add students to course',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Remove a student from a course (Instructor/Admin)
+const removeStudent = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const result = await enrollmentService.unenrollStudent(req.params.courseId, req.params.studentId);
+
+    res.json({
+      success: true,
+      message: 'Student removed from course successfully',
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Remove student error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UNENROLLMENT_ERROR',
+        message: 'Failed to remove student from course',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Get the course join code (Instructor/Admin)
+const getJoinCode = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId).select('+joinCode');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'COURSE_NOT_FOUND',
+          message: 'Course not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    // Courses created before join codes existed get one on first request
+    if (!course.joinCode) {
+      course.joinCode = Course.generateJoinCode();
+      await course.save();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        joinCode: course.joinCode
+      }
+    });
+  } catch (error) {
+    console.error('Get join code error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'JOIN_CODE_ERROR',
+        message: 'Failed to get join code',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Regenerate the course join code, invalidating the old one (Instructor/Admin)
+const regenerateJoinCode = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId).select('+joinCode');
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'COURSE_NOT_FOUND',
+          message: 'Course not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    course.joinCode = Course.generateJoinCode();
+    await course.save();
+
+    res.json({
+      success: true,
+      message: 'Join code regenerated successfully',
+      data: {
+        joinCode: course.joinCode
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate join code error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'JOIN_CODE_ERROR',
+        message: 'Failed to regenerate join code',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Admin functions
+
+// Bulk enroll students into a course (Admin only)
+const bulkEnroll = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, studentIds, emails, ignoreCapacity = false } = req.body;
+    const result = await enrollmentService.bulkEnroll(courseId, { studentIds, emails }, { ignoreCapacity });
+
+    res.json({
+      success: true,
+      message: `${result.summary.enrolled} enrolled, ${result.summary.waitlisted} waitlisted, ${result.summary.failed} failed`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Bulk enroll error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'BULK_ENROLLMENT_ERROR',
+        message: 'Failed to bulk enroll students',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Reconcile course rosters with user enrollment lists (Admin only)
+const reconcileEnrollments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const report = await enrollmentService.reconcileEnrollments({
+      dryRun: req.query.dryRun === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: report.dryRun ? 'Enrollment drift report generated' : 'Enrollments reconciled successfully',
+      data: {
+        report
+      }
+    });
+  } catch (error) {
+    console.error('Reconcile enrollments error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RECONCILE_ERROR',
+        message: 'Failed to reconcile enrollments',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+module.exports = {
+  joinCourse,
+  leaveCourse,
+  getRoster,
+  addStudents,
+  removeStudent,
+  getJoinCode,
+  regenerateJoinCode,
+  bulkEnroll,
+  reconcileEnrollments
+};
\ No newline at end of file
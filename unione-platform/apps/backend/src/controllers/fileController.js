@@ -0,0 +1,374 @@
+const { validationResult } = require('express-validator');
+const File = require('../models/File');
+const User = require('../models/User');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const ServiceError = require('../utils/ServiceError');
+const { isAdmin } = require('../utils/roles');
+const fileService = require('../services/fileService');
+
+const AVATAR_URL_PREFIX = '/api/files/avatars/';
+
+// Send stored content with headers that stop browsers from sniffing or executing it
+const streamFile = async (res, file, disposition) => {
+  const stream = await fileService.openFile(file);
+
+  res.set({
+    'Content-Type': file.mimeType,
+    'Content-Length': file.size,
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(file.originalName)}`,
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  stream.on('error', (error) => {
+    console.error('File stream error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// Upload files to a course (faculty materials or student submission files)
+const uploadCourseFiles = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId } = req.params;
+
+    // Students can only upload work for submissions; staff upload course material
+    const purpose = req.courseAccess.role === 'student' ? 'submission' : 'course';
+
+    const files = [];
+    for (const upload of req.files) {
+      const file = await fileService.saveUpload({
+        buffer: upload.buffer,
+        originalName: upload.originalname,
+        mimeType: upload.mimetype
+      }, {
+        uploadedBy: req.user._id,
+        course: courseId,
+        purpose
+      });
+      files.push({ file, ...fileService.createDownloadUrl(file, req.user) });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${files.length} file(s) uploaded successfully`,
+      data: {
+        files
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Upload files error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPLOAD_ERROR',
+        message: 'Failed to upload files',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Get file details and a short-lived download URL
+const getFile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const file = await File.findById(req.params.fileId);
+
+    // Files the user can't access are reported as missing so IDs can't be probed
+    if (!file || !await fileService.canAccessFile(file, req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'FILE_NOT_FOUND',
+          message: 'File not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        file,
+        ...fileService.createDownloadUrl(file, req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Get file error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FILE_FETCH_ERROR',
+        message: 'Failed to fetch file',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Download file content with a signed URL
+const downloadFile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { fileId } = req.params;
+    fileService.verifyDownloadToken(fileId, req.query.token);
+
+    const file = await File.findById(fileId);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'FILE_NOT_FOUND',
+          message: 'File not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    await streamFile(res, file, 'attachment');
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Download file error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DOWNLOAD_ERROR',
+        message: 'Failed to download file',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Serve an avatar image (public so it can be used in <img> tags)
+const getAvatar = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const file = await File.findOne({ _id: req.params.fileId, purpose: 'avatar' });
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'FILE_NOT_FOUND',
+          message: 'File not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    // Content is addressed by hash, so the same ID always serves the same bytes
+    res.set('Cache-Control', 'public, max-age=86400, immutable');
+    await streamFile(res, file, 'inline');
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Get avatar error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'AVATAR_FETCH_ERROR',
+        message: 'Failed to fetch avatar',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Delete an uploaded file (uploader or Admin)
+const deleteFile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const file = await File.findById(req.params.fileId);
+    const isOwner = file && file.uploadedBy.toString() === req.user._id.toString();
+
+    if (!file || (!isOwner && !isAdmin(req.user))) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'FILE_NOT_FOUND',
+          message: 'File not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const [usedByAssignment, usedBySubmission, usedAsAvatar] = await Promise.all([
+      Assignment.exists({ 'attachments.file': file._id }),
+      Submission.exists({ 'versions.attachments.file': file._id }),
+      User.exists({ 'profile.avatar': `${AVATAR_URL_PREFIX}${file._id}` })
+    ]);
+
+    if (usedByAssignment || usedBySubmission || usedAsAvatar) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'FILE_IN_USE',
+          message: 'File is attached to an assignment, submission or profile and cannot be deleted',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    await fileService.deleteFile(file);
+
+    res.json({
+      success: true,
+      message: 'File deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete file error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FILE_DELETE_ERROR',
+        message: 'Failed to delete file',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Upload a new profile picture for the current user
+const uploadAvatar = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const [upload] = req.files;
+    const file = await fileService.saveUpload({
+      buffer: upload.buffer,
+      originalName: upload.originalname,
+      mimeType: upload.mimetype
+    }, {
+      uploadedBy: user._id,
+      purpose: 'avatar'
+    });
+
+    const previousAvatar = user.profile.avatar;
+    user.profile.avatar = `${AVATAR_URL_PREFIX}${file._id}`;
+    await user.save();
+
+    // Clean up the avatar this one replaced, if it was an upload of ours
+    if (previousAvatar && previousAvatar.startsWith(AVATAR_URL_PREFIX) && previousAvatar !== user.profile.avatar) {
+      const previousFile = await File.findOne({
+        _id: previousAvatar.slice(AVATAR_URL_PREFIX.length),
+        purpose: 'avatar',
+        uploadedBy: user._id
+      });
+      if (previousFile) {
+        await fileService.deleteFile(previousFile);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Avatar updated successfully',
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Upload avatar error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'AVATAR_UPLOAD_ERROR',
+        message: 'Failed to upload avatar',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+module.exports = {
+  uploadCourseFiles,
+  getFile,
+  downloadFile,
+  getAvatar,
+  deleteFile,
+  uploadAvatar
+};
\ No newline at end of file
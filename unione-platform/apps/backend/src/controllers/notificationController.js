@@ -0,0 +1,309 @@
+const { validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+// Get the current user's notifications
+const getNotifications = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { page = 1, limit = 20, category, unread } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    const query = { user: req.user._id };
+    if (category) query.category = category;
+    if (unread === 'true') query.readAt = null;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: req.user._id, readAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'NOTIFICATIONS_FETCH_ERROR',
+        message: 'Failed to fetch notifications',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Get the number of unread notifications (for the navbar badge)
+const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+    res.json({
+      success: true,
+      data: {
+        unreadCount
+      }
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'NOTIFICATIONS_FETCH_ERROR',
+        message: 'Failed to fetch unread count',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Mark a notification as read
+const markAsRead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.notificationId, user: req.user._id });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOTIFICATION_NOT_FOUND',
+          message: 'Notification not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: {
+        notification
+      }
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'NOTIFICATION_UPDATE_ERROR',
+        message: 'Failed to update notification',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Mark all of the current user's notifications as read
+const markAllAsRead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const query = { user: req.user._id, readAt: null };
+    if (req.body.category) query.category = req.body.category;
+
+    const result = await Notification.updateMany(query, { $set: { readAt: new Date() } });
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`,
+      data: {
+        updated: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'NOTIFICATION_UPDATE_ERROR',
+        message: 'Failed to update notifications',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Delete a notification
+const deleteNotification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const notification = await Notification.findOneAndDelete({ _id: req.params.notificationId, user: req.user._id });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOTIFICATION_NOT_FOUND',
+          message: 'Notification not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'NOTIFICATION_DELETE_ERROR',
+        message: 'Failed to delete notification',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Get notification preferences
+const getPreferences = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        preferences: req.user.notificationPreferences
+      }
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PREFERENCES_FETCH_ERROR',
+        message: 'Failed to fetch notification preferences',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Update notification preferences (only the channels sent are changed)
+const updatePreferences = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const updates = {};
+    for (const category of Notification.CATEGORIES) {
+      for (const channel of ['inApp', 'email']) {
+        const value = req.body[category] && req.body[category][channel];
+        if (value !== undefined) {
+          updates[`notificationPreferences.${category}.${channel}`] = value;
+        }
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: {
+        preferences: user.notificationPreferences
+      }
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PREFERENCES_UPDATE_ERROR',
+        message: 'Failed to update notification preferences',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences
+};
\ No newline at end of file
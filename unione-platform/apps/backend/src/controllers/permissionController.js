@@ -0,0 +1,187 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const permissionService = require('../services/permissionService');
+const ServiceError = require('../utils/ServiceError');
+
+// Get the permission catalog and each role's current permissions
+const getPermissions = async (req, res) => {
+  try {
+    const matrix = await permissionService.getPermissionMatrix();
+
+    res.json({
+      success: true,
+      data: matrix
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PERMISSIONS_FETCH_ERROR',
+        message: 'Failed to fetch permissions',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Replace the permissions granted to a role (superadmin)
+const updateRolePermissions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const permissions = await permissionService.setRolePermissions(
+      req.params.role,
+      req.body.permissions,
+      req.user
+    );
+
+    res.json({
+      success: true,
+      message: 'Role permissions updated successfully',
+      data: {
+        role: req.params.role,
+        permissions
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Update role permissions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PERMISSIONS_UPDATE_ERROR',
+        message: 'Failed to update role permissions',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Put a role back on the default permissions (superadmin)
+const resetRolePermissions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const permissions = await permissionService.resetRolePermissions(req.params.role);
+
+    res.json({
+      success: true,
+      message: 'Role permissions reset to defaults',
+      data: {
+        role: req.params.role,
+        permissions
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Reset role permissions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PERMISSIONS_UPDATE_ERROR',
+        message: 'Failed to reset role permissions',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Limit an admin to managing one department, or lift the limit with null (superadmin)
+const setDepartmentScope = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (user.role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NOT_AN_ADMIN',
+          message: 'Only admin accounts can be limited to a department',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    user.managedDepartment = req.body.department || null;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: user.managedDepartment
+        ? `Admin limited to the ${user.managedDepartment} department`
+        : 'Admin can manage every department',
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+  } catch (error) {
+    console.error('Set department scope error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SCOPE_UPDATE_ERROR',
+        message: 'Failed to update department scope',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+module.exports = {
+  getPermissions,
+  updateRolePermissions,
+  resetRolePermissions,
+  setDepartmentScope
+};
\ No newline at end of file
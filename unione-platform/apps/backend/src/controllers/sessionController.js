@@ -0,0 +1,245 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const tokenService = require('../services/tokenService');
+const { describeDevice } = require('../utils/userAgent');
+const { hasRoleAtLeast } = require('../utils/roles');
+
+// Shape a session for the API, flagging the one making the request
+const formatSession = (session, currentSessionId = null) => ({
+  _id: session._id,
+  device: describeDevice(session.userAgent),
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  isCurrent: !!currentSessionId && session._id.toString() === currentSessionId
+});
+
+// 403 for an account above the caller in the role hierarchy (e.g. the superadmin)
+const higherRole = (res) => res.status(403).json({
+  success: false,
+  error: {
+    code: 'INSUFFICIENT_PERMISSIONS',
+    message: 'Cannot manage an account with a higher role',
+    timestamp: new Date()
+  }
+});
+
+// Get the current user's active sessions
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await tokenService.getActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => formatSession(session, req.token.sid))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSIONS_FETCH_ERROR',
+        message: 'Failed to fetch sessions',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Sign out one of the current user's sessions
+const revokeSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id,
+      revokedAt: null
+    });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Session not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    await tokenService.revokeSession(session._id, 'user_revoked');
+
+    res.json({
+      success: true,
+      message: 'Session signed out successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSION_REVOKE_ERROR',
+        message: 'Failed to sign out session',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Sign out every session except the one making the request
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await tokenService.revokeUserSessions(req.user._id, 'user_revoked', {
+      except: req.token.sid
+    });
+
+    res.json({
+      success: true,
+      message: `${revoked} other session(s) signed out`,
+      data: {
+        revoked
+      }
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSION_REVOKE_ERROR',
+        message: 'Failed to sign out other sessions',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Get a user's active sessions (admin)
+const getUserSessions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (!hasRoleAtLeast(req.user, user.role)) {
+      return higherRole(res);
+    }
+
+    const sessions = await tokenService.getActiveSessions(user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => formatSession(session))
+      }
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSIONS_FETCH_ERROR',
+        message: 'Failed to fetch sessions',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Sign a user out everywhere (admin)
+const forceLogout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (!hasRoleAtLeast(req.user, user.role)) {
+      return higherRole(res);
+    }
+
+    const revoked = await tokenService.revokeUserSessions(user._id, 'admin_revoked');
+
+    res.json({
+      success: true,
+      message: `User signed out of ${revoked} session(s)`,
+      data: {
+        revoked
+      }
+    });
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSION_REVOKE_ERROR',
+        message: 'Failed to sign user out',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+module.exports = {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getUserSessions,
+  forceLogout
+};
\ No newline at end of file
@@ -0,0 +1,558 @@
+const { validationResult } = require('express-validator');
+const Assignment = require('../models/Assignment');
+const Course = require('../models/Course');
+const Submission = require('../models/Submission');
+const ServiceError = require('../utils/ServiceError');
+const { resolveAttachments } = require('../services/fileService');
+const realtime = require('../services/realtimeService');
+const { notify } = require('../services/notificationService');
+
+// Submit (or resubmit) work for an assignment (Student)
+const submitAssignment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, assignmentId } = req.params;
+    const { content, attachments = [] } = req.body;
+    const now = new Date();
+
+    const assignment = await Assignment.findOne({
+      _id: assignmentId,
+      course: courseId,
+      status: { $in: ['published', 'closed'] }
+    });
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ASSIGNMENT_NOT_FOUND',
+          message: 'Assignment not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (!assignment.acceptsSubmissions(now)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'SUBMISSION_CLOSED',
+          message: assignment.status === 'closed'
+            ? 'This assignment is closed to submissions'
+            : 'The late submission grace period for this assignment has ended',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const existing = await Submission.findOne({ assignment: assignment._id, student: req.user._id });
+
+    if (existing && existing.status === 'graded') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ALREADY_GRADED',
+          message: 'This submission has already been graded and cannot be changed',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const version = {
+      version: existing ? existing.versions.length + 1 : 1,
+      content,
+      attachments: await resolveAttachments(attachments, {
+        courseId: assignment.course,
+        userId: req.user._id,
+        purpose: 'submission'
+      }),
+      submittedAt: now,
+      isLate: now > assignment.dueDate
+    };
+
+    let submission;
+    if (existing) {
+      // Only append if nobody else added a version or graded it since we read it
+      submission = await Submission.findOneAndUpdate(
+        { _id: existing._id, status: 'submitted', versions: { $size: existing.versions.length } },
+        { $push: { versions: version } },
+        { new: true }
+      );
+    } else {
+      submission = await Submission.create({
+        assignment: assignment._id,
+        course: assignment.course,
+        student: req.user._id,
+        versions: [version]
+      });
+    }
+
+    if (!submission) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'SUBMISSION_CONFLICT',
+          message: 'Submission changed while saving. Please try again',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: version.isLate
+        ? `Version ${version.version} submitted late`
+        : `Version ${version.version} submitted successfully`,
+      data: {
+        submission: submission.toStudentJSON(assignment.gradesReleased)
+      }
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Submit assignment error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'SUBMISSION_CONFLICT',
+          message: 'Submission changed while saving. Please try again',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SUBMISSION_ERROR',
+        message: 'Failed to submit assignment',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Get the current student's submission with all versions (Student)
+const getMySubmission = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, assignmentId } = req.params;
+
+    const assignment = await Assignment.findOne({
+      _id: assignmentId,
+      course: courseId,
+      status: { $in: ['published', 'closed'] }
+    });
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ASSIGNMENT_NOT_FOUND',
+          message: 'Assignment not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const submission = await Submission.findOne({ assignment: assignment._id, student: req.user._id });
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SUBMISSION_NOT_FOUND',
+          message: 'You have not submitted this assignment yet',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        submission: submission.toStudentJSON(assignment.gradesReleased)
+      }
+    });
+  } catch (error) {
+    console.error('Get my submission error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SUBMISSION_FETCH_ERROR',
+        message: 'Failed to fetch submission',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// List submissions for an assignment (Instructor/Admin)
+const getSubmissions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, assignmentId } = req.params;
+    const { status } = req.query;
+
+    const [assignment, course] = await Promise.all([
+      Assignment.findOne({ _id: assignmentId, course: courseId }),
+      Course.findById(courseId).select('enrolledStudents')
+    ]);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ASSIGNMENT_NOT_FOUND',
+          message: 'Assignment not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const filter = { assignment: assignment._id };
+    if (status) filter.status = status;
+
+    const submissions = await Submission.find(filter)
+      .populate('student', 'email profile.firstName profile.lastName profile.studentId')
+      .sort({ updatedAt: -1 });
+
+    const allSubmissions = status
+      ? await Submission.find({ assignment: assignment._id }).select('status versions')
+      : submissions;
+
+    res.json({
+      success: true,
+      data: {
+        submissions,
+        summary: {
+          enrolled: course.enrolledStudents.length,
+          submitted: allSubmissions.length,
+          graded: allSubmissions.filter(submission => submission.status === 'graded').length,
+          late: allSubmissions.filter(submission => submission.isLate).length,
+          missing: Math.max(course.enrolledStudents.length - allSubmissions.length, 0)
+        },
+        gradesReleased: assignment.gradesReleased
+      }
+    });
+  } catch (error) {
+    console.error('Get submissions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SUBMISSIONS_FETCH_ERROR',
+        message: 'Failed to fetch submissions',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Get one submission with all versions (Instructor/Admin)
+const getSubmission = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, assignmentId, submissionId } = req.params;
+
+    const submission = await Submission.findOne({ _id: submissionId, assignment: assignmentId, course: courseId })
+      .populate('student', 'email profile.firstName profile.lastName profile.studentId')
+      .populate('grade.gradedBy', 'profile.firstName profile.lastName');
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SUBMISSION_NOT_FOUND',
+          message: 'Submission not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        submission
+      }
+    });
+  } catch (error) {
+    console.error('Get submission error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SUBMISSION_FETCH_ERROR',
+        message: 'Failed to fetch submission',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Grade a submission against the rubric, or with a single score (Instructor/Admin)
+const gradeSubmission = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, assignmentId, submissionId } = req.params;
+    const { score, rubricScores, feedback } = req.body;
+
+    const [assignment, submission] = await Promise.all([
+      Assignment.findOne({ _id: assignmentId, course: courseId }),
+      Submission.findOne({ _id: submissionId, assignment: assignmentId })
+    ]);
+
+    if (!assignment || !submission) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SUBMISSION_NOT_FOUND',
+          message: 'Submission not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    let finalScore = score;
+    let scoredCriteria = [];
+
+    if (assignment.rubric.length > 0) {
+      // Every rubric criterion must be scored exactly once, within its points
+      const scoresByCriterion = new Map((rubricScores || []).map(item => [item.criterion, item]));
+      const invalid = !rubricScores ||
+        scoresByCriterion.size !== rubricScores.length ||
+        rubricScores.length !== assignment.rubric.length ||
+        assignment.rubric.some(item => {
+          const rubricScore = scoresByCriterion.get(item._id.toString());
+          return !rubricScore || rubricScore.points > item.maxPoints;
+        });
+
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_RUBRIC_SCORES',
+            message: 'Score every rubric criterion once, without exceeding its points',
+            timestamp: new Date()
+          }
+        });
+      }
+
+      scoredCriteria = assignment.rubric.map(item => {
+        const rubricScore = scoresByCriterion.get(item._id.toString());
+        return { criterion: item._id, points: rubricScore.points, comment: rubricScore.comment };
+      });
+      finalScore = scoredCriteria.reduce((sum, item) => sum + item.points, 0);
+    } else if (finalScore === undefined || finalScore > assignment.maxPoints) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SCORE',
+          message: `Score must be between 0 and ${assignment.maxPoints}`,
+          timestamp: new Date()
+        }
+      });
+    }
+
+    // Only grade what was read: a resubmission in the meantime means the grader hasn't seen it
+    const graded = await Submission.findOneAndUpdate(
+      { _id: submission._id, status: submission.status, versions: { $size: submission.versions.length } },
+      {
+        $set: {
+          grade: {
+            score: finalScore,
+            rubricScores: scoredCriteria,
+            feedback,
+            version: submission.versions.length,
+            gradedBy: req.user._id,
+            gradedAt: new Date()
+          },
+          status: 'graded'
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!graded) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'SUBMISSION_CONFLICT',
+          message: 'Submission changed while grading. Please review the latest version',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Version ${graded.grade.version} graded successfully`,
+      data: {
+        submission: graded
+      }
+    });
+  } catch (error) {
+    console.error('Grade submission error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GRADING_ERROR',
+        message: 'Failed to grade submission',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Make grades for an assignment visible to students (Instructor/Admin)
+const releaseGrades = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const { courseId, assignmentId } = req.params;
+
+    const assignment = await Assignment.findOne({ _id: assignmentId, course: courseId });
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ASSIGNMENT_NOT_FOUND',
+          message: 'Assignment not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (assignment.gradesReleased) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'GRADES_ALREADY_RELEASED',
+          message: 'Grades for this assignment have already been released',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    await assignment.releaseGrades();
+    const ungraded = await Submission.countDocuments({ assignment: assignment._id, status: 'submitted' });
+
+    const graded = await Submission.find({ assignment: assignment._id, status: 'graded' }).select('student');
+    const gradedStudents = graded.map(submission => submission.student.toString());
+    realtime.emitToUsers(gradedStudents, 'grades:released', {
+      courseId: assignment.course,
+      assignmentId: assignment._id,
+      title: assignment.title
+    });
+    await notify(gradedStudents, {
+      category: 'assignments',
+      type: 'grades:released',
+      title: 'Your grade is available',
+      message: assignment.title,
+      course: assignment.course,
+      data: { assignmentId: assignment._id }
+    });
+
+    res.json({
+      success: true,
+      message: ungraded > 0
+        ? `Grades released. ${ungraded} submission(s) are still ungraded`
+        : 'Grades released successfully',
+      data: {
+        assignment
+      }
+    });
+  } catch (error) {
+    console.error('Release grades error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'GRADE_RELEASE_ERROR',
+        message: 'Failed to release grades',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+module.exports = {
+  submitAssignment,
+  getMySubmission,
+  getSubmissions,
+  getSubmission,
+  gradeSubmission,
+  releaseGrades
+};
\ No newline at end of file
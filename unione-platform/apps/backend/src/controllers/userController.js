@@ -1,7 +1,42 @@
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
 const Course = require('../models/Course');
+const tokenService = require('../services/tokenService');
+const { getPolicy } = require('../utils/passwordPolicy');
 const { userCache, cache } = require('../config/redis');
+const { hasRoleAtLeast, outranks } = require('../utils/roles');
+const { getManagedDepartment } = require('../utils/permissions');
+
+// 403 for a department-scoped admin acting outside their department
+const outsideDepartmentScope = (res, department) => res.status(403).json({
+  success: false,
+  error: {
+    code: 'OUTSIDE_DEPARTMENT_SCOPE',
+    message: `You can only manage users in the ${department} department`,
+    timestamp: new Date()
+  }
+});
+
+// 403 for handing out a role the caller may not assign
+const cannotAssignRole = (res, message) => res.status(403).json({
+  success: false,
+  error: {
+    code: 'INSUFFICIENT_PERMISSIONS',
+    message,
+    timestamp: new Date()
+  }
+});
+
+// Nobody assigns a role above their own; department admins only roles below it
+const checkAssignableRole = (res, actor, role) => {
+  if (!hasRoleAtLeast(actor, role)) {
+    return cannotAssignRole(res, 'Cannot assign a role above your own');
+  }
+  if (getManagedDepartment(actor) && !outranks(actor, role)) {
+    return cannotAssignRole(res, 'Department admins can only assign roles below their own');
+  }
+  return null;
+};
 
 // Get user profile (already handled in authController, but keeping for consistency)
 const getProfile = async (req, res) => {
@@ -166,10 +201,45 @@ const changePassword = async (req, res) => {
       });
     }
 
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'PASSWORD_UNCHANGED',
+          message: 'New password must be different from the current password',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (await user.isPasswordReused(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'PASSWORD_REUSED',
+          message: `New password must not match any of your last ${getPolicy().history} passwords`,
+          timestamp: new Date()
+        }
+      });
+    }
+
     // Update password
     user.password = newPassword;
+    user.mustChangePassword = false;
     await user.save();
 
+    // Sign out every other device; the one making the change stays signed in
+    await tokenService.revokeUserSessions(user._id, 'password_change', { except: req.token && req.token.sid });
+
+    // A password-change token is single use; the user now signs in normally
+    if (req.passwordChangeToken) {
+      await tokenService.denylistAccessToken(req.passwordChangeToken);
+      return res.json({
+        success: true,
+        message: 'Password changed successfully. Please sign in with your new password'
+      });
+    }
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -240,10 +310,14 @@ const getAllUsers = async (req, res) => {
     const { page = 1, limit = 20, role, department, search, cursor } = req.query;
     const limitNum = Math.min(parseInt(limit), 100); // Cap at 100 for performance
 
+    // Department-scoped admins only ever see their own department
+    const managedDepartment = getManagedDepartment(req.user);
+
     // Build filter
     const filter = {};
     if (role) filter.role = role;
-    if (department) filter['profile.department'] = new RegExp(department, 'i');
+    if (managedDepartment) filter['profile.department'] = managedDepartment;
+    else if (department) filter['profile.department'] = new RegExp(department, 'i');
     
     // Use cursor-based pagination for better performance with large datasets
     if (cursor) {
@@ -291,7 +365,8 @@ const getAllUsers = async (req, res) => {
     let pages = null;
     if (!cursor) {
       // Only count when necessary and cache the result
-      const countCacheKey = `users:count:${role || 'all'}:${department || 'all'}:${search || 'none'}`;
+      const departmentKey = managedDepartment ? `scope:${managedDepartment}` : department || 'all';
+      const countCacheKey = `users:count:${role || 'all'}:${departmentKey}:${search || 'none'}`;
       total = await cache.get(countCacheKey);
       
       if (total === null) {
@@ -351,6 +426,14 @@ const createUser = async (req, res) => {
 
     const { email, password, role, profile } = req.body;
 
+    const roleDenied = checkAssignableRole(res, req.user, role);
+    if (roleDenied) return roleDenied;
+
+    const managedDepartment = getManagedDepartment(req.user);
+    if (managedDepartment && profile.department !== managedDepartment) {
+      return outsideDepartmentScope(res, managedDepartment);
+    }
+
     // Check if user already exists
     const existingUser = await User.findByEmail(email);
     if (existingUser) {
@@ -369,7 +452,8 @@ const createUser = async (req, res) => {
       email,
       password,
       role,
-      profile
+      profile,
+      createdBy: req.user._id
     });
 
     await user.save();
@@ -438,6 +522,41 @@ const updateUser = async (req, res) => {
       });
     }
 
+    // Accounts above the caller in the role hierarchy (e.g. the superadmin) are off limits
+    if (!hasRoleAtLeast(req.user, user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Cannot manage an account with a higher role',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    if (role && role !== user.role) {
+      // Role changes come from someone else, so nobody can promote themselves
+      if (userId === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'CANNOT_CHANGE_OWN_ROLE',
+            message: 'Cannot change your own role',
+            timestamp: new Date()
+          }
+        });
+      }
+
+      const roleDenied = checkAssignableRole(res, req.user, role);
+      if (roleDenied) return roleDenied;
+    }
+
+    // Target's department was checked by canManageUser; it may not be moved out of it
+    const managedDepartment = getManagedDepartment(req.user);
+    if (managedDepartment && profile && profile.department !== undefined && profile.department !== managedDepartment) {
+      return outsideDepartmentScope(res, managedDepartment);
+    }
+
     // Update fields
     if (role) user.role = role;
     if (profile) {
@@ -501,6 +620,18 @@ const deleteUser = async (req, res) => {
       });
     }
 
+    // Accounts above the caller in the role hierarchy (e.g. the superadmin) are off limits
+    if (!hasRoleAtLeast(req.user, user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Cannot manage an account with a higher role',
+          timestamp: new Date()
+        }
+      });
+    }
+
     // Prevent admin from deleting themselves
     if (userId === req.user._id.toString()) {
       return res.status(400).json({
@@ -532,6 +663,57 @@ const deleteUser = async (req, res) => {
   }
 };
 
+// Unlock a user locked out by failed logins (Admin only)
+const unlockUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: errors.array(),
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    const wasLocked = user.isLocked;
+    await user.resetLoginAttempts();
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'User unlocked successfully' : 'User was not locked',
+      data: {
+        wasLocked
+      }
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'USER_UNLOCK_ERROR',
+        message: 'Failed to unlock user',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
 module.exports = {
   getProfile,
   updateProfile,
@@ -540,5 +722,6 @@ module.exports = {
   getAllUsers,
   createUser,
   updateUser,
-  deleteUser
+  deleteUser,
+  unlockUser
 };
\ No newline at end of file
@@ -1,5 +1,11 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isAccessTokenRevoked, isPasswordChangeToken, verifyPasswordChangeToken } = require('../services/tokenService');
+const twoFactorService = require('../services/twoFactorService');
+const ServiceError = require('../utils/ServiceError');
+
+// Tokens carry the tokenVersion they were issued with; a password reset bumps it
+const isTokenOutdated = (decoded, user) => (decoded.ver || 0) !== user.tokenVersion;
 
 // JWT Authentication middleware
 const authenticateToken = async (req, res, next) => {
@@ -46,8 +52,20 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    if (isTokenOutdated(decoded, user) || await isAccessTokenRevoked(decoded, { ip: req.ip })) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'TOKEN_REVOKED',
+          message: 'Session has been revoked. Please sign in again',
+          timestamp: new Date()
+        }
+      });
+    }
+
+    // Add user and verified token payload to request object
     req.user = user;
+    req.token = decoded;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -98,7 +116,7 @@ const optionalAuth = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
     const user = await User.findById(decoded.userId).select('-password');
     
-    req.user = user && user.isActive ? user : null;
+    req.user = user && user.isActive && !isTokenOutdated(decoded, user) && !(await isAccessTokenRevoked(decoded)) ? user : null;
     next();
   } catch (error) {
     // If token is invalid, just continue without user
@@ -107,7 +125,119 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// 2FA enrolment authentication: a signed-in user, or a user whose role requires 2FA
+// presenting the setup challenge from login (they have no session yet)
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  const challengeToken = req.body && req.body.challengeToken;
+  if (!challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const { user, challenge } = await twoFactorService.verifyChallenge(challengeToken, 'setup');
+    req.user = user;
+    req.twoFactorChallenge = challenge;
+    next();
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Two-factor setup authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'AUTH_ERROR',
+        message: 'Authentication failed',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Password change authentication: a signed-in user, or a user who must replace an
+// admin-set password presenting the limited-scope token from login (no session yet)
+const authenticatePasswordChange = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token || !isPasswordChangeToken(token)) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const { user, decoded } = await verifyPasswordChangeToken(token);
+    req.user = user;
+    req.passwordChangeToken = decoded;
+    next();
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json(error.toResponse());
+    }
+
+    console.error('Password change authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'AUTH_ERROR',
+        message: 'Authentication failed',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Socket.IO authentication middleware (same JWT as authenticateToken)
+// Clients pass the access token as `auth.token` in the handshake
+const authenticateSocket = async (socket, next) => {
+  const fail = (code, message) => {
+    const error = new Error(message);
+    error.data = { code };
+    next(error);
+  };
+
+  try {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const token = auth.token || (headers.authorization && headers.authorization.split(' ')[1]);
+
+    if (!token) {
+      return fail('NO_TOKEN', 'Access token is required');
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
+    const user = await User.findById(decoded.userId).select('-password');
+
+    if (!user) {
+      return fail('USER_NOT_FOUND', 'User not found');
+    }
+
+    if (!user.isActive) {
+      return fail('USER_INACTIVE', 'User account is inactive');
+    }
+
+    if (isTokenOutdated(decoded, user) || await isAccessTokenRevoked(decoded)) {
+      return fail('TOKEN_REVOKED', 'Session has been revoked');
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return fail('INVALID_TOKEN', 'Invalid access token');
+    }
+
+    if (error.name === 'TokenExpiredError') {
+      return fail('TOKEN_EXPIRED', 'Access token has expired');
+    }
+
+    console.error('Socket authentication error:', error);
+    fail('AUTH_ERROR', 'Authentication failed');
+  }
+};
+
 module.exports = {
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  authenticateTwoFactorSetup,
+  authenticatePasswordChange,
+  authenticateSocket
 };
\ No newline at end of file
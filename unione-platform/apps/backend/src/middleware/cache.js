@@ -65,8 +65,10 @@ const courseCache = cacheMiddleware(
 // Course list cache middleware
 const courseListCache = cacheMiddleware(
   (req) => {
-    const { page = 1, limit = 10, instructor, semester } = req.query;
-    return `courses:list:${page}:${limit}:${instructor || 'all'}:${semester || 'all'}`;
+    const { page = 1, limit = 10, instructor, teaching, semester, year, archived } = req.query;
+    // teaching=true lists depend on the caller
+    const teachingKey = teaching === 'true' ? `teaching-${req.user._id}` : 'all';
+    return `courses:list:${page}:${limit}:${instructor || 'all'}:${teachingKey}:${semester || 'all'}:${year || 'all'}:${archived === 'true' ? 'archived' : 'active'}`;
   },
   900 // 15 minutes
 );
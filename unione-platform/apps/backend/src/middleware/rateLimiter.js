@@ -145,6 +145,7 @@ const roleBasedLimiter = (req, res, next) => {
 
   let limiter;
   switch (req.user.role) {
+    case 'superadmin':
     case 'admin':
       limiter = createRateLimiter(
         15 * 60 * 1000, // 15 minutes
@@ -1,4 +1,9 @@
-// Role-based access control middleware
+const mongoose = require('mongoose');
+const { roleSatisfies, isAdmin, outranks } = require('../utils/roles');
+const { getManagedDepartment, isInManagedDepartment } = require('../utils/permissions');
+const permissionService = require('../services/permissionService');
+
+// Role-based access control middleware (a superadmin passes any admin check)
 const requireRole = (...allowedRoles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -12,7 +17,7 @@ const requireRole = (...allowedRoles) => {
       });
     }
 
-    if (!allowedRoles.includes(req.user.role)) {
+    if (!roleSatisfies(req.user.role, allowedRoles)) {
       return res.status(403).json({
         success: false,
         error: {
@@ -32,97 +37,293 @@ const requireAdmin = requireRole('admin');
 const requireFaculty = requireRole('faculty', 'admin');
 const requireStudent = requireRole('student', 'faculty', 'admin');
 
-// Check if user is faculty or admin
-const isFacultyOrAdmin = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      error: {
-        code: 'AUTHENTICATION_REQUIRED',
-        message: 'Authentication required',
-        timestamp: new Date()
-      }
-    });
-  }
+// Named-permission check; the role's permission list comes from the database
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'AUTHENTICATION_REQUIRED',
+          message: 'Authentication required',
+          timestamp: new Date()
+        }
+      });
+    }
 
-  if (!['faculty', 'admin'].includes(req.user.role)) {
-    return res.status(403).json({
-      success: false,
-      error: {
-        code: 'INSUFFICIENT_PERMISSIONS',
-        message: 'Access denied. Faculty or Admin role required',
-        timestamp: new Date()
+    try {
+      if (!(await permissionService.hasPermission(req.user, ...permissions))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'INSUFFICIENT_PERMISSIONS',
+            message: `Access denied. Required permissions: ${permissions.join(', ')}`,
+            timestamp: new Date()
+          }
+        });
       }
-    });
-  }
 
-  next();
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'ACCESS_CHECK_ERROR',
+          message: 'Error checking permissions',
+          timestamp: new Date()
+        }
+      });
+    }
+  };
 };
 
-// Check if user can access specific course (enrolled student, instructor, or admin)
-const canAccessCourse = async (req, res, next) => {
+// Check that the user in req.params.userId is inside a department-scoped admin's
+// department and below them in the role hierarchy
+const canManageUser = async (req, res, next) => {
   try {
-    const courseId = req.params.courseId || req.body.courseId;
-    
-    if (!courseId) {
+    const department = getManagedDepartment(req.user);
+    if (!department) {
+      return next();
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
       return res.status(400).json({
         success: false,
         error: {
-          code: 'COURSE_ID_REQUIRED',
-          message: 'Course ID is required',
+          code: 'INVALID_USER_ID',
+          message: 'Invalid user ID',
           timestamp: new Date()
         }
       });
     }
 
-    // Admin can access any course
-    if (req.user.role === 'admin') {
-      return next();
-    }
+    const User = require('../models/User');
+    const user = await User.findById(req.params.userId).select('role profile.department');
 
-    // Load course to check instructor
-    const Course = require('../models/Course');
-    const course = await Course.findById(courseId);
-    
-    if (!course) {
+    if (!user) {
       return res.status(404).json({
         success: false,
         error: {
-          code: 'COURSE_NOT_FOUND',
-          message: 'Course not found',
+          code: 'USER_NOT_FOUND',
+          message: 'User not found',
           timestamp: new Date()
         }
       });
     }
 
-    // Faculty can access if they are the instructor
-    if (req.user.role === 'faculty' && course.instructor.toString() === req.user._id.toString()) {
-      return next();
+    if (!isInManagedDepartment(req.user, user)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'OUTSIDE_DEPARTMENT_SCOPE',
+          message: `You can only manage users in the ${department} department`,
+          timestamp: new Date()
+        }
+      });
     }
 
-    // Students can access if they are enrolled
-    if (req.user.role === 'student' && course.enrolledStudents.includes(req.user._id)) {
-      return next();
+    if (!outranks(req.user, user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_PERMISSIONS',
+          message: 'Department admins can only manage roles below their own',
+          timestamp: new Date()
+        }
+      });
     }
 
+    next();
+  } catch (error) {
+    console.error('User access check error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'ACCESS_CHECK_ERROR',
+        message: 'Error checking user access',
+        timestamp: new Date()
+      }
+    });
+  }
+};
+
+// Check if user is faculty or admin
+const isFacultyOrAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'AUTHENTICATION_REQUIRED',
+        message: 'Authentication required',
+        timestamp: new Date()
+      }
+    });
+  }
+
+  if (!roleSatisfies(req.user.role, ['faculty', 'admin'])) {
     return res.status(403).json({
       success: false,
       error: {
-        code: 'COURSE_ACCESS_DENIED',
-        message: 'You do not have access to this course',
+        code: 'INSUFFICIENT_PERMISSIONS',
+        message: 'Access denied. Faculty or Admin role required',
         timestamp: new Date()
       }
     });
-  } catch (error) {
-    console.error('Course access check error:', error);
-    return res.status(500).json({
+  }
+
+  next();
+};
+
+// How the user takes part in the course in req.params.courseId (or req.body.courseId):
+// { role: 'admin' | 'instructor' | 'ta' | 'student' | null, capabilities }.
+// Sends a 400/404 and resolves to null when the course ID is missing, invalid or unknown.
+const resolveCourseAccess = async (req, res) => {
+  const courseId = req.params.courseId || req.body.courseId;
+
+  if (!courseId) {
+    res.status(400).json({
       success: false,
       error: {
-        code: 'ACCESS_CHECK_ERROR',
-        message: 'Error checking course access',
+        code: 'COURSE_ID_REQUIRED',
+        message: 'Course ID is required',
+        timestamp: new Date()
+      }
+    });
+    return null;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(courseId)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_COURSE_ID',
+        message: 'Invalid course ID',
+        timestamp: new Date()
+      }
+    });
+    return null;
+  }
+
+  // Admin can access any course
+  if (isAdmin(req.user)) {
+    return { role: 'admin', capabilities: [] };
+  }
+
+  // Load course to check its staff and roster
+  const Course = require('../models/Course');
+  const course = await Course.findById(courseId)
+    .select('instructor coInstructors teachingAssistants enrolledStudents');
+
+  if (!course) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'COURSE_NOT_FOUND',
+        message: 'Course not found',
         timestamp: new Date()
       }
     });
+    return null;
+  }
+
+  const role = course.getCourseRole(req.user._id);
+  const assistant = role === 'ta' ? course.getTeachingAssistant(req.user._id) : null;
+
+  return { role, capabilities: assistant ? assistant.capabilities : [] };
+};
+
+const courseAccessDenied = (res) => res.status(403).json({
+  success: false,
+  error: {
+    code: 'COURSE_ACCESS_DENIED',
+    message: 'You do not have access to this course',
+    timestamp: new Date()
+  }
+});
+
+const courseAccessError = (res, error) => {
+  console.error('Course access check error:', error);
+  return res.status(500).json({
+    success: false,
+    error: {
+      code: 'ACCESS_CHECK_ERROR',
+      message: 'Error checking course access',
+      timestamp: new Date()
+    }
+  });
+};
+
+// Check if user can access specific course (instructor, TA, enrolled student, or admin)
+const canAccessCourse = async (req, res, next) => {
+  try {
+    const access = await resolveCourseAccess(req, res);
+    if (!access) return;
+
+    if (!access.role) {
+      return courseAccessDenied(res);
+    }
+
+    req.courseAccess = access;
+    next();
+  } catch (error) {
+    return courseAccessError(res, error);
+  }
+};
+
+// Course staff check: instructors and admins need the permission through their role,
+// TAs through the capabilities the course gives them
+const requireCoursePermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const access = await resolveCourseAccess(req, res);
+      if (!access) return;
+
+      let allowed;
+      if (access.role === 'ta') {
+        allowed = await permissionService.hasCoursePermission(req.user, access, permission);
+      } else {
+        allowed = await permissionService.hasPermission(req.user, permission);
+
+        // Right role, wrong course
+        if (allowed && !['admin', 'instructor'].includes(access.role)) {
+          return courseAccessDenied(res);
+        }
+      }
+
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'INSUFFICIENT_PERMISSIONS',
+            message: `Access denied. Required permissions: ${permission}`,
+            timestamp: new Date()
+          }
+        });
+      }
+
+      req.courseAccess = access;
+      next();
+    } catch (error) {
+      return courseAccessError(res, error);
+    }
+  };
+};
+
+// Check that the user is enrolled in the course (TAs and staff are not)
+const requireEnrollment = async (req, res, next) => {
+  try {
+    const access = await resolveCourseAccess(req, res);
+    if (!access) return;
+
+    if (access.role !== 'student') {
+      return courseAccessDenied(res);
+    }
+
+    req.courseAccess = access;
+    next();
+  } catch (error) {
+    return courseAccessError(res, error);
   }
 };
 
@@ -132,5 +333,9 @@ module.exports = {
   requireFaculty,
   requireStudent,
   isFacultyOrAdmin,
-  canAccessCourse
+  requirePermission,
+  canManageUser,
+  canAccessCourse,
+  requireCoursePermission,
+  requireEnrollment
 };
\ No newline at end of file
@@ -0,0 +1,94 @@
+const multer = require('multer');
+
+const MB = 1024 * 1024;
+
+// Documents students and faculty exchange for coursework
+const DOCUMENT_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/zip',
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'image/png',
+  'image/jpeg',
+  'image/gif'
+];
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+const MAX_FILE_SIZE = (parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 10) * MB;
+const MAX_AVATAR_SIZE = 2 * MB;
+
+const uploadError = (res, status, code, message) => res.status(status).json({
+  success: false,
+  error: {
+    code,
+    message,
+    timestamp: new Date()
+  }
+});
+
+// Build a multipart upload middleware that keeps files in memory for hashing
+const createUploader = ({ field, maxCount = 1, maxSize = MAX_FILE_SIZE, allowedTypes = DOCUMENT_TYPES }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxSize,
+      files: maxCount
+    },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes.includes(file.mimetype)) {
+        const error = new Error(`File type ${file.mimetype} is not allowed`);
+        error.code = 'UNSUPPORTED_FILE_TYPE';
+        return cb(error);
+      }
+      cb(null, true);
+    }
+  }).array(field, maxCount);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        if (!req.files || req.files.length === 0) {
+          return uploadError(res, 400, 'NO_FILE', `No file uploaded in field "${field}"`);
+        }
+        return next();
+      }
+
+      if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+        return uploadError(res, 415, 'UNSUPPORTED_FILE_TYPE', error.message);
+      }
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return uploadError(res, 413, 'FILE_TOO_LARGE', `Files cannot exceed ${Math.round(maxSize / MB)} MB`);
+      }
+      if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return uploadError(res, 400, 'TOO_MANY_FILES', `Upload at most ${maxCount} file(s) in field "${field}"`);
+      }
+
+      console.error('Upload error:', error);
+      return uploadError(res, 400, 'UPLOAD_ERROR', 'Failed to process upload');
+    });
+  };
+};
+
+const courseFilesUpload = createUploader({ field: 'files', maxCount: 5 });
+
+const avatarUpload = createUploader({
+  field: 'avatar',
+  maxSize: MAX_AVATAR_SIZE,
+  allowedTypes: IMAGE_TYPES
+});
+
+module.exports = {
+  createUploader,
+  courseFilesUpload,
+  avatarUpload,
+  DOCUMENT_TYPES,
+  IMAGE_TYPES
+};
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const announcementSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  content: {
+    type: String,
+    required: [true, 'Content is required'],
+    trim: true,
+    maxlength: [10000, 'Content cannot exceed 10000 characters']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: {
+    type: Date,
+    default: null
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  commentCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Feed order: pinned first (most recently pinned on top), then newest
+announcementSchema.index({ course: 1, isPinned: -1, pinnedAt: -1, createdAt: -1 });
+
+// Instance method to pin or unpin the announcement
+announcementSchema.methods.setPinned = function(pinned) {
+  this.isPinned = pinned;
+  this.pinnedAt = pinned ? new Date() : null;
+  return this.save();
+};
+
+module.exports = mongoose.model('Announcement', announcementSchema);
\ No newline at end of file
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+// Submissions after the due date are accepted (and flagged late) for this long
+const LATE_GRACE_PERIOD_HOURS = parseInt(process.env.SUBMISSION_GRACE_PERIOD_HOURS ?? '24');
+
+const attachmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Attachment name is required'],
+    trim: true,
+    maxlength: [255, 'Attachment name cannot exceed 255 characters']
+  },
+  url: {
+    type: String,
+    required: [function() { return !this.file; }, 'Attachment URL is required'],
+    trim: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId, // Uploaded through /api/files
+    ref: 'File',
+    default: null
+  },
+  mimeType: {
+    type: String,
+    trim: true
+  },
+  size: {
+    type: Number, // bytes
+    min: 0
+  }
+});
+
+const rubricCriterionSchema = new mongoose.Schema({
+  criterion: {
+    type: String,
+    required: [true, 'Criterion is required'],
+    trim: true,
+    maxlength: [200, 'Criterion cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Criterion description cannot exceed 1000 characters']
+  },
+  maxPoints: {
+    type: Number,
+    required: [true, 'Criterion points are required'],
+    min: [1, 'Criterion points must be at least 1']
+  }
+});
+
+const assignmentSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [10000, 'Description cannot exceed 10000 characters']
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  maxPoints: {
+    type: Number,
+    default: 100,
+    min: [1, 'Max points must be at least 1'],
+    max: [1000, 'Max points cannot exceed 1000']
+  },
+  attachments: [attachmentSchema],
+  rubric: [rubricCriterionSchema],
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'closed'],
+    default: 'draft'
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  gradesReleased: {
+    type: Boolean,
+    default: false
+  },
+  gradesReleasedAt: {
+    type: Date,
+    default: null
+  },
+  reminderSentAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+assignmentSchema.index({ course: 1, status: 1, dueDate: 1 });
+assignmentSchema.index({ status: 1, dueDate: 1 });
+assignmentSchema.index({ status: 1, reminderSentAt: 1, dueDate: 1 });
+
+// Virtual to check if the due date has passed
+assignmentSchema.virtual('isPastDue').get(function() {
+  return this.dueDate < Date.now();
+});
+
+// Virtual for the last moment a (late) submission is accepted
+assignmentSchema.virtual('lateDeadline').get(function() {
+  return new Date(this.dueDate.getTime() + LATE_GRACE_PERIOD_HOURS * 60 * 60 * 1000);
+});
+
+// Virtual for the total points available through the rubric
+assignmentSchema.virtual('rubricPoints').get(function() {
+  return (this.rubric || []).reduce((sum, item) => sum + item.maxPoints, 0);
+});
+
+// Virtual to check if students can see the assignment
+assignmentSchema.virtual('isVisible').get(function() {
+  return this.status !== 'draft';
+});
+
+// Instance method to check if a submission made now would be accepted
+assignmentSchema.methods.acceptsSubmissions = function(at = new Date()) {
+  return this.status === 'published' && at <= this.lateDeadline;
+};
+
+// Instance method to publish a draft
+assignmentSchema.methods.publish = function() {
+  this.status = 'published';
+  this.publishedAt = new Date();
+  return this.save();
+};
+
+// Instance method to stop accepting submissions
+assignmentSchema.methods.close = function() {
+  this.status = 'closed';
+  this.closedAt = new Date();
+  return this.save();
+};
+
+// Instance method to let students see their grades
+assignmentSchema.methods.releaseGrades = function() {
+  this.gradesReleased = true;
+  this.gradesReleasedAt = new Date();
+  return this.save();
+};
+
+// Ensure virtual fields are serialized
+assignmentSchema.set('toJSON', {
+  virtuals: true
+});
+
+module.exports = mongoose.model('Assignment', assignmentSchema);
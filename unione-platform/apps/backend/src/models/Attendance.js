@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+
+// A session is the attendance window a faculty member opens for one class meeting
+const DEFAULT_WINDOW_MINUTES = 60;
+const DEFAULT_LATE_AFTER_MINUTES = 15;
+
+const ATTENDANCE_STATUSES = ['Present', 'Late', 'Absent'];
+
+const locationSchema = new mongoose.Schema({
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  accuracy: {
+    type: Number, // meters, as reported by the device
+    min: 0
+  }
+}, { _id: false });
+
+// Every manual change to a record is kept; entries are never edited or removed
+const historySchema = new mongoose.Schema({
+  previousStatus: {
+    type: String,
+    enum: [...ATTENDANCE_STATUSES, null],
+    default: null,
+    immutable: true
+  },
+  status: {
+    type: String,
+    enum: ATTENDANCE_STATUSES,
+    required: true,
+    immutable: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    immutable: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, { _id: false });
+
+const recordSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ATTENDANCE_STATUSES,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['geofence', 'auto', 'manual'], // auto = marked absent when the session closed
+    default: 'geofence'
+  },
+  checkedInAt: {
+    type: Date,
+    default: null
+  },
+  location: {
+    type: locationSchema,
+    default: undefined
+  },
+  distance: {
+    type: Number, // meters from the session location
+    default: null
+  },
+  history: [historySchema]
+});
+
+const attendanceSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session creator is required']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  location: {
+    type: locationSchema,
+    default: undefined
+  },
+  radius: {
+    type: Number, // meters
+    default: 100,
+    min: [10, 'Radius must be at least 10 meters'],
+    max: [5000, 'Radius cannot exceed 5000 meters']
+  },
+  startTime: {
+    type: Date,
+    default: Date.now
+  },
+  lateAfter: {
+    type: Date
+  },
+  endTime: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  records: [recordSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+attendanceSchema.index({ course: 1, startTime: -1 });
+attendanceSchema.index({ course: 1, status: 1 });
+attendanceSchema.index({ 'records.student': 1 });
+attendanceSchema.index({ status: 1, endTime: 1 });
+
+// Fill in the attendance window from the start time
+attendanceSchema.pre('validate', function(next) {
+  if (!this.endTime) {
+    this.endTime = new Date(this.startTime.getTime() + DEFAULT_WINDOW_MINUTES * 60 * 1000);
+  }
+  if (!this.lateAfter) {
+    this.lateAfter = new Date(this.startTime.getTime() + DEFAULT_LATE_AFTER_MINUTES * 60 * 1000);
+  }
+  if (this.endTime <= this.startTime) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+  if (this.lateAfter > this.endTime) {
+    this.lateAfter = this.endTime;
+  }
+  next();
+});
+
+// Virtual to check if students can still check in
+attendanceSchema.virtual('isOpen').get(function() {
+  return this.status === 'open' && this.endTime > Date.now();
+});
+
+// Virtual for attendance counts
+attendanceSchema.virtual('summary').get(function() {
+  const summary = { Present: 0, Late: 0, Absent: 0 };
+  (this.records || []).forEach(record => {
+    summary[record.status]++;
+  });
+  return summary;
+});
+
+// Static method to find the open session for a course
+attendanceSchema.statics.findOpenSession = function(courseId) {
+  return this.findOne({ course: courseId, status: 'open', endTime: { $gt: new Date() } });
+};
+
+// Static method to close sessions whose window has passed; returns the sessions this call closed
+attendanceSchema.statics.closeExpiredSessions = async function(filter = {}) {
+  const expired = await this.find({ ...filter, status: 'open', endTime: { $lte: new Date() } });
+  const closed = [];
+  for (const session of expired) {
+    const result = await session.close();
+    if (result) closed.push(result);
+  }
+  return closed;
+};
+
+// Instance method to get a student's record
+attendanceSchema.methods.getRecord = function(studentId) {
+  return this.records.find(record => record.student.toString() === studentId.toString());
+};
+
+// Instance method to close the session, marking everyone who didn't check in absent.
+// The close is claimed atomically so concurrent callers can't both add absentees;
+// returns the closed session, or null if it was already closed
+attendanceSchema.methods.close = async function() {
+  const Attendance = this.constructor;
+  const claimed = await Attendance.findOneAndUpdate(
+    { _id: this._id, status: 'open' },
+    { $set: { status: 'closed', closedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  // Check-ins need an open session, so none can land after the claim
+  const Course = mongoose.model('Course');
+  const course = await Course.findById(this.course).select('enrolledStudents');
+  const checkedIn = new Set(claimed.records.map(record => record.student.toString()));
+  const absentees = (course ? course.enrolledStudents : [])
+    .filter(studentId => !checkedIn.has(studentId.toString()));
+
+  if (absentees.length > 0) {
+    // Conditional pushes skip anyone given a record (e.g. an override) in the meantime
+    await Attendance.bulkWrite(absentees.map(studentId => ({
+      updateOne: {
+        filter: { _id: this._id, 'records.student': { $ne: studentId } },
+        update: { $push: { records: { student: studentId, status: 'Absent', method: 'auto' } } }
+      }
+    })));
+  }
+
+  return Attendance.findById(this._id);
+};
+
+// Ensure virtual fields are serialized
+attendanceSchema.set('toJSON', {
+  virtuals: true
+});
+
+module.exports = mongoose.model('Attendance', attendanceSchema);
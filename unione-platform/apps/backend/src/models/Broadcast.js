@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Empty audience fields mean "no restriction"; an empty audience reaches everyone
+const audienceSchema = new mongoose.Schema({
+  roles: [{
+    type: String,
+    enum: ['student', 'faculty', 'admin']
+  }],
+  departments: [{
+    type: String,
+    trim: true
+  }],
+  // Users enrolled in (or teaching) a course in this term
+  semester: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  year: {
+    type: Number,
+    default: null
+  },
+  courses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  }]
+}, {
+  _id: false
+});
+
+const broadcastSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  content: {
+    type: String,
+    required: [true, 'Content is required'],
+    trim: true,
+    maxlength: [10000, 'Content cannot exceed 10000 characters']
+  },
+  priority: {
+    type: String,
+    enum: ['normal', 'important'],
+    default: 'normal'
+  },
+  audience: {
+    type: audienceSchema,
+    default: () => ({})
+  },
+  publishAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Set once the broadcast has been pushed to connected users
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+broadcastSchema.index({ publishAt: -1, expiresAt: 1 });
+broadcastSchema.index({ 'audience.courses': 1 });
+broadcastSchema.index({ deliveredAt: 1, publishAt: 1 });
+
+// Virtual for where the broadcast is in its lifecycle
+broadcastSchema.virtual('status').get(function() {
+  const now = Date.now();
+  if (this.publishAt > now) return 'scheduled';
+  if (this.expiresAt && this.expiresAt <= now) return 'expired';
+  return 'active';
+});
+
+// Static method to build the query for broadcasts visible right now
+broadcastSchema.statics.liveQuery = function(at = new Date()) {
+  return {
+    publishAt: { $lte: at },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: at } }]
+  };
+};
+
+// Ensure virtual fields are serialized
+broadcastSchema.set('toJSON', {
+  virtuals: true
+});
+
+module.exports = mongoose.model('Broadcast', broadcastSchema);
\ No newline at end of file
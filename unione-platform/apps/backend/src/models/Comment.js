@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  announcement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Announcement',
+    required: [true, 'Announcement is required']
+  },
+  // Top-level comment of the thread (null for top-level comments themselves)
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  content: {
+    type: String,
+    required: [true, 'Comment cannot be empty'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot exceed 5000 characters']
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+commentSchema.index({ announcement: 1, thread: 1, createdAt: 1 });
+commentSchema.index({ thread: 1, createdAt: 1 });
+
+// Deleted comments stay in place so replies keep their context
+commentSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    if (ret.isDeleted) {
+      ret.content = null;
+      ret.author = null;
+    }
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Comment', commentSchema);
\ No newline at end of file
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { TA_CAPABILITIES } = require('../utils/permissions');
+
+// Unambiguous characters for join codes (no 0/O, 1/I)
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 7;
 
 const courseSchema = new mongoose.Schema({
   code: {
@@ -17,11 +23,28 @@ const courseSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Lead instructor; only they or an admin can change the co-instructors
   instructor: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'Instructor is required']
   },
+  coInstructors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // TAs act as staff only for their capabilities (see utils/permissions)
+  teachingAssistants: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    capabilities: [{
+      type: String,
+      enum: Object.keys(TA_CAPABILITIES)
+    }]
+  }],
   semester: {
     type: String,
     required: [true, 'Semester is required'],
@@ -37,7 +60,35 @@ const courseSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  capacity: {
+    type: Number,
+    default: null, // null means unlimited
+    min: [1, 'Capacity must be at least 1']
+  },
+  waitlist: [{
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  joinCode: {
+    type: String,
+    unique: true,
+    sparse: true,
+    uppercase: true,
+    trim: true,
+    select: false // Only revealed to instructors and admins
+  },
   settings: {
+    allowSelfEnroll: {
+      type: Boolean,
+      default: true
+    },
     allowDiscussions: {
       type: Boolean,
       default: true
@@ -52,6 +103,14 @@ const courseSchema = new mongoose.Schema({
       min: 0,
       max: 100
     }
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -60,13 +119,83 @@ const courseSchema = new mongoose.Schema({
 // Index for better query performance
 courseSchema.index({ code: 1 });
 courseSchema.index({ instructor: 1 });
+courseSchema.index({ coInstructors: 1 });
+courseSchema.index({ 'teachingAssistants.user': 1 });
 courseSchema.index({ semester: 1, year: 1 });
+courseSchema.index({ isArchived: 1, createdAt: -1 });
 
 // Virtual for enrolled student count
 courseSchema.virtual('enrolledCount').get(function() {
   return this.enrolledStudents.length;
 });
 
+// Virtual to check if the course has reached capacity
+courseSchema.virtual('isFull').get(function() {
+  return this.capacity !== null && this.capacity !== undefined &&
+    this.enrolledStudents.length >= this.capacity;
+});
+
+// Compares IDs whether or not the path has been populated
+const idOf = (value) => (value && value._id) || value;
+const isSameId = (a, b) => !!a && !!b && idOf(a).toString() === idOf(b).toString();
+
+// Static filter for courses a user teaches (lead or co-instructor)
+courseSchema.statics.instructorFilter = function(userId) {
+  return { $or: [{ instructor: userId }, { coInstructors: userId }] };
+};
+
+// Static filter for courses a user teaches or assists
+courseSchema.statics.staffFilter = function(userId) {
+  return {
+    $or: [
+      { instructor: userId },
+      { coInstructors: userId },
+      { 'teachingAssistants.user': userId }
+    ]
+  };
+};
+
+// Check if a user is the lead or a co-instructor
+courseSchema.methods.isInstructor = function(userId) {
+  return isSameId(this.instructor, userId) || this.coInstructors.some(id => isSameId(id, userId));
+};
+
+// Get a user's teaching-assistant entry, if they have one
+courseSchema.methods.getTeachingAssistant = function(userId) {
+  return this.teachingAssistants.find(assistant => isSameId(assistant.user, userId));
+};
+
+// How a user takes part in the course: 'instructor', 'ta', 'student' or null
+courseSchema.methods.getCourseRole = function(userId) {
+  if (this.isInstructor(userId)) return 'instructor';
+  if (this.getTeachingAssistant(userId)) return 'ta';
+  if (this.enrolledStudents.some(id => isSameId(id, userId))) return 'student';
+  return null;
+};
+
+// Static method to generate a random join code
+courseSchema.statics.generateJoinCode = function() {
+  const bytes = crypto.randomBytes(JOIN_CODE_LENGTH);
+  let code = '';
+  for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+    code += JOIN_CODE_ALPHABET[bytes[i] % JOIN_CODE_ALPHABET.length];
+  }
+  return code;
+};
+
+// Static method to find course by join code
+courseSchema.statics.findByJoinCode = function(joinCode) {
+  return this.findOne({ joinCode: joinCode.trim().toUpperCase() }).select('+joinCode');
+};
+
+// Assign a join code to new courses
+courseSchema.pre('save', function(next) {
+  if (this.isNew && !this.joinCode) {
+    this.joinCode = this.constructor.generateJoinCode();
+  }
+  next();
+});
+
 // Ensure virtual fields are serialized
 courseSchema.set('toJSON', {
   virtuals: true
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Metadata for an uploaded file. The bytes live in the storage driver under a
+// content-addressed key, so identical uploads share one stored blob.
+const fileSchema = new mongoose.Schema({
+  originalName: {
+    type: String,
+    required: [true, 'File name is required'],
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: [true, 'MIME type is required']
+  },
+  size: {
+    type: Number, // bytes
+    required: true,
+    min: 0
+  },
+  hash: {
+    type: String, // sha256 of the content
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  driver: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['course', 'submission', 'avatar'],
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+fileSchema.index({ hash: 1 });
+fileSchema.index({ course: 1, purpose: 1 });
+fileSchema.index({ uploadedBy: 1, hash: 1, purpose: 1, course: 1 });
+
+// Hide storage internals from API responses
+fileSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.storageKey;
+    delete ret.driver;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('File', fileSchema);
\ No newline at end of file
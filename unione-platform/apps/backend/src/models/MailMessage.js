@@ -0,0 +1,7 @@
+const mongoose = require('mongoose');
+const { createMailMessageSchema } = require('@unione/shared/server/mailOutbox');
+
+// Outbox entry; the schema is shared with the auth server, whose worker delivers it
+const mailMessageSchema = createMailMessageSchema(mongoose);
+
+module.exports = mongoose.model('MailMessage', mailMessageSchema);
\ No newline at end of file
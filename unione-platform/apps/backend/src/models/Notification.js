@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Notifications older than this are removed by MongoDB's TTL monitor
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 180;
+
+const CATEGORIES = ['assignments', 'attendance', 'announcements'];
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  category: {
+    type: String,
+    enum: CATEGORIES,
+    required: [true, 'Category is required']
+  },
+  // Realtime event that produced the notification, e.g. grades:released
+  type: {
+    type: String,
+    required: [true, 'Type is required'],
+    trim: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Virtual to check if the notification has been read
+notificationSchema.virtual('isRead').get(function() {
+  return !!this.readAt;
+});
+
+// Ensure virtual fields are serialized
+notificationSchema.set('toJSON', {
+  virtuals: true
+});
+
+notificationSchema.statics.CATEGORIES = CATEGORIES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
@@ -0,0 +1,7 @@
+const mongoose = require('mongoose');
+const { createRevokedTokenSchema } = require('@unione/shared/server/sessions');
+
+// Schema is shared with the auth server, which also denylists tokens
+const revokedTokenSchema = createRevokedTokenSchema(mongoose);
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
\ No newline at end of file
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const { PERMISSION_NAMES, EDITABLE_ROLES } = require('../utils/permissions');
+
+// Permissions granted to a role, as edited by the superadmin. Roles without a
+// document fall back to the defaults in utils/permissions.
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: EDITABLE_ROLES,
+    required: [true, 'Role is required'],
+    unique: true
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSION_NAMES
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RolePermission', rolePermissionSchema);
\ No newline at end of file
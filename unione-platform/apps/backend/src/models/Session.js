@@ -0,0 +1,7 @@
+const mongoose = require('mongoose');
+const { createSessionSchema } = require('@unione/shared/server/sessions');
+
+// Schema is shared with the auth server, which also starts and revokes sessions
+const sessionSchema = createSessionSchema(mongoose);
+
+module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Attachment name is required'],
+    trim: true,
+    maxlength: [255, 'Attachment name cannot exceed 255 characters']
+  },
+  url: {
+    type: String,
+    required: [function() { return !this.file; }, 'Attachment URL is required'],
+    trim: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId, // Uploaded through /api/files
+    ref: 'File',
+    default: null
+  },
+  mimeType: {
+    type: String,
+    trim: true
+  },
+  size: {
+    type: Number, // bytes
+    min: 0
+  }
+}, { _id: false });
+
+// Each (re)submission is kept as its own version; earlier versions are never overwritten
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  content: {
+    type: String,
+    trim: true,
+    maxlength: [50000, 'Submission text cannot exceed 50000 characters']
+  },
+  attachments: [attachmentSchema],
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  isLate: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const rubricScoreSchema = new mongoose.Schema({
+  criterion: {
+    type: mongoose.Schema.Types.ObjectId, // Assignment.rubric item
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  }
+}, { _id: false });
+
+const submissionSchema = new mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: [true, 'Assignment is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  versions: [versionSchema],
+  status: {
+    type: String,
+    enum: ['submitted', 'graded'],
+    default: 'submitted'
+  },
+  grade: {
+    score: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    rubricScores: [rubricScoreSchema],
+    feedback: {
+      type: String,
+      trim: true,
+      maxlength: [10000, 'Feedback cannot exceed 10000 characters']
+    },
+    // Version number the grade was given for
+    version: {
+      type: Number,
+      default: null
+    },
+    gradedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    gradedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// One submission (with its versions) per student per assignment
+submissionSchema.index({ assignment: 1, student: 1 }, { unique: true });
+submissionSchema.index({ course: 1, student: 1 });
+
+// Virtual for the most recent version
+submissionSchema.virtual('latest').get(function() {
+  return this.versions.length > 0 ? this.versions[this.versions.length - 1] : null;
+});
+
+// Virtual to check if the latest version was late
+submissionSchema.virtual('isLate').get(function() {
+  return this.latest ? this.latest.isLate : false;
+});
+
+// Instance method to hide grading details until grades are released
+submissionSchema.methods.toStudentJSON = function(gradesReleased) {
+  const json = this.toJSON();
+  if (!gradesReleased) {
+    json.grade = null;
+    json.status = 'submitted';
+  }
+  return json;
+};
+
+// Ensure virtual fields are serialized
+submissionSchema.set('toJSON', {
+  virtuals: true
+});
+
+module.exports = mongoose.model('Submission', submissionSchema);
\ No newline at end of file
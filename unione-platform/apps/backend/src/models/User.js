@@ -1,7 +1,34 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES } = require('../utils/roles');
+const { getPolicy } = require('../utils/passwordPolicy');
+const lockout = require('@unione/shared/server/lockout');
 
+// Same scheme as PasswordService.hashResetToken in the auth server
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Which channels a notification category is delivered on
+const channelPreferences = (defaults) => ({
+  inApp: {
+    type: Boolean,
+    default: defaults.inApp
+  },
+  email: {
+    type: Boolean,
+    default: defaults.email
+  }
+});
+
+// The root auth server reads and writes the same collection (see models/BaseUser.js there)
 const userSchema = new mongoose.Schema({
+  // Set for accounts created through the root auth server
+  username: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
   email: {
     type: String,
     required: [true, 'Email is required'],
@@ -10,17 +37,24 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Strength is checked against utils/passwordPolicy wherever a password is set
   password: {
     type: String,
-    required: [true, 'Password is required'],
-    minlength: [6, 'Password must be at least 6 characters long']
+    required: [true, 'Password is required']
   },
   role: {
     type: String,
-    enum: ['student', 'faculty', 'admin'],
+    enum: ROLES,
     required: [true, 'Role is required'],
     default: 'student'
   },
+  // Admins with a department here can only manage users in that department;
+  // set by the superadmin, ignored for other roles
+  managedDepartment: {
+    type: String,
+    trim: true,
+    default: null
+  },
   profile: {
     firstName: {
       type: String,
@@ -44,7 +78,8 @@ const userSchema = new mongoose.Schema({
     },
     department: {
       type: String,
-      required: [true, 'Department is required'],
+      // Admin accounts created by the superadmin are not tied to a department
+      required: [function() { return ['student', 'faculty'].includes(this.role); }, 'Department is required'],
       trim: true
     },
     avatar: {
@@ -60,9 +95,95 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Admin or superadmin who created the account, if it was not self-registered
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   lastLogin: {
     type: Date,
     default: null
+  },
+  loginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Lockouts since the last successful login; drives the progressive lock time
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  // SHA-256 hash of the emailed reset token; the token itself is never stored
+  passwordResetToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Hashes of the most recent passwords, newest first (PASSWORD_HISTORY entries)
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  // Set on accounts created by an admin: login only grants a password-change token until it is cleared
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  // Embedded in issued tokens; incrementing it revokes every existing session
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // TOTP second factor; the secret is encrypted and recovery codes are SHA-256 hashes
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Secret shown during setup, promoted to `secret` once a code from it is confirmed
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  notificationPreferences: {
+    assignments: channelPreferences({ inApp: true, email: true }),
+    attendance: channelPreferences({ inApp: true, email: false }),
+    announcements: channelPreferences({ inApp: true, email: true })
   }
 }, {
   timestamps: true
@@ -82,6 +203,8 @@ userSchema.index({ role: 1, isActive: 1 });
 userSchema.index({ 'profile.department': 1, role: 1 });
 userSchema.index({ role: 1, createdAt: -1 });
 userSchema.index({ isActive: 1, lastLogin: -1 });
+userSchema.index({ createdBy: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 // Text index for search functionality
 userSchema.index({
@@ -100,6 +223,14 @@ userSchema.index({
   }
 });
 
+// Someone else chose the initial password of an admin-created account
+userSchema.pre('save', function(next) {
+  if (this.isNew && this.createdBy) {
+    this.mustChangePassword = true;
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
@@ -109,29 +240,125 @@ userSchema.pre('save', async function(next) {
     // Hash password with cost of 12
     const hashedPassword = await bcrypt.hash(this.password, 12);
     this.password = hashedPassword;
+    this.passwordChangedAt = new Date();
+    this.$locals.newPasswordHash = hashedPassword;
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Record the new password in the history with an atomic update, so it works
+// whether or not passwordHistory was selected on this document
+userSchema.post('save', async function(doc) {
+  const hash = doc.$locals.newPasswordHash;
+  if (!hash) return;
+  delete doc.$locals.newPasswordHash;
+
+  const { history } = getPolicy();
+  await doc.constructor.updateOne(
+    { _id: doc._id },
+    history > 0
+      ? { $push: { passwordHistory: { $each: [hash], $position: 0, $slice: history } } }
+      : { $set: { passwordHistory: [] } }
+  );
+});
+
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Instance method to get public profile
-userSchema.methods.getPublicProfile = function() {
-  const userObject = this.toObject();
+// Virtual property to check if account is locked
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Instance method to record a failed login; returns the lock expiry if this attempt locked the account
+userSchema.methods.incLoginAttempts = async function() {
+  const { update, lockUntil } = lockout.failedLoginUpdate(this);
+  await this.updateOne(update);
+  return lockUntil;
+};
+
+// Instance method to clear failed logins after a successful one (or an admin unlock)
+userSchema.methods.resetLoginAttempts = async function() {
+  return this.updateOne(lockout.resetLoginUpdate());
+};
+
+// Remove credentials that may have been selected explicitly
+const stripSecrets = (userObject) => {
   delete userObject.password;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordHistory;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
+// Instance method to get public profile
+userSchema.methods.getPublicProfile = function() {
+  return stripSecrets(this.toObject());
+};
+
+// Instance method to issue a password reset token (caller saves the user)
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashResetToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return token;
+};
+
+// Instance method to set a new password and sign out every existing session
+userSchema.methods.setPasswordAndRevokeSessions = function(newPassword) {
+  this.password = newPassword;
+  this.passwordResetToken = null;
+  this.passwordResetExpires = null;
+  this.passwordChangedAt = new Date();
+  this.mustChangePassword = false;
+  this.tokenVersion += 1;
+  this.loginAttempts = 0;
+  this.lockUntil = null;
+  this.lockCount = 0;
+  return this.save();
+};
+
+// Instance method to check a candidate against the current and recent passwords
+userSchema.methods.isPasswordReused = async function(candidatePassword) {
+  const { history } = getPolicy();
+  const stored = await this.constructor.findById(this._id).select('+password +passwordHistory');
+  if (!stored) return false;
+
+  const hashes = new Set([stored.password, ...(stored.passwordHistory || []).slice(0, history)]);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) return true;
+  }
+  return false;
+};
+
 // Static method to find user by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+// Static method to look up the user behind a reset token without using it up
+userSchema.statics.findByResetToken = function(token) {
+  return this.findOne({ passwordResetToken: hashResetToken(token), passwordResetExpires: { $gt: new Date() } });
+};
+
+// Static method to consume a reset token; it matches at most once
+userSchema.statics.consumeResetToken = function(token) {
+  return this.findOneAndUpdate(
+    { passwordResetToken: hashResetToken(token), passwordResetExpires: { $gt: new Date() } },
+    { $set: { passwordResetToken: null, passwordResetExpires: null } },
+    { new: true }
+  );
+};
+
 // Virtual for full name
 userSchema.virtual('profile.fullName').get(function() {
   return `${this.profile.firstName} ${this.profile.lastName}`;
@@ -141,8 +368,7 @@ userSchema.virtual('profile.fullName').get(function() {
 userSchema.set('toJSON', {
   virtuals: true,
   transform: function(doc, ret) {
-    delete ret.password;
-    return ret;
+    return stripSecrets(ret);
   }
 });
 
@@ -0,0 +1,304 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole, requirePermission, canManageUser } = require('../middleware/roleCheck');
+const { EDITABLE_ROLES } = require('../utils/permissions');
+const { invalidateCache } = require('../middleware/cache');
+const {
+  bulkEnroll,
+  reconcileEnrollments
+} = require('../controllers/enrollmentController');
+const {
+  createBroadcast,
+  getBroadcasts,
+  updateBroadcast,
+  deleteBroadcast
+} = require('../controllers/broadcastController');
+const {
+  getUserSessions,
+  forceLogout
+} = require('../controllers/sessionController');
+const {
+  getPermissions,
+  updateRolePermissions,
+  resetRolePermissions,
+  setDepartmentScope
+} = require('../controllers/permissionController');
+
+const router = express.Router();
+
+// Validation rules
+const userIdValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const roleValidation = [
+  param('role')
+    .isIn(EDITABLE_ROLES)
+    .withMessage(`Role must be one of: ${EDITABLE_ROLES.join(', ')}`)
+];
+
+const updateRolePermissionsValidation = [
+  ...roleValidation,
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isString()
+    .withMessage('Permission must be a string')
+];
+
+const departmentScopeValidation = [
+  ...userIdValidation,
+  body('department')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Department must be between 2 and 100 characters')
+];
+
+const bulkEnrollValidation = [
+  body('courseId')
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+  body('studentIds')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('studentIds must be an array of at most 1000 IDs'),
+  body('studentIds.*')
+    .isMongoId()
+    .withMessage('Invalid student ID'),
+  body('emails')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('emails must be an array of at most 1000 addresses'),
+  body('emails.*')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Invalid email address'),
+  body('ignoreCapacity')
+    .optional()
+    .isBoolean()
+    .withMessage('ignoreCapacity must be a boolean'),
+  body()
+    .custom(value => (value.studentIds && value.studentIds.length) || (value.emails && value.emails.length))
+    .withMessage('Provide studentIds or emails')
+];
+
+const reconcileValidation = [
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+];
+
+const broadcastIdValidation = [
+  param('broadcastId')
+    .isMongoId()
+    .withMessage('Invalid broadcast ID')
+];
+
+const audienceValidation = [
+  body('audience')
+    .optional()
+    .isObject()
+    .withMessage('Audience must be an object'),
+  body('audience.roles')
+    .optional()
+    .isArray()
+    .withMessage('Audience roles must be an array'),
+  body('audience.roles.*')
+    .isIn(['student', 'faculty', 'admin'])
+    .withMessage('Audience role must be student, faculty or admin'),
+  body('audience.departments')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Audience departments must be an array of at most 100 items'),
+  body('audience.departments.*')
+    .trim()
+    .notEmpty()
+    .withMessage('Department cannot be empty'),
+  body('audience.semester')
+    .optional({ nullable: true })
+    .trim()
+    .notEmpty()
+    .withMessage('Semester cannot be empty'),
+  body('audience.year')
+    .optional({ nullable: true })
+    .isInt({ min: 2020, max: 2030 })
+    .withMessage('Year must be between 2020 and 2030')
+    .toInt(),
+  body('audience.courses')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Audience courses must be an array of at most 500 IDs'),
+  body('audience.courses.*')
+    .isMongoId()
+    .withMessage('Invalid course ID')
+];
+
+const createBroadcastValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Title must be between 2 and 200 characters'),
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Content must be between 1 and 10000 characters'),
+  body('priority')
+    .optional()
+    .isIn(['normal', 'important'])
+    .withMessage('Priority must be normal or important'),
+  body('publishAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Publish time must be a valid date'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date'),
+  ...audienceValidation
+];
+
+const updateBroadcastValidation = [
+  ...broadcastIdValidation,
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Title must be between 2 and 200 characters'),
+  body('content')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Content must be between 1 and 10000 characters'),
+  body('priority')
+    .optional()
+    .isIn(['normal', 'important'])
+    .withMessage('Priority must be normal or important'),
+  body('publishAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Publish time must be a valid date'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date'),
+  ...audienceValidation
+];
+
+const getBroadcastsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['scheduled', 'active', 'expired'])
+    .withMessage('Status must be scheduled, active or expired')
+];
+
+// Bulk enrollment changes a course that isn't in the URL
+const invalidateBulkEnrollCache = invalidateCache([
+  (req) => `course:${req.body.courseId}`,
+  'courses:list:*'
+]);
+
+// Enrollment management
+
+/**
+ * @route   POST /api/admin/enrollments
+ * @desc    Bulk enroll students into a course
+ * @access  Private (Admin; enrollment:manage)
+ */
+router.post('/enrollments', authenticateToken, requirePermission('enrollment:manage'), bulkEnrollValidation, invalidateBulkEnrollCache, bulkEnroll);
+
+/**
+ * @route   POST /api/admin/enrollments/reconcile
+ * @desc    Repair drift between course rosters and user enrollments
+ * @access  Private (Admin; enrollment:manage)
+ */
+router.post('/enrollments/reconcile', authenticateToken, requirePermission('enrollment:manage'), reconcileValidation, reconcileEnrollments);
+
+// Broadcast announcements
+
+/**
+ * @route   POST /api/admin/announcements
+ * @desc    Broadcast an announcement to a targeted audience (optionally scheduled)
+ * @access  Private (Admin; broadcast:manage)
+ */
+router.post('/announcements', authenticateToken, requirePermission('broadcast:manage'), createBroadcastValidation, createBroadcast);
+
+/**
+ * @route   GET /api/admin/announcements
+ * @desc    List broadcast announcements
+ * @access  Private (Admin; broadcast:manage)
+ */
+router.get('/announcements', authenticateToken, requirePermission('broadcast:manage'), getBroadcastsValidation, getBroadcasts);
+
+/**
+ * @route   PUT /api/admin/announcements/:broadcastId
+ * @desc    Update a broadcast announcement
+ * @access  Private (Admin; broadcast:manage)
+ */
+router.put('/announcements/:broadcastId', authenticateToken, requirePermission('broadcast:manage'), updateBroadcastValidation, updateBroadcast);
+
+/**
+ * @route   DELETE /api/admin/announcements/:broadcastId
+ * @desc    Delete a broadcast announcement
+ * @access  Private (Admin; broadcast:manage)
+ */
+router.delete('/announcements/:broadcastId', authenticateToken, requirePermission('broadcast:manage'), broadcastIdValidation, deleteBroadcast);
+
+/**
+ * @route   GET /api/admin/users/:userId/sessions
+ * @desc    List a user's signed-in devices
+ * @access  Private (Admin; users:sessions)
+ */
+router.get('/users/:userId/sessions', authenticateToken, requirePermission('users:sessions'), userIdValidation, canManageUser, getUserSessions);
+
+/**
+ * @route   POST /api/admin/users/:userId/logout
+ * @desc    Sign a user out of every device
+ * @access  Private (Admin; users:sessions)
+ */
+router.post('/users/:userId/logout', authenticateToken, requirePermission('users:sessions'), userIdValidation, canManageUser, forceLogout);
+
+// Permission routes
+
+/**
+ * @route   GET /api/admin/permissions
+ * @desc    List every permission and what each role is granted
+ * @access  Private (Admin)
+ */
+router.get('/permissions', authenticateToken, requireRole('admin'), getPermissions);
+
+/**
+ * @route   PUT /api/admin/permissions/:role
+ * @desc    Replace the permissions granted to a role
+ * @access  Private (Superadmin)
+ */
+router.put('/permissions/:role', authenticateToken, requireRole('superadmin'), updateRolePermissionsValidation, updateRolePermissions);
+
+/**
+ * @route   DELETE /api/admin/permissions/:role
+ * @desc    Reset a role to the default permissions
+ * @access  Private (Superadmin)
+ */
+router.delete('/permissions/:role', authenticateToken, requireRole('superadmin'), roleValidation, resetRolePermissions);
+
+/**
+ * @route   PUT /api/admin/users/:userId/department-scope
+ * @desc    Limit an admin to managing users in one department (null lifts the limit)
+ * @access  Private (Superadmin)
+ */
+router.put('/users/:userId/department-scope', authenticateToken, requireRole('superadmin'), departmentScopeValidation, setDepartmentScope);
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { canAccessCourse, requireCoursePermission } = require('../middleware/roleCheck');
+const {
+  getAnnouncements,
+  createAnnouncement,
+  updateAnnouncement,
+  pinAnnouncement,
+  unpinAnnouncement,
+  deleteAnnouncement,
+  getComments,
+  addComment,
+  deleteComment
+} = require('../controllers/announcementController');
+const { getFeed } = require('../controllers/broadcastController');
+
+const router = express.Router();
+
+// Validation rules
+const courseIdValidation = [
+  param('courseId')
+    .isMongoId()
+    .withMessage('Invalid course ID')
+];
+
+const announcementIdValidation = [
+  ...courseIdValidation,
+  param('announcementId')
+    .isMongoId()
+    .withMessage('Invalid announcement ID')
+];
+
+const commentIdValidation = [
+  ...announcementIdValidation,
+  param('commentId')
+    .isMongoId()
+    .withMessage('Invalid comment ID')
+];
+
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const createAnnouncementValidation = [
+  ...courseIdValidation,
+  body('title')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Title must be between 2 and 200 characters'),
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Content must be between 1 and 10000 characters'),
+  body('isPinned')
+    .optional()
+    .isBoolean()
+    .withMessage('isPinned must be a boolean')
+    .toBoolean()
+];
+
+const updateAnnouncementValidation = [
+  ...announcementIdValidation,
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Title must be between 2 and 200 characters'),
+  body('content')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Content must be between 1 and 10000 characters')
+];
+
+const commentValidation = [
+  ...announcementIdValidation,
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Comment must be between 1 and 5000 characters'),
+  body('parentId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid parent comment ID')
+];
+
+// Routes
+
+/**
+ * @route   GET /api/announcements/feed
+ * @desc    Get university-wide announcements targeted at the current user
+ * @access  Private
+ */
+router.get('/feed', authenticateToken, paginationValidation, getFeed);
+
+/**
+ * @route   GET /api/announcements/courses/:courseId
+ * @desc    Get course announcements feed (pinned first)
+ * @access  Private (Instructors, TAs, enrolled students, Admin)
+ */
+router.get('/courses/:courseId', authenticateToken, courseIdValidation, paginationValidation, canAccessCourse, getAnnouncements);
+
+/**
+ * @route   POST /api/announcements/courses/:courseId
+ * @desc    Post an announcement to a course
+ * @access  Private (Instructor/TA/Admin; announcement:post)
+ */
+router.post('/courses/:courseId', authenticateToken, createAnnouncementValidation, requireCoursePermission('announcement:post'), createAnnouncement);
+
+/**
+ * @route   PUT /api/announcements/courses/:courseId/:announcementId
+ * @desc    Edit an announcement
+ * @access  Private (Instructor/TA/Admin; announcement:post)
+ */
+router.put('/courses/:courseId/:announcementId', authenticateToken, updateAnnouncementValidation, requireCoursePermission('announcement:post'), updateAnnouncement);
+
+/**
+ * @route   POST /api/announcements/courses/:courseId/:announcementId/pin
+ * @desc    Pin an announcement to the top of the feed
+ * @access  Private (Instructor/TA/Admin; announcement:post)
+ */
+router.post('/courses/:courseId/:announcementId/pin', authenticateToken, announcementIdValidation, requireCoursePermission('announcement:post'), pinAnnouncement);
+
+/**
+ * @route   POST /api/announcements/courses/:courseId/:announcementId/unpin
+ * @desc    Unpin an announcement
+ * @access  Private (Instructor/TA/Admin; announcement:post)
+ */
+router.post('/courses/:courseId/:announcementId/unpin', authenticateToken, announcementIdValidation, requireCoursePermission('announcement:post'), unpinAnnouncement);
+
+/**
+ * @route   DELETE /api/announcements/courses/:courseId/:announcementId
+ * @desc    Delete an announcement and its comments
+ * @access  Private (Instructor/TA/Admin; announcement:post)
+ */
+router.delete('/courses/:courseId/:announcementId', authenticateToken, announcementIdValidation, requireCoursePermission('announcement:post'), deleteAnnouncement);
+
+// Comment routes
+
+/**
+ * @route   GET /api/announcements/courses/:courseId/:announcementId/comments
+ * @desc    Get comment threads for an announcement
+ * @access  Private (Instructors, TAs, enrolled students, Admin)
+ */
+router.get('/courses/:courseId/:announcementId/comments', authenticateToken, announcementIdValidation, paginationValidation, canAccessCourse, getComments);
+
+/**
+ * @route   POST /api/announcements/courses/:courseId/:announcementId/comments
+ * @desc    Comment on an announcement or reply to a comment (requires discussions enabled)
+ * @access  Private (Instructors, TAs, enrolled students, Admin)
+ */
+router.post('/courses/:courseId/:announcementId/comments', authenticateToken, commentValidation, canAccessCourse, addComment);
+
+/**
+ * @route   DELETE /api/announcements/courses/:courseId/:announcementId/comments/:commentId
+ * @desc    Delete a comment
+ * @access  Private (Comment author, Instructor, Admin)
+ */
+router.delete('/courses/:courseId/:announcementId/comments/:commentId', authenticateToken, commentIdValidation, canAccessCourse, deleteComment);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,297 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole, canAccessCourse, requireCoursePermission, requireEnrollment } = require('../middleware/roleCheck');
+const {
+  getAssignments,
+  getAssignment,
+  createAssignment,
+  updateAssignment,
+  publishAssignment,
+  closeAssignment
+} = require('../controllers/assignmentController');
+const {
+  submitAssignment,
+  getMySubmission,
+  getSubmissions,
+  getSubmission,
+  gradeSubmission,
+  releaseGrades
+} = require('../controllers/submissionController');
+
+const router = express.Router();
+
+// Validation rules
+const courseIdValidation = [
+  param('courseId')
+    .isMongoId()
+    .withMessage('Invalid course ID')
+];
+
+const assignmentIdValidation = [
+  ...courseIdValidation,
+  param('assignmentId')
+    .isMongoId()
+    .withMessage('Invalid assignment ID')
+];
+
+const attachmentsValidation = [
+  body('attachments')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Attachments must be an array of at most 20 items'),
+  body('attachments.*')
+    .custom(item => item && (item.file || (item.url && item.name)))
+    .withMessage('Each attachment needs an uploaded file, or a name and URL'),
+  body('attachments.*.name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Attachment name must be between 1 and 255 characters'),
+  body('attachments.*.url')
+    .optional()
+    .trim()
+    .isURL({ require_tld: false })
+    .withMessage('Attachment URL must be a valid URL'),
+  body('attachments.*.file')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid file ID')
+];
+
+const rubricValidation = [
+  body('rubric')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Rubric must be an array of at most 20 criteria'),
+  body('rubric.*.criterion')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Rubric criterion must be between 1 and 200 characters'),
+  body('rubric.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Criterion description cannot exceed 1000 characters'),
+  body('rubric.*.maxPoints')
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Criterion points must be between 1 and 1000')
+    .toInt()
+];
+
+const createAssignmentValidation = [
+  ...courseIdValidation,
+  body('title')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Title must be between 2 and 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 10000 })
+    .withMessage('Description cannot exceed 10000 characters'),
+  body('dueDate')
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  body('maxPoints')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Max points must be between 1 and 1000')
+    .toInt(),
+  body('publish')
+    .optional()
+    .isBoolean()
+    .withMessage('publish must be a boolean')
+    .toBoolean(),
+  ...attachmentsValidation,
+  ...rubricValidation
+];
+
+const updateAssignmentValidation = [
+  ...assignmentIdValidation,
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Title must be between 2 and 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 10000 })
+    .withMessage('Description cannot exceed 10000 characters'),
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  body('maxPoints')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Max points must be between 1 and 1000')
+    .toInt(),
+  ...attachmentsValidation,
+  ...rubricValidation
+];
+
+const submissionIdValidation = [
+  ...assignmentIdValidation,
+  param('submissionId')
+    .isMongoId()
+    .withMessage('Invalid submission ID')
+];
+
+const submitValidation = [
+  ...assignmentIdValidation,
+  body('content')
+    .optional()
+    .trim()
+    .isLength({ max: 50000 })
+    .withMessage('Submission text cannot exceed 50000 characters'),
+  ...attachmentsValidation,
+  body()
+    .custom(value => value.content || (value.attachments && value.attachments.length))
+    .withMessage('Provide submission text or at least one attachment')
+];
+
+const gradeValidation = [
+  ...submissionIdValidation,
+  body('score')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Score must be a non-negative number')
+    .toFloat(),
+  body('rubricScores')
+    .optional()
+    .isArray()
+    .withMessage('rubricScores must be an array'),
+  body('rubricScores.*.criterion')
+    .isMongoId()
+    .withMessage('Invalid rubric criterion ID'),
+  body('rubricScores.*.points')
+    .isFloat({ min: 0 })
+    .withMessage('Rubric points must be a non-negative number')
+    .toFloat(),
+  body('rubricScores.*.comment')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment cannot exceed 2000 characters'),
+  body('feedback')
+    .optional()
+    .trim()
+    .isLength({ max: 10000 })
+    .withMessage('Feedback cannot exceed 10000 characters')
+];
+
+const getSubmissionsQueryValidation = [
+  ...assignmentIdValidation,
+  query('status')
+    .optional()
+    .isIn(['submitted', 'graded'])
+    .withMessage('Status must be submitted or graded')
+];
+
+const getAssignmentsQueryValidation = [
+  ...courseIdValidation,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['draft', 'published', 'closed'])
+    .withMessage('Status must be draft, published or closed')
+];
+
+// Routes
+
+/**
+ * @route   GET /api/assignments/courses/:courseId
+ * @desc    List assignments for a course (students only see published ones)
+ * @access  Private (Instructors, TAs, enrolled students, Admin)
+ */
+router.get('/courses/:courseId', authenticateToken, getAssignmentsQueryValidation, canAccessCourse, getAssignments);
+
+/**
+ * @route   POST /api/assignments/courses/:courseId
+ * @desc    Create an assignment (as a draft unless publish is set)
+ * @access  Private (Instructor/Admin; assignment:manage)
+ */
+router.post('/courses/:courseId', authenticateToken, createAssignmentValidation, requireCoursePermission('assignment:manage'), createAssignment);
+
+/**
+ * @route   GET /api/assignments/courses/:courseId/:assignmentId
+ * @desc    Get assignment details
+ * @access  Private (Instructors, TAs, enrolled students, Admin)
+ */
+router.get('/courses/:courseId/:assignmentId', authenticateToken, assignmentIdValidation, canAccessCourse, getAssignment);
+
+/**
+ * @route   PUT /api/assignments/courses/:courseId/:assignmentId
+ * @desc    Update assignment
+ * @access  Private (Instructor/Admin; assignment:manage)
+ */
+router.put('/courses/:courseId/:assignmentId', authenticateToken, updateAssignmentValidation, requireCoursePermission('assignment:manage'), updateAssignment);
+
+/**
+ * @route   POST /api/assignments/courses/:courseId/:assignmentId/publish
+ * @desc    Publish a draft assignment to students
+ * @access  Private (Instructor/Admin; assignment:manage)
+ */
+router.post('/courses/:courseId/:assignmentId/publish', authenticateToken, assignmentIdValidation, requireCoursePermission('assignment:manage'), publishAssignment);
+
+/**
+ * @route   POST /api/assignments/courses/:courseId/:assignmentId/close
+ * @desc    Close an assignment to further submissions
+ * @access  Private (Instructor/Admin; assignment:manage)
+ */
+router.post('/courses/:courseId/:assignmentId/close', authenticateToken, assignmentIdValidation, requireCoursePermission('assignment:manage'), closeAssignment);
+
+// Submission routes
+
+/**
+ * @route   POST /api/assignments/courses/:courseId/:assignmentId/submissions
+ * @desc    Submit or resubmit work (each submission is a new version)
+ * @access  Private (Enrolled students)
+ */
+router.post('/courses/:courseId/:assignmentId/submissions', authenticateToken, requireRole('student'), submitValidation, requireEnrollment, submitAssignment);
+
+/**
+ * @route   GET /api/assignments/courses/:courseId/:assignmentId/submissions/me
+ * @desc    Get own submission history (grades hidden until released)
+ * @access  Private (Enrolled students)
+ */
+router.get('/courses/:courseId/:assignmentId/submissions/me', authenticateToken, requireRole('student'), assignmentIdValidation, requireEnrollment, getMySubmission);
+
+/**
+ * @route   GET /api/assignments/courses/:courseId/:assignmentId/submissions
+ * @desc    List submissions for an assignment
+ * @access  Private (Instructor/TA/Admin; assignment:grade)
+ */
+router.get('/courses/:courseId/:assignmentId/submissions', authenticateToken, getSubmissionsQueryValidation, requireCoursePermission('assignment:grade'), getSubmissions);
+
+/**
+ * @route   GET /api/assignments/courses/:courseId/:assignmentId/submissions/:submissionId
+ * @desc    Get a submission with all versions
+ * @access  Private (Instructor/TA/Admin; assignment:grade)
+ */
+router.get('/courses/:courseId/:assignmentId/submissions/:submissionId', authenticateToken, submissionIdValidation, requireCoursePermission('assignment:grade'), getSubmission);
+
+/**
+ * @route   PUT /api/assignments/courses/:courseId/:assignmentId/submissions/:submissionId/grade
+ * @desc    Grade a submission with rubric scores and feedback
+ * @access  Private (Instructor/TA/Admin; assignment:grade)
+ */
+router.put('/courses/:courseId/:assignmentId/submissions/:submissionId/grade', authenticateToken, gradeValidation, requireCoursePermission('assignment:grade'), gradeSubmission);
+
+/**
+ * @route   POST /api/assignments/courses/:courseId/:assignmentId/release-grades
+ * @desc    Release grades so students can see them
+ * @access  Private (Instructor/TA/Admin; assignment:grade)
+ */
+router.post('/courses/:courseId/:assignmentId/release-grades', authenticateToken, assignmentIdValidation, requireCoursePermission('assignment:grade'), releaseGrades);
+
+module.exports = router;
@@ -0,0 +1,199 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole, requirePermission, canAccessCourse, requireCoursePermission, requireEnrollment } = require('../middleware/roleCheck');
+const {
+  openSession,
+  closeSession,
+  getSessions,
+  getSession,
+  checkIn,
+  overrideRecord,
+  getOverrideHistory,
+  getAttendanceReport,
+  getAtRiskStudents
+} = require('../controllers/attendanceController');
+
+const router = express.Router();
+
+// Validation rules
+const courseIdValidation = [
+  param('courseId')
+    .isMongoId()
+    .withMessage('Invalid course ID')
+];
+
+const sessionIdValidation = [
+  ...courseIdValidation,
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
+const openSessionValidation = [
+  ...courseIdValidation,
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Title cannot exceed 100 characters'),
+  body('location.latitude')
+    .if(body('location').exists())
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('location.longitude')
+    .if(body('location').exists())
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('radius')
+    .optional()
+    .isInt({ min: 10, max: 5000 })
+    .withMessage('Radius must be between 10 and 5000 meters'),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 5, max: 240 })
+    .withMessage('Duration must be between 5 and 240 minutes'),
+  body('lateAfterMinutes')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Late threshold must be between 0 and 240 minutes')
+];
+
+const checkInValidation = [
+  ...sessionIdValidation,
+  body('latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  body('longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+  body('accuracy')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Accuracy must be a positive number of meters')
+    .toFloat()
+];
+
+const overrideRecordValidation = [
+  ...sessionIdValidation,
+  param('studentId')
+    .isMongoId()
+    .withMessage('Invalid student ID'),
+  body('status')
+    .isIn(['Present', 'Late', 'Absent'])
+    .withMessage('Status must be Present, Late or Absent'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('A reason between 3 and 500 characters is required')
+];
+
+const historyQueryValidation = [
+  ...courseIdValidation,
+  query('studentId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid student ID'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const atRiskQueryValidation = [
+  query('courseId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid course ID'),
+  query('includeWarnings')
+    .optional()
+    .isBoolean()
+    .withMessage('includeWarnings must be a boolean')
+];
+
+const getSessionsQueryValidation = [
+  ...courseIdValidation,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Routes
+
+/**
+ * @route   GET /api/attendance/at-risk
+ * @desc    List students below the attendance threshold in the instructor's courses
+ * @access  Private (Faculty/Admin; attendance:reports)
+ */
+router.get('/at-risk', authenticateToken, requirePermission('attendance:reports'), atRiskQueryValidation, getAtRiskStudents);
+
+/**
+ * @route   GET /api/attendance/courses/:courseId/sessions
+ * @desc    List attendance sessions for a course (only your own records without attendance:take)
+ * @access  Private (Instructors, TAs, enrolled students, Admin)
+ */
+router.get('/courses/:courseId/sessions', authenticateToken, getSessionsQueryValidation, canAccessCourse, getSessions);
+
+/**
+ * @route   POST /api/attendance/courses/:courseId/sessions
+ * @desc    Open an attendance session with a location and radius
+ * @access  Private (Instructor/TA/Admin; attendance:take)
+ */
+router.post('/courses/:courseId/sessions', authenticateToken, openSessionValidation, requireCoursePermission('attendance:take'), openSession);
+
+/**
+ * @route   GET /api/attendance/courses/:courseId/sessions/:sessionId
+ * @desc    Get an attendance session with all records
+ * @access  Private (Instructor/TA/Admin; attendance:take)
+ */
+router.get('/courses/:courseId/sessions/:sessionId', authenticateToken, sessionIdValidation, requireCoursePermission('attendance:take'), getSession);
+
+/**
+ * @route   POST /api/attendance/courses/:courseId/sessions/:sessionId/close
+ * @desc    Close an attendance session and mark remaining students absent
+ * @access  Private (Instructor/TA/Admin; attendance:take)
+ */
+router.post('/courses/:courseId/sessions/:sessionId/close', authenticateToken, sessionIdValidation, requireCoursePermission('attendance:take'), closeSession);
+
+/**
+ * @route   POST /api/attendance/courses/:courseId/sessions/:sessionId/check-in
+ * @desc    Check in to an open session with GPS coordinates
+ * @access  Private (Enrolled students)
+ */
+router.post('/courses/:courseId/sessions/:sessionId/check-in', authenticateToken, requireRole('student'), checkInValidation, requireEnrollment, checkIn);
+
+/**
+ * @route   PUT /api/attendance/courses/:courseId/sessions/:sessionId/records/:studentId
+ * @desc    Manually override a student's attendance with a reason
+ * @access  Private (Instructor/Admin; attendance:override)
+ */
+router.put('/courses/:courseId/sessions/:sessionId/records/:studentId', authenticateToken, overrideRecordValidation, requireCoursePermission('attendance:override'), overrideRecord);
+
+/**
+ * @route   GET /api/attendance/courses/:courseId/history
+ * @desc    Get the history of manual attendance changes
+ * @access  Private (Instructor/Admin; attendance:reports)
+ */
+router.get('/courses/:courseId/history', authenticateToken, historyQueryValidation, requireCoursePermission('attendance:reports'), getOverrideHistory);
+
+/**
+ * @route   GET /api/attendance/courses/:courseId/report
+ * @desc    Get attendance percentages, shortage status and recovery projections (only your own without attendance:reports)
+ * @access  Private (Instructors, TAs, enrolled students, Admin)
+ */
+router.get('/courses/:courseId/report', authenticateToken, courseIdValidation, canAccessCourse, getAttendanceReport);
+
+module.exports = router;
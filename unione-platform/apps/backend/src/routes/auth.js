@@ -1,13 +1,27 @@
 const express = require('express');
-const { body } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { body, param } = require('express-validator');
+const { authenticateToken, authenticateTwoFactorSetup } = require('../middleware/auth');
+const { passwordValidator } = require('../utils/passwordPolicy');
 const {
   register,
   login,
   refreshToken,
   getProfile,
-  logout
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 } = require('../controllers/authController');
+const {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
+} = require('../controllers/sessionController');
 
 const router = express.Router();
 
@@ -18,13 +32,11 @@ const registerValidation = [
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    .custom(passwordValidator),
+  // Admin accounts are only created by the superadmin, never through sign-up
   body('role')
-    .isIn(['student', 'faculty', 'admin'])
-    .withMessage('Role must be student, faculty, or admin'),
+    .isIn(['student', 'faculty'])
+    .withMessage('Role must be student or faculty'),
   body('profile.firstName')
     .trim()
     .isLength({ min: 2, max: 50 })
@@ -65,6 +77,56 @@ const refreshTokenValidation = [
     .withMessage('Refresh token is required')
 ];
 
+const sessionIdValidation = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid reset token'),
+  body('password')
+    .custom(passwordValidator)
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits')
+];
+
+const verifyTwoFactorValidation = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit verification code or a recovery code is required'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code')
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorCodeValidation
+];
+
 // Routes
 /**
  * @route   POST /api/auth/register
@@ -87,6 +149,62 @@ router.post('/login', loginValidation, login);
  */
 router.post('/refresh', refreshTokenValidation, refreshToken);
 
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token (signs out all sessions)
+ * @access  Public
+ */
+router.post('/reset-password', resetPasswordValidation, resetPassword);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Second login step: exchange a challenge token and a TOTP or recovery code for tokens
+ * @access  Public (challenge token)
+ */
+router.post('/2fa/verify', verifyTwoFactorValidation, verifyTwoFactor);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor status for the current user
+ * @access  Private
+ */
+router.get('/2fa', authenticateToken, getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrolment (returns secret and otpauth URI)
+ * @access  Private (Faculty/Admin) or setup challenge token
+ */
+router.post('/2fa/setup', authenticateTwoFactorSetup, setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrolment with a code and receive recovery codes
+ * @access  Private (Faculty/Admin) or setup challenge token
+ */
+router.post('/2fa/enable', authenticateTwoFactorSetup, twoFactorCodeValidation, enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor authentication off (not allowed where it is mandatory)
+ * @access  Private
+ */
+router.post('/2fa/disable', authenticateToken, disableTwoFactorValidation, disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', authenticateToken, twoFactorCodeValidation, regenerateRecoveryCodes);
+
 /**
  * @route   GET /api/auth/profile
  * @desc    Get current user profile
@@ -101,4 +219,25 @@ router.get('/profile', authenticateToken, getProfile);
  */
 router.post('/logout', authenticateToken, logout);
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's signed-in devices
+ * @access  Private
+ */
+router.get('/sessions', authenticateToken, getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out every other device
+ * @access  Private
+ */
+router.delete('/sessions', authenticateToken, revokeOtherSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Sign out one device
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', authenticateToken, sessionIdValidation, revokeSession);
+
 module.exports = router;
\ No newline at end of file
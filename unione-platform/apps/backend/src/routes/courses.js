@@ -0,0 +1,340 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole, requirePermission, canAccessCourse, requireCoursePermission } = require('../middleware/roleCheck');
+const { courseCache, courseListCache, invalidateCourseCache } = require('../middleware/cache');
+const { TA_CAPABILITIES } = require('../utils/permissions');
+const {
+  getCourses,
+  getCourse,
+  createCourse,
+  updateCourse,
+  archiveCourse,
+  restoreCourse,
+  addInstructor,
+  removeInstructor,
+  setTeachingAssistant,
+  removeTeachingAssistant
+} = require('../controllers/courseController');
+const {
+  joinCourse,
+  leaveCourse,
+  getRoster,
+  addStudents,
+  removeStudent,
+  getJoinCode,
+  regenerateJoinCode
+} = require('../controllers/enrollmentController');
+
+const router = express.Router();
+
+// Validation rules
+const courseIdValidation = [
+  param('courseId')
+    .isMongoId()
+    .withMessage('Invalid course ID')
+];
+
+const capacityValidation = [
+  body('capacity')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Capacity must be a positive integer')
+];
+
+const settingsValidation = [
+  body('settings.allowSelfEnroll')
+    .optional()
+    .isBoolean()
+    .withMessage('allowSelfEnroll must be a boolean'),
+  body('settings.allowDiscussions')
+    .optional()
+    .isBoolean()
+    .withMessage('allowDiscussions must be a boolean'),
+  body('settings.geofenceRequired')
+    .optional()
+    .isBoolean()
+    .withMessage('geofenceRequired must be a boolean'),
+  body('settings.attendanceThreshold')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Attendance threshold must be between 0 and 100')
+];
+
+const createCourseValidation = [
+  body('code')
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage('Course code must be between 2 and 20 characters'),
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Course name must be between 2 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+  body('semester')
+    .trim()
+    .notEmpty()
+    .withMessage('Semester is required'),
+  body('year')
+    .isInt({ min: 2020, max: 2030 })
+    .withMessage('Year must be between 2020 and 2030'),
+  body('instructor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid instructor ID'),
+  ...capacityValidation,
+  ...settingsValidation
+];
+
+const updateCourseValidation = [
+  ...courseIdValidation,
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage('Course code must be between 2 and 20 characters'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Course name must be between 2 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+  body('semester')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Semester cannot be empty'),
+  body('year')
+    .optional()
+    .isInt({ min: 2020, max: 2030 })
+    .withMessage('Year must be between 2020 and 2030'),
+  body('instructor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid instructor ID'),
+  ...capacityValidation,
+  ...settingsValidation
+];
+
+const joinCourseValidation = [
+  body('joinCode')
+    .trim()
+    .isLength({ min: 4, max: 20 })
+    .withMessage('A valid join code is required')
+];
+
+const addStudentsValidation = [
+  ...courseIdValidation,
+  body('studentIds')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('studentIds must be an array of at most 500 IDs'),
+  body('studentIds.*')
+    .isMongoId()
+    .withMessage('Invalid student ID'),
+  body('emails')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('emails must be an array of at most 500 addresses'),
+  body('emails.*')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Invalid email address'),
+  body()
+    .custom(value => (value.studentIds && value.studentIds.length) || (value.emails && value.emails.length))
+    .withMessage('Provide studentIds or emails')
+];
+
+const removeStudentValidation = [
+  ...courseIdValidation,
+  param('studentId')
+    .isMongoId()
+    .withMessage('Invalid student ID')
+];
+
+const staffMemberValidation = [
+  ...courseIdValidation,
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const addInstructorValidation = [
+  ...courseIdValidation,
+  body('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const teachingAssistantValidation = [
+  ...staffMemberValidation,
+  body('capabilities')
+    .optional()
+    .isArray()
+    .withMessage('Capabilities must be an array'),
+  body('capabilities.*')
+    .isIn(Object.keys(TA_CAPABILITIES))
+    .withMessage(`Capability must be one of: ${Object.keys(TA_CAPABILITIES).join(', ')}`)
+];
+
+const getCoursesQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('year')
+    .optional()
+    .isInt({ min: 2020, max: 2030 })
+    .withMessage('Year must be between 2020 and 2030'),
+  query('instructor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid instructor ID'),
+  query('teaching')
+    .optional()
+    .isBoolean()
+    .withMessage('teaching must be a boolean'),
+  query('archived')
+    .optional()
+    .isBoolean()
+    .withMessage('archived must be a boolean')
+];
+
+// Routes
+
+/**
+ * @route   GET /api/courses
+ * @desc    List courses (filter by semester, year, instructor; teaching=true for the caller's courses as instructor or TA)
+ * @access  Private
+ */
+router.get('/', authenticateToken, getCoursesQueryValidation, courseListCache, getCourses);
+
+/**
+ * @route   POST /api/courses
+ * @desc    Create a new course
+ * @access  Private (Faculty/Admin; course:create)
+ */
+router.post('/', authenticateToken, requirePermission('course:create'), createCourseValidation, invalidateCourseCache, createCourse);
+
+/**
+ * @route   POST /api/courses/join
+ * @desc    Self-enroll in a course with its join code
+ * @access  Private (Student)
+ */
+router.post('/join', authenticateToken, requireRole('student'), joinCourseValidation, invalidateCourseCache, joinCourse);
+
+/**
+ * @route   GET /api/courses/:courseId
+ * @desc    Get course details (rosters come from /:courseId/students)
+ * @access  Private (Instructors, TAs, enrolled students, Admin)
+ */
+router.get('/:courseId', authenticateToken, courseIdValidation, canAccessCourse, courseCache, getCourse);
+
+/**
+ * @route   PUT /api/courses/:courseId
+ * @desc    Update course
+ * @access  Private (Instructor/Admin; course:update)
+ */
+router.put('/:courseId', authenticateToken, updateCourseValidation, requireCoursePermission('course:update'), invalidateCourseCache, updateCourse);
+
+/**
+ * @route   DELETE /api/courses/:courseId
+ * @desc    Archive course
+ * @access  Private (Instructor/Admin; course:archive)
+ */
+router.delete('/:courseId', authenticateToken, courseIdValidation, requireCoursePermission('course:archive'), invalidateCourseCache, archiveCourse);
+
+/**
+ * @route   POST /api/courses/:courseId/restore
+ * @desc    Restore an archived course
+ * @access  Private (Admin; course:restore)
+ */
+router.post('/:courseId/restore', authenticateToken, requirePermission('course:restore'), courseIdValidation, invalidateCourseCache, restoreCourse);
+
+// Enrollment routes
+
+/**
+ * @route   DELETE /api/courses/:courseId/enrollment
+ * @desc    Leave a course or its waitlist
+ * @access  Private (Student)
+ */
+router.delete('/:courseId/enrollment', authenticateToken, requireRole('student'), courseIdValidation, invalidateCourseCache, leaveCourse);
+
+/**
+ * @route   GET /api/courses/:courseId/students
+ * @desc    Get course roster and waitlist
+ * @access  Private (Instructor/Admin; course:roster)
+ */
+router.get('/:courseId/students', authenticateToken, courseIdValidation, requireCoursePermission('course:roster'), getRoster);
+
+/**
+ * @route   POST /api/courses/:courseId/students
+ * @desc    Add students to a course by ID or email
+ * @access  Private (Instructor/Admin; course:roster)
+ */
+router.post('/:courseId/students', authenticateToken, addStudentsValidation, requireCoursePermission('course:roster'), invalidateCourseCache, addStudents);
+
+/**
+ * @route   DELETE /api/courses/:courseId/students/:studentId
+ * @desc    Remove a student from a course or its waitlist
+ * @access  Private (Instructor/Admin; course:roster)
+ */
+router.delete('/:courseId/students/:studentId', authenticateToken, removeStudentValidation, requireCoursePermission('course:roster'), invalidateCourseCache, removeStudent);
+
+/**
+ * @route   GET /api/courses/:courseId/join-code
+ * @desc    Get the course join code
+ * @access  Private (Instructor/Admin; course:update)
+ */
+router.get('/:courseId/join-code', authenticateToken, courseIdValidation, requireCoursePermission('course:update'), getJoinCode);
+
+/**
+ * @route   POST /api/courses/:courseId/join-code
+ * @desc    Regenerate the course join code
+ * @access  Private (Instructor/Admin; course:update)
+ */
+router.post('/:courseId/join-code', authenticateToken, courseIdValidation, requireCoursePermission('course:update'), regenerateJoinCode);
+
+// Staff routes
+
+/**
+ * @route   POST /api/courses/:courseId/instructors
+ * @desc    Add a co-instructor
+ * @access  Private (Lead instructor/Admin; course:staff)
+ */
+router.post('/:courseId/instructors', authenticateToken, addInstructorValidation, requireCoursePermission('course:staff'), invalidateCourseCache, addInstructor);
+
+/**
+ * @route   DELETE /api/courses/:courseId/instructors/:userId
+ * @desc    Remove a co-instructor
+ * @access  Private (Lead instructor/Admin; course:staff)
+ */
+router.delete('/:courseId/instructors/:userId', authenticateToken, staffMemberValidation, requireCoursePermission('course:staff'), invalidateCourseCache, removeInstructor);
+
+/**
+ * @route   PUT /api/courses/:courseId/assistants/:userId
+ * @desc    Add a teaching assistant or change their capabilities (grade, attendance, announcements)
+ * @access  Private (Instructor/Admin; course:staff)
+ */
+router.put('/:courseId/assistants/:userId', authenticateToken, teachingAssistantValidation, requireCoursePermission('course:staff'), invalidateCourseCache, setTeachingAssistant);
+
+/**
+ * @route   DELETE /api/courses/:courseId/assistants/:userId
+ * @desc    Remove a teaching assistant
+ * @access  Private (Instructor/Admin; course:staff)
+ */
+router.delete('/:courseId/assistants/:userId', authenticateToken, staffMemberValidation, requireCoursePermission('course:staff'), invalidateCourseCache, removeTeachingAssistant);
+
+module.exports = router;
\ No newline at end of file
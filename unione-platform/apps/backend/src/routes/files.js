@@ -0,0 +1,74 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { canAccessCourse } = require('../middleware/roleCheck');
+const { uploadLimiter, userUploadLimiter } = require('../middleware/rateLimiter');
+const { courseFilesUpload } = require('../middleware/upload');
+const {
+  uploadCourseFiles,
+  getFile,
+  downloadFile,
+  getAvatar,
+  deleteFile
+} = require('../controllers/fileController');
+
+const router = express.Router();
+
+// Validation rules
+const courseIdValidation = [
+  param('courseId')
+    .isMongoId()
+    .withMessage('Invalid course ID')
+];
+
+const fileIdValidation = [
+  param('fileId')
+    .isMongoId()
+    .withMessage('Invalid file ID')
+];
+
+const downloadValidation = [
+  ...fileIdValidation,
+  query('token')
+    .notEmpty()
+    .withMessage('Download token is required')
+];
+
+// Routes
+
+/**
+ * @route   POST /api/files/courses/:courseId
+ * @desc    Upload up to 5 files (multipart field "files") to a course
+ * @access  Private (Instructors, TAs, enrolled students, Admin)
+ */
+router.post('/courses/:courseId', authenticateToken, uploadLimiter, userUploadLimiter, courseIdValidation, canAccessCourse, courseFilesUpload, uploadCourseFiles);
+
+/**
+ * @route   GET /api/files/avatars/:fileId
+ * @desc    Get a profile picture
+ * @access  Public
+ */
+router.get('/avatars/:fileId', fileIdValidation, getAvatar);
+
+/**
+ * @route   GET /api/files/:fileId
+ * @desc    Get file details and a short-lived download URL
+ * @access  Private (users with access to the file's course)
+ */
+router.get('/:fileId', authenticateToken, fileIdValidation, getFile);
+
+/**
+ * @route   GET /api/files/:fileId/download
+ * @desc    Download file content using a signed URL
+ * @access  Signed URL
+ */
+router.get('/:fileId/download', downloadValidation, downloadFile);
+
+/**
+ * @route   DELETE /api/files/:fileId
+ * @desc    Delete an unused file
+ * @access  Private (Uploader/Admin)
+ */
+router.delete('/:fileId', authenticateToken, fileIdValidation, deleteFile);
+
+module.exports = router;
\ No newline at end of file
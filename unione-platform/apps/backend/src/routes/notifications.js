@@ -0,0 +1,116 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const Notification = require('../models/Notification');
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences
+} = require('../controllers/notificationController');
+
+const router = express.Router();
+
+// Validation rules
+const notificationIdValidation = [
+  param('notificationId')
+    .isMongoId()
+    .withMessage('Invalid notification ID')
+];
+
+const listValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('category')
+    .optional()
+    .isIn(Notification.CATEGORIES)
+    .withMessage('Invalid notification category'),
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('unread must be a boolean')
+];
+
+const markAllValidation = [
+  body('category')
+    .optional()
+    .isIn(Notification.CATEGORIES)
+    .withMessage('Invalid notification category')
+];
+
+const preferencesValidation = Notification.CATEGORIES.flatMap(category => [
+  body(category)
+    .optional()
+    .isObject()
+    .withMessage(`${category} preferences must be an object`),
+  body(`${category}.inApp`)
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage(`${category}.inApp must be a boolean`),
+  body(`${category}.email`)
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage(`${category}.email must be a boolean`)
+]);
+
+// Routes
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the current user's notifications (newest first)
+ * @access  Private
+ */
+router.get('/', authenticateToken, listValidation, getNotifications);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the number of unread notifications
+ * @access  Private
+ */
+router.get('/unread-count', authenticateToken, getUnreadCount);
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all notifications as read (optionally within a category)
+ * @access  Private
+ */
+router.put('/read-all', authenticateToken, markAllValidation, markAllAsRead);
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get per-category channel preferences
+ * @access  Private
+ */
+router.get('/preferences', authenticateToken, getPreferences);
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Update per-category channel preferences
+ * @access  Private
+ */
+router.put('/preferences', authenticateToken, preferencesValidation, updatePreferences);
+
+/**
+ * @route   PUT /api/notifications/:notificationId/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.put('/:notificationId/read', authenticateToken, notificationIdValidation, markAsRead);
+
+/**
+ * @route   DELETE /api/notifications/:notificationId
+ * @desc    Delete a notification
+ * @access  Private
+ */
+router.delete('/:notificationId', authenticateToken, notificationIdValidation, deleteNotification);
+
+module.exports = router;
\ No newline at end of file
@@ -1,7 +1,10 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
-const { requireAdmin } = require('../middleware/roleCheck');
+const { authenticateToken, authenticatePasswordChange } = require('../middleware/auth');
+const { requirePermission, canManageUser } = require('../middleware/roleCheck');
+const { uploadLimiter, userUploadLimiter } = require('../middleware/rateLimiter');
+const { avatarUpload } = require('../middleware/upload');
+const { passwordValidator } = require('../utils/passwordPolicy');
 const {
   getProfile,
   updateProfile,
@@ -10,8 +13,10 @@ const {
   getAllUsers,
   createUser,
   updateUser,
-  deleteUser
+  deleteUser,
+  unlockUser
 } = require('../controllers/userController');
+const { uploadAvatar } = require('../controllers/fileController');
 
 const router = express.Router();
 
@@ -53,10 +58,7 @@ const changePasswordValidation = [
     .notEmpty()
     .withMessage('Current password is required'),
   body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number')
+    .custom(passwordValidator)
 ];
 
 const createUserValidation = [
@@ -65,10 +67,7 @@ const createUserValidation = [
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    .custom(passwordValidator),
   body('role')
     .isIn(['student', 'faculty', 'admin'])
     .withMessage('Role must be student, faculty, or admin'),
@@ -146,12 +145,19 @@ router.get('/profile', authenticateToken, getProfile);
  */
 router.put('/profile', authenticateToken, updateProfileValidation, updateProfile);
 
+/**
+ * @route   POST /api/users/profile/avatar
+ * @desc    Upload a profile picture (multipart field "avatar", max 2 MB)
+ * @access  Private
+ */
+router.post('/profile/avatar', authenticateToken, uploadLimiter, userUploadLimiter, avatarUpload, uploadAvatar);
+
 /**
  * @route   PUT /api/users/change-password
- * @desc    Change user password
+ * @desc    Change user password (also accepts the password-change token from login)
  * @access  Private
  */
-router.put('/change-password', authenticateToken, changePasswordValidation, changePassword);
+router.put('/change-password', authenticatePasswordChange, changePasswordValidation, changePassword);
 
 /**
  * @route   GET /api/users/courses
@@ -165,29 +171,36 @@ router.get('/courses', authenticateToken, getEnrolledCourses);
 /**
  * @route   GET /api/users
  * @desc    Get all users (Admin only)
- * @access  Private (Admin)
+ * @access  Private (Admin; users:read)
  */
-router.get('/', authenticateToken, requireAdmin, getUsersQueryValidation, getAllUsers);
+router.get('/', authenticateToken, requirePermission('users:read'), getUsersQueryValidation, getAllUsers);
 
 /**
  * @route   POST /api/users
  * @desc    Create new user (Admin only)
- * @access  Private (Admin)
+ * @access  Private (Admin; users:create)
  */
-router.post('/', authenticateToken, requireAdmin, createUserValidation, createUser);
+router.post('/', authenticateToken, requirePermission('users:create'), createUserValidation, createUser);
 
 /**
  * @route   PUT /api/users/:userId
  * @desc    Update user (Admin only)
- * @access  Private (Admin)
+ * @access  Private (Admin; users:update)
  */
-router.put('/:userId', authenticateToken, requireAdmin, updateUserValidation, updateUser);
+router.put('/:userId', authenticateToken, requirePermission('users:update'), updateUserValidation, canManageUser, updateUser);
 
 /**
  * @route   DELETE /api/users/:userId
  * @desc    Delete user (Admin only)
- * @access  Private (Admin)
+ * @access  Private (Admin; users:delete)
+ */
+router.delete('/:userId', authenticateToken, requirePermission('users:delete'), param('userId').isMongoId().withMessage('Invalid user ID'), canManageUser, deleteUser);
+
+/**
+ * @route   POST /api/users/:userId/unlock
+ * @desc    Clear a login lockout (Admin only)
+ * @access  Private (Admin; users:unlock)
  */
-router.delete('/:userId', authenticateToken, requireAdmin, param('userId').isMongoId().withMessage('Invalid user ID'), deleteUser);
+router.post('/:userId/unlock', authenticateToken, requirePermission('users:unlock'), param('userId').isMongoId().withMessage('Invalid user ID'), canManageUser, unlockUser);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const ServiceError = require('../utils/ServiceError');
+const { notify } = require('./notificationService');
+
+/**
+ * Attendance Service
+ * Percentages are computed from closed sessions only, counting Late as
+ * attended. A student is only charged for sessions they have a record in,
+ * so students who enrolled mid-semester aren't penalised for earlier classes.
+ */
+
+const STUDENT_FIELDS = 'email profile.firstName profile.lastName profile.studentId';
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// Standing counter each record status adds to
+const COUNT_KEYS = { Present: 'present', Late: 'late', Absent: 'absent' };
+
+/**
+ * Number of consecutive classes a student must attend to get back to the threshold
+ * @param {number} attended - Sessions attended so far
+ * @param {number} total - Sessions counted so far
+ * @param {number} threshold - Required percentage (0-100)
+ * @returns {number|null} - 0 when already at the threshold, null when unreachable
+ */
+const classesToRecover = (attended, total, threshold) => {
+  if (total === 0 || attended * 100 >= threshold * total) {
+    return 0;
+  }
+  if (threshold >= 100) {
+    return null;
+  }
+  // Smallest x where (attended + x) / (total + x) >= threshold / 100
+  return Math.ceil((threshold * total - 100 * attended) / (100 - threshold));
+};
+
+/**
+ * Build a student's standing against the course threshold
+ * @param {Object} counts - { present, late, absent }
+ * @param {number} threshold - Required percentage (0-100)
+ * @returns {Object} - Counts, percentage, status and recovery projection
+ */
+const buildStanding = ({ present = 0, late = 0, absent = 0 }, threshold) => {
+  const attended = present + late;
+  const total = attended + absent;
+  const percentage = total > 0 ? Math.round((attended / total) * 10000) / 100 : 100;
+
+  // 'warning' means one more absence would drop the student below the threshold
+  let status = 'good';
+  if (percentage < threshold) {
+    status = 'shortage';
+  } else if (total > 0 && attended * 100 < threshold * (total + 1)) {
+    status = 'warning';
+  }
+
+  return {
+    present,
+    late,
+    absent,
+    attended,
+    total,
+    percentage,
+    threshold,
+    status,
+    classesToRecover: classesToRecover(attended, total, threshold)
+  };
+};
+
+const aggregateCounts = (courseIds, studentId) => {
+  const recordFilter = studentId
+    ? [{ $match: { 'records.student': toObjectId(studentId) } }]
+    : [];
+
+  return Attendance.aggregate([
+    { $match: { course: { $in: courseIds.map(toObjectId) }, status: 'closed' } },
+    { $unwind: '$records' },
+    ...recordFilter,
+    {
+      $group: {
+        _id: { course: '$course', student: '$records.student' },
+        present: { $sum: { $cond: [{ $eq: ['$records.status', 'Present'] }, 1, 0] } },
+        late: { $sum: { $cond: [{ $eq: ['$records.status', 'Late'] }, 1, 0] } },
+        absent: { $sum: { $cond: [{ $eq: ['$records.status', 'Absent'] }, 1, 0] } }
+      }
+    }
+  ]);
+};
+
+const buildCourseReports = async (courses, studentId) => {
+  const counts = await aggregateCounts(courses.map(course => course._id), studentId);
+
+  const countsByKey = new Map();
+  counts.forEach(({ _id, ...studentCounts }) => {
+    countsByKey.set(`${_id.course}:${_id.student}`, studentCounts);
+  });
+
+  return courses.map(course => {
+    const threshold = course.settings.attendanceThreshold;
+    const studentIds = studentId ? [studentId] : course.enrolledStudents;
+
+    return {
+      course: { _id: course._id, code: course.code, name: course.name },
+      threshold,
+      students: studentIds.map(id => ({
+        student: id,
+        ...buildStanding(countsByKey.get(`${course._id}:${id}`) || {}, threshold)
+      }))
+    };
+  });
+};
+
+/**
+ * Attendance standing of every enrolled student in a course
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object>} - { course, threshold, students }
+ */
+const getCourseReport = async (courseId) => {
+  const course = await Course.findById(courseId).select('code name settings enrolledStudents');
+
+  if (!course) {
+    throw new ServiceError('COURSE_NOT_FOUND', 'Course not found', 404);
+  }
+
+  const [report] = await buildCourseReports([course]);
+  await User.populate(report.students, { path: 'student', model: 'User', select: STUDENT_FIELDS });
+  return report;
+};
+
+/**
+ * Attendance standing of one student in a course
+ * @param {string} courseId - Course ID
+ * @param {string} studentId - Student user ID
+ * @returns {Promise<Object>} - Standing against the course threshold
+ */
+const getStudentStanding = async (courseId, studentId) => {
+  const course = await Course.findById(courseId).select('code name settings enrolledStudents');
+
+  if (!course) {
+    throw new ServiceError('COURSE_NOT_FOUND', 'Course not found', 404);
+  }
+
+  const [report] = await buildCourseReports([course], studentId);
+  return { course: report.course, ...report.students[0] };
+};
+
+/**
+ * Students below (or one absence away from) the attendance threshold
+ * @param {Object} filter - Course filter, e.g. { instructor }
+ * @param {Object} options - { includeWarnings }
+ * @returns {Promise<Array>} - Per-course lists of at-risk students, worst first
+ */
+const getAtRiskStudents = async (filter, { includeWarnings = true } = {}) => {
+  const courses = await Course.find({ ...filter, isArchived: false })
+    .select('code name settings enrolledStudents')
+    .sort({ code: 1 });
+
+  const reports = await buildCourseReports(courses);
+  const riskStatuses = includeWarnings ? ['shortage', 'warning'] : ['shortage'];
+
+  const atRisk = reports
+    .map(({ course, threshold, students }) => ({
+      course,
+      threshold,
+      students: students
+        .filter(standing => riskStatuses.includes(standing.status))
+        .sort((a, b) => a.percentage - b.percentage)
+    }))
+    .filter(report => report.students.length > 0);
+
+  await User.populate(atRisk.flatMap(report => report.students), { path: 'student', model: 'User', select: STUDENT_FIELDS });
+  return atRisk;
+};
+
+const studentName = (student) => [student.profile.firstName, student.profile.lastName].filter(Boolean).join(' ');
+
+/**
+ * Notify students an attendance change moved into shortage, and the course's
+ * instructors. Call after closing sessions or overriding a record in a closed
+ * one. Failures are logged rather than thrown, like notify's.
+ * @param {string} courseId - Course ID
+ * @param {Array} changes - [{ student, previous, current }]: record status
+ *   before (null if it didn't count yet) and after the change
+ * @returns {Promise<Array>} - Standings of the students now in shortage
+ */
+const alertNewShortages = async (courseId, changes) => {
+  if (changes.length === 0) return [];
+
+  try {
+    const course = await Course.findById(courseId).select('code name settings enrolledStudents instructor coInstructors');
+    if (!course) return [];
+
+    const [report] = await buildCourseReports([course]);
+    const standings = new Map(report.students.map(standing => [standing.student.toString(), standing]));
+
+    // Undo each student's changes to find where they stood before
+    const previousCounts = new Map();
+    for (const { student, previous, current } of changes) {
+      const standing = standings.get(student.toString());
+      if (!standing || standing.status !== 'shortage') continue;
+
+      if (!previousCounts.has(standing)) {
+        const { present, late, absent } = standing;
+        previousCounts.set(standing, { present, late, absent });
+      }
+      const counts = previousCounts.get(standing);
+      counts[COUNT_KEYS[current]]--;
+      if (previous) counts[COUNT_KEYS[previous]]++;
+    }
+
+    const newShortages = [...previousCounts]
+      .filter(([, counts]) => buildStanding(counts, report.threshold).status !== 'shortage')
+      .map(([standing]) => standing);
+    if (newShortages.length === 0) return [];
+
+    const threshold = report.threshold;
+    for (const standing of newShortages) {
+      await notify([standing.student], {
+        category: 'attendance',
+        type: 'attendance:shortage',
+        title: `Your attendance in ${course.code} is below ${threshold}%`,
+        message: standing.classesToRecover === null
+          ? `Your attendance is ${standing.percentage}%.`
+          : `Your attendance is ${standing.percentage}%. Attend the next ${standing.classesToRecover} classes to get back to ${threshold}%.`,
+        course: course._id,
+        data: { percentage: standing.percentage, threshold, classesToRecover: standing.classesToRecover }
+      });
+    }
+
+    const students = await User.find({ _id: { $in: newShortages.map(standing => standing.student) } })
+      .select('profile.firstName profile.lastName');
+    await notify([course.instructor, ...course.coInstructors], {
+      category: 'attendance',
+      type: 'attendance:shortage',
+      title: `${newShortages.length} student(s) in ${course.code} fell below ${threshold}% attendance`,
+      message: students.map(studentName).join(', '),
+      course: course._id,
+      data: { studentIds: newShortages.map(standing => standing.student), threshold }
+    });
+
+    return newShortages;
+  } catch (error) {
+    console.error('Attendance shortage alert error:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  classesToRecover,
+  buildStanding,
+  getCourseReport,
+  getStudentStanding,
+  getAtRiskStudents,
+  alertNewShortages
+};
\ No newline at end of file
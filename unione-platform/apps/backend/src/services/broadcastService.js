@@ -0,0 +1,167 @@
+const Broadcast = require('../models/Broadcast');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const ServiceError = require('../utils/ServiceError');
+const realtime = require('./realtimeService');
+const { notify } = require('./notificationService');
+
+/**
+ * Broadcast Service
+ * Admin broadcasts target an audience by role, department, term and course.
+ * Each audience field narrows the audience and an empty field doesn't
+ * restrict it, so a broadcast with an empty audience reaches every user.
+ * The same rules are applied from both directions: which broadcasts a user
+ * sees, and which users a broadcast reaches.
+ */
+
+const isEmpty = (values) => !values || values.length === 0;
+
+// Courses a user takes part in, as a student, instructor or TA
+const getUserCourses = (user) => Course.find({
+  $or: [
+    { _id: { $in: user.enrolledCourses || [] } },
+    ...Course.staffFilter(user._id).$or
+  ]
+}).select('semester year');
+
+/**
+ * Check that an audience is well formed and its courses exist
+ * @param {Object} audience - Broadcast audience
+ * @returns {Promise<void>}
+ */
+const validateAudience = async (audience = {}) => {
+  if (audience.year && !audience.semester) {
+    throw new ServiceError('INVALID_AUDIENCE', 'Audience year requires a semester', 400);
+  }
+
+  if (isEmpty(audience.courses)) return;
+
+  const found = await Course.countDocuments({ _id: { $in: audience.courses } });
+  if (found !== new Set(audience.courses.map(String)).size) {
+    throw new ServiceError('INVALID_AUDIENCE', 'One or more audience courses do not exist', 400);
+  }
+};
+
+/**
+ * Build the Broadcast query for everything a user is in the audience of
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - MongoDB filter on Broadcast
+ */
+const buildFeedQuery = async (user) => {
+  const courses = await getUserCourses(user);
+  const courseIds = courses.map(course => course._id);
+
+  const termMatches = courses.map(course => ({
+    'audience.semester': course.semester,
+    'audience.year': { $in: [null, course.year] }
+  }));
+
+  return {
+    $and: [
+      Broadcast.liveQuery(),
+      { $or: [{ 'audience.roles': { $size: 0 } }, { 'audience.roles': user.role }] },
+      { $or: [{ 'audience.departments': { $size: 0 } }, { 'audience.departments': user.profile.department }] },
+      { $or: [{ 'audience.courses': { $size: 0 } }, { 'audience.courses': { $in: courseIds } }] },
+      { $or: [{ 'audience.semester': null }, ...termMatches] }
+    ]
+  };
+};
+
+/**
+ * Build the User query for everyone a broadcast audience reaches
+ * @param {Object} audience - Broadcast audience
+ * @returns {Promise<Object>} - MongoDB filter on User
+ */
+const buildRecipientQuery = async (audience = {}) => {
+  const filter = { isActive: true };
+
+  if (!isEmpty(audience.roles)) {
+    filter.role = { $in: audience.roles };
+  }
+
+  if (!isEmpty(audience.departments)) {
+    filter['profile.department'] = { $in: audience.departments };
+  }
+
+  if (!isEmpty(audience.courses) || audience.semester) {
+    const courseFilter = {};
+    if (!isEmpty(audience.courses)) courseFilter._id = { $in: audience.courses };
+    if (audience.semester) courseFilter.semester = audience.semester;
+    if (audience.year) courseFilter.year = audience.year;
+
+    const courses = await Course.find(courseFilter).select('instructor coInstructors teachingAssistants.user');
+    const courseIds = courses.map(course => course._id);
+    const staffIds = courses.flatMap(course => [
+      course.instructor,
+      ...course.coInstructors,
+      ...course.teachingAssistants.map(assistant => assistant.user)
+    ]);
+
+    filter.$or = [
+      { enrolledCourses: { $in: courseIds } },
+      { _id: { $in: staffIds } }
+    ];
+  }
+
+  return filter;
+};
+
+/**
+ * Push a live broadcast to its audience, once
+ * The deliveredAt claim keeps two servers (or a request racing the scheduler)
+ * from pushing the same broadcast twice.
+ * @param {Object} broadcast - Broadcast document
+ * @returns {Promise<boolean>} - true if this call delivered it
+ */
+const deliverBroadcast = async (broadcast) => {
+  const claimed = await Broadcast.updateOne(
+    { _id: broadcast._id, deliveredAt: null },
+    { $set: { deliveredAt: new Date() } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  const recipients = await User.find(await buildRecipientQuery(broadcast.audience)).select('_id');
+  const recipientIds = recipients.map(user => user._id.toString());
+  realtime.emitToUsers(recipientIds, 'announcement:broadcast', {
+    broadcast: {
+      _id: broadcast._id,
+      title: broadcast.title,
+      content: broadcast.content,
+      priority: broadcast.priority,
+      publishAt: broadcast.publishAt,
+      expiresAt: broadcast.expiresAt
+    }
+  });
+  await notify(recipientIds, {
+    category: 'announcements',
+    type: 'announcement:broadcast',
+    title: broadcast.title,
+    message: broadcast.content.slice(0, 1000),
+    data: { broadcastId: broadcast._id, priority: broadcast.priority }
+  });
+
+  return true;
+};
+
+/**
+ * Deliver scheduled broadcasts whose publish time has come
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of broadcasts delivered
+ */
+const deliverDueBroadcasts = async (now = new Date()) => {
+  const due = await Broadcast.find({ $and: [Broadcast.liveQuery(now), { deliveredAt: null }] });
+
+  let delivered = 0;
+  for (const broadcast of due) {
+    if (await deliverBroadcast(broadcast)) delivered++;
+  }
+  return delivered;
+};
+
+module.exports = {
+  validateAudience,
+  buildFeedQuery,
+  buildRecipientQuery,
+  deliverBroadcast,
+  deliverDueBroadcasts
+};
\ No newline at end of file
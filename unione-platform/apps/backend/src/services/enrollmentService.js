@@ -0,0 +1,362 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const ServiceError = require('../utils/ServiceError');
+const { runInTransaction } = require('../utils/transaction');
+
+/**
+ * Enrollment Service
+ * Course.enrolledStudents (the roster) and User.enrolledCourses describe the
+ * same relationship from both sides. Every change goes through this service so
+ * both arrays are written in the same transaction.
+ */
+
+const isSameId = (a, b) => a.toString() === b.toString();
+
+const loadCourse = async (courseId, session) => {
+  const course = await Course.findById(courseId).session(session);
+
+  if (!course) {
+    throw new ServiceError('COURSE_NOT_FOUND', 'Course not found', 404);
+  }
+
+  if (course.isArchived) {
+    throw new ServiceError('COURSE_ARCHIVED', 'Enrollment cannot change for an archived course', 400);
+  }
+
+  return course;
+};
+
+const loadStudent = async (studentId, session) => {
+  const student = await User.findById(studentId).session(session);
+
+  if (!student || student.role !== 'student') {
+    throw new ServiceError('STUDENT_NOT_FOUND', 'Student not found', 404);
+  }
+
+  if (!student.isActive) {
+    throw new ServiceError('USER_INACTIVE', 'Student account is inactive', 400);
+  }
+
+  return student;
+};
+
+// Add the student to the roster (respecting capacity) and link the course on the user
+const addToRoster = async (course, studentId, session, ignoreCapacity = false) => {
+  const filter = { _id: course._id, enrolledStudents: { $ne: studentId } };
+
+  // Capacity is checked by the update itself so concurrent enrollments cannot overfill
+  if (!ignoreCapacity && course.capacity) {
+    filter.$expr = { $lt: [{ $size: '$enrolledStudents' }, '$capacity'] };
+  }
+
+  const result = await Course.updateOne(filter, {
+    $addToSet: { enrolledStudents: studentId },
+    $pull: { waitlist: { student: studentId } }
+  }, { session });
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  await User.updateOne(
+    { _id: studentId },
+    { $addToSet: { enrolledCourses: course._id } },
+    { session }
+  );
+
+  return true;
+};
+
+// Move waitlisted students onto the roster while seats are available
+const fillFromWaitlist = async (courseId, session) => {
+  const promoted = [];
+
+  while (true) {
+    const course = await Course.findById(courseId).session(session);
+    if (!course || course.isArchived || course.isFull || course.waitlist.length === 0) {
+      break;
+    }
+
+    const [next] = course.waitlist;
+    const student = await User.findById(next.student).session(session);
+
+    if (student && student.role === 'student' && student.isActive &&
+        await addToRoster(course, student._id, session)) {
+      promoted.push(student._id);
+      continue;
+    }
+
+    // Drop entries that can no longer be enrolled so they don't block the queue
+    await Course.updateOne(
+      { _id: course._id },
+      { $pull: { waitlist: { student: next.student } } },
+      { session }
+    );
+  }
+
+  return promoted;
+};
+
+/**
+ * Enroll a student in a course, or waitlist them when the course is full
+ * @param {string} courseId - Course ID
+ * @param {string} studentId - Student user ID
+ * @param {Object} options - { ignoreCapacity, allowWaitlist }
+ * @returns {Promise<Object>} - { status: 'enrolled' | 'waitlisted', position? }
+ */
+const enrollStudent = async (courseId, studentId, options = {}) => {
+  const { ignoreCapacity = false, allowWaitlist = true } = options;
+
+  return runInTransaction(async (session) => {
+    const course = await loadCourse(courseId, session);
+    const student = await loadStudent(studentId, session);
+
+    if (course.enrolledStudents.some(id => isSameId(id, student._id))) {
+      throw new ServiceError('ALREADY_ENROLLED', 'Student is already enrolled in this course', 409);
+    }
+
+    if (course.getTeachingAssistant(student._id)) {
+      throw new ServiceError('ASSISTANT_CANNOT_ENROLL', 'Teaching assistants cannot enroll in the course they assist', 409);
+    }
+
+    if (await addToRoster(course, student._id, session, ignoreCapacity)) {
+      return { status: 'enrolled', courseId: course._id, studentId: student._id };
+    }
+
+    if (!allowWaitlist) {
+      throw new ServiceError('COURSE_FULL', 'Course has reached its capacity', 409);
+    }
+
+    const waitlistIndex = course.waitlist.findIndex(entry => isSameId(entry.student, student._id));
+    if (waitlistIndex !== -1) {
+      return {
+        status: 'waitlisted',
+        courseId: course._id,
+        studentId: student._id,
+        position: waitlistIndex + 1
+      };
+    }
+
+    await Course.updateOne(
+      { _id: course._id, 'waitlist.student': { $ne: student._id } },
+      { $push: { waitlist: { student: student._id, addedAt: new Date() } } },
+      { session }
+    );
+
+    return {
+      status: 'waitlisted',
+      courseId: course._id,
+      studentId: student._id,
+      position: course.waitlist.length + 1
+    };
+  });
+};
+
+/**
+ * Self-enroll a student using a course join code
+ * @param {string} joinCode - Join code shared by the instructor
+ * @param {string} studentId - Student user ID
+ * @returns {Promise<Object>} - Enrollment result
+ */
+const enrollByJoinCode = async (joinCode, studentId) => {
+  const course = await Course.findByJoinCode(joinCode);
+
+  if (!course || course.isArchived) {
+    throw new ServiceError('INVALID_JOIN_CODE', 'No active course matches this join code', 404);
+  }
+
+  if (!course.settings.allowSelfEnroll) {
+    throw new ServiceError('SELF_ENROLL_DISABLED', 'Self-enrollment is disabled for this course', 403);
+  }
+
+  return enrollStudent(course._id, studentId);
+};
+
+/**
+ * Remove a student from a course roster or waitlist.
+ * Freed seats are offered to the waitlist in the same transaction.
+ * @param {string} courseId - Course ID
+ * @param {string} studentId - Student user ID
+ * @returns {Promise<Object>} - { status, promoted }
+ */
+const unenrollStudent = async (courseId, studentId) => {
+  return runInTransaction(async (session) => {
+    const course = await loadCourse(courseId, session);
+
+    const isEnrolled = course.enrolledStudents.some(id => isSameId(id, studentId));
+    const isWaitlisted = course.waitlist.some(entry => isSameId(entry.student, studentId));
+
+    if (!isEnrolled && !isWaitlisted) {
+      throw new ServiceError('NOT_ENROLLED', 'Student is not enrolled or waitlisted in this course', 404);
+    }
+
+    await Course.updateOne(
+      { _id: course._id },
+      { $pull: { enrolledStudents: studentId, waitlist: { student: studentId } } },
+      { session }
+    );
+
+    await User.updateOne(
+      { _id: studentId },
+      { $pull: { enrolledCourses: course._id } },
+      { session }
+    );
+
+    const promoted = isEnrolled ? await fillFromWaitlist(course._id, session) : [];
+
+    return {
+      status: isEnrolled ? 'unenrolled' : 'waitlist_removed',
+      courseId: course._id,
+      studentId,
+      promoted
+    };
+  });
+};
+
+/**
+ * Promote waitlisted students after a capacity change
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Array>} - IDs of promoted students
+ */
+const promoteWaitlist = async (courseId) => {
+  return runInTransaction(session => fillFromWaitlist(courseId, session));
+};
+
+/**
+ * Enroll many students at once; each student is enrolled independently
+ * @param {string} courseId - Course ID
+ * @param {Object} students - { studentIds, emails }
+ * @param {Object} options - Passed through to enrollStudent
+ * @returns {Promise<Object>} - Per-student results and summary counts
+ */
+const bulkEnroll = async (courseId, { studentIds = [], emails = [] }, options = {}) => {
+  const results = [];
+  const ids = [...studentIds];
+
+  if (emails.length > 0) {
+    const users = await User.find({ email: { $in: emails.map(email => email.toLowerCase()) } }, '_id email');
+    const found = new Map(users.map(user => [user.email, user._id]));
+
+    emails.forEach(email => {
+      const id = found.get(email.toLowerCase());
+      if (id) {
+        ids.push(id.toString());
+      } else {
+        results.push({ email, status: 'failed', error: { code: 'STUDENT_NOT_FOUND', message: 'Student not found' } });
+      }
+    });
+  }
+
+  for (const studentId of new Set(ids.map(id => id.toString()))) {
+    try {
+      const result = await enrollStudent(courseId, studentId, options);
+      results.push({ studentId, status: result.status, position: result.position });
+    } catch (error) {
+      if (!(error instanceof ServiceError)) throw error;
+
+      // Course-level problems affect every student, so stop early
+      if (['COURSE_NOT_FOUND', 'COURSE_ARCHIVED'].includes(error.code)) throw error;
+
+      results.push({ studentId, status: 'failed', error: { code: error.code, message: error.message } });
+    }
+  }
+
+  return {
+    results,
+    summary: {
+      enrolled: results.filter(r => r.status === 'enrolled').length,
+      waitlisted: results.filter(r => r.status === 'waitlisted').length,
+      failed: results.filter(r => r.status === 'failed').length
+    }
+  };
+};
+
+/**
+ * Repair drift between course rosters and user enrollment lists.
+ * The course roster is authoritative (it is what access checks use):
+ * users are linked to every course whose roster lists them, links to
+ * courses that don't list them are removed, and roster entries for
+ * deleted or non-student users are dropped.
+ * @param {Object} options - { dryRun } to report without writing
+ * @returns {Promise<Object>} - Counts of each kind of repair
+ */
+const reconcileEnrollments = async ({ dryRun = false } = {}) => {
+  const report = {
+    coursesScanned: 0,
+    invalidRosterEntries: 0,
+    missingUserLinks: 0,
+    staleUserLinks: 0,
+    waitlistConflicts: 0,
+    orphanedUserLinks: 0,
+    dryRun
+  };
+
+  const cursor = Course.find({}, 'enrolledStudents waitlist').cursor();
+
+  for await (const course of cursor) {
+    report.coursesScanned++;
+
+    const students = await User.find(
+      { _id: { $in: course.enrolledStudents }, role: 'student' },
+      '_id'
+    ).lean();
+    const validIds = students.map(student => student._id);
+
+    const invalidIds = course.enrolledStudents.filter(id => !validIds.some(validId => isSameId(validId, id)));
+    const conflicts = course.waitlist.filter(entry => validIds.some(id => isSameId(id, entry.student)));
+
+    const missingFilter = { _id: { $in: validIds }, enrolledCourses: { $ne: course._id } };
+    const staleFilter = { enrolledCourses: course._id, _id: { $nin: validIds } };
+
+    report.invalidRosterEntries += invalidIds.length;
+    report.waitlistConflicts += conflicts.length;
+
+    if (dryRun) {
+      report.missingUserLinks += await User.countDocuments(missingFilter);
+      report.staleUserLinks += await User.countDocuments(staleFilter);
+      continue;
+    }
+
+    if (invalidIds.length > 0 || conflicts.length > 0) {
+      await Course.updateOne({ _id: course._id }, {
+        $pull: {
+          enrolledStudents: { $in: invalidIds },
+          waitlist: { student: { $in: conflicts.map(entry => entry.student) } }
+        }
+      });
+    }
+
+    const added = await User.updateMany(missingFilter, { $addToSet: { enrolledCourses: course._id } });
+    const removed = await User.updateMany(staleFilter, { $pull: { enrolledCourses: course._id } });
+
+    report.missingUserLinks += added.modifiedCount;
+    report.staleUserLinks += removed.modifiedCount;
+  }
+
+  // Links to courses that no longer exist at all
+  const linkedCourseIds = await User.distinct('enrolledCourses');
+  const existingCourses = await Course.find({ _id: { $in: linkedCourseIds } }, '_id').lean();
+  const orphanedIds = linkedCourseIds.filter(id => !existingCourses.some(course => isSameId(course._id, id)));
+
+  if (orphanedIds.length > 0) {
+    const orphanFilter = { enrolledCourses: { $in: orphanedIds } };
+
+    if (dryRun) {
+      report.orphanedUserLinks = await User.countDocuments(orphanFilter);
+    } else {
+      const result = await User.updateMany(orphanFilter, { $pull: { enrolledCourses: { $in: orphanedIds } } });
+      report.orphanedUserLinks = result.modifiedCount;
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  enrollStudent,
+  enrollByJoinCode,
+  unenrollStudent,
+  promoteWaitlist,
+  bulkEnroll,
+  reconcileEnrollments
+};
\ No newline at end of file
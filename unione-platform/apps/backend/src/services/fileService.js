@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const File = require('../models/File');
+const Course = require('../models/Course');
+const ServiceError = require('../utils/ServiceError');
+const { isAdmin } = require('../utils/roles');
+const { getStorage } = require('./storage');
+
+/**
+ * File Service
+ * Uploads are content-addressed: the sha256 of the bytes is the storage key,
+ * so the same content is stored once no matter how many times it's uploaded.
+ * Downloads go through short-lived signed URLs issued after an access check.
+ */
+
+const DOWNLOAD_URL_TTL = process.env.FILE_URL_EXPIRES_IN || '5m';
+
+const getDownloadSecret = () => (
+  process.env.FILE_URL_SECRET || `${process.env.JWT_SECRET || 'fallback-secret-key'}:files`
+);
+
+// Leading bytes for types we can verify, so a renamed executable can't pass as a PDF
+const SIGNATURES = {
+  'application/pdf': [Buffer.from('%PDF')],
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47])],
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/gif': [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+  'image/webp': [Buffer.from('RIFF')],
+  'application/zip': [Buffer.from([0x50, 0x4b, 0x03, 0x04])],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [Buffer.from([0x50, 0x4b, 0x03, 0x04])],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': [Buffer.from([0x50, 0x4b, 0x03, 0x04])],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': [Buffer.from([0x50, 0x4b, 0x03, 0x04])]
+};
+
+const hashContent = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const storageKeyFor = (hash) => `${hash.slice(0, 2)}/${hash.slice(2, 4)}/${hash}`;
+
+/**
+ * Check that the content starts with the signature of its declared MIME type
+ * @param {Buffer} buffer - File content
+ * @param {string} mimeType - Declared MIME type
+ * @returns {boolean} - true when it matches or the type has no known signature
+ */
+const matchesSignature = (buffer, mimeType) => {
+  const signatures = SIGNATURES[mimeType];
+  if (!signatures) return true;
+  return signatures.some(signature => buffer.subarray(0, signature.length).equals(signature));
+};
+
+/**
+ * Store an uploaded file, reusing stored content and records for duplicates
+ * @param {Object} upload - { buffer, originalName, mimeType }
+ * @param {Object} owner - { uploadedBy, course, purpose }
+ * @returns {Promise<Object>} - File document
+ */
+const saveUpload = async ({ buffer, originalName, mimeType }, { uploadedBy, course = null, purpose }) => {
+  if (!matchesSignature(buffer, mimeType)) {
+    throw new ServiceError('FILE_CONTENT_MISMATCH', `${originalName} does not look like a ${mimeType} file`, 415);
+  }
+
+  const storage = getStorage();
+  const hash = hashContent(buffer);
+  const storageKey = storageKeyFor(hash);
+
+  // The same user uploading the same content for the same place gets the existing record
+  const existing = await File.findOne({ hash, uploadedBy, course, purpose });
+  if (existing && await storage.exists(existing.storageKey)) {
+    return existing;
+  }
+
+  if (!await storage.exists(storageKey)) {
+    await storage.put(storageKey, buffer);
+  }
+
+  if (existing) {
+    return existing;
+  }
+
+  return File.create({
+    originalName,
+    mimeType,
+    size: buffer.length,
+    hash,
+    storageKey,
+    driver: storage.name,
+    purpose,
+    course,
+    uploadedBy
+  });
+};
+
+/**
+ * Check if a user may download a file
+ * Avatars are visible to any signed-in user. Course files are visible to the
+ * course staff (instructors and TAs) and enrolled students; submission files
+ * only to their uploader, the instructors and grading TAs. Admins can see everything.
+ * @param {Object} file - File document
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<boolean>}
+ */
+const canAccessFile = async (file, user) => {
+  if (isAdmin(user) || file.purpose === 'avatar') return true;
+  if (file.uploadedBy.toString() === user._id.toString()) return true;
+  if (!file.course) return false;
+
+  const course = await Course.findById(file.course)
+    .select('instructor coInstructors teachingAssistants enrolledStudents');
+  if (!course) return false;
+
+  const role = course.getCourseRole(user._id);
+  if (role === 'instructor') return true;
+  if (file.purpose === 'course') return role === 'ta' || role === 'student';
+
+  // Submission files go to TAs only if they grade
+  return role === 'ta' && course.getTeachingAssistant(user._id).capabilities.includes('grade');
+};
+
+/**
+ * Issue a short-lived download URL for a file
+ * @param {Object} file - File document
+ * @param {Object} user - User the URL is issued to
+ * @returns {Object} - { url, expiresAt }
+ */
+const createDownloadUrl = (file, user) => {
+  const token = jwt.sign(
+    { fileId: file._id.toString(), issuedTo: user._id.toString(), type: 'file_download' },
+    getDownloadSecret(),
+    { expiresIn: DOWNLOAD_URL_TTL }
+  );
+  const { exp } = jwt.decode(token);
+
+  return {
+    url: `/api/files/${file._id}/download?token=${token}`,
+    expiresAt: new Date(exp * 1000)
+  };
+};
+
+/**
+ * Verify a download token for a file
+ * @param {string} fileId - File ID from the URL
+ * @param {string} token - Token from the URL
+ * @returns {Object} - Decoded token
+ */
+const verifyDownloadToken = (fileId, token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getDownloadSecret());
+  } catch (error) {
+    throw new ServiceError(
+      error.name === 'TokenExpiredError' ? 'DOWNLOAD_LINK_EXPIRED' : 'INVALID_DOWNLOAD_LINK',
+      error.name === 'TokenExpiredError' ? 'Download link has expired' : 'Invalid download link',
+      401
+    );
+  }
+
+  if (decoded.type !== 'file_download' || decoded.fileId !== fileId) {
+    throw new ServiceError('INVALID_DOWNLOAD_LINK', 'Invalid download link', 401);
+  }
+
+  return decoded;
+};
+
+/**
+ * Open a file's content for streaming
+ * @param {Object} file - File document
+ * @returns {Promise<ReadableStream>}
+ */
+const openFile = async (file) => {
+  const storage = getStorage();
+  if (!await storage.exists(file.storageKey)) {
+    throw new ServiceError('FILE_CONTENT_MISSING', 'File content is no longer available', 410);
+  }
+  return storage.createReadStream(file.storageKey);
+};
+
+/**
+ * Delete a file record, and its content once nothing else references it
+ * @param {Object} file - File document
+ * @returns {Promise<void>}
+ */
+const deleteFile = async (file) => {
+  await File.deleteOne({ _id: file._id });
+
+  const stillReferenced = await File.exists({ hash: file.hash });
+  if (!stillReferenced) {
+    await getStorage().delete(file.storageKey);
+  }
+};
+
+/**
+ * Turn uploaded file references into attachment entries.
+ * Attachments may be plain links ({ name, url }) or uploads ({ file });
+ * uploads must belong to the course and, unless allowShared, to the user.
+ * @param {Array} attachments - Attachment input from the request body
+ * @param {Object} scope - { courseId, userId, purpose, allowShared }
+ * @returns {Promise<Array>} - Attachment entries ready to store
+ */
+const resolveAttachments = async (attachments = [], { courseId, userId, purpose, allowShared = false }) => {
+  const fileIds = attachments.filter(item => item.file).map(item => item.file);
+  if (fileIds.length === 0) {
+    return attachments;
+  }
+
+  const filter = { _id: { $in: fileIds }, course: courseId, purpose };
+  if (!allowShared) filter.uploadedBy = userId;
+
+  const files = await File.find(filter);
+  const filesById = new Map(files.map(file => [file._id.toString(), file]));
+
+  return attachments.map(item => {
+    if (!item.file) return item;
+
+    const file = filesById.get(item.file.toString());
+    if (!file) {
+      throw new ServiceError('INVALID_ATTACHMENT', 'Attached file was not found or does not belong to this course', 400);
+    }
+
+    return {
+      name: item.name || file.originalName,
+      file: file._id,
+      mimeType: file.mimeType,
+      size: file.size
+    };
+  });
+};
+
+module.exports = {
+  hashContent,
+  matchesSignature,
+  saveUpload,
+  canAccessFile,
+  createDownloadUrl,
+  verifyDownloadToken,
+  openFile,
+  deleteFile,
+  resolveAttachments
+};
\ No newline at end of file
@@ -0,0 +1,83 @@
+const MailMessage = require('../models/MailMessage');
+const { renderMessage } = require('@unione/shared/server/mailOutbox');
+
+/**
+ * Mail Service
+ * Renders account emails into the outbox shared with the auth server, whose
+ * worker delivers them with the SMTP_* / FROM_* / MAIL_* settings and retries
+ * failures. Queueing never talks to the mail server, so a delivery problem
+ * can't change how a request responds.
+ */
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Name used in greetings
+const displayName = (user) => [user.profile.firstName, user.profile.lastName].filter(Boolean).join(' ') || user.email;
+
+/**
+ * Render a template and add it to the outbox
+ * @param {string} template - Template name
+ * @param {string} to - Recipient email address
+ * @param {Object} data - Template variables
+ * @returns {Promise<Object>} - Queued MailMessage
+ */
+const queue = (template, to, data = {}) => MailMessage.create(renderMessage(template, to, data));
+
+/**
+ * Queue a welcome email for a self-registered account
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Queued MailMessage
+ */
+const sendWelcome = (user) => queue('welcome', user.email, {
+  name: displayName(user),
+  role: user.role,
+  loginUrl: `${APP_URL}/login`
+});
+
+/**
+ * Queue a password reset email
+ * @param {Object} user - User document
+ * @param {string} token - Plain reset token (only its hash is stored)
+ * @param {number} expiresInMinutes - Token lifetime
+ * @returns {Promise<Object>} - Queued MailMessage
+ */
+const sendPasswordReset = (user, token, expiresInMinutes) => queue('passwordReset', user.email, {
+  name: displayName(user),
+  resetUrl: `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`,
+  expiresInMinutes
+});
+
+/**
+ * Queue an assignment deadline reminder
+ * @param {Object} user - Student with email and profile
+ * @param {Object} assignment - { id, title, courseName, dueDate }
+ * @returns {Promise<Object>} - Queued MailMessage
+ */
+const sendDeadlineReminder = (user, assignment) => queue('deadlineReminder', user.email, {
+  name: displayName(user),
+  assignmentTitle: assignment.title,
+  courseName: assignment.courseName,
+  dueDate: assignment.dueDate,
+  assignmentUrl: `${APP_URL}/assignments/${assignment.id}`
+});
+
+/**
+ * Queue the email copy of a notification for each recipient
+ * @param {Array} users - Recipients with email and profile
+ * @param {Object} notification - { title, message }
+ * @returns {Promise<Array>} - Queued MailMessages
+ */
+const sendNotification = (users, { title, message }) => MailMessage.insertMany(users.map(user => renderMessage('notification', user.email, {
+  name: displayName(user),
+  title,
+  message,
+  notificationsUrl: `${APP_URL}/notifications`
+})));
+
+module.exports = {
+  queue,
+  sendWelcome,
+  sendPasswordReset,
+  sendDeadlineReminder,
+  sendNotification
+};
\ No newline at end of file
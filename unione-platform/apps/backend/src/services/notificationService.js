@@ -0,0 +1,84 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const realtime = require('./realtimeService');
+const mailService = require('./mailService');
+
+/**
+ * Notification Service
+ * Stores a notification in each recipient's inbox and pushes it over the
+ * realtime connection, and queues an email copy in the outbox. Each channel
+ * only reaches recipients who kept it on for the notification's category.
+ */
+
+const uniqueIds = (userIds) => [...new Set(userIds.map(String))];
+
+/**
+ * Filter users down to those who want a category on a channel
+ * @param {Array} userIds - Candidate user IDs
+ * @param {string} category - assignments, attendance or announcements
+ * @param {string} channel - inApp or email
+ * @returns {Promise<Array>} - Matching active users (_id, email, profile)
+ */
+const getChannelRecipients = (userIds, category, channel) => User.find({
+  _id: { $in: uniqueIds(userIds) },
+  isActive: true,
+  [`notificationPreferences.${category}.${channel}`]: { $ne: false }
+}).select('email profile.firstName profile.lastName');
+
+// Queue the email copy for recipients with the category's email channel on
+const emailNotification = async (userIds, { category, type, title, message }) => {
+  try {
+    const recipients = await getChannelRecipients(userIds, category, 'email');
+    if (recipients.length > 0) {
+      await mailService.sendNotification(recipients, { title, message });
+    }
+  } catch (error) {
+    console.error(`Notification email error (${type}):`, error);
+  }
+};
+
+/**
+ * Notify users about an event
+ * Failures are logged rather than thrown: the action that triggered the
+ * notification has already happened and shouldn't be reported as failed.
+ * @param {Array} userIds - Recipient user IDs
+ * @param {Object} notification - { category, type, title, message, course, data, email }
+ *   email: false when the caller queues its own email for the event
+ * @returns {Promise<Array>} - Created notifications
+ */
+const notify = async (userIds, { category, type, title, message, course = null, data = {}, email = true }) => {
+  if (userIds.length === 0) return [];
+
+  if (email) {
+    await emailNotification(userIds, { category, type, title, message });
+  }
+
+  try {
+    const recipients = await getChannelRecipients(userIds, category, 'inApp');
+    if (recipients.length === 0) return [];
+
+    const notifications = await Notification.insertMany(recipients.map(user => ({
+      user: user._id,
+      category,
+      type,
+      title,
+      message,
+      course,
+      data
+    })));
+
+    for (const notification of notifications) {
+      realtime.emitToUser(notification.user.toString(), 'notification:new', { notification });
+    }
+
+    return notifications;
+  } catch (error) {
+    console.error(`Notification error (${type}):`, error);
+    return [];
+  }
+};
+
+module.exports = {
+  getChannelRecipients,
+  notify
+};
\ No newline at end of file
@@ -0,0 +1,145 @@
+const RolePermission = require('../models/RolePermission');
+const ServiceError = require('../utils/ServiceError');
+const { cache } = require('../config/redis');
+const {
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  EDITABLE_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  TA_CAPABILITIES
+} = require('../utils/permissions');
+
+/**
+ * Permission Service
+ * Resolves what each role may do. Stored role lists override the defaults and
+ * are cached briefly, since every permission-guarded request needs one.
+ */
+
+const CACHE_TTL = 300; // seconds
+
+const cacheKey = (role) => `permissions:role:${role}`;
+
+const assertEditable = (role) => {
+  if (!EDITABLE_ROLES.includes(role)) {
+    throw new ServiceError('ROLE_NOT_EDITABLE', `Permissions for role ${role} cannot be changed`, 400);
+  }
+};
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role - Role name
+ * @returns {Promise<Array<string>>}
+ */
+const getRolePermissions = async (role) => {
+  if (role === 'superadmin') return PERMISSION_NAMES;
+  if (!EDITABLE_ROLES.includes(role)) return [];
+
+  const cached = await cache.get(cacheKey(role));
+  if (cached) return cached;
+
+  const stored = await RolePermission.findOne({ role }).lean();
+  const permissions = stored ? stored.permissions : DEFAULT_ROLE_PERMISSIONS[role];
+
+  await cache.set(cacheKey(role), permissions, CACHE_TTL);
+  return permissions;
+};
+
+/**
+ * Check whether a user's role grants every given permission
+ * @param {Object} user - User document
+ * @param {...string} permissions - Permission names
+ * @returns {Promise<boolean>}
+ */
+const hasPermission = async (user, ...permissions) => {
+  if (!user) return false;
+
+  const granted = await getRolePermissions(user.role);
+  return permissions.every(permission => granted.includes(permission));
+};
+
+/**
+ * Check a permission within one course: TAs get it through the capabilities the
+ * course gives them, instructors and admins through their role
+ * @param {Object} user - User document
+ * @param {Object} access - Course access, as resolved by the course middleware ({ role, capabilities })
+ * @param {string} permission - Permission name
+ * @returns {Promise<boolean>}
+ */
+const hasCoursePermission = async (user, access, permission) => {
+  if (!access) return false;
+
+  if (access.role === 'ta') {
+    return access.capabilities.some(capability => TA_CAPABILITIES[capability].includes(permission));
+  }
+
+  return ['admin', 'instructor'].includes(access.role) && hasPermission(user, permission);
+};
+
+/**
+ * Get the permission catalog and each editable role's current list
+ * @returns {Promise<Object>} - { permissions, roles: [{ role, permissions, isDefault, updatedAt }] }
+ */
+const getPermissionMatrix = async () => {
+  const stored = await RolePermission.find({ role: { $in: EDITABLE_ROLES } }).lean();
+  const byRole = new Map(stored.map(entry => [entry.role, entry]));
+
+  return {
+    permissions: PERMISSION_NAMES.map(name => ({ name, description: PERMISSIONS[name] })),
+    roles: EDITABLE_ROLES.map(role => {
+      const entry = byRole.get(role);
+      return {
+        role,
+        permissions: entry ? entry.permissions : DEFAULT_ROLE_PERMISSIONS[role],
+        isDefault: !entry,
+        updatedAt: entry ? entry.updatedAt : null
+      };
+    })
+  };
+};
+
+/**
+ * Replace a role's permissions
+ * @param {string} role - Editable role
+ * @param {Array<string>} permissions - Permission names
+ * @param {Object} updatedBy - Superadmin making the change
+ * @returns {Promise<Array<string>>} - The stored list
+ */
+const setRolePermissions = async (role, permissions, updatedBy) => {
+  assertEditable(role);
+
+  const unknown = permissions.filter(permission => !PERMISSION_NAMES.includes(permission));
+  if (unknown.length) {
+    throw new ServiceError('UNKNOWN_PERMISSION', `Unknown permission(s): ${unknown.join(', ')}`, 400);
+  }
+
+  const entry = await RolePermission.findOneAndUpdate(
+    { role },
+    { $set: { permissions: [...new Set(permissions)], updatedBy: updatedBy._id } },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  await cache.del(cacheKey(role));
+  return entry.permissions;
+};
+
+/**
+ * Drop a role's stored list so it goes back to the defaults
+ * @param {string} role - Editable role
+ * @returns {Promise<Array<string>>} - The default list
+ */
+const resetRolePermissions = async (role) => {
+  assertEditable(role);
+
+  await RolePermission.deleteOne({ role });
+  await cache.del(cacheKey(role));
+  return DEFAULT_ROLE_PERMISSIONS[role];
+};
+
+module.exports = {
+  getRolePermissions,
+  hasPermission,
+  hasCoursePermission,
+  getPermissionMatrix,
+  setRolePermissions,
+  resetRolePermissions
+};
\ No newline at end of file
@@ -0,0 +1,144 @@
+const { Server } = require('socket.io');
+const Course = require('../models/Course');
+const { authenticateSocket } = require('../middleware/auth');
+const { realtimeLimiter } = require('../middleware/rateLimiter');
+
+/**
+ * Realtime Service
+ * Socket.IO server sharing the HTTP server with Express. Every connection is
+ * authenticated with the API access token and joins a room for its user and
+ * one for each course it takes part in, so controllers can push events with
+ * emitToUser / emitToCourse without knowing who is connected.
+ * Until initRealtime is called (tests, scripts) every emit is a no-op.
+ */
+
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+const courseRoom = (courseId) => `course:${courseId}`;
+
+// Courses the user is enrolled in, teaches or assists
+const getCourseIds = async (user) => {
+  const courses = await Course.find({
+    isArchived: false,
+    $or: [
+      { enrolledStudents: user._id },
+      ...Course.staffFilter(user._id).$or
+    ]
+  }).select('_id');
+  return courses.map(course => course._id.toString());
+};
+
+// Put a socket in exactly the course rooms the user belongs to right now
+const syncCourseRooms = async (socket) => {
+  const courseIds = await getCourseIds(socket.user);
+  const wanted = new Set(courseIds.map(courseRoom));
+
+  for (const room of socket.rooms) {
+    if (room.startsWith('course:') && !wanted.has(room)) {
+      socket.leave(room);
+    }
+  }
+  socket.join([...wanted]);
+
+  return courseIds;
+};
+
+// Engine.IO hands middleware raw Node requests; give the rate limiter the Express bits it uses
+const asEngineMiddleware = (middleware, app) => (req, res, next) => {
+  req.app = app;
+  req.ip = req.ip || req.socket.remoteAddress;
+  res.status = res.status || ((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.send = res.send || ((body) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+  });
+  middleware(req, res, next);
+};
+
+/**
+ * Attach the Socket.IO server to an HTTP server
+ * @param {Object} httpServer - Node HTTP server the Express app listens on
+ * @param {Object} app - Express app (its settings apply to the rate limiter)
+ * @param {Object} options - Socket.IO server options (e.g. cors)
+ * @returns {Object} - Socket.IO server
+ */
+const initRealtime = (httpServer, app, options = {}) => {
+  io = new Server(httpServer, options);
+
+  io.engine.use(asEngineMiddleware(realtimeLimiter, app));
+  io.use(authenticateSocket);
+
+  io.on('connection', async (socket) => {
+    const { user } = socket;
+
+    socket.join([userRoom(user._id), `role:${user.role}`]);
+
+    // Clients ask for this after joining or leaving a course
+    socket.on('courses:refresh', async (callback) => {
+      try {
+        const courseIds = await syncCourseRooms(socket);
+        if (typeof callback === 'function') callback({ success: true, courses: courseIds });
+      } catch (error) {
+        console.error('Realtime room refresh error:', error);
+        if (typeof callback === 'function') callback({ success: false });
+      }
+    });
+
+    try {
+      const courseIds = await syncCourseRooms(socket);
+      socket.emit('ready', { userId: user._id, courses: courseIds });
+    } catch (error) {
+      console.error('Realtime room setup error:', error);
+    }
+  });
+
+  return io;
+};
+
+/**
+ * Push an event to every connection of a user
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+const emitToUser = (userId, event, payload) => {
+  if (!io) return;
+  io.to(userRoom(userId)).emit(event, payload);
+};
+
+/**
+ * Push an event to several users at once
+ * @param {Array} userIds - User IDs
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+const emitToUsers = (userIds, event, payload) => {
+  if (!io || userIds.length === 0) return;
+  io.to(userIds.map(userRoom)).emit(event, payload);
+};
+
+/**
+ * Push an event to everyone connected in a course
+ * @param {string} courseId - Course ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+const emitToCourse = (courseId, event, payload) => {
+  if (!io) return;
+  io.to(courseRoom(courseId)).emit(event, payload);
+};
+
+// Get the Socket.IO server (null until initialised)
+const getIO = () => io;
+
+module.exports = {
+  initRealtime,
+  emitToUser,
+  emitToUsers,
+  emitToCourse,
+  getIO
+};
\ No newline at end of file
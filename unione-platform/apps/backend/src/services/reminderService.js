@@ -0,0 +1,94 @@
+const Assignment = require('../models/Assignment');
+const Course = require('../models/Course');
+const Submission = require('../models/Submission');
+const realtime = require('./realtimeService');
+const mailService = require('./mailService');
+const { notify, getChannelRecipients } = require('./notificationService');
+
+/**
+ * Reminder Service
+ * Warns students about assignments due soon that they haven't submitted yet,
+ * in the app and by email for students who keep the assignments email
+ * channel on. Each assignment is reminded once per due date; changing the due date
+ * clears reminderSentAt so the new deadline gets its own reminder.
+ */
+
+// How far ahead of the due date reminders go out
+const REMINDER_WINDOW_HOURS = parseInt(process.env.DEADLINE_REMINDER_HOURS) || 24;
+
+// Queue reminder emails; like notify, failures are logged rather than thrown
+const emailReminders = async (studentIds, assignment, course) => {
+  try {
+    const recipients = await getChannelRecipients(studentIds, 'assignments', 'email');
+    await Promise.all(recipients.map(user => mailService.sendDeadlineReminder(user, {
+      id: assignment._id,
+      title: assignment.title,
+      courseName: `${course.code} ${course.name}`,
+      dueDate: assignment.dueDate
+    })));
+  } catch (error) {
+    console.error('Deadline reminder email error:', error);
+  }
+};
+
+/**
+ * Send reminders for published assignments due within the reminder window
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of assignments reminded about
+ */
+const sendDeadlineReminders = async (now = new Date()) => {
+  const windowEnd = new Date(now.getTime() + REMINDER_WINDOW_HOURS * 60 * 60 * 1000);
+
+  const due = await Assignment.find({
+    status: 'published',
+    reminderSentAt: null,
+    dueDate: { $gt: now, $lte: windowEnd }
+  }).select('course title dueDate');
+
+  let reminded = 0;
+  for (const assignment of due) {
+    // Claim the assignment so concurrent runs don't remind twice
+    const claimed = await Assignment.updateOne(
+      { _id: assignment._id, reminderSentAt: null },
+      { $set: { reminderSentAt: now } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    const [course, submitted] = await Promise.all([
+      Course.findById(assignment.course).select('code name enrolledStudents'),
+      Submission.distinct('student', { assignment: assignment._id })
+    ]);
+    if (!course) continue;
+
+    const submittedIds = new Set(submitted.map(String));
+    const pending = course.enrolledStudents
+      .map(String)
+      .filter(studentId => !submittedIds.has(studentId));
+
+    realtime.emitToUsers(pending, 'assignment:deadline', {
+      courseId: assignment.course,
+      assignmentId: assignment._id,
+      title: assignment.title,
+      dueDate: assignment.dueDate
+    });
+    await notify(pending, {
+      category: 'assignments',
+      type: 'assignment:deadline',
+      title: `${assignment.title} is due soon`,
+      message: 'You have not submitted this assignment yet',
+      course: assignment.course,
+      data: { assignmentId: assignment._id, dueDate: assignment.dueDate },
+      // The deadline reminder below is the email for this event
+      email: false
+    });
+    await emailReminders(pending, assignment, course);
+    reminded++;
+  }
+
+  return reminded;
+};
+
+module.exports = {
+  REMINDER_WINDOW_HOURS,
+  sendDeadlineReminders
+};
\ No newline at end of file
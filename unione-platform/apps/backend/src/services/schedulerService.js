@@ -0,0 +1,56 @@
+const { deliverDueBroadcasts } = require('./broadcastService');
+const { sendDeadlineReminders } = require('./reminderService');
+
+/**
+ * Scheduler Service
+ * Runs time-based jobs (scheduled broadcasts, deadline reminders) on an
+ * interval. Jobs claim their work with conditional updates, so running the
+ * scheduler on several servers at once is safe.
+ */
+
+const INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+const jobs = [
+  { name: 'broadcasts', run: deliverDueBroadcasts },
+  { name: 'deadline reminders', run: sendDeadlineReminders }
+];
+
+let timer = null;
+let running = false;
+
+// Run every job once; a failing job doesn't stop the others
+const runScheduledJobs = async (now = new Date()) => {
+  if (running) return;
+  running = true;
+
+  try {
+    for (const job of jobs) {
+      try {
+        await job.run(now);
+      } catch (error) {
+        console.error(`Scheduled job "${job.name}" failed:`, error);
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+// Start running jobs on an interval
+const startScheduler = () => {
+  if (timer) return;
+  timer = setInterval(() => runScheduledJobs(), INTERVAL_MS);
+  timer.unref();
+};
+
+// Stop the interval (e.g. on shutdown)
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  runScheduledJobs,
+  startScheduler,
+  stopScheduler
+};
\ No newline at end of file
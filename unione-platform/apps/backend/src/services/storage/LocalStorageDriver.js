@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local filesystem storage driver
+ * Stores objects as plain files under a root directory. Keys use forward
+ * slashes and are resolved inside the root so they can never escape it.
+ */
+class LocalStorageDriver {
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File content
+   * @returns {Promise<void>}
+   */
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temp file first so readers never see a partial object
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tempPath, buffer);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Check if an object exists
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>}
+   */
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Open a readable stream for an object
+   * @param {string} key - Storage key
+   * @returns {Promise<ReadableStream>}
+   */
+  async createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  /**
+   * Delete an object (missing objects are ignored)
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = LocalStorageDriver;
\ No newline at end of file
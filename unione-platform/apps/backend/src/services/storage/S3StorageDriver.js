@@ -0,0 +1,38 @@
+/**
+ * S3-compatible storage driver
+ * Placeholder with the same interface as LocalStorageDriver (put, exists,
+ * createReadStream, delete). No S3 client is bundled yet, so selecting this
+ * driver fails fast at startup instead of on the first upload.
+ */
+class S3StorageDriver {
+  constructor({ bucket, region, endpoint }) {
+    this.name = 's3';
+    this.bucket = bucket;
+    this.region = region;
+    this.endpoint = endpoint;
+
+    if (!bucket) {
+      throw new Error('STORAGE_S3_BUCKET is required for the s3 storage driver');
+    }
+
+    throw new Error('The s3 storage driver is not available yet. Use STORAGE_DRIVER=local');
+  }
+
+  async put() {
+    throw new Error('Not implemented');
+  }
+
+  async exists() {
+    throw new Error('Not implemented');
+  }
+
+  async createReadStream() {
+    throw new Error('Not implemented');
+  }
+
+  async delete() {
+    throw new Error('Not implemented');
+  }
+}
+
+module.exports = S3StorageDriver;
\ No newline at end of file
@@ -0,0 +1,40 @@
+const path = require('path');
+const LocalStorageDriver = require('./LocalStorageDriver');
+const S3StorageDriver = require('./S3StorageDriver');
+
+const drivers = {
+  local: () => new LocalStorageDriver({
+    root: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '../../../uploads')
+  }),
+  s3: () => new S3StorageDriver({
+    bucket: process.env.STORAGE_S3_BUCKET,
+    region: process.env.STORAGE_S3_REGION,
+    endpoint: process.env.STORAGE_S3_ENDPOINT
+  })
+};
+
+let driver = null;
+
+// Get the configured storage driver (created on first use)
+const getStorage = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    driver = drivers[name]();
+  }
+  return driver;
+};
+
+// Replace the storage driver (e.g. in tests)
+const setStorage = (storageDriver) => {
+  driver = storageDriver;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  LocalStorageDriver,
+  S3StorageDriver
+};
\ No newline at end of file
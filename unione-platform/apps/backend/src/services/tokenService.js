@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
+const ServiceError = require('../utils/ServiceError');
+
+/**
+ * Token Service
+ * Issues access/refresh token pairs tied to a Session. Refresh tokens are
+ * rotated on every use: the session remembers the jti of the latest one, and
+ * presenting an older token is treated as theft and revokes the whole session.
+ * Access tokens are checked against their session and a denylist on each request.
+ */
+
+const ACCESS_SECRET = () => process.env.JWT_SECRET || 'fallback-secret-key';
+const REFRESH_SECRET = () => process.env.JWT_REFRESH_SECRET || 'fallback-refresh-secret';
+// Password-change tokens get their own secret so they never pass as access tokens
+const PASSWORD_CHANGE_SECRET = () => `${ACCESS_SECRET()}:password-change`;
+
+const PASSWORD_CHANGE_EXPIRES_IN = 15 * 60; // seconds
+
+// lastUsedAt is written at most this often per session
+const SESSION_TOUCH_INTERVAL = 5 * 60 * 1000;
+
+const newTokenId = () => crypto.randomBytes(16).toString('hex');
+
+// Sign a token pair for a session; ver ties them to the user's tokenVersion
+const signTokens = (user, sessionId, refreshTokenId) => {
+  const payload = { userId: user._id, ver: user.tokenVersion, sid: sessionId.toString() };
+
+  const accessToken = jwt.sign(payload, ACCESS_SECRET(), {
+    expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    jwtid: newTokenId()
+  });
+
+  const refreshToken = jwt.sign(payload, REFRESH_SECRET(), {
+    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    jwtid: refreshTokenId
+  });
+
+  return {
+    accessToken,
+    refreshToken,
+    refreshExpiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+  };
+};
+
+/**
+ * Start a session and issue its first token pair
+ * @param {Object} user - User document
+ * @param {Object} client - { userAgent, ip }
+ * @returns {Promise<Object>} - { accessToken, refreshToken, sessionId }
+ */
+const issueTokens = async (user, { userAgent = null, ip = null } = {}) => {
+  const session = new Session({ user: user._id, userAgent, ip });
+  session.tokenId = newTokenId();
+
+  const { accessToken, refreshToken, refreshExpiresAt } = signTokens(user, session._id, session.tokenId);
+  session.expiresAt = refreshExpiresAt;
+  await session.save();
+
+  return { accessToken, refreshToken, sessionId: session._id };
+};
+
+/**
+ * Exchange a refresh token for a new pair, invalidating the old refresh token
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Object} client - { userAgent, ip }
+ * @returns {Promise<Object>} - { accessToken, refreshToken, user }
+ */
+const rotateRefreshToken = async (refreshToken, { userAgent = null, ip = null } = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, REFRESH_SECRET());
+  } catch (error) {
+    throw new ServiceError('INVALID_REFRESH_TOKEN', 'Invalid or expired refresh token', 401);
+  }
+
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+  if (!session || session.revokedAt || !session.user.equals(decoded.userId)) {
+    throw new ServiceError('INVALID_REFRESH_TOKEN', 'Invalid refresh token', 401);
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user || !user.isActive || (decoded.ver || 0) !== user.tokenVersion) {
+    throw new ServiceError('INVALID_REFRESH_TOKEN', 'Invalid refresh token', 401);
+  }
+
+  // Move the session to a new refresh token only if this one is still the latest
+  const nextTokenId = newTokenId();
+  const tokens = signTokens(user, session._id, nextTokenId);
+  const result = await Session.updateOne(
+    { _id: session._id, tokenId: decoded.jti, revokedAt: null },
+    {
+      $set: {
+        tokenId: nextTokenId,
+        expiresAt: tokens.refreshExpiresAt,
+        lastUsedAt: new Date(),
+        ...(userAgent && { userAgent }),
+        ...(ip && { ip })
+      }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    // An already-rotated token was replayed: someone else may hold the family
+    await revokeSession(session._id, 'reuse_detected');
+    throw new ServiceError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used. Please sign in again', 401);
+  }
+
+  return { accessToken: tokens.accessToken, refreshToken: tokens.refreshToken, user };
+};
+
+/**
+ * Get the current state of a session. Read from MongoDB on every request rather
+ * than cached, since the auth server also revokes sessions and has no way to
+ * invalidate this server's cache
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} - { user, revokedAt, expiresAt, lastUsedAt }
+ */
+const getSessionState = (sessionId) => Session.findById(sessionId)
+  .select('user revokedAt expiresAt lastUsedAt')
+  .lean();
+
+/**
+ * Record activity on a session (at most once per SESSION_TOUCH_INTERVAL)
+ * @param {string} sessionId - Session ID
+ * @param {Object} state - Session state from getSessionState
+ * @param {string} ip - Client IP
+ */
+const touchSession = async (sessionId, state, ip) => {
+  const now = new Date();
+  if (now - new Date(state.lastUsedAt) < SESSION_TOUCH_INTERVAL) return;
+
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { lastUsedAt: now, ...(ip && { ip }) } }
+  );
+};
+
+/**
+ * Revoke a session: its refresh tokens stop working and its access tokens
+ * are rejected on the next request
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - One of Session.REVOKE_REASONS
+ * @returns {Promise<boolean>} - Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke all of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} reason - One of Session.REVOKE_REASONS
+ * @param {Object} options - { except: session ID to keep signed in }
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, { except = null } = {}) => {
+  const query = { user: userId, revokedAt: null };
+  if (except) query._id = { $ne: except };
+
+  const result = await Session.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Session documents
+ */
+const getActiveSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+}).sort({ lastUsedAt: -1 });
+
+/**
+ * Denylist an access token until it expires
+ * @param {Object} decoded - Verified access token payload
+ */
+const denylistAccessToken = async (decoded) => {
+  if (!decoded.jti) return;
+
+  await RevokedToken.updateOne(
+    { _id: decoded.jti },
+    { $setOnInsert: { user: decoded.userId, expiresAt: new Date(decoded.exp * 1000) } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Check whether an access token has been denylisted or its session revoked
+ * @param {Object} decoded - Verified access token payload
+ * @param {Object} options - { ip } to record session activity
+ * @returns {Promise<boolean>}
+ */
+const isAccessTokenRevoked = async (decoded, { ip = null } = {}) => {
+  if (decoded.sid) {
+    const state = await getSessionState(decoded.sid);
+    if (!state || state.revokedAt || state.user.toString() !== decoded.userId) {
+      return true;
+    }
+    await touchSession(decoded.sid, state, ip);
+  }
+
+  if (!decoded.jti) return false;
+  return !!(await RevokedToken.exists({ _id: decoded.jti }));
+};
+
+/**
+ * Issue a limited-scope token that only allows changing the password,
+ * for accounts that must replace the password an admin set
+ * @param {Object} user - User document
+ * @returns {string} - Password-change token
+ */
+const issuePasswordChangeToken = (user) => jwt.sign(
+  { userId: user._id, ver: user.tokenVersion, scope: 'password-change' },
+  PASSWORD_CHANGE_SECRET(),
+  { expiresIn: PASSWORD_CHANGE_EXPIRES_IN, jwtid: newTokenId() }
+);
+
+/**
+ * Verify a password-change token and load its user
+ * @param {string} token - Password-change token
+ * @returns {Promise<Object>} - { user, decoded }
+ */
+const verifyPasswordChangeToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, PASSWORD_CHANGE_SECRET());
+  } catch (error) {
+    throw new ServiceError('INVALID_PASSWORD_CHANGE_TOKEN', 'Password change has expired. Please sign in again', 401);
+  }
+
+  if (decoded.scope !== 'password-change' || await RevokedToken.exists({ _id: decoded.jti })) {
+    throw new ServiceError('INVALID_PASSWORD_CHANGE_TOKEN', 'Password change has expired. Please sign in again', 401);
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user || !user.isActive || (decoded.ver || 0) !== user.tokenVersion) {
+    throw new ServiceError('INVALID_PASSWORD_CHANGE_TOKEN', 'Password change has expired. Please sign in again', 401);
+  }
+
+  return { user, decoded };
+};
+
+/**
+ * Whether a bearer token is a password-change token (not verified)
+ * @param {string} token - Bearer token
+ * @returns {boolean}
+ */
+const isPasswordChangeToken = (token) => {
+  const decoded = jwt.decode(token);
+  return !!decoded && decoded.scope === 'password-change';
+};
+
+module.exports = {
+  PASSWORD_CHANGE_EXPIRES_IN,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  getActiveSessions,
+  denylistAccessToken,
+  isAccessTokenRevoked,
+  issuePasswordChangeToken,
+  verifyPasswordChangeToken,
+  isPasswordChangeToken
+};
\ No newline at end of file
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const ServiceError = require('../utils/ServiceError');
+const twoFactor = require('@unione/shared/server/twoFactor');
+
+/**
+ * Two-Factor Service
+ * TOTP (RFC 6238) second factor for staff accounts. Secrets are stored
+ * encrypted, recovery codes as SHA-256 hashes. Login becomes two steps:
+ * the password step returns a short-lived challenge token that is exchanged
+ * for real tokens once a code (or recovery code) has been checked.
+ */
+
+// Roles that may enrol at all
+const ELIGIBLE_ROLES = ['faculty', 'admin', 'superadmin'];
+const CHALLENGE_EXPIRES_IN = 5 * 60; // seconds
+
+const ISSUER = () => process.env.TWO_FACTOR_ISSUER || 'UniONE';
+
+// Challenge tokens get their own secret so they can never pass as access tokens
+const CHALLENGE_SECRET = () => `${process.env.JWT_SECRET || 'fallback-secret-key'}:two-factor`;
+
+// Load the user with the 2FA fields that are excluded by default
+const withSecrets = (userId) => User.findById(userId)
+  .select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+/**
+ * Roles for which 2FA is mandatory (TWO_FACTOR_REQUIRED_ROLES, comma-separated)
+ * @returns {Array<string>}
+ */
+const getRequiredRoles = () => (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(role => ELIGIBLE_ROLES.includes(role));
+
+const isEligible = (user) => ELIGIBLE_ROLES.includes(user.role);
+const isRequiredFor = (user) => getRequiredRoles().includes(user.role);
+
+/**
+ * Sign a challenge token for the second login step
+ * @param {Object} user - User document
+ * @param {string} purpose - 'login' (enter a code) or 'setup' (mandatory enrolment)
+ * @returns {string}
+ */
+const createChallenge = (user, purpose) => jwt.sign(
+  { userId: user._id, ver: user.tokenVersion, purpose },
+  CHALLENGE_SECRET(),
+  { expiresIn: CHALLENGE_EXPIRES_IN, jwtid: crypto.randomBytes(16).toString('hex') }
+);
+
+/**
+ * Verify a challenge token and load its user
+ * @param {string} token - Challenge token
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object>} - { user, challenge }
+ */
+const verifyChallenge = async (token, purpose) => {
+  let challenge;
+  try {
+    challenge = jwt.verify(token, CHALLENGE_SECRET());
+  } catch (error) {
+    throw new ServiceError('INVALID_CHALLENGE', 'Verification has expired. Please sign in again', 401);
+  }
+
+  if (challenge.purpose !== purpose || await RevokedToken.exists({ _id: challenge.jti })) {
+    throw new ServiceError('INVALID_CHALLENGE', 'Verification has expired. Please sign in again', 401);
+  }
+
+  const user = await withSecrets(challenge.userId);
+  if (!user || !user.isActive || (challenge.ver || 0) !== user.tokenVersion) {
+    throw new ServiceError('INVALID_CHALLENGE', 'Verification has expired. Please sign in again', 401);
+  }
+
+  return { user, challenge };
+};
+
+/**
+ * Mark a challenge as used so it cannot be exchanged twice
+ * @param {Object} challenge - Verified challenge payload
+ * @returns {Promise<boolean>} - False if it had already been used
+ */
+const consumeChallenge = async (challenge) => {
+  const result = await RevokedToken.updateOne(
+    { _id: challenge.jti },
+    { $setOnInsert: { user: challenge.userId, expiresAt: new Date(challenge.exp * 1000) } },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+};
+
+/**
+ * Check a TOTP code against the enabled secret; each time step is accepted once
+ * @param {Object} user - User loaded with secrets
+ * @param {string} code - 6-digit code
+ * @returns {Promise<boolean>}
+ */
+const checkCode = async (user, code) => {
+  const step = twoFactor.verifyTOTP(twoFactor.decryptSecret(user.twoFactor.secret), code);
+  if (step === null) return false;
+
+  // Conditional update so a code seen once (even concurrently) is not accepted again
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Consume a recovery code
+ * @param {Object} user - User document
+ * @param {string} recoveryCode - Code as shown to the user
+ * @returns {Promise<boolean>}
+ */
+const useRecoveryCode = async (user, recoveryCode) => {
+  const hash = twoFactor.hashRecoveryCode(recoveryCode);
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Check the second factor for an enrolled user
+ * @param {Object} user - User loaded with secrets
+ * @param {Object} input - { code } or { recoveryCode }
+ * @returns {Promise<Object>} - { valid, usedRecoveryCode }
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor.enabled) {
+    throw new ServiceError('TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication is not enabled', 400);
+  }
+
+  if (recoveryCode) {
+    return { valid: await useRecoveryCode(user, recoveryCode), usedRecoveryCode: true };
+  }
+  return { valid: await checkCode(user, code), usedRecoveryCode: false };
+};
+
+/**
+ * Start enrolment: store a pending secret until a code from it is confirmed
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - { secret, otpauthUrl }
+ */
+const beginSetup = async (user) => {
+  if (!isEligible(user)) {
+    throw new ServiceError('TWO_FACTOR_NOT_AVAILABLE', 'Two-factor authentication is only available for staff accounts', 403);
+  }
+  if (user.twoFactor && user.twoFactor.enabled) {
+    throw new ServiceError('TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = twoFactor.generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': twoFactor.encryptSecret(secret) } });
+
+  return {
+    secret,
+    otpauthUrl: twoFactor.buildOtpauthUri(secret, user.email, ISSUER())
+  };
+};
+
+/**
+ * Finish enrolment with a code from the pending secret
+ * @param {string} userId - User ID
+ * @param {string} code - 6-digit code
+ * @returns {Promise<Array<string>>} - Recovery codes (shown once)
+ */
+const enable = async (userId, code) => {
+  const user = await withSecrets(userId);
+  if (user.twoFactor.enabled) {
+    throw new ServiceError('TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already enabled', 409);
+  }
+  if (!user.twoFactor.pendingSecret) {
+    throw new ServiceError('TWO_FACTOR_SETUP_REQUIRED', 'Start two-factor setup before enabling it', 400);
+  }
+
+  const step = twoFactor.verifyTOTP(twoFactor.decryptSecret(user.twoFactor.pendingSecret), code);
+  if (step === null) {
+    throw new ServiceError('INVALID_TWO_FACTOR_CODE', 'Invalid verification code', 400);
+  }
+
+  const recoveryCodes = twoFactor.generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(twoFactor.hashRecoveryCode);
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+
+  return recoveryCodes;
+};
+
+/**
+ * Turn 2FA off (refused for roles where it is mandatory)
+ * @param {Object} user - User document
+ */
+const disable = async (user) => {
+  if (isRequiredFor(user)) {
+    throw new ServiceError('TWO_FACTOR_REQUIRED', 'Two-factor authentication is mandatory for your role', 403);
+  }
+
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      'twoFactor.enabled': false,
+      'twoFactor.secret': null,
+      'twoFactor.pendingSecret': null,
+      'twoFactor.recoveryCodes': [],
+      'twoFactor.lastUsedStep': null,
+      'twoFactor.enabledAt': null
+    }
+  });
+};
+
+/**
+ * Replace all recovery codes
+ * @param {Object} user - User document
+ * @returns {Promise<Array<string>>} - New recovery codes (shown once)
+ */
+const regenerateRecoveryCodes = async (user) => {
+  const recoveryCodes = twoFactor.generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, {
+    $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(twoFactor.hashRecoveryCode) }
+  });
+  return recoveryCodes;
+};
+
+/**
+ * 2FA status for the settings page
+ * @param {Object} user - User document
+ * @returns {Promise<Object>}
+ */
+const getStatus = async (user) => {
+  const withCodes = await withSecrets(user._id);
+  return {
+    available: isEligible(user),
+    enabled: withCodes.twoFactor.enabled,
+    required: isRequiredFor(user),
+    enabledAt: withCodes.twoFactor.enabledAt,
+    recoveryCodesRemaining: withCodes.twoFactor.recoveryCodes.length
+  };
+};
+
+module.exports = {
+  CHALLENGE_EXPIRES_IN,
+  getRequiredRoles,
+  isEligible,
+  isRequiredFor,
+  createChallenge,
+  verifyChallenge,
+  consumeChallenge,
+  verifySecondFactor,
+  withSecrets,
+  beginSetup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  getStatus
+};
\ No newline at end of file
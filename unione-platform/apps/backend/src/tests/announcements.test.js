@@ -0,0 +1,185 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Announcement = require('../models/Announcement');
+const Comment = require('../models/Comment');
+const { facultyData, studentData, registerUser } = require('./helpers');
+
+describe('Course Announcements', () => {
+  let facultyToken, studentToken, outsiderToken;
+  let course;
+
+  const announcementsUrl = () => `/api/announcements/courses/${course._id}`;
+
+  const postAnnouncement = (body = { title: 'Welcome', content: 'Lectures start Monday' }) => request(app)
+    .post(announcementsUrl())
+    .set('Authorization', `Bearer ${facultyToken}`)
+    .send(body);
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Course.deleteMany({});
+    await Announcement.deleteMany({});
+    await Comment.deleteMany({});
+
+    const faculty = await registerUser(facultyData());
+    facultyToken = faculty.accessToken;
+
+    const student = await registerUser(studentData());
+    studentToken = student.accessToken;
+
+    const outsider = await registerUser(studentData({
+      email: 'outsider@university.edu',
+      profile: { firstName: 'Other', lastName: 'Student', department: 'Physics', studentId: 'PH2024001' }
+    }));
+    outsiderToken = outsider.accessToken;
+
+    course = await Course.create({
+      code: 'CS201',
+      name: 'Data Structures',
+      instructor: faculty.user._id,
+      semester: 'Fall',
+      year: 2024,
+      enrolledStudents: [student.user._id]
+    });
+  });
+
+  describe('POST /api/announcements/courses/:courseId', () => {
+    it('should let the instructor post an announcement', async () => {
+      const response = await postAnnouncement().expect(201);
+
+      expect(response.body.data.announcement.title).toBe('Welcome');
+      expect(response.body.data.announcement.isPinned).toBe(false);
+    });
+
+    it('should not let students post announcements', async () => {
+      await request(app)
+        .post(announcementsUrl())
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ title: 'Party', content: 'Friday night' })
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/announcements/courses/:courseId', () => {
+    it('should list pinned announcements first', async () => {
+      const first = await postAnnouncement({ title: 'Syllabus', content: 'Read it' }).expect(201);
+      await postAnnouncement({ title: 'Room change', content: 'Now in B204' }).expect(201);
+
+      await request(app)
+        .post(`${announcementsUrl()}/${first.body.data.announcement._id}/pin`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`${announcementsUrl()}?limit=1`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(response.body.data.announcements[0].title).toBe('Syllabus');
+      expect(response.body.data.pagination.total).toBe(2);
+      expect(response.body.data.pagination.pages).toBe(2);
+    });
+
+    it('should not show announcements to students outside the course', async () => {
+      await request(app)
+        .get(announcementsUrl())
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Comments', () => {
+    let announcementId;
+
+    const commentsUrl = () => `${announcementsUrl()}/${announcementId}/comments`;
+
+    beforeEach(async () => {
+      const response = await postAnnouncement().expect(201);
+      announcementId = response.body.data.announcement._id;
+    });
+
+    it('should reject comments while discussions are disabled', async () => {
+      const response = await request(app)
+        .post(commentsUrl())
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ content: 'Is attendance mandatory?' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('DISCUSSIONS_DISABLED');
+    });
+
+    it('should thread replies under their top-level comment', async () => {
+      await Course.updateOne({ _id: course._id }, { 'settings.allowDiscussions': true });
+
+      const question = await request(app)
+        .post(commentsUrl())
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ content: 'Is attendance mandatory?' })
+        .expect(201);
+
+      const answer = await request(app)
+        .post(commentsUrl())
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({ content: 'Yes, 75% minimum', parentId: question.body.data.comment._id })
+        .expect(201);
+
+      await request(app)
+        .post(commentsUrl())
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ content: 'Thanks!', parentId: answer.body.data.comment._id })
+        .expect(201);
+
+      const response = await request(app)
+        .get(commentsUrl())
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      const [thread] = response.body.data.comments;
+      expect(response.body.data.comments).toHaveLength(1);
+      expect(thread.replies).toHaveLength(2);
+      expect(thread.replies[1].parent).toBe(answer.body.data.comment._id);
+
+      const announcement = await Announcement.findById(announcementId);
+      expect(announcement.commentCount).toBe(3);
+    });
+
+    it('should only let students delete their own comments', async () => {
+      await Course.updateOne({ _id: course._id }, { 'settings.allowDiscussions': true });
+
+      const comment = await request(app)
+        .post(commentsUrl())
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({ content: 'Office hours moved to 3pm' })
+        .expect(201);
+
+      await request(app)
+        .delete(`${commentsUrl()}/${comment.body.data.comment._id}`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`${commentsUrl()}/${comment.body.data.comment._id}`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(200);
+    });
+
+    it('should delete comments along with the announcement', async () => {
+      await Course.updateOne({ _id: course._id }, { 'settings.allowDiscussions': true });
+
+      await request(app)
+        .post(commentsUrl())
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ content: 'Noted' })
+        .expect(201);
+
+      await request(app)
+        .delete(`${announcementsUrl()}/${announcementId}`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(200);
+
+      expect(await Comment.countDocuments({ announcement: announcementId })).toBe(0);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Assignment = require('../models/Assignment');
+const { facultyData, studentData, registerUser } = require('./helpers');
+
+describe('Assignments', () => {
+  let facultyToken, studentToken, otherStudentToken;
+  let course;
+
+  const nextWeek = () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+  const createAssignment = (body = {}) => request(app)
+    .post(`/api/assignments/courses/${course._id}`)
+    .set('Authorization', `Bearer ${facultyToken}`)
+    .send({
+      title: 'Binary Tree Implementation',
+      description: 'Implement insert, delete and traversal',
+      dueDate: nextWeek(),
+      maxPoints: 50,
+      ...body
+    });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Course.deleteMany({});
+    await Assignment.deleteMany({});
+
+    const faculty = await registerUser(facultyData());
+    facultyToken = faculty.accessToken;
+
+    const student = await registerUser(studentData());
+    studentToken = student.accessToken;
+
+    const otherStudent = await registerUser(studentData({
+      email: 'other@university.edu',
+      profile: { firstName: 'Other', lastName: 'Student', department: 'Physics', studentId: 'PH2024001' }
+    }));
+    otherStudentToken = otherStudent.accessToken;
+
+    course = await Course.create({
+      code: 'CS201',
+      name: 'Data Structures',
+      instructor: faculty.user._id,
+      semester: 'Fall',
+      year: 2024,
+      enrolledStudents: [student.user._id]
+    });
+  });
+
+  describe('POST /api/assignments/courses/:courseId', () => {
+    it('should create a draft assignment', async () => {
+      const response = await createAssignment().expect(201);
+
+      const { assignment } = response.body.data;
+      expect(assignment.status).toBe('draft');
+      expect(assignment.maxPoints).toBe(50);
+    });
+
+    it('should not let students create assignments', async () => {
+      await request(app)
+        .post(`/api/assignments/courses/${course._id}`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ title: 'Homework', dueDate: nextWeek() })
+        .expect(403);
+    });
+
+    it('should require rubric points to add up to max points', async () => {
+      const response = await createAssignment({
+        rubric: [
+          { criterion: 'Correctness', maxPoints: 30 },
+          { criterion: 'Code style', maxPoints: 10 }
+        ]
+      }).expect(400);
+
+      expect(response.body.error.code).toBe('RUBRIC_POINTS_MISMATCH');
+    });
+
+    it('should validate the due date', async () => {
+      const response = await createAssignment({ dueDate: 'next tuesday' }).expect(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('Assignment lifecycle', () => {
+    let assignmentId;
+
+    beforeEach(async () => {
+      const response = await createAssignment();
+      assignmentId = response.body.data.assignment._id;
+    });
+
+    it('should hide drafts from students', async () => {
+      const response = await request(app)
+        .get(`/api/assignments/courses/${course._id}`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(response.body.data.assignments).toHaveLength(0);
+
+      await request(app)
+        .get(`/api/assignments/courses/${course._id}/${assignmentId}`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(404);
+    });
+
+    it('should show published assignments to enrolled students', async () => {
+      await request(app)
+        .post(`/api/assignments/courses/${course._id}/${assignmentId}/publish`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/assignments/courses/${course._id}`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(response.body.data.assignments).toHaveLength(1);
+      expect(response.body.data.assignments[0].title).toBe('Binary Tree Implementation');
+    });
+
+    it('should not show assignments to students outside the course', async () => {
+      await request(app)
+        .get(`/api/assignments/courses/${course._id}`)
+        .set('Authorization', `Bearer ${otherStudentToken}`)
+        .expect(403);
+    });
+
+    it('should not publish an assignment that is already past due', async () => {
+      await Assignment.updateOne({ _id: assignmentId }, { dueDate: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .post(`/api/assignments/courses/${course._id}/${assignmentId}/publish`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('DUE_DATE_PASSED');
+    });
+
+    it('should lock max points after publishing', async () => {
+      await request(app)
+        .post(`/api/assignments/courses/${course._id}/${assignmentId}/publish`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/api/assignments/courses/${course._id}/${assignmentId}`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({ maxPoints: 100 })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('ASSIGNMENT_PUBLISHED');
+    });
+
+    it('should close a published assignment and block further edits', async () => {
+      await request(app)
+        .post(`/api/assignments/courses/${course._id}/${assignmentId}/publish`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/assignments/courses/${course._id}/${assignmentId}/close`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(200);
+
+      expect(response.body.data.assignment.status).toBe('closed');
+
+      await request(app)
+        .put(`/api/assignments/courses/${course._id}/${assignmentId}`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({ title: 'Renamed' })
+        .expect(400);
+    });
+  });
+});
\ No newline at end of file
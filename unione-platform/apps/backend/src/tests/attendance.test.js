@@ -0,0 +1,345 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Attendance = require('../models/Attendance');
+const Notification = require('../models/Notification');
+const { classesToRecover } = require('../services/attendanceService');
+const { facultyData, studentData, registerUser } = require('./helpers');
+
+describe('Attendance', () => {
+  let facultyToken, studentToken, classmateToken;
+  let studentUser;
+  let course;
+
+  // Roughly the center of a campus quad
+  const classroom = { latitude: 28.6139, longitude: 77.2090 };
+
+  const openSession = (body = {}) => request(app)
+    .post(`/api/attendance/courses/${course._id}/sessions`)
+    .set('Authorization', `Bearer ${facultyToken}`)
+    .send({ location: classroom, radius: 100, ...body });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Course.deleteMany({});
+    await Attendance.deleteMany({});
+    await Notification.deleteMany({});
+
+    const faculty = await registerUser(facultyData());
+    facultyToken = faculty.accessToken;
+
+    const student = await registerUser(studentData());
+    studentToken = student.accessToken;
+    studentUser = student.user;
+
+    const classmate = await registerUser(studentData({
+      email: 'classmate@university.edu',
+      profile: { firstName: 'Other', lastName: 'Student', department: 'Physics', studentId: 'PH2024001' }
+    }));
+    classmateToken = classmate.accessToken;
+
+    course = await Course.create({
+      code: 'CS101',
+      name: 'Introduction to Programming',
+      instructor: faculty.user._id,
+      semester: 'Fall',
+      year: 2024,
+      enrolledStudents: [studentUser._id, classmate.user._id]
+    });
+  });
+
+  describe('POST /api/attendance/courses/:courseId/sessions', () => {
+    it('should open a session with a default one-hour window', async () => {
+      const response = await openSession().expect(201);
+
+      const { session } = response.body.data;
+      expect(session.status).toBe('open');
+      expect(new Date(session.endTime) - new Date(session.startTime)).toBe(60 * 60 * 1000);
+    });
+
+    it('should not open two sessions at once', async () => {
+      await openSession().expect(201);
+
+      const response = await openSession().expect(409);
+      expect(response.body.error.code).toBe('SESSION_ALREADY_OPEN');
+    });
+
+    it('should require a location for geofenced courses', async () => {
+      const response = await request(app)
+        .post(`/api/attendance/courses/${course._id}/sessions`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.error.code).toBe('LOCATION_REQUIRED');
+    });
+
+    it('should not let students open sessions', async () => {
+      await request(app)
+        .post(`/api/attendance/courses/${course._id}/sessions`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ location: classroom })
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/attendance/courses/:courseId/sessions/:sessionId/check-in', () => {
+    let sessionId;
+
+    beforeEach(async () => {
+      const response = await openSession();
+      sessionId = response.body.data.session._id;
+    });
+
+    const checkIn = (token, position) => request(app)
+      .post(`/api/attendance/courses/${course._id}/sessions/${sessionId}/check-in`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(position);
+
+    it('should mark a student present inside the geofence', async () => {
+      const response = await checkIn(studentToken, { ...classroom, accuracy: 10 }).expect(201);
+
+      expect(response.body.data.record.status).toBe('Present');
+      expect(response.body.data.record.distance).toBe(0);
+    });
+
+    it('should mark a student late after the late threshold', async () => {
+      await Attendance.updateOne({ _id: sessionId }, { lateAfter: new Date(Date.now() - 1000) });
+
+      const response = await checkIn(studentToken, { ...classroom, accuracy: 10 }).expect(201);
+      expect(response.body.data.record.status).toBe('Late');
+    });
+
+    it('should reject check-ins outside the geofence', async () => {
+      const response = await checkIn(studentToken, {
+        latitude: classroom.latitude + 0.01,
+        longitude: classroom.longitude,
+        accuracy: 10
+      }).expect(403);
+
+      expect(response.body.error.code).toBe('OUTSIDE_GEOFENCE');
+      // A hundredth of a degree of latitude is about 1.1 km
+      expect(response.body.error.distance).toBe(1113);
+    });
+
+    it('should reject imprecise GPS fixes', async () => {
+      const response = await checkIn(studentToken, { ...classroom, accuracy: 500 }).expect(422);
+      expect(response.body.error.code).toBe('GPS_ACCURACY_TOO_LOW');
+    });
+
+    it('should reject check-ins after the window closes', async () => {
+      await Attendance.updateOne({ _id: sessionId }, { endTime: new Date(Date.now() - 1000) });
+
+      const response = await checkIn(studentToken, { ...classroom, accuracy: 10 }).expect(400);
+      expect(response.body.error.code).toBe('SESSION_CLOSED');
+    });
+
+    it('should not allow checking in twice', async () => {
+      await checkIn(studentToken, { ...classroom, accuracy: 10 }).expect(201);
+
+      const response = await checkIn(studentToken, { ...classroom, accuracy: 10 }).expect(409);
+      expect(response.body.error.code).toBe('ALREADY_CHECKED_IN');
+    });
+
+    it('should mark students who never checked in absent when closed', async () => {
+      await checkIn(studentToken, { ...classroom, accuracy: 10 }).expect(201);
+
+      const response = await request(app)
+        .post(`/api/attendance/courses/${course._id}/sessions/${sessionId}/close`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(200);
+
+      expect(response.body.data.session.status).toBe('closed');
+      expect(response.body.data.session.summary).toEqual({ Present: 1, Late: 0, Absent: 1 });
+    });
+
+    it('should only close a session once under concurrent closes', async () => {
+      await checkIn(studentToken, { ...classroom, accuracy: 10 }).expect(201);
+
+      const [first, second] = await Promise.all([
+        Attendance.findById(sessionId),
+        Attendance.findById(sessionId)
+      ]);
+      const results = await Promise.all([first.close(), second.close()]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+      const session = await Attendance.findById(sessionId);
+      expect(session.summary).toEqual({ Present: 1, Late: 0, Absent: 1 });
+
+      await request(app)
+        .post(`/api/attendance/courses/${course._id}/sessions/${sessionId}/close`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(400);
+    });
+
+    it('should only show students their own record', async () => {
+      await checkIn(studentToken, { ...classroom, accuracy: 10 }).expect(201);
+
+      const response = await request(app)
+        .get(`/api/attendance/courses/${course._id}/sessions`)
+        .set('Authorization', `Bearer ${classmateToken}`)
+        .expect(200);
+
+      const [session] = response.body.data.sessions;
+      expect(session.records).toBeUndefined();
+      expect(session.myRecord).toBeNull();
+    });
+  });
+
+  describe('PUT /api/attendance/courses/:courseId/sessions/:sessionId/records/:studentId', () => {
+    let sessionId;
+
+    beforeEach(async () => {
+      const response = await openSession();
+      sessionId = response.body.data.session._id;
+    });
+
+    const override = (body) => request(app)
+      .put(`/api/attendance/courses/${course._id}/sessions/${sessionId}/records/${studentUser._id}`)
+      .set('Authorization', `Bearer ${facultyToken}`)
+      .send(body);
+
+    it('should record every change in the history', async () => {
+      await override({ status: 'Present', reason: 'GPS unavailable in lab' }).expect(200);
+      const response = await override({ status: 'Late', reason: 'Arrived after roll call' }).expect(200);
+
+      const { record } = response.body.data;
+      expect(record.status).toBe('Late');
+      expect(record.method).toBe('manual');
+      expect(record.history.map(entry => [entry.previousStatus, entry.status]))
+        .toEqual([[null, 'Present'], ['Present', 'Late']]);
+    });
+
+    it('should require a reason', async () => {
+      const response = await override({ status: 'Present' }).expect(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should not let students override attendance', async () => {
+      await request(app)
+        .put(`/api/attendance/courses/${course._id}/sessions/${sessionId}/records/${studentUser._id}`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ status: 'Present', reason: 'Trust me' })
+        .expect(403);
+    });
+
+    it('should list who changed what in the course history', async () => {
+      await override({ status: 'Present', reason: 'GPS unavailable in lab' }).expect(200);
+
+      const response = await request(app)
+        .get(`/api/attendance/courses/${course._id}/history`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(200);
+
+      const [entry] = response.body.data.history;
+      expect(entry.reason).toBe('GPS unavailable in lab');
+      expect(entry.changedBy.email).toBe('faculty@university.edu');
+      expect(entry.student.email).toBe('student@university.edu');
+    });
+  });
+
+  describe('Attendance threshold', () => {
+    // Closed sessions where the student attended `attended` of `total` classes
+    const createHistory = async (attended, total) => {
+      for (let i = 0; i < total; i++) {
+        await Attendance.create({
+          course: course._id,
+          startedBy: course.instructor,
+          startTime: new Date(Date.now() - (total - i) * 24 * 60 * 60 * 1000),
+          status: 'closed',
+          records: [{ student: studentUser._id, status: i < attended ? 'Present' : 'Absent' }]
+        });
+      }
+    };
+
+    it('should project the classes needed to recover', () => {
+      expect(classesToRecover(6, 10, 75)).toBe(6);
+      expect(classesToRecover(8, 10, 75)).toBe(0);
+      expect(classesToRecover(9, 10, 100)).toBeNull();
+    });
+
+    it('should report a shortage below the course threshold', async () => {
+      await createHistory(6, 10);
+
+      const response = await request(app)
+        .get(`/api/attendance/courses/${course._id}/report`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      const { standing } = response.body.data;
+      expect(standing.percentage).toBe(60);
+      expect(standing.status).toBe('shortage');
+      expect(standing.classesToRecover).toBe(6);
+    });
+
+    it('should use the configured threshold', async () => {
+      await createHistory(6, 10);
+      await Course.updateOne({ _id: course._id }, { 'settings.attendanceThreshold': 50 });
+
+      const response = await request(app)
+        .get(`/api/attendance/courses/${course._id}/report`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(response.body.data.standing.status).toBe('good');
+    });
+
+    it('should list at-risk students for the instructor', async () => {
+      await createHistory(6, 10);
+
+      const response = await request(app)
+        .get('/api/attendance/at-risk')
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(200);
+
+      expect(response.body.data.totalAtRisk).toBe(1);
+      const [courseReport] = response.body.data.courses;
+      expect(courseReport.course.code).toBe('CS101');
+      expect(courseReport.students[0].student.email).toBe('student@university.edu');
+    });
+
+    it('should alert the student and instructor when a closed session causes a shortage', async () => {
+      await createHistory(6, 8);
+
+      const opened = await openSession().expect(201);
+      await request(app)
+        .post(`/api/attendance/courses/${course._id}/sessions/${opened.body.data.session._id}/close`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(200);
+
+      const alert = await Notification.findOne({ user: studentUser._id, type: 'attendance:shortage' });
+      expect(alert.category).toBe('attendance');
+      expect(alert.data.percentage).toBe(66.67);
+
+      const instructorAlert = await Notification.findOne({ user: course.instructor, type: 'attendance:shortage' });
+      expect(instructorAlert.message).toContain('Student User');
+    });
+
+    it('should alert when an override causes a shortage, but not again while it lasts', async () => {
+      await createHistory(6, 8);
+      const attended = await Attendance.find({ course: course._id, 'records.status': 'Present' })
+        .sort({ startTime: -1 })
+        .limit(2);
+
+      const markAbsent = (session) => request(app)
+        .put(`/api/attendance/courses/${course._id}/sessions/${session._id}/records/${studentUser._id}`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({ status: 'Absent', reason: 'Left before roll call' })
+        .expect(200);
+
+      await markAbsent(attended[0]);
+      expect(await Notification.countDocuments({ user: studentUser._id, type: 'attendance:shortage' })).toBe(1);
+
+      await markAbsent(attended[1]);
+      expect(await Notification.countDocuments({ user: studentUser._id, type: 'attendance:shortage' })).toBe(1);
+    });
+
+    it('should not let students list at-risk students', async () => {
+      await request(app)
+        .get('/api/attendance/at-risk')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(403);
+    });
+  });
+});
\ No newline at end of file
@@ -2,10 +2,14 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../app');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const MailMessage = require('../models/MailMessage');
+const mailService = require('../services/mailService');
 
 describe('Authentication', () => {
   beforeEach(async () => {
     await User.deleteMany({});
+    await Session.deleteMany({});
   });
 
   describe('POST /api/auth/register', () => {
@@ -35,6 +39,19 @@ describe('Authentication', () => {
       expect(response.body.data.user.password).toBeUndefined();
     });
 
+    it('should queue a welcome email', async () => {
+      await MailMessage.deleteMany({});
+
+      await request(app)
+        .post('/api/auth/register')
+        .send(validUserData)
+        .expect(201);
+
+      const message = await MailMessage.findOne({ to: validUserData.email });
+      expect(message.template).toBe('welcome');
+      expect(message.text).toContain('Hi John Doe');
+    });
+
     it('should not register user with invalid email', async () => {
       const invalidData = { ...validUserData, email: 'invalid-email' };
       
@@ -76,6 +93,23 @@ describe('Authentication', () => {
       expect(response.body.error.code).toBe('USER_EXISTS');
     });
 
+    it('should not register admin accounts', async () => {
+      const adminData = {
+        ...validUserData,
+        email: 'admin@university.edu',
+        role: 'admin',
+        profile: { ...validUserData.profile, employeeId: 'ADM001' }
+      };
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(adminData)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(await User.exists({ email: adminData.email })).toBeNull();
+    });
+
     it('should require studentId for student role', async () => {
       const invalidData = { ...validUserData };
       delete invalidData.profile.studentId;
@@ -203,4 +237,295 @@ describe('Authentication', () => {
       expect(response.body.error.code).toBe('INVALID_TOKEN');
     });
   });
+
+  describe('Account lockout', () => {
+    const userData = {
+      email: 'test@university.edu',
+      password: 'Password123',
+      role: 'student',
+      profile: {
+        firstName: 'John',
+        lastName: 'Doe',
+        department: 'Computer Science',
+        studentId: 'CS2024001'
+      }
+    };
+
+    const attemptLogin = (password) => request(app)
+      .post('/api/auth/login')
+      .send({ email: userData.email, password });
+
+    const failLogins = async (count) => {
+      for (let i = 0; i < count; i++) {
+        await attemptLogin('WrongPassword1');
+      }
+    };
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send(userData);
+    });
+
+    it('should lock the account after too many failed attempts', async () => {
+      await failLogins(4);
+
+      const response = await attemptLogin('WrongPassword1').expect(423);
+      expect(response.body.error.code).toBe('ACCOUNT_LOCKED');
+      expect(response.body.error.retryAfter).toBeGreaterThan(29 * 60);
+      expect(response.headers['retry-after']).toBeDefined();
+
+      // The correct password is refused while locked
+      const locked = await attemptLogin(userData.password).expect(423);
+      expect(new Date(locked.body.error.lockedUntil).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should allow login again once the lock expires', async () => {
+      await failLogins(5);
+      await User.updateOne({ email: userData.email }, { lockUntil: new Date(Date.now() - 1000) });
+
+      await attemptLogin(userData.password).expect(200);
+
+      const user = await User.findOne({ email: userData.email });
+      expect(user.loginAttempts).toBe(0);
+      expect(user.lockCount).toBe(0);
+    });
+
+    it('should lock for longer after each consecutive lockout', async () => {
+      await failLogins(5);
+      await User.updateOne({ email: userData.email }, { lockUntil: new Date(Date.now() - 1000) });
+
+      // The expired lock restarts the count at 1
+      await failLogins(4);
+      const response = await attemptLogin('WrongPassword1').expect(423);
+      expect(response.body.error.retryAfter).toBeGreaterThan(59 * 60);
+    });
+
+    it('should reset failed attempts after a successful login', async () => {
+      await failLogins(4);
+      await attemptLogin(userData.password).expect(200);
+      await failLogins(4);
+
+      await attemptLogin(userData.password).expect(200);
+    });
+  });
+
+  describe('Token rotation and logout', () => {
+    let accessToken, refreshToken;
+    const userData = {
+      email: 'test@university.edu',
+      password: 'Password123',
+      role: 'student',
+      profile: {
+        firstName: 'John',
+        lastName: 'Doe',
+        department: 'Computer Science',
+        studentId: 'CS2024001'
+      }
+    };
+
+    const refresh = (token) => request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: token });
+
+    beforeEach(async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .set('User-Agent', 'jest-agent')
+        .send(userData);
+
+      ({ accessToken, refreshToken } = registerResponse.body.data);
+    });
+
+    it('should record a session for the device', async () => {
+      const sessions = await Session.find({});
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].userAgent).toBe('jest-agent');
+    });
+
+    it('should rotate the refresh token on every refresh', async () => {
+      const response = await refresh(refreshToken).expect(200);
+      const rotated = response.body.data.refreshToken;
+      expect(rotated).not.toBe(refreshToken);
+
+      await refresh(rotated).expect(200);
+    });
+
+    it('should revoke the token family when an old refresh token is reused', async () => {
+      const response = await refresh(refreshToken).expect(200);
+      const rotated = response.body.data.refreshToken;
+
+      const reused = await refresh(refreshToken).expect(401);
+      expect(reused.body.error.code).toBe('REFRESH_TOKEN_REUSED');
+
+      // The legitimate holder has to sign in again too
+      const next = await refresh(rotated).expect(401);
+      expect(next.body.error.code).toBe('INVALID_REFRESH_TOKEN');
+
+      const session = await Session.findOne({});
+      expect(session.revokedReason).toBe('reuse_detected');
+    });
+
+    it('should denylist the access token and end the session on logout', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(401);
+      expect(profile.body.error.code).toBe('TOKEN_REVOKED');
+
+      await refresh(refreshToken).expect(401);
+    });
+
+    it('should keep other sessions signed in after logout', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${login.body.data.accessToken}`)
+        .expect(200);
+      await refresh(login.body.data.refreshToken).expect(200);
+    });
+  });
+
+  describe('Password reset', () => {
+    let accessToken, refreshToken, sendPasswordReset;
+    const userData = {
+      email: 'test@university.edu',
+      password: 'Password123',
+      role: 'student',
+      profile: {
+        firstName: 'John',
+        lastName: 'Doe',
+        department: 'Computer Science',
+        studentId: 'CS2024001'
+      }
+    };
+
+    // Request a reset and return the token that would have been emailed
+    const requestReset = async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: userData.email })
+        .expect(200);
+      return sendPasswordReset.mock.calls[sendPasswordReset.mock.calls.length - 1][1];
+    };
+
+    beforeEach(async () => {
+      sendPasswordReset = jest.spyOn(mailService, 'sendPasswordReset').mockResolvedValue({});
+
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send(userData);
+
+      ({ accessToken, refreshToken } = registerResponse.body.data);
+    });
+
+    afterEach(() => {
+      sendPasswordReset.mockRestore();
+    });
+
+    it('should store only a hash of the emailed token', async () => {
+      const token = await requestReset();
+
+      const user = await User.findOne({ email: userData.email }).select('+passwordResetToken');
+      expect(user.passwordResetToken).toBeDefined();
+      expect(user.passwordResetToken).not.toBe(token);
+      expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should not reveal whether an account exists', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@university.edu' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(sendPasswordReset).not.toHaveBeenCalled();
+    });
+
+    it('should queue the reset email in the outbox', async () => {
+      sendPasswordReset.mockRestore();
+      await MailMessage.deleteMany({});
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: userData.email })
+        .expect(200);
+
+      const message = await MailMessage.findOne({ to: userData.email });
+      expect(message.template).toBe('passwordReset');
+      expect(message.status).toBe('pending');
+      expect(message.sensitive).toBe(true);
+      expect(message.text).toContain('/reset-password?token=');
+    });
+
+    it('should reset the password and revoke existing sessions', async () => {
+      const token = await requestReset();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'NewPassword456' })
+        .expect(200);
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(401);
+      expect(profile.body.error.code).toBe('TOKEN_REVOKED');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: 'NewPassword456' })
+        .expect(200);
+    });
+
+    it('should only accept a token once', async () => {
+      const token = await requestReset();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'NewPassword456' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'OtherPassword789' })
+        .expect(400);
+      expect(response.body.error.code).toBe('INVALID_RESET_TOKEN');
+    });
+
+    it('should reject expired tokens', async () => {
+      const token = await requestReset();
+      await User.updateOne({ email: userData.email }, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'NewPassword456' })
+        .expect(400);
+      expect(response.body.error.code).toBe('INVALID_RESET_TOKEN');
+    });
+  });
 });
\ No newline at end of file
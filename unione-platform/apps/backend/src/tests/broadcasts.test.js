@@ -0,0 +1,133 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Broadcast = require('../models/Broadcast');
+const { facultyData, studentData, registerUser, createAdmin } = require('./helpers');
+
+describe('Broadcast Announcements', () => {
+  let adminToken, facultyToken, csStudentToken, physicsStudentToken;
+  let course;
+
+  const HOUR = 60 * 60 * 1000;
+
+  const broadcast = (body) => request(app)
+    .post('/api/admin/announcements')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ title: 'Campus notice', content: 'Details inside', ...body });
+
+  const feedTitles = async (token) => {
+    const response = await request(app)
+      .get('/api/announcements/feed')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    return response.body.data.broadcasts.map(item => item.title);
+  };
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Course.deleteMany({});
+    await Broadcast.deleteMany({});
+
+    const admin = await createAdmin();
+    adminToken = admin.accessToken;
+
+    const faculty = await registerUser(facultyData());
+    facultyToken = faculty.accessToken;
+
+    const csStudent = await registerUser(studentData());
+    csStudentToken = csStudent.accessToken;
+
+    const physicsStudent = await registerUser(studentData({
+      email: 'physics@university.edu',
+      profile: { firstName: 'Physics', lastName: 'Student', department: 'Physics', studentId: 'PH2024001' }
+    }));
+    physicsStudentToken = physicsStudent.accessToken;
+
+    course = await Course.create({
+      code: 'CS201',
+      name: 'Data Structures',
+      instructor: faculty.user._id,
+      semester: 'Fall',
+      year: 2024,
+      enrolledStudents: [csStudent.user._id]
+    });
+    await User.updateOne({ _id: csStudent.user._id }, { $push: { enrolledCourses: course._id } });
+  });
+
+  describe('POST /api/admin/announcements', () => {
+    it('should only allow admins to broadcast', async () => {
+      await request(app)
+        .post('/api/admin/announcements')
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({ title: 'Campus notice', content: 'Details inside' })
+        .expect(403);
+    });
+
+    it('should report how many users the audience reaches', async () => {
+      const response = await broadcast({ audience: { roles: ['student'] } }).expect(201);
+
+      expect(response.body.data.audienceSize).toBe(2);
+      expect(response.body.data.broadcast.status).toBe('active');
+    });
+
+    it('should reject an expiry before the publish time', async () => {
+      const response = await broadcast({
+        publishAt: new Date(Date.now() + 2 * HOUR).toISOString(),
+        expiresAt: new Date(Date.now() + HOUR).toISOString()
+      }).expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_SCHEDULE');
+    });
+  });
+
+  describe('GET /api/announcements/feed', () => {
+    it('should show everyone a broadcast without audience filters', async () => {
+      await broadcast({ title: 'Holiday' }).expect(201);
+
+      expect(await feedTitles(facultyToken)).toEqual(['Holiday']);
+      expect(await feedTitles(physicsStudentToken)).toEqual(['Holiday']);
+    });
+
+    it('should target by role and department together', async () => {
+      await broadcast({
+        title: 'CS students',
+        audience: { roles: ['student'], departments: ['Computer Science'] }
+      }).expect(201);
+
+      expect(await feedTitles(csStudentToken)).toEqual(['CS students']);
+      expect(await feedTitles(physicsStudentToken)).toEqual([]);
+      expect(await feedTitles(facultyToken)).toEqual([]);
+    });
+
+    it('should target course members, including the instructor', async () => {
+      await broadcast({ title: 'CS201 exam hall', audience: { courses: [course._id] } }).expect(201);
+      await broadcast({ title: 'Spring term', audience: { semester: 'Spring' } }).expect(201);
+      await broadcast({ title: 'Fall 2024', audience: { semester: 'Fall', year: 2024 } }).expect(201);
+
+      expect(await feedTitles(csStudentToken)).toEqual(expect.arrayContaining(['CS201 exam hall', 'Fall 2024']));
+      expect(await feedTitles(facultyToken)).toHaveLength(2);
+      expect(await feedTitles(physicsStudentToken)).toEqual([]);
+    });
+
+    it('should hide scheduled and expired broadcasts', async () => {
+      await broadcast({ title: 'Later', publishAt: new Date(Date.now() + HOUR).toISOString() }).expect(201);
+      await Broadcast.create({
+        title: 'Old news',
+        content: 'Already over',
+        publishAt: new Date(Date.now() - 2 * HOUR),
+        expiresAt: new Date(Date.now() - HOUR),
+        createdBy: (await User.findOne({ role: 'admin' }))._id
+      });
+
+      expect(await feedTitles(csStudentToken)).toEqual([]);
+
+      const response = await request(app)
+        .get('/api/admin/announcements?status=scheduled')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.broadcasts.map(item => item.title)).toEqual(['Later']);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,270 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Attendance = require('../models/Attendance');
+const { facultyData, studentData, registerUser, createAdmin } = require('./helpers');
+
+describe('Course Staff', () => {
+  let adminToken, leadToken, coInstructorToken, assistantToken, studentToken;
+  let coInstructorUser, assistantUser, studentUser;
+  let course;
+
+  const classroom = { latitude: 28.6139, longitude: 77.2090 };
+
+  const faculty = (email, employeeId) => facultyData({ email, profile: { employeeId } });
+
+  const student = (email, studentId) => studentData({ email, profile: { studentId } });
+
+  const setAssistant = (capabilities, token = leadToken) => request(app)
+    .put(`/api/courses/${course._id}/assistants/${assistantUser._id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ capabilities });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Course.deleteMany({});
+    await Attendance.deleteMany({});
+
+    const admin = await createAdmin();
+    adminToken = admin.accessToken;
+
+    leadToken = (await registerUser(faculty('lead@university.edu', 'FAC001'))).accessToken;
+
+    const coInstructor = await registerUser(faculty('co@university.edu', 'FAC002'));
+    coInstructorToken = coInstructor.accessToken;
+    coInstructorUser = coInstructor.user;
+
+    const assistant = await registerUser(student('ta@university.edu', 'CS2020001'));
+    assistantToken = assistant.accessToken;
+    assistantUser = assistant.user;
+
+    const enrolled = await registerUser(student('student@university.edu', 'CS2024001'));
+    studentToken = enrolled.accessToken;
+    studentUser = enrolled.user;
+
+    const created = await request(app)
+      .post('/api/courses')
+      .set('Authorization', `Bearer ${leadToken}`)
+      .send({ code: 'cs101', name: 'Introduction to Programming', semester: 'Fall', year: 2024 });
+    course = created.body.data.course;
+
+    await request(app)
+      .post(`/api/courses/${course._id}/students`)
+      .set('Authorization', `Bearer ${leadToken}`)
+      .send({ studentIds: [studentUser._id] });
+  });
+
+  describe('Co-instructors', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post(`/api/courses/${course._id}/instructors`)
+        .set('Authorization', `Bearer ${leadToken}`)
+        .send({ userId: coInstructorUser._id })
+        .expect(200);
+    });
+
+    it('should give co-instructors instructor access', async () => {
+      await request(app)
+        .get(`/api/courses/${course._id}/students`)
+        .set('Authorization', `Bearer ${coInstructorToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/attendance/courses/${course._id}/sessions`)
+        .set('Authorization', `Bearer ${coInstructorToken}`)
+        .send({ location: classroom, radius: 100 })
+        .expect(201);
+    });
+
+    it('should list the course under either instructor', async () => {
+      const response = await request(app)
+        .get('/api/courses')
+        .query({ instructor: coInstructorUser._id })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.courses).toHaveLength(1);
+      expect(response.body.data.courses[0].coInstructors[0]._id).toBe(coInstructorUser._id);
+    });
+
+    it('should only let the lead instructor or an admin change instructors', async () => {
+      const response = await request(app)
+        .delete(`/api/courses/${course._id}/instructors/${coInstructorUser._id}`)
+        .set('Authorization', `Bearer ${coInstructorToken}`)
+        .expect(403);
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      await request(app)
+        .delete(`/api/courses/${course._id}/instructors/${coInstructorUser._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/courses/${course._id}/students`)
+        .set('Authorization', `Bearer ${coInstructorToken}`)
+        .expect(403);
+    });
+
+    it('should only accept active faculty as co-instructors', async () => {
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/instructors`)
+        .set('Authorization', `Bearer ${leadToken}`)
+        .send({ userId: studentUser._id })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_INSTRUCTOR');
+    });
+  });
+
+  describe('Teaching assistants', () => {
+    it('should grant only the configured capabilities', async () => {
+      await setAssistant(['attendance']).expect(200);
+
+      await request(app)
+        .post(`/api/attendance/courses/${course._id}/sessions`)
+        .set('Authorization', `Bearer ${assistantToken}`)
+        .send({ location: classroom, radius: 100 })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/announcements/courses/${course._id}`)
+        .set('Authorization', `Bearer ${assistantToken}`)
+        .send({ title: 'Lab moved', content: 'Room 204 this week' })
+        .expect(403);
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    it('should apply capability changes', async () => {
+      await setAssistant(['attendance']).expect(200);
+      await setAssistant(['announcements']).expect(200);
+
+      await request(app)
+        .post(`/api/announcements/courses/${course._id}`)
+        .set('Authorization', `Bearer ${assistantToken}`)
+        .send({ title: 'Lab moved', content: 'Room 204 this week' })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/attendance/courses/${course._id}/sessions`)
+        .set('Authorization', `Bearer ${assistantToken}`)
+        .send({ location: classroom, radius: 100 })
+        .expect(403);
+    });
+
+    it('should keep instructor-only actions from TAs', async () => {
+      await setAssistant(['grade', 'attendance', 'announcements']).expect(200);
+
+      await request(app)
+        .get(`/api/courses/${course._id}/students`)
+        .set('Authorization', `Bearer ${assistantToken}`)
+        .expect(403);
+
+      await request(app)
+        .put(`/api/courses/${course._id}/assistants/${studentUser._id}`)
+        .set('Authorization', `Bearer ${assistantToken}`)
+        .send({ capabilities: [] })
+        .expect(403);
+    });
+
+    it('should let TAs view the course but not act as enrolled students', async () => {
+      await setAssistant([]).expect(200);
+
+      await request(app)
+        .get(`/api/courses/${course._id}`)
+        .set('Authorization', `Bearer ${assistantToken}`)
+        .expect(200);
+
+      const session = await request(app)
+        .post(`/api/attendance/courses/${course._id}/sessions`)
+        .set('Authorization', `Bearer ${leadToken}`)
+        .send({ location: classroom, radius: 100 })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/attendance/courses/${course._id}/sessions/${session.body.data.session._id}/check-in`)
+        .set('Authorization', `Bearer ${assistantToken}`)
+        .send(classroom)
+        .expect(403);
+    });
+
+    it("should only show other students' attendance to TAs with the attendance capability", async () => {
+      await setAssistant(['grade']).expect(200);
+
+      const session = await request(app)
+        .post(`/api/attendance/courses/${course._id}/sessions`)
+        .set('Authorization', `Bearer ${leadToken}`)
+        .send({ location: classroom, radius: 100 })
+        .expect(201);
+      await request(app)
+        .post(`/api/attendance/courses/${course._id}/sessions/${session.body.data.session._id}/check-in`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ ...classroom, accuracy: 10 })
+        .expect(201);
+
+      const getSessions = () => request(app)
+        .get(`/api/attendance/courses/${course._id}/sessions`)
+        .set('Authorization', `Bearer ${assistantToken}`)
+        .expect(200)
+        .then(response => response.body.data.sessions[0]);
+
+      const ownView = await getSessions();
+      expect(ownView.records).toBeUndefined();
+      expect(ownView.myRecord).toBeNull();
+
+      // TA capabilities never include attendance:reports
+      const report = await request(app)
+        .get(`/api/attendance/courses/${course._id}/report`)
+        .set('Authorization', `Bearer ${assistantToken}`)
+        .expect(200);
+      expect(report.body.data.report).toBeUndefined();
+      expect(report.body.data.standing.student).toBe(assistantUser._id);
+
+      await setAssistant(['attendance']).expect(200);
+      const fullView = await getSessions();
+      expect(fullView.records).toHaveLength(1);
+    });
+
+    it('should not make enrolled students TAs of the same course', async () => {
+      const response = await request(app)
+        .put(`/api/courses/${course._id}/assistants/${studentUser._id}`)
+        .set('Authorization', `Bearer ${leadToken}`)
+        .send({ capabilities: ['grade'] })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('ASSISTANT_ENROLLED');
+    });
+
+    it('should reject unknown capabilities', async () => {
+      await setAssistant(['grade', 'teleport']).expect(400);
+    });
+
+    it('should list the courses a user assists with their role', async () => {
+      await setAssistant(['grade']).expect(200);
+
+      const response = await request(app)
+        .get('/api/courses')
+        .query({ teaching: true })
+        .set('Authorization', `Bearer ${assistantToken}`)
+        .expect(200);
+
+      expect(response.body.data.courses).toHaveLength(1);
+      expect(response.body.data.courses[0].courseRole).toBe('ta');
+      expect(response.body.data.courses[0].teachingAssistants[0].capabilities).toEqual(['grade']);
+    });
+
+    it('should stop access once removed', async () => {
+      await setAssistant(['attendance']).expect(200);
+
+      await request(app)
+        .delete(`/api/courses/${course._id}/assistants/${assistantUser._id}`)
+        .set('Authorization', `Bearer ${leadToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/courses/${course._id}`)
+        .set('Authorization', `Bearer ${assistantToken}`)
+        .expect(403);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,261 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const { facultyData, studentData, registerUser, createAdmin } = require('./helpers');
+
+describe('Course Management', () => {
+  let adminToken, facultyToken, otherFacultyToken, studentToken;
+  let facultyUser, studentUser;
+
+  const courseData = {
+    code: 'cs101',
+    name: 'Introduction to Programming',
+    description: 'Fundamentals of programming',
+    semester: 'Fall',
+    year: 2024
+  };
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Course.deleteMany({});
+
+    const admin = await createAdmin();
+    adminToken = admin.accessToken;
+
+    const faculty = await registerUser(facultyData());
+    facultyToken = faculty.accessToken;
+    facultyUser = faculty.user;
+
+    const otherFaculty = await registerUser(facultyData({
+      email: 'other.faculty@university.edu',
+      profile: { firstName: 'Other', lastName: 'Faculty', department: 'Mathematics', employeeId: 'FAC002' }
+    }));
+    otherFacultyToken = otherFaculty.accessToken;
+
+    const student = await registerUser(studentData());
+    studentToken = student.accessToken;
+    studentUser = student.user;
+  });
+
+  describe('POST /api/courses', () => {
+    it('should let faculty create a course they instruct', async () => {
+      const response = await request(app)
+        .post('/api/courses')
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send(courseData)
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.course.code).toBe('CS101');
+      expect(response.body.data.course.instructor).toBe(facultyUser._id);
+    });
+
+    it('should require an instructor when admin creates a course', async () => {
+      const response = await request(app)
+        .post('/api/courses')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(courseData)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INSTRUCTOR_REQUIRED');
+    });
+
+    it('should let admin create a course for a faculty member', async () => {
+      const response = await request(app)
+        .post('/api/courses')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...courseData, instructor: facultyUser._id })
+        .expect(201);
+
+      expect(response.body.data.course.instructor).toBe(facultyUser._id);
+    });
+
+    it('should not allow students to create courses', async () => {
+      const response = await request(app)
+        .post('/api/courses')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send(courseData)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    it('should reject duplicate course codes', async () => {
+      await request(app)
+        .post('/api/courses')
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send(courseData)
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/courses')
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send(courseData)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('DUPLICATE_FIELD');
+    });
+  });
+
+  describe('GET /api/courses', () => {
+    beforeEach(async () => {
+      await Course.create([
+        { ...courseData, code: 'CS101', instructor: facultyUser._id },
+        { ...courseData, code: 'CS201', semester: 'Spring', instructor: facultyUser._id },
+        { ...courseData, code: 'CS301', year: 2025, instructor: facultyUser._id }
+      ]);
+    });
+
+    it('should list courses with pagination', async () => {
+      const response = await request(app)
+        .get('/api/courses')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(response.body.data.courses).toHaveLength(3);
+      expect(response.body.data.pagination.total).toBe(3);
+    });
+
+    it('should filter by semester and year', async () => {
+      const response = await request(app)
+        .get('/api/courses?semester=Fall&year=2024')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(response.body.data.courses).toHaveLength(1);
+      expect(response.body.data.courses[0].code).toBe('CS101');
+    });
+
+    it('should exclude archived courses by default', async () => {
+      await Course.updateOne({ code: 'CS101' }, { isArchived: true });
+
+      const response = await request(app)
+        .get('/api/courses')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(response.body.data.courses).toHaveLength(2);
+    });
+  });
+
+  describe('GET /api/courses/:courseId', () => {
+    let course;
+
+    beforeEach(async () => {
+      course = await Course.create({ ...courseData, instructor: facultyUser._id });
+    });
+
+    it('should return course details to the instructor', async () => {
+      const response = await request(app)
+        .get(`/api/courses/${course._id}`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(200);
+
+      expect(response.body.data.course.code).toBe('CS101');
+      expect(response.body.data.course.instructor.email).toBe('faculty@university.edu');
+    });
+
+    it('should return course details to an enrolled student without the roster', async () => {
+      course.enrolledStudents.push(studentUser._id);
+      course.waitlist.push({ student: facultyUser._id });
+      await course.save();
+
+      const response = await request(app)
+        .get(`/api/courses/${course._id}`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(response.body.data.course.enrolledStudents).toBeUndefined();
+      expect(response.body.data.course.waitlist).toBeUndefined();
+      expect(response.body.data.course.enrolledCount).toBe(1);
+      expect(response.body.data.course.waitlistCount).toBe(1);
+
+      const list = await request(app)
+        .get('/api/courses')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+      expect(list.body.data.courses[0].enrolledStudents).toBeUndefined();
+      expect(list.body.data.courses[0].waitlist).toBeUndefined();
+    });
+
+    it('should deny access to students who are not enrolled', async () => {
+      const response = await request(app)
+        .get(`/api/courses/${course._id}`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('COURSE_ACCESS_DENIED');
+    });
+
+    it('should reject invalid course IDs', async () => {
+      const response = await request(app)
+        .get('/api/courses/not-an-id')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_COURSE_ID');
+    });
+  });
+
+  describe('PUT /api/courses/:courseId', () => {
+    let course;
+
+    beforeEach(async () => {
+      course = await Course.create({ ...courseData, instructor: facultyUser._id });
+    });
+
+    it('should let the instructor update course details and settings', async () => {
+      const response = await request(app)
+        .put(`/api/courses/${course._id}`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({ name: 'Programming Basics', settings: { attendanceThreshold: 80 } })
+        .expect(200);
+
+      expect(response.body.data.course.name).toBe('Programming Basics');
+      expect(response.body.data.course.settings.attendanceThreshold).toBe(80);
+      expect(response.body.data.course.settings.allowDiscussions).toBe(true);
+    });
+
+    it('should not let other faculty update the course', async () => {
+      await request(app)
+        .put(`/api/courses/${course._id}`)
+        .set('Authorization', `Bearer ${otherFacultyToken}`)
+        .send({ name: 'Hijacked' })
+        .expect(403);
+    });
+
+    it('should reserve instructor changes for admins', async () => {
+      const response = await request(app)
+        .put(`/api/courses/${course._id}`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({ instructor: studentUser._id })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+  });
+
+  describe('DELETE /api/courses/:courseId', () => {
+    it('should archive the course instead of deleting it', async () => {
+      const course = await Course.create({ ...courseData, instructor: facultyUser._id });
+
+      await request(app)
+        .delete(`/api/courses/${course._id}`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(200);
+
+      const archived = await Course.findById(course._id);
+      expect(archived.isArchived).toBe(true);
+      expect(archived.archivedAt).toBeInstanceOf(Date);
+
+      const response = await request(app)
+        .put(`/api/courses/${course._id}`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({ name: 'Too Late' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('COURSE_ARCHIVED');
+    });
+  });
+});
\ No newline at end of file
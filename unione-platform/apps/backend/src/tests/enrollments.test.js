@@ -0,0 +1,259 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const { facultyData, studentData, registerUser, createAdmin } = require('./helpers');
+
+describe('Course Enrollment', () => {
+  let adminToken, facultyToken;
+  let facultyUser;
+  let students;
+  let course;
+
+  const registerStudent = (index) => registerUser(studentData({
+    email: `student${index}@university.edu`,
+    profile: { lastName: `Number${index}`, studentId: `CS202400${index}` }
+  }));
+
+  const getJoinCode = async () => {
+    const response = await request(app)
+      .get(`/api/courses/${course._id}/join-code`)
+      .set('Authorization', `Bearer ${facultyToken}`)
+      .expect(200);
+    return response.body.data.joinCode;
+  };
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Course.deleteMany({});
+
+    const admin = await createAdmin();
+    adminToken = admin.accessToken;
+
+    const faculty = await registerUser(facultyData());
+    facultyToken = faculty.accessToken;
+    facultyUser = faculty.user;
+
+    students = [];
+    for (let i = 1; i <= 3; i++) {
+      students.push(await registerStudent(i));
+    }
+
+    course = await Course.create({
+      code: 'CS101',
+      name: 'Introduction to Programming',
+      instructor: facultyUser._id,
+      semester: 'Fall',
+      year: 2024,
+      capacity: 2
+    });
+  });
+
+  describe('POST /api/courses/join', () => {
+    it('should enroll a student with a valid join code and sync both sides', async () => {
+      const joinCode = await getJoinCode();
+
+      const response = await request(app)
+        .post('/api/courses/join')
+        .set('Authorization', `Bearer ${students[0].accessToken}`)
+        .send({ joinCode })
+        .expect(201);
+
+      expect(response.body.data.status).toBe('enrolled');
+
+      const updatedCourse = await Course.findById(course._id);
+      const updatedUser = await User.findById(students[0].user._id);
+      expect(updatedCourse.enrolledStudents.map(String)).toContain(students[0].user._id);
+      expect(updatedUser.enrolledCourses.map(String)).toContain(course._id.toString());
+    });
+
+    it('should reject an unknown join code', async () => {
+      const response = await request(app)
+        .post('/api/courses/join')
+        .set('Authorization', `Bearer ${students[0].accessToken}`)
+        .send({ joinCode: 'NOPE123' })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('INVALID_JOIN_CODE');
+    });
+
+    it('should reject self-enrollment when disabled', async () => {
+      const joinCode = await getJoinCode();
+      await Course.updateOne({ _id: course._id }, { 'settings.allowSelfEnroll': false });
+
+      const response = await request(app)
+        .post('/api/courses/join')
+        .set('Authorization', `Bearer ${students[0].accessToken}`)
+        .send({ joinCode })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('SELF_ENROLL_DISABLED');
+    });
+
+    it('should waitlist students once the course is full', async () => {
+      const joinCode = await getJoinCode();
+
+      for (const student of students.slice(0, 2)) {
+        await request(app)
+          .post('/api/courses/join')
+          .set('Authorization', `Bearer ${student.accessToken}`)
+          .send({ joinCode })
+          .expect(201);
+      }
+
+      const response = await request(app)
+        .post('/api/courses/join')
+        .set('Authorization', `Bearer ${students[2].accessToken}`)
+        .send({ joinCode })
+        .expect(202);
+
+      expect(response.body.data.status).toBe('waitlisted');
+      expect(response.body.data.position).toBe(1);
+
+      const updatedUser = await User.findById(students[2].user._id);
+      expect(updatedUser.enrolledCourses).toHaveLength(0);
+    });
+
+    it('should not allow duplicate enrollment', async () => {
+      const joinCode = await getJoinCode();
+
+      await request(app)
+        .post('/api/courses/join')
+        .set('Authorization', `Bearer ${students[0].accessToken}`)
+        .send({ joinCode })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/courses/join')
+        .set('Authorization', `Bearer ${students[0].accessToken}`)
+        .send({ joinCode })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('ALREADY_ENROLLED');
+    });
+  });
+
+  describe('Faculty-managed enrollment', () => {
+    it('should add students by ID and email', async () => {
+      const response = await request(app)
+        .post(`/api/courses/${course._id}/students`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({
+          studentIds: [students[0].user._id],
+          emails: ['student2@university.edu', 'missing@university.edu']
+        })
+        .expect(200);
+
+      expect(response.body.data.summary).toEqual({ enrolled: 2, waitlisted: 0, failed: 1 });
+    });
+
+    it('should promote the first waitlisted student when a seat frees up', async () => {
+      await request(app)
+        .post(`/api/courses/${course._id}/students`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({ studentIds: students.map(student => student.user._id) })
+        .expect(200);
+
+      const response = await request(app)
+        .delete(`/api/courses/${course._id}/students/${students[0].user._id}`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(200);
+
+      expect(response.body.data.promoted.map(String)).toEqual([students[2].user._id]);
+
+      const updatedCourse = await Course.findById(course._id);
+      expect(updatedCourse.enrolledStudents.map(String).sort())
+        .toEqual([students[1].user._id, students[2].user._id].sort());
+      expect(updatedCourse.waitlist).toHaveLength(0);
+
+      const removedUser = await User.findById(students[0].user._id);
+      const promotedUser = await User.findById(students[2].user._id);
+      expect(removedUser.enrolledCourses).toHaveLength(0);
+      expect(promotedUser.enrolledCourses.map(String)).toEqual([course._id.toString()]);
+    });
+
+    it('should list the roster and waitlist for the instructor', async () => {
+      await request(app)
+        .post(`/api/courses/${course._id}/students`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({ studentIds: students.map(student => student.user._id) })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/courses/${course._id}/students`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(200);
+
+      expect(response.body.data.students).toHaveLength(2);
+      expect(response.body.data.waitlist).toHaveLength(1);
+      expect(response.body.data.waitlist[0].student.email).toBe('student3@university.edu');
+    });
+  });
+
+  describe('DELETE /api/courses/:courseId/enrollment', () => {
+    it('should let a student leave a course', async () => {
+      await request(app)
+        .post(`/api/courses/${course._id}/students`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({ studentIds: [students[0].user._id] })
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/courses/${course._id}/enrollment`)
+        .set('Authorization', `Bearer ${students[0].accessToken}`)
+        .expect(200);
+
+      const updatedCourse = await Course.findById(course._id);
+      const updatedUser = await User.findById(students[0].user._id);
+      expect(updatedCourse.enrolledStudents).toHaveLength(0);
+      expect(updatedUser.enrolledCourses).toHaveLength(0);
+    });
+  });
+
+  describe('Admin enrollment tools', () => {
+    it('should bulk enroll past capacity when asked to', async () => {
+      const response = await request(app)
+        .post('/api/admin/enrollments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          courseId: course._id.toString(),
+          studentIds: students.map(student => student.user._id),
+          ignoreCapacity: true
+        })
+        .expect(200);
+
+      expect(response.body.data.summary.enrolled).toBe(3);
+    });
+
+    it('should reconcile drift between courses and users', async () => {
+      // Roster entry without the matching user link, and a user link without a roster entry
+      await Course.updateOne({ _id: course._id }, { $push: { enrolledStudents: students[0].user._id } });
+      await User.updateOne({ _id: students[1].user._id }, { $push: { enrolledCourses: course._id } });
+
+      const dryRun = await request(app)
+        .post('/api/admin/enrollments/reconcile?dryRun=true')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(dryRun.body.data.report.missingUserLinks).toBe(1);
+      expect(dryRun.body.data.report.staleUserLinks).toBe(1);
+
+      await request(app)
+        .post('/api/admin/enrollments/reconcile')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const linkedUser = await User.findById(students[0].user._id);
+      const unlinkedUser = await User.findById(students[1].user._id);
+      expect(linkedUser.enrolledCourses.map(String)).toEqual([course._id.toString()]);
+      expect(unlinkedUser.enrolledCourses).toHaveLength(0);
+    });
+
+    it('should not allow faculty to use admin enrollment tools', async () => {
+      await request(app)
+        .post('/api/admin/enrollments/reconcile')
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(403);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const File = require('../models/File');
+const Assignment = require('../models/Assignment');
+const { setStorage, LocalStorageDriver } = require('../services/storage');
+const { facultyData, studentData, registerUser } = require('./helpers');
+
+describe('File Storage', () => {
+  let facultyToken, studentToken, outsiderToken;
+  let course, storageRoot;
+
+  const PDF = Buffer.from('%PDF-1.4\n% test document\n');
+  const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('image')]);
+
+  const upload = (token, content = PDF, options = { filename: 'notes.pdf', contentType: 'application/pdf' }) => request(app)
+    .post(`/api/files/courses/${course._id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .attach('files', content, options);
+
+  beforeAll(() => {
+    storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unione-files-'));
+    setStorage(new LocalStorageDriver({ root: storageRoot }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Course.deleteMany({});
+    await File.deleteMany({});
+    await Assignment.deleteMany({});
+
+    const faculty = await registerUser(facultyData());
+    facultyToken = faculty.accessToken;
+
+    const student = await registerUser(studentData());
+    studentToken = student.accessToken;
+
+    const outsider = await registerUser(studentData({
+      email: 'outsider@university.edu',
+      profile: { firstName: 'Other', lastName: 'Student', department: 'Physics', studentId: 'PH2024001' }
+    }));
+    outsiderToken = outsider.accessToken;
+
+    course = await Course.create({
+      code: 'CS201',
+      name: 'Data Structures',
+      instructor: faculty.user._id,
+      semester: 'Fall',
+      year: 2024,
+      enrolledStudents: [student.user._id]
+    });
+  });
+
+  describe('POST /api/files/courses/:courseId', () => {
+    it('should upload course material and return a download URL', async () => {
+      const response = await upload(facultyToken).expect(201);
+
+      const [uploaded] = response.body.data.files;
+      expect(uploaded.file.originalName).toBe('notes.pdf');
+      expect(uploaded.file.purpose).toBe('course');
+      expect(uploaded.file.storageKey).toBeUndefined();
+      expect(uploaded.url).toMatch(/\/download\?token=/);
+    });
+
+    it('should store identical content only once', async () => {
+      const first = await upload(facultyToken).expect(201);
+      const second = await upload(facultyToken).expect(201);
+      await upload(studentToken).expect(201);
+
+      expect(second.body.data.files[0].file._id).toBe(first.body.data.files[0].file._id);
+      expect(await File.countDocuments()).toBe(2);
+      expect(new Set((await File.find()).map(file => file.storageKey)).size).toBe(1);
+    });
+
+    it('should reject unsupported file types', async () => {
+      const response = await upload(facultyToken, Buffer.from('#!/bin/sh'), {
+        filename: 'script.sh',
+        contentType: 'application/x-sh'
+      }).expect(415);
+
+      expect(response.body.error.code).toBe('UNSUPPORTED_FILE_TYPE');
+    });
+
+    it('should reject content that does not match its declared type', async () => {
+      const response = await upload(facultyToken, Buffer.from('MZ not a pdf')).expect(415);
+
+      expect(response.body.error.code).toBe('FILE_CONTENT_MISMATCH');
+    });
+
+    it('should not allow uploads from students outside the course', async () => {
+      await upload(outsiderToken).expect(403);
+    });
+  });
+
+  describe('GET /api/files/:fileId', () => {
+    it('should let enrolled students download course material', async () => {
+      const uploaded = await upload(facultyToken).expect(201);
+      const fileId = uploaded.body.data.files[0].file._id;
+
+      const details = await request(app)
+        .get(`/api/files/${fileId}`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      const download = await request(app)
+        .get(details.body.data.url)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(download.headers['content-type']).toBe('application/pdf');
+      expect(download.body.equals(PDF)).toBe(true);
+    });
+
+    it('should hide files from users outside the course', async () => {
+      const uploaded = await upload(facultyToken).expect(201);
+      const fileId = uploaded.body.data.files[0].file._id;
+
+      await request(app)
+        .get(`/api/files/${fileId}`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(404);
+    });
+
+    it('should reject download links issued for another file', async () => {
+      const first = await upload(facultyToken).expect(201);
+      const second = await upload(facultyToken, PNG, { filename: 'diagram.png', contentType: 'image/png' }).expect(201);
+
+      const token = first.body.data.files[0].url.split('token=')[1];
+      const response = await request(app)
+        .get(`/api/files/${second.body.data.files[0].file._id}/download?token=${token}`)
+        .expect(401);
+
+      expect(response.body.error.code).toBe('INVALID_DOWNLOAD_LINK');
+    });
+  });
+
+  describe('DELETE /api/files/:fileId', () => {
+    it('should not delete files attached to an assignment', async () => {
+      const uploaded = await upload(facultyToken).expect(201);
+      const fileId = uploaded.body.data.files[0].file._id;
+
+      await request(app)
+        .post(`/api/assignments/courses/${course._id}`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({
+          title: 'Reading',
+          dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+          attachments: [{ file: fileId }]
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .delete(`/api/files/${fileId}`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('FILE_IN_USE');
+    });
+  });
+
+  describe('POST /api/users/profile/avatar', () => {
+    it('should upload an avatar and serve it publicly', async () => {
+      const response = await request(app)
+        .post('/api/users/profile/avatar')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .attach('avatar', PNG, { filename: 'me.png', contentType: 'image/png' })
+        .expect(200);
+
+      const avatarUrl = response.body.data.user.profile.avatar;
+      expect(avatarUrl).toMatch(/^\/api\/files\/avatars\//);
+
+      const avatar = await request(app).get(avatarUrl).expect(200);
+      expect(avatar.headers['content-type']).toBe('image/png');
+    });
+
+    it('should reject non-image avatars', async () => {
+      await request(app)
+        .post('/api/users/profile/avatar')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .attach('avatar', PDF, { filename: 'me.pdf', contentType: 'application/pdf' })
+        .expect(415);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,81 @@
+// Shared fixtures for the API tests
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+
+// Build a fixture factory; overrides replace top-level fields and merge into profile
+const fixture = (defaults) => ({ profile = {}, ...overrides } = {}) => ({
+  ...defaults,
+  ...overrides,
+  profile: { ...defaults.profile, ...profile }
+});
+
+const adminData = fixture({
+  email: 'admin@university.edu',
+  password: 'AdminPass123',
+  role: 'admin',
+  profile: {
+    firstName: 'Admin',
+    lastName: 'User',
+    department: 'Administration',
+    employeeId: 'ADM001'
+  }
+});
+
+const facultyData = fixture({
+  email: 'faculty@university.edu',
+  password: 'FacultyPass123',
+  role: 'faculty',
+  profile: {
+    firstName: 'Faculty',
+    lastName: 'Member',
+    department: 'Computer Science',
+    employeeId: 'FAC001'
+  }
+});
+
+const studentData = fixture({
+  email: 'student@university.edu',
+  password: 'StudentPass123',
+  role: 'student',
+  profile: {
+    firstName: 'Student',
+    lastName: 'User',
+    department: 'Computer Science',
+    studentId: 'CS2024001'
+  }
+});
+
+/**
+ * Sign up through the public registration endpoint
+ * @param {Object} userData - Registration body
+ * @returns {Promise<Object>} - { user, accessToken, refreshToken }
+ */
+const registerUser = async (userData) => {
+  const response = await request(app)
+    .post('/api/auth/register')
+    .send(userData);
+  return response.body.data;
+};
+
+/**
+ * Create an admin account directly, since registration is closed to admins, and sign in
+ * @param {Object} userData - Account fields
+ * @returns {Promise<Object>} - { user, accessToken, refreshToken }
+ */
+const createAdmin = async (userData = adminData()) => {
+  await User.create(userData);
+
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({ email: userData.email, password: userData.password });
+  return response.body.data;
+};
+
+module.exports = {
+  adminData,
+  facultyData,
+  studentData,
+  registerUser,
+  createAdmin
+};
\ No newline at end of file
@@ -0,0 +1,195 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Announcement = require('../models/Announcement');
+const Notification = require('../models/Notification');
+const MailMessage = require('../models/MailMessage');
+const { facultyData, studentData, registerUser } = require('./helpers');
+
+describe('Notifications', () => {
+  let facultyToken, studentToken, otherToken;
+  let course;
+
+  const postAnnouncement = (title = 'Welcome') => request(app)
+    .post(`/api/announcements/courses/${course._id}`)
+    .set('Authorization', `Bearer ${facultyToken}`)
+    .send({ title, content: 'Lectures start Monday' })
+    .expect(201);
+
+  const getInbox = (token, query = {}) => request(app)
+    .get('/api/notifications')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`)
+    .expect(200);
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Course.deleteMany({});
+    await Announcement.deleteMany({});
+    await Notification.deleteMany({});
+
+    const faculty = await registerUser(facultyData());
+    facultyToken = faculty.accessToken;
+
+    const student = await registerUser(studentData());
+    studentToken = student.accessToken;
+
+    const other = await registerUser(studentData({
+      email: 'other@university.edu',
+      profile: { firstName: 'Other', lastName: 'Student', studentId: 'CS2024002' }
+    }));
+    otherToken = other.accessToken;
+
+    course = await Course.create({
+      code: 'CS201',
+      name: 'Data Structures',
+      instructor: faculty.user._id,
+      semester: 'Fall',
+      year: 2024,
+      enrolledStudents: [student.user._id]
+    });
+
+    // Registration queued welcome emails
+    await MailMessage.deleteMany({});
+  });
+
+  describe('Inbox', () => {
+    it('should notify enrolled students about new announcements', async () => {
+      await postAnnouncement();
+
+      const response = await getInbox(studentToken);
+      expect(response.body.data.notifications).toHaveLength(1);
+      expect(response.body.data.notifications[0]).toMatchObject({
+        category: 'announcements',
+        type: 'announcement:created',
+        isRead: false
+      });
+      expect(response.body.data.unreadCount).toBe(1);
+
+      const other = await getInbox(otherToken);
+      expect(other.body.data.notifications).toHaveLength(0);
+    });
+
+    it('should report and update the unread count', async () => {
+      await postAnnouncement('First');
+      await postAnnouncement('Second');
+
+      const inbox = await getInbox(studentToken);
+      const [latest] = inbox.body.data.notifications;
+      expect(latest.message).toBe('Second');
+
+      await request(app)
+        .put(`/api/notifications/${latest._id}/read`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      const count = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+      expect(count.body.data.unreadCount).toBe(1);
+
+      const unread = await getInbox(studentToken, { unread: 'true' });
+      expect(unread.body.data.notifications.map(n => n.message)).toEqual(['First']);
+    });
+
+    it('should mark all notifications as read', async () => {
+      await postAnnouncement('First');
+      await postAnnouncement('Second');
+
+      const response = await request(app)
+        .put('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+      expect(response.body.data.updated).toBe(2);
+
+      const inbox = await getInbox(studentToken);
+      expect(inbox.body.data.unreadCount).toBe(0);
+    });
+
+    it('should not let users read or delete other inboxes', async () => {
+      await postAnnouncement();
+      const inbox = await getInbox(studentToken);
+      const notificationId = inbox.body.data.notifications[0]._id;
+
+      const read = await request(app)
+        .put(`/api/notifications/${notificationId}/read`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+      expect(read.body.error.code).toBe('NOTIFICATION_NOT_FOUND');
+
+      await request(app)
+        .delete(`/api/notifications/${notificationId}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+
+      await request(app)
+        .delete(`/api/notifications/${notificationId}`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(await Notification.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('Preferences', () => {
+    it('should return default channel preferences', async () => {
+      const response = await request(app)
+        .get('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(response.body.data.preferences.announcements).toEqual({ inApp: true, email: true });
+      expect(response.body.data.preferences.attendance).toEqual({ inApp: true, email: false });
+    });
+
+    it('should skip in-app notifications for muted categories', async () => {
+      const response = await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ announcements: { inApp: false } })
+        .expect(200);
+      expect(response.body.data.preferences.announcements).toEqual({ inApp: false, email: true });
+
+      await postAnnouncement();
+
+      const inbox = await getInbox(studentToken);
+      expect(inbox.body.data.notifications).toHaveLength(0);
+    });
+
+    it('should email notifications for categories with the email channel on', async () => {
+      await postAnnouncement('Midterm dates');
+
+      const emails = await MailMessage.find({ template: 'notification' });
+      expect(emails).toHaveLength(1);
+      expect(emails[0].to).toBe(studentData().email);
+      expect(emails[0].subject).toBe('New announcement in CS201');
+      expect(emails[0].text).toContain('Midterm dates');
+    });
+
+    it('should not email muted categories', async () => {
+      await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ announcements: { email: false } })
+        .expect(200);
+
+      await postAnnouncement();
+
+      expect(await MailMessage.countDocuments({ template: 'notification' })).toBe(0);
+      const inbox = await getInbox(studentToken);
+      expect(inbox.body.data.notifications).toHaveLength(1);
+    });
+
+    it('should reject non-boolean preferences', async () => {
+      const response = await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ attendance: { email: 'yes' } })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+
+describe('Password Policy', () => {
+  let studentToken;
+  const studentData = {
+    email: 'student@university.edu',
+    password: 'StudentPass123',
+    role: 'student',
+    profile: {
+      firstName: 'Student',
+      lastName: 'User',
+      department: 'Computer Science',
+      studentId: 'CS2024001'
+    }
+  };
+
+  const register = (password) => request(app)
+    .post('/api/auth/register')
+    .send({
+      ...studentData,
+      email: 'new@university.edu',
+      password,
+      profile: { ...studentData.profile, studentId: 'CS2024100' }
+    });
+
+  const changePassword = (currentPassword, newPassword) => request(app)
+    .put('/api/users/change-password')
+    .set('Authorization', `Bearer ${studentToken}`)
+    .send({ currentPassword, newPassword });
+
+  const originalEnv = { ...process.env };
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send(studentData);
+    studentToken = response.body.data.accessToken;
+  });
+
+  afterEach(() => {
+    ['PASSWORD_HISTORY', 'PASSWORD_MAX_AGE_DAYS', 'PASSWORD_REQUIRE_SPECIAL'].forEach(name => {
+      if (originalEnv[name] === undefined) delete process.env[name];
+      else process.env[name] = originalEnv[name];
+    });
+  });
+
+  describe('Strength rules', () => {
+    it('should require the minimum length', async () => {
+      const response = await register('Short1a').expect(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('should reject passwords on the blocklist regardless of case', async () => {
+      const response = await register('LetMeIn2024').expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details[0].msg).toMatch(/too common/);
+    });
+
+    it('should apply configured character classes', async () => {
+      process.env.PASSWORD_REQUIRE_SPECIAL = 'true';
+
+      await register('NoSpecial123').expect(400);
+      await register('HasSpecial#123').expect(201);
+    });
+
+    it('should apply the same rules to accounts created by an admin', async () => {
+      await User.updateOne({ email: studentData.email }, { $set: { role: 'admin' } });
+
+      const response = await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ ...studentData, email: 'created@university.edu', password: 'Summer2024' })
+        .expect(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('History', () => {
+    it('should not allow reusing a recent password', async () => {
+      await changePassword('StudentPass123', 'SecondPass456').expect(200);
+
+      const response = await changePassword('SecondPass456', 'StudentPass123').expect(400);
+      expect(response.body.error.code).toBe('PASSWORD_REUSED');
+    });
+
+    it('should allow passwords older than the history', async () => {
+      process.env.PASSWORD_HISTORY = '1';
+
+      await changePassword('StudentPass123', 'SecondPass456').expect(200);
+      await changePassword('SecondPass456', 'ThirdPass789').expect(200);
+      await changePassword('ThirdPass789', 'StudentPass123').expect(200);
+    });
+
+    it('should keep only the configured number of entries', async () => {
+      process.env.PASSWORD_HISTORY = '2';
+
+      await changePassword('StudentPass123', 'SecondPass456').expect(200);
+      await changePassword('SecondPass456', 'ThirdPass789').expect(200);
+
+      const user = await User.findOne({ email: studentData.email }).select('+passwordHistory');
+      expect(user.passwordHistory).toHaveLength(2);
+      expect(user.toJSON().passwordHistory).toBeUndefined();
+    });
+
+    it('should check history on reset without using up the link', async () => {
+      const user = await User.findOne({ email: studentData.email });
+      const token = user.createPasswordResetToken(30);
+      await user.save();
+
+      const reused = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'StudentPass123' })
+        .expect(400);
+      expect(reused.body.error.code).toBe('PASSWORD_REUSED');
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'ResetPass456' })
+        .expect(200);
+    });
+  });
+
+  describe('Maximum age', () => {
+    it('should require a change once the password has expired', async () => {
+      process.env.PASSWORD_MAX_AGE_DAYS = '30';
+      await User.updateOne(
+        { email: studentData.email },
+        { $set: { passwordChangedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) } }
+      );
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: studentData.email, password: studentData.password })
+        .expect(200);
+
+      expect(login.body.data.passwordChangeRequired).toBe(true);
+      expect(login.body.data.reason).toBe('expired');
+
+      await request(app)
+        .put('/api/users/change-password')
+        .set('Authorization', `Bearer ${login.body.data.passwordChangeToken}`)
+        .send({ currentPassword: studentData.password, newPassword: 'FreshPass456' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: studentData.email, password: 'FreshPass456' })
+        .expect(200);
+      expect(response.body.data.accessToken).toBeDefined();
+    });
+
+    it('should not expire passwords by default', async () => {
+      await User.updateOne(
+        { email: studentData.email },
+        { $set: { passwordChangedAt: new Date('2020-01-01') } }
+      );
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: studentData.email, password: studentData.password })
+        .expect(200);
+      expect(response.body.data.accessToken).toBeDefined();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,271 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const RolePermission = require('../models/RolePermission');
+const { DEFAULT_ROLE_PERMISSIONS } = require('../utils/permissions');
+const { adminData, facultyData, studentData, registerUser, createAdmin } = require('./helpers');
+
+describe('Permissions', () => {
+  let adminToken, facultyToken, superAdminToken;
+  let adminUser, facultyUser, studentUser;
+
+  const courseData = {
+    code: 'cs101',
+    name: 'Introduction to Programming',
+    semester: 'Fall',
+    year: 2024
+  };
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await RolePermission.deleteMany({});
+
+    const admin = await createAdmin(adminData({ profile: { department: 'Computer Science' } }));
+    adminToken = admin.accessToken;
+    adminUser = admin.user;
+
+    const faculty = await registerUser(facultyData());
+    facultyToken = faculty.accessToken;
+    facultyUser = faculty.user;
+
+    const student = await registerUser(studentData({ profile: { department: 'Physics', studentId: 'PH2024001' } }));
+    studentUser = student.user;
+
+    // Superadmins are created by the root auth server, not through registration
+    await User.create({
+      username: 'superadmin',
+      email: 'superadmin@university.edu',
+      password: 'SuperAdmin123!',
+      role: 'superadmin',
+      profile: { firstName: 'Super', lastName: 'Admin' }
+    });
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'superadmin@university.edu', password: 'SuperAdmin123!' });
+    superAdminToken = login.body.data.accessToken;
+  });
+
+  describe('Role permissions', () => {
+    it('should list the defaults for every editable role', async () => {
+      const response = await request(app)
+        .get('/api/admin/permissions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const faculty = response.body.data.roles.find(entry => entry.role === 'faculty');
+      expect(faculty.permissions).toEqual(DEFAULT_ROLE_PERMISSIONS.faculty);
+      expect(faculty.isDefault).toBe(true);
+      expect(response.body.data.permissions.map(permission => permission.name)).toContain('users:delete');
+    });
+
+    it('should apply a role\'s stored permissions to requests', async () => {
+      await request(app)
+        .put('/api/admin/permissions/faculty')
+        .set('Authorization', `Bearer ${superAdminToken}`)
+        .send({ permissions: DEFAULT_ROLE_PERMISSIONS.faculty.filter(name => name !== 'course:create') })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/courses')
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send(courseData)
+        .expect(403);
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    it('should restore the defaults on reset', async () => {
+      await request(app)
+        .put('/api/admin/permissions/faculty')
+        .set('Authorization', `Bearer ${superAdminToken}`)
+        .send({ permissions: [] })
+        .expect(200);
+
+      await request(app)
+        .delete('/api/admin/permissions/faculty')
+        .set('Authorization', `Bearer ${superAdminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/courses')
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send(courseData)
+        .expect(201);
+    });
+
+    it('should reject unknown permissions', async () => {
+      const response = await request(app)
+        .put('/api/admin/permissions/faculty')
+        .set('Authorization', `Bearer ${superAdminToken}`)
+        .send({ permissions: ['course:create', 'course:teleport'] })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('UNKNOWN_PERMISSION');
+    });
+
+    it('should only let the superadmin edit permissions', async () => {
+      await request(app)
+        .put('/api/admin/permissions/admin')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: [] })
+        .expect(403);
+
+      await request(app)
+        .put('/api/admin/permissions/superadmin')
+        .set('Authorization', `Bearer ${superAdminToken}`)
+        .send({ permissions: [] })
+        .expect(400);
+    });
+  });
+
+  describe('Role assignment', () => {
+    beforeEach(async () => {
+      await request(app)
+        .put('/api/admin/permissions/faculty')
+        .set('Authorization', `Bearer ${superAdminToken}`)
+        .send({ permissions: [...DEFAULT_ROLE_PERMISSIONS.faculty, 'users:create', 'users:update'] })
+        .expect(200);
+    });
+
+    it('should not let users change their own role', async () => {
+      const response = await request(app)
+        .put(`/api/users/${facultyUser._id}`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({ role: 'admin' })
+        .expect(400);
+      expect(response.body.error.code).toBe('CANNOT_CHANGE_OWN_ROLE');
+
+      const faculty = await User.findById(facultyUser._id);
+      expect(faculty.role).toBe('faculty');
+    });
+
+    it('should not assign a role above the caller\'s own', async () => {
+      const response = await request(app)
+        .put(`/api/users/${studentUser._id}`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({ role: 'admin' })
+        .expect(403);
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({
+          email: 'new.admin@university.edu',
+          password: 'NewAdminPass123',
+          role: 'admin',
+          profile: { firstName: 'New', lastName: 'Admin', department: 'Computer Science' }
+        })
+        .expect(403);
+
+      expect(await User.exists({ role: 'admin', email: 'new.admin@university.edu' })).toBeNull();
+    });
+
+    it('should still assign roles up to the caller\'s own', async () => {
+      await request(app)
+        .put(`/api/users/${studentUser._id}`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .send({ role: 'faculty' })
+        .expect(200);
+    });
+  });
+
+  describe('Department-scoped admins', () => {
+    beforeEach(async () => {
+      await request(app)
+        .put(`/api/admin/users/${adminUser._id}/department-scope`)
+        .set('Authorization', `Bearer ${superAdminToken}`)
+        .send({ department: 'Computer Science' })
+        .expect(200);
+    });
+
+    it('should only list users in their department', async () => {
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const departments = response.body.data.users.map(user => user.profile.department);
+      expect(departments).not.toContain('Physics');
+      expect(departments).toContain('Computer Science');
+    });
+
+    it('should not manage users in another department', async () => {
+      const response = await request(app)
+        .put(`/api/users/${studentUser._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false })
+        .expect(403);
+      expect(response.body.error.code).toBe('OUTSIDE_DEPARTMENT_SCOPE');
+
+      await request(app)
+        .delete(`/api/users/${studentUser._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(403);
+
+      expect(await User.exists({ _id: studentUser._id })).toBeTruthy();
+    });
+
+    it('should not manage other admins in their department', async () => {
+      const otherAdmin = await createAdmin(adminData({
+        email: 'cs.admin@university.edu',
+        profile: { department: 'Computer Science', employeeId: 'ADM002' }
+      }));
+
+      const response = await request(app)
+        .put(`/api/users/${otherAdmin.user._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false })
+        .expect(403);
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      await request(app)
+        .delete(`/api/users/${otherAdmin.user._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(403);
+
+      expect(await User.exists({ _id: otherAdmin.user._id })).toBeTruthy();
+    });
+
+    it('should only create non-admin users in their department', async () => {
+      const newUser = {
+        email: 'new@university.edu',
+        password: 'NewUserPass123',
+        role: 'student',
+        profile: { firstName: 'New', lastName: 'User', department: 'Physics' }
+      };
+
+      await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(newUser)
+        .expect(403);
+
+      await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...newUser, role: 'admin', profile: { ...newUser.profile, department: 'Computer Science' } })
+        .expect(403);
+
+      await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...newUser, profile: { ...newUser.profile, department: 'Computer Science' } })
+        .expect(201);
+    });
+
+    it('should manage every department once the scope is lifted', async () => {
+      await request(app)
+        .put(`/api/admin/users/${adminUser._id}/department-scope`)
+        .set('Authorization', `Bearer ${superAdminToken}`)
+        .send({ department: null })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/users/${studentUser._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false })
+        .expect(200);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,134 @@
+const http = require('http');
+const request = require('supertest');
+const { io: connectClient } = require('socket.io-client');
+const app = require('../app');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Assignment = require('../models/Assignment');
+const Attendance = require('../models/Attendance');
+const MailMessage = require('../models/MailMessage');
+const { initRealtime } = require('../services/realtimeService');
+const { sendDeadlineReminders } = require('../services/reminderService');
+const { facultyData, studentData, registerUser } = require('./helpers');
+
+describe('Real-time Notifications', () => {
+  let server, baseUrl;
+  let facultyToken, studentToken, facultyId;
+  let course;
+  const clients = [];
+
+  // Connect and wait until the server has put the socket in its rooms
+  const connect = (token) => new Promise((resolve, reject) => {
+    const client = connectClient(baseUrl, { auth: { token }, transports: ['websocket'], reconnection: false });
+    clients.push(client);
+    client.once('ready', () => resolve(client));
+    client.once('connect_error', reject);
+  });
+
+  const nextEvent = (client, event) => new Promise(resolve => client.once(event, resolve));
+
+  beforeAll((done) => {
+    server = http.createServer(app);
+    initRealtime(server, app);
+    server.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  afterEach(() => {
+    clients.splice(0).forEach(client => client.close());
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Course.deleteMany({});
+    await Assignment.deleteMany({});
+    await Attendance.deleteMany({});
+    await MailMessage.deleteMany({});
+
+    const faculty = await registerUser(facultyData());
+    facultyToken = faculty.accessToken;
+    facultyId = faculty.user._id;
+
+    const student = await registerUser(studentData());
+    studentToken = student.accessToken;
+
+    course = await Course.create({
+      code: 'CS201',
+      name: 'Data Structures',
+      instructor: faculty.user._id,
+      semester: 'Fall',
+      year: 2024,
+      enrolledStudents: [student.user._id]
+    });
+  });
+
+  it('should reject connections without a valid token', async () => {
+    await expect(connect()).rejects.toMatchObject({ data: { code: 'NO_TOKEN' } });
+    await expect(connect('not-a-token')).rejects.toMatchObject({ data: { code: 'INVALID_TOKEN' } });
+  });
+
+  it('should join the rooms of courses the user takes part in', async () => {
+    const client = connectClient(baseUrl, { auth: { token: studentToken }, transports: ['websocket'], reconnection: false });
+    clients.push(client);
+
+    const ready = await nextEvent(client, 'ready');
+    expect(ready.courses).toEqual([course._id.toString()]);
+  });
+
+  it('should push attendance sessions to enrolled students', async () => {
+    const student = await connect(studentToken);
+    const opened = nextEvent(student, 'attendance:session-opened');
+
+    await request(app)
+      .post(`/api/attendance/courses/${course._id}/sessions`)
+      .set('Authorization', `Bearer ${facultyToken}`)
+      .send({ location: { latitude: 28.6139, longitude: 77.2090 }, radius: 100 })
+      .expect(201);
+
+    const event = await opened;
+    expect(event.courseId).toBe(course._id.toString());
+  });
+
+  it('should push course announcements', async () => {
+    const student = await connect(studentToken);
+    const created = nextEvent(student, 'announcement:created');
+
+    await request(app)
+      .post(`/api/announcements/courses/${course._id}`)
+      .set('Authorization', `Bearer ${facultyToken}`)
+      .send({ title: 'Quiz moved', content: 'Now on Thursday' })
+      .expect(201);
+
+    const event = await created;
+    expect(event.announcement.title).toBe('Quiz moved');
+  });
+
+  it('should remind students once about upcoming deadlines', async () => {
+    const student = await connect(studentToken);
+    const reminder = nextEvent(student, 'assignment:deadline');
+
+    await Assignment.create({
+      course: course._id,
+      title: 'Linked lists',
+      dueDate: new Date(Date.now() + 60 * 60 * 1000),
+      status: 'published',
+      publishedAt: new Date(),
+      createdBy: facultyId
+    });
+
+    expect(await sendDeadlineReminders()).toBe(1);
+    expect((await reminder).title).toBe('Linked lists');
+    expect(await sendDeadlineReminders()).toBe(0);
+
+    const emails = await MailMessage.find({ template: 'deadlineReminder' });
+    expect(emails).toHaveLength(1);
+    expect(emails[0].to).toBe(studentData().email);
+    expect(emails[0].subject).toBe('Reminder: Linked lists is due soon');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,211 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { createAdmin } = require('./helpers');
+
+describe('Session Management', () => {
+  let adminToken, otherToken, studentId;
+  const studentData = {
+    email: 'student@university.edu',
+    password: 'StudentPass123',
+    role: 'student',
+    profile: {
+      firstName: 'Student',
+      lastName: 'User',
+      department: 'Computer Science',
+      studentId: 'CS2024001'
+    }
+  };
+
+  const login = (userAgent) => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', userAgent)
+    .send({ email: studentData.email, password: studentData.password })
+    .expect(200)
+    .then(response => response.body.data);
+
+  const getSessions = (token) => request(app)
+    .get('/api/auth/sessions')
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Session.deleteMany({});
+
+    const student = await request(app)
+      .post('/api/auth/register')
+      .send(studentData);
+    studentId = student.body.data.user._id;
+
+    const admin = await createAdmin();
+    adminToken = admin.accessToken;
+
+    const other = await request(app)
+      .post('/api/auth/register')
+      .send({
+        email: 'other@university.edu',
+        password: 'OtherPass123',
+        role: 'student',
+        profile: {
+          firstName: 'Other',
+          lastName: 'Student',
+          department: 'Computer Science',
+          studentId: 'CS2024002'
+        }
+      });
+    otherToken = other.body.data.accessToken;
+  });
+
+  it('should list active sessions with device details', async () => {
+    const laptop = await login('Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0');
+    await login('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1');
+
+    const response = await getSessions(laptop.accessToken).expect(200);
+    const { sessions } = response.body.data;
+
+    // Registration also started a session
+    expect(sessions).toHaveLength(3);
+    const current = sessions.find(session => session.isCurrent);
+    expect(current.device.label).toBe('Firefox 121 on Linux');
+    expect(sessions.some(session => session.device.type === 'mobile')).toBe(true);
+    expect(current.tokenId).toBeUndefined();
+  });
+
+  it('should sign out a single device immediately', async () => {
+    const laptop = await login('laptop');
+    const phone = await login('phone');
+
+    const sessions = (await getSessions(laptop.accessToken)).body.data.sessions;
+    const phoneSession = sessions.find(session => session.userAgent === 'phone');
+
+    await request(app)
+      .delete(`/api/auth/sessions/${phoneSession._id}`)
+      .set('Authorization', `Bearer ${laptop.accessToken}`)
+      .expect(200);
+
+    const response = await getSessions(phone.accessToken).expect(401);
+    expect(response.body.error.code).toBe('TOKEN_REVOKED');
+
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: phone.refreshToken })
+      .expect(401);
+
+    await getSessions(laptop.accessToken).expect(200);
+  });
+
+  it("should not revoke another user's session", async () => {
+    const laptop = await login('laptop');
+    const sessions = (await getSessions(laptop.accessToken)).body.data.sessions;
+
+    const response = await request(app)
+      .delete(`/api/auth/sessions/${sessions[0]._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(404);
+
+    expect(response.body.error.code).toBe('SESSION_NOT_FOUND');
+  });
+
+  it('should sign out all other devices', async () => {
+    const laptop = await login('laptop');
+    const phone = await login('phone');
+
+    const response = await request(app)
+      .delete('/api/auth/sessions')
+      .set('Authorization', `Bearer ${laptop.accessToken}`)
+      .expect(200);
+    expect(response.body.data.revoked).toBe(2);
+
+    await getSessions(phone.accessToken).expect(401);
+    const remaining = await getSessions(laptop.accessToken).expect(200);
+    expect(remaining.body.data.sessions).toHaveLength(1);
+  });
+
+  it('should sign out other devices on a password change', async () => {
+    const laptop = await login('laptop');
+    const phone = await login('phone');
+
+    await request(app)
+      .put('/api/users/change-password')
+      .set('Authorization', `Bearer ${laptop.accessToken}`)
+      .send({ currentPassword: studentData.password, newPassword: 'NewStudentPass456' })
+      .expect(200);
+
+    await getSessions(phone.accessToken).expect(401);
+    const remaining = await getSessions(laptop.accessToken).expect(200);
+    expect(remaining.body.data.sessions).toHaveLength(1);
+
+    const revoked = await Session.findOne({ user: studentId, userAgent: 'phone' });
+    expect(revoked.revokedReason).toBe('password_change');
+  });
+
+  it('should reject access tokens once the auth server revokes their session', async () => {
+    const laptop = await login('laptop');
+    await getSessions(laptop.accessToken).expect(200);
+
+    // What the auth server's TokenService.revokeSession writes to the shared collection
+    await Session.updateMany(
+      { user: studentId, userAgent: 'laptop' },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+
+    const response = await getSessions(laptop.accessToken).expect(401);
+    expect(response.body.error.code).toBe('TOKEN_REVOKED');
+  });
+
+  describe('Admin', () => {
+    it('should list and force-logout a user', async () => {
+      const laptop = await login('laptop');
+
+      const sessions = await request(app)
+        .get(`/api/admin/users/${studentId}/sessions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(sessions.body.data.sessions).toHaveLength(2);
+
+      await request(app)
+        .post(`/api/admin/users/${studentId}/logout`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await getSessions(laptop.accessToken).expect(401);
+      expect(await Session.countDocuments({ user: studentId, revokedReason: 'admin_revoked' })).toBe(2);
+    });
+
+    it('should only allow admins to force-logout', async () => {
+      await request(app)
+        .post(`/api/admin/users/${studentId}/logout`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+    });
+
+    it("should not expose or revoke a higher role's sessions", async () => {
+      // Superadmins are created by the root auth server, not through registration
+      const superAdmin = await User.create({
+        username: 'superadmin',
+        email: 'superadmin@university.edu',
+        password: 'SuperAdmin123!',
+        role: 'superadmin',
+        profile: { firstName: 'Super', lastName: 'Admin' }
+      });
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'superadmin@university.edu', password: 'SuperAdmin123!' })
+        .expect(200);
+
+      const sessions = await request(app)
+        .get(`/api/admin/users/${superAdmin._id}/sessions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(403);
+      expect(sessions.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      await request(app)
+        .post(`/api/admin/users/${superAdmin._id}/logout`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(403);
+
+      expect(await Session.countDocuments({ user: superAdmin._id, revokedAt: null })).toBe(1);
+    });
+  });
+});
\ No newline at end of file
@@ -1,4 +1,5 @@
 // Test setup file
+const path = require('path');
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 
@@ -47,4 +48,6 @@ process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret-key';
 process.env.JWT_REFRESH_SECRET = 'test-jwt-refresh-secret-key';
 process.env.JWT_EXPIRES_IN = '1h';
-process.env.JWT_REFRESH_EXPIRES_IN = '7d';
\ No newline at end of file
+process.env.JWT_REFRESH_EXPIRES_IN = '7d';
+// Small blocklist so fixtures can use simple passwords; the bundled list is much larger
+process.env.PASSWORD_BLOCKLIST_FILE = path.join(__dirname, 'fixtures', 'common-passwords.txt');
\ No newline at end of file
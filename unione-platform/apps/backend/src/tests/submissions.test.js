@@ -0,0 +1,181 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const { facultyData, studentData, registerUser } = require('./helpers');
+
+describe('Submissions and Grading', () => {
+  let facultyToken, studentToken;
+  let course, assignment;
+
+  const HOUR = 60 * 60 * 1000;
+
+  const submissionsUrl = () => `/api/assignments/courses/${course._id}/${assignment._id}/submissions`;
+
+  const submit = (body = { content: 'My binary tree solution' }) => request(app)
+    .post(submissionsUrl())
+    .set('Authorization', `Bearer ${studentToken}`)
+    .send(body);
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Course.deleteMany({});
+    await Assignment.deleteMany({});
+    await Submission.deleteMany({});
+
+    const faculty = await registerUser(facultyData());
+    facultyToken = faculty.accessToken;
+
+    const student = await registerUser(studentData());
+    studentToken = student.accessToken;
+
+    course = await Course.create({
+      code: 'CS201',
+      name: 'Data Structures',
+      instructor: faculty.user._id,
+      semester: 'Fall',
+      year: 2024,
+      enrolledStudents: [student.user._id]
+    });
+
+    assignment = await Assignment.create({
+      course: course._id,
+      title: 'Binary Tree Implementation',
+      dueDate: new Date(Date.now() + 24 * HOUR),
+      maxPoints: 20,
+      rubric: [
+        { criterion: 'Correctness', maxPoints: 15 },
+        { criterion: 'Code style', maxPoints: 5 }
+      ],
+      status: 'published',
+      publishedAt: new Date(),
+      createdBy: faculty.user._id
+    });
+  });
+
+  describe('POST /api/assignments/courses/:courseId/:assignmentId/submissions', () => {
+    it('should keep every resubmission as a new version', async () => {
+      await submit().expect(201);
+      const response = await submit({ content: 'Fixed the delete case' }).expect(201);
+
+      const { submission } = response.body.data;
+      expect(submission.versions).toHaveLength(2);
+      expect(submission.versions.map(version => version.version)).toEqual([1, 2]);
+      expect(submission.versions[0].content).toBe('My binary tree solution');
+    });
+
+    it('should flag submissions after the due date as late within the grace period', async () => {
+      await Assignment.updateOne({ _id: assignment._id }, { dueDate: new Date(Date.now() - HOUR) });
+
+      const response = await submit().expect(201);
+      expect(response.body.data.submission.isLate).toBe(true);
+    });
+
+    it('should reject submissions after the grace period', async () => {
+      await Assignment.updateOne({ _id: assignment._id }, { dueDate: new Date(Date.now() - 25 * HOUR) });
+
+      const response = await submit().expect(400);
+      expect(response.body.error.code).toBe('SUBMISSION_CLOSED');
+    });
+
+    it('should reject empty submissions', async () => {
+      const response = await submit({}).expect(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('Grading', () => {
+    let submissionId;
+
+    beforeEach(async () => {
+      const response = await submit();
+      submissionId = response.body.data.submission._id;
+    });
+
+    const grade = (body) => request(app)
+      .put(`${submissionsUrl()}/${submissionId}/grade`)
+      .set('Authorization', `Bearer ${facultyToken}`)
+      .send(body);
+
+    const rubricScores = (correctness, style) => assignment.rubric.map((item, index) => ({
+      criterion: item._id.toString(),
+      points: index === 0 ? correctness : style,
+      comment: index === 0 ? 'Handles edge cases' : 'Readable'
+    }));
+
+    it('should total the rubric scores', async () => {
+      const response = await grade({ rubricScores: rubricScores(12, 4), feedback: 'Good work' }).expect(200);
+
+      expect(response.body.data.submission.grade.score).toBe(16);
+      expect(response.body.data.submission.status).toBe('graded');
+    });
+
+    it('should record the version the grade applies to', async () => {
+      await submit({ content: 'Fixed the delete case' }).expect(201);
+
+      const response = await grade({ rubricScores: rubricScores(12, 4) }).expect(200);
+      expect(response.body.data.submission.grade.version).toBe(2);
+    });
+
+    it('should not grade over a resubmission the grader has not seen', async () => {
+      const stale = await Submission.findById(submissionId);
+      await submit({ content: 'Fixed the delete case' }).expect(201);
+
+      // The grader's read happened before the resubmission landed
+      const findOne = jest.spyOn(Submission, 'findOne').mockResolvedValueOnce(stale);
+      const response = await grade({ rubricScores: rubricScores(12, 4) }).expect(409);
+      findOne.mockRestore();
+      expect(response.body.error.code).toBe('SUBMISSION_CONFLICT');
+
+      const submission = await Submission.findById(submissionId);
+      expect(submission.status).toBe('submitted');
+      await submit({ content: 'One more fix' }).expect(201);
+    });
+
+    it('should reject rubric scores above a criterion maximum', async () => {
+      const response = await grade({ rubricScores: rubricScores(16, 4) }).expect(400);
+      expect(response.body.error.code).toBe('INVALID_RUBRIC_SCORES');
+    });
+
+    it('should hide grades from students until released', async () => {
+      await grade({ rubricScores: rubricScores(12, 4), feedback: 'Good work' }).expect(200);
+
+      const hidden = await request(app)
+        .get(`${submissionsUrl()}/me`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(hidden.body.data.submission.grade).toBeNull();
+
+      await request(app)
+        .post(`/api/assignments/courses/${course._id}/${assignment._id}/release-grades`)
+        .set('Authorization', `Bearer ${facultyToken}`)
+        .expect(200);
+
+      const released = await request(app)
+        .get(`${submissionsUrl()}/me`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(200);
+
+      expect(released.body.data.submission.grade.score).toBe(16);
+      expect(released.body.data.submission.grade.feedback).toBe('Good work');
+    });
+
+    it('should not allow resubmitting after grading', async () => {
+      await grade({ rubricScores: rubricScores(12, 4) }).expect(200);
+
+      const response = await submit({ content: 'One more try' }).expect(400);
+      expect(response.body.error.code).toBe('ALREADY_GRADED');
+    });
+
+    it('should not let students grade', async () => {
+      await request(app)
+        .put(`${submissionsUrl()}/${submissionId}/grade`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .send({ rubricScores: rubricScores(15, 5) })
+        .expect(403);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,343 @@
+const request = require('supertest');
+const app = require('../app');
+const User = require('../models/User');
+const { generateTOTP } = require('@unione/shared/server/twoFactor');
+const { createAdmin } = require('./helpers');
+
+describe('Two-Factor Authentication', () => {
+  let adminToken, studentToken;
+  const adminData = {
+    email: 'admin@university.edu',
+    password: 'AdminPass123',
+    role: 'admin',
+    profile: {
+      firstName: 'Admin',
+      lastName: 'User',
+      department: 'Administration',
+      employeeId: 'ADM001'
+    }
+  };
+
+  // Code for the current time step, or `steps` steps ahead (still inside the drift window)
+  const codeFor = (secret, steps = 0) => generateTOTP(secret, Date.now() + steps * 30 * 1000);
+
+  // Allow the next code to be accepted even if it falls in an already used time step
+  const clearUsedStep = () => User.updateOne({ email: adminData.email }, { $set: { 'twoFactor.lastUsedStep': null } });
+
+  const loginAdmin = () => request(app)
+    .post('/api/auth/login')
+    .send({ email: adminData.email, password: adminData.password })
+    .expect(200)
+    .then(response => response.body.data);
+
+  const enrol = async () => {
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    const { secret } = setup.body.data;
+
+    const enabled = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ code: codeFor(secret) })
+      .expect(200);
+
+    return { secret, recoveryCodes: enabled.body.data.recoveryCodes };
+  };
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+
+    const admin = await createAdmin(adminData);
+    adminToken = admin.accessToken;
+
+    const student = await request(app)
+      .post('/api/auth/register')
+      .send({
+        email: 'student@university.edu',
+        password: 'StudentPass123',
+        role: 'student',
+        profile: {
+          firstName: 'Student',
+          lastName: 'User',
+          department: 'Computer Science',
+          studentId: 'CS2024001'
+        }
+      });
+    studentToken = student.body.data.accessToken;
+  });
+
+  afterAll(() => {
+    delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+  });
+
+  describe('Enrolment', () => {
+    it('should return a secret and otpauth URI', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(response.body.data.otpauthUrl).toContain('otpauth://totp/');
+      expect(response.body.data.otpauthUrl).toContain(`secret=${response.body.data.secret}`);
+    });
+
+    it('should enable 2FA with a valid code and return hashed recovery codes', async () => {
+      const { recoveryCodes } = await enrol();
+
+      expect(recoveryCodes).toHaveLength(10);
+
+      const user = await User.findOne({ email: adminData.email })
+        .select('+twoFactor.secret +twoFactor.recoveryCodes');
+      expect(user.twoFactor.enabled).toBe(true);
+      expect(user.twoFactor.recoveryCodes).toHaveLength(10);
+      expect(user.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+      expect(user.twoFactor.secret).not.toMatch(/^[A-Z2-7]{32}$/);
+    });
+
+    it('should reject enabling with a wrong code', async () => {
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: '000000' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_TWO_FACTOR_CODE');
+    });
+
+    it('should not be available to students', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('TWO_FACTOR_NOT_AVAILABLE');
+    });
+
+    it('should never expose the secret in the profile', async () => {
+      await enrol();
+
+      const response = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.user.twoFactor.enabled).toBe(true);
+      expect(response.body.data.user.twoFactor.secret).toBeUndefined();
+      expect(response.body.data.user.twoFactor.recoveryCodes).toBeUndefined();
+    });
+  });
+
+  describe('Login', () => {
+    it('should require a second step once 2FA is enabled', async () => {
+      const { secret } = await enrol();
+
+      const first = await loginAdmin();
+      expect(first.twoFactorRequired).toBe(true);
+      expect(first.accessToken).toBeUndefined();
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: first.challengeToken, code: codeFor(secret, 1) })
+        .expect(200);
+
+      expect(response.body.data.accessToken).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+    });
+
+    it('should not accept the challenge token as an access token', async () => {
+      await enrol();
+      const { challengeToken } = await loginAdmin();
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${challengeToken}`)
+        .expect(401);
+    });
+
+    it('should reject a wrong code and a reused challenge', async () => {
+      const { secret } = await enrol();
+      const { challengeToken } = await loginAdmin();
+
+      const wrong = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code: '000000' })
+        .expect(401);
+      expect(wrong.body.error.code).toBe('INVALID_TWO_FACTOR_CODE');
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code: codeFor(secret, 1) })
+        .expect(200);
+
+      await clearUsedStep();
+      const reused = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code: codeFor(secret, 1) })
+        .expect(401);
+      expect(reused.body.error.code).toBe('INVALID_CHALLENGE');
+    });
+
+    it('should not accept the same code twice', async () => {
+      const { secret } = await enrol();
+      const code = codeFor(secret, 1);
+
+      const first = await loginAdmin();
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: first.challengeToken, code })
+        .expect(200);
+
+      const second = await loginAdmin();
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: second.challengeToken, code })
+        .expect(401);
+    });
+
+    it('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enrol();
+
+      const first = await loginAdmin();
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: first.challengeToken, recoveryCode: recoveryCodes[0].toUpperCase() })
+        .expect(200);
+      expect(response.body.data.recoveryCodesRemaining).toBe(9);
+
+      const second = await loginAdmin();
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: second.challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    it('should lock the account after repeated wrong codes', async () => {
+      await enrol();
+      const { challengeToken } = await loginAdmin();
+
+      for (let i = 0; i < 4; i++) {
+        await request(app)
+          .post('/api/auth/2fa/verify')
+          .send({ challengeToken, code: '000000' })
+          .expect(401);
+      }
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code: '000000' })
+        .expect(423);
+      expect(response.body.error.code).toBe('ACCOUNT_LOCKED');
+    });
+  });
+
+  describe('Mandatory policy', () => {
+    beforeEach(() => {
+      process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin,faculty';
+    });
+
+    it('should make unenrolled users set up 2FA before signing in', async () => {
+      const first = await loginAdmin();
+      expect(first.twoFactorSetupRequired).toBe(true);
+      expect(first.accessToken).toBeUndefined();
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .send({ challengeToken: first.challengeToken })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .send({ challengeToken: first.challengeToken, code: codeFor(setup.body.data.secret) })
+        .expect(200);
+
+      expect(response.body.data.recoveryCodes).toHaveLength(10);
+      expect(response.body.data.accessToken).toBeDefined();
+    });
+
+    it('should not issue a session on registration before setup', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          email: 'faculty@university.edu',
+          password: 'FacultyPass123',
+          role: 'faculty',
+          profile: {
+            firstName: 'Faculty',
+            lastName: 'Member',
+            department: 'Computer Science',
+            employeeId: 'FAC001'
+          }
+        })
+        .expect(201);
+
+      expect(response.body.data.twoFactorSetupRequired).toBe(true);
+      expect(response.body.data.challengeToken).toBeDefined();
+      expect(response.body.data.accessToken).toBeUndefined();
+      expect(response.body.data.refreshToken).toBeUndefined();
+    });
+
+    it('should not apply to other roles', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'student@university.edu', password: 'StudentPass123' })
+        .expect(200);
+
+      expect(response.body.data.accessToken).toBeDefined();
+    });
+
+    it('should refuse to disable 2FA', async () => {
+      const { secret } = await enrol();
+
+      const response = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ password: adminData.password, code: codeFor(secret, 1) })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('TWO_FACTOR_REQUIRED');
+    });
+  });
+
+  describe('Management', () => {
+    it('should disable 2FA with password and code', async () => {
+      const { secret } = await enrol();
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ password: adminData.password, code: codeFor(secret, 1) })
+        .expect(200);
+
+      const login = await loginAdmin();
+      expect(login.accessToken).toBeDefined();
+    });
+
+    it('should regenerate recovery codes', async () => {
+      const { secret, recoveryCodes } = await enrol();
+
+      const response = await request(app)
+        .post('/api/auth/2fa/recovery-codes')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: codeFor(secret, 1) })
+        .expect(200);
+
+      expect(response.body.data.recoveryCodes).toHaveLength(10);
+      expect(response.body.data.recoveryCodes).not.toContain(recoveryCodes[0]);
+
+      const status = await request(app)
+        .get('/api/auth/2fa')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(status.body.data.twoFactor).toMatchObject({ enabled: true, recoveryCodesRemaining: 10 });
+    });
+  });
+});
\ No newline at end of file
@@ -2,6 +2,7 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../app');
 const User = require('../models/User');
+const { createAdmin } = require('./helpers');
 
 describe('User Management', () => {
   let adminToken, facultyToken, studentToken;
@@ -48,11 +49,9 @@ describe('User Management', () => {
     };
 
     // Register users and get tokens
-    const adminResponse = await request(app)
-      .post('/api/auth/register')
-      .send(adminData);
-    adminToken = adminResponse.body.data.accessToken;
-    adminUser = adminResponse.body.data.user;
+    const admin = await createAdmin(adminData);
+    adminToken = admin.accessToken;
+    adminUser = admin.user;
 
     const facultyResponse = await request(app)
       .post('/api/auth/register')
@@ -513,6 +512,36 @@ describe('User Management', () => {
         expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
       });
     });
+
+    describe('POST /api/users/:userId/unlock', () => {
+      it('should unlock a locked-out user as admin', async () => {
+        await User.findByIdAndUpdate(studentUser._id, {
+          loginAttempts: 5,
+          lockUntil: new Date(Date.now() + 30 * 60 * 1000),
+          lockCount: 1
+        });
+
+        const response = await request(app)
+          .post(`/api/users/${studentUser._id}/unlock`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .expect(200);
+        expect(response.body.data.wasLocked).toBe(true);
+
+        await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'student@university.edu', password: 'StudentPass123' })
+          .expect(200);
+      });
+
+      it('should deny access to non-admin users', async () => {
+        const response = await request(app)
+          .post(`/api/users/${studentUser._id}/unlock`)
+          .set('Authorization', `Bearer ${facultyToken}`)
+          .expect(403);
+
+        expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+      });
+    });
   });
 
   describe('Role-based Access Control', () => {
@@ -572,4 +601,152 @@ describe('User Management', () => {
       expect(adminResponse.body.success).toBe(true);
     });
   });
+
+  describe('Role hierarchy', () => {
+    let superAdmin, superAdminToken;
+
+    beforeEach(async () => {
+      // Superadmins are created by the root auth server, not through registration
+      superAdmin = await User.create({
+        username: 'superadmin',
+        email: 'superadmin@university.edu',
+        password: 'SuperAdmin123!',
+        role: 'superadmin',
+        profile: { firstName: 'Super', lastName: 'Admin' }
+      });
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'superadmin@university.edu', password: 'SuperAdmin123!' })
+        .expect(200);
+      superAdminToken = login.body.data.accessToken;
+    });
+
+    it('should let a superadmin use admin endpoints', async () => {
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${superAdminToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+    });
+
+    it('should not let an admin modify or delete a superadmin', async () => {
+      const update = await request(app)
+        .put(`/api/users/${superAdmin._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false })
+        .expect(403);
+      expect(update.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      await request(app)
+        .delete(`/api/users/${superAdmin._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(403);
+
+      expect(await User.exists({ _id: superAdmin._id })).toBeTruthy();
+    });
+
+    it('should record who created an account', async () => {
+      const response = await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          email: 'created@university.edu',
+          password: 'CreatedPass123',
+          role: 'student',
+          profile: {
+            firstName: 'Created',
+            lastName: 'Student',
+            department: 'Computer Science',
+            studentId: 'CS2024099'
+          }
+        })
+        .expect(201);
+
+      expect(response.body.data.user.createdBy).toBe(adminUser._id);
+    });
+  });
+
+  describe('Admin-created accounts', () => {
+    const createdUser = {
+      email: 'created@university.edu',
+      password: 'AdminChosen123',
+      role: 'student',
+      profile: {
+        firstName: 'Created',
+        lastName: 'Student',
+        department: 'Computer Science',
+        studentId: 'CS2024099'
+      }
+    };
+
+    const login = (password) => request(app)
+      .post('/api/auth/login')
+      .send({ email: createdUser.email, password });
+
+    const changePassword = (token, currentPassword, newPassword) => request(app)
+      .put('/api/users/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword, newPassword });
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(createdUser)
+        .expect(201);
+    });
+
+    it('should only issue a password-change token until the password is changed', async () => {
+      const response = await login(createdUser.password).expect(200);
+
+      expect(response.body.data.passwordChangeRequired).toBe(true);
+      expect(response.body.data.passwordChangeToken).toBeDefined();
+      expect(response.body.data.accessToken).toBeUndefined();
+    });
+
+    it('should not accept the password-change token anywhere else', async () => {
+      const { passwordChangeToken } = (await login(createdUser.password)).body.data;
+
+      const response = await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${passwordChangeToken}`)
+        .expect(401);
+
+      expect(response.body.error.code).toBe('INVALID_TOKEN');
+    });
+
+    it('should sign in normally after the password is changed', async () => {
+      const { passwordChangeToken } = (await login(createdUser.password)).body.data;
+
+      await changePassword(passwordChangeToken, createdUser.password, 'OwnChoice456').expect(200);
+
+      // The token is single use
+      const reused = await changePassword(passwordChangeToken, 'OwnChoice456', 'Another789').expect(401);
+      expect(reused.body.error.code).toBe('INVALID_PASSWORD_CHANGE_TOKEN');
+
+      const response = await login('OwnChoice456').expect(200);
+      expect(response.body.data.accessToken).toBeDefined();
+
+      const user = await User.findOne({ email: createdUser.email });
+      expect(user.mustChangePassword).toBe(false);
+    });
+
+    it('should require a different password', async () => {
+      const { passwordChangeToken } = (await login(createdUser.password)).body.data;
+
+      const response = await changePassword(passwordChangeToken, createdUser.password, createdUser.password).expect(400);
+      expect(response.body.error.code).toBe('PASSWORD_UNCHANGED');
+    });
+
+    it('should not flag self-registered accounts', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'student@university.edu', password: 'StudentPass123' })
+        .expect(200);
+
+      expect(response.body.data.accessToken).toBeDefined();
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,26 @@
+/**
+ * Error raised by service-layer functions.
+ * Carries the API error code and HTTP status so controllers can
+ * translate it into the standard error response.
+ */
+class ServiceError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'ServiceError';
+    this.code = code;
+    this.status = status;
+  }
+
+  toResponse() {
+    return {
+      success: false,
+      error: {
+        code: this.code,
+        message: this.message,
+        timestamp: new Date()
+      }
+    };
+  }
+}
+
+module.exports = ServiceError;
\ No newline at end of file
@@ -0,0 +1,27 @@
+const { getPolicy, isCommonPassword, validatePassword, isPasswordExpired } = require('@unione/shared/server/passwordPolicy');
+
+/**
+ * Password policy helpers. The rules and the common-password list live in
+ * @unione/shared so the root auth server applies exactly the same policy.
+ */
+
+/**
+ * express-validator custom validator for password fields
+ * @param {string} value - Field value
+ * @returns {boolean}
+ */
+const passwordValidator = (value) => {
+  const { isValid, errors } = validatePassword(value);
+  if (!isValid) {
+    throw new Error(errors.join('. '));
+  }
+  return true;
+};
+
+module.exports = {
+  getPolicy,
+  isCommonPassword,
+  validatePassword,
+  passwordValidator,
+  isPasswordExpired
+};
\ No newline at end of file
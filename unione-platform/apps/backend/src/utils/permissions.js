@@ -0,0 +1,99 @@
+/**
+ * Named permissions checked by requirePermission. Each role's list is stored
+ * in the RolePermission collection and edited by the superadmin; roles without
+ * a stored list use DEFAULT_ROLE_PERMISSIONS. The superadmin always has every
+ * permission, so its list is never stored.
+ */
+const PERMISSIONS = {
+  'users:read': 'List and view user accounts',
+  'users:create': 'Create user accounts',
+  'users:update': 'Edit user accounts, roles and activation',
+  'users:delete': 'Delete user accounts',
+  'users:unlock': 'Clear login lockouts',
+  'users:sessions': 'View and sign out other users\' sessions',
+  'course:create': 'Create courses',
+  'course:update': 'Edit courses and manage join codes',
+  'course:archive': 'Archive courses',
+  'course:restore': 'Restore archived courses',
+  'course:roster': 'View and change course rosters',
+  'course:staff': 'Manage co-instructors and teaching assistants',
+  'attendance:take': 'Open, view and close attendance sessions',
+  'attendance:override': 'Manually change attendance records',
+  'attendance:reports': 'View at-risk students and attendance change history',
+  'assignment:manage': 'Create, edit, publish and close assignments',
+  'assignment:grade': 'View and grade submissions and release grades',
+  'announcement:post': 'Post, edit, pin and delete course announcements',
+  'broadcast:manage': 'Manage institution-wide announcements',
+  'enrollment:manage': 'Bulk enroll students and reconcile enrollments'
+};
+
+const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+// Roles whose permissions the superadmin can edit
+const EDITABLE_ROLES = ['student', 'faculty', 'admin'];
+
+const FACULTY_PERMISSIONS = [
+  'course:create',
+  'course:update',
+  'course:archive',
+  'course:roster',
+  'course:staff',
+  'attendance:take',
+  'attendance:override',
+  'attendance:reports',
+  'assignment:manage',
+  'assignment:grade',
+  'announcement:post'
+];
+
+// What each teaching-assistant capability allows within the course it is granted for
+const TA_CAPABILITIES = {
+  grade: ['assignment:grade'],
+  attendance: ['attendance:take'],
+  announcements: ['announcement:post']
+};
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  student: [],
+  faculty: FACULTY_PERMISSIONS,
+  admin: [
+    ...FACULTY_PERMISSIONS,
+    'course:restore',
+    'users:read',
+    'users:create',
+    'users:update',
+    'users:delete',
+    'users:unlock',
+    'users:sessions',
+    'broadcast:manage',
+    'enrollment:manage'
+  ]
+};
+
+/**
+ * Department a user's admin rights are limited to
+ * @param {Object} user - User document
+ * @returns {string|null} - Department, or null for admins of every department
+ */
+const getManagedDepartment = (user) => (user && user.role === 'admin' && user.managedDepartment) || null;
+
+/**
+ * Check whether a user falls inside an admin's department scope
+ * @param {Object} actor - Admin making the change
+ * @param {Object} target - User being managed
+ * @returns {boolean}
+ */
+const isInManagedDepartment = (actor, target) => {
+  const department = getManagedDepartment(actor);
+  return !department || (!!target.profile && target.profile.department === department);
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  EDITABLE_ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  TA_CAPABILITIES,
+  getManagedDepartment,
+  isInManagedDepartment
+};
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * Role hierarchy shared with the root auth server, lowest to highest.
+ * A role can do everything the roles below it can.
+ */
+const ROLES = ['student', 'faculty', 'admin', 'superadmin'];
+
+const roleRank = (role) => ROLES.indexOf(role);
+
+/**
+ * Check whether a user's role is at or above a given role
+ * @param {Object} user - User document (or anything with a role)
+ * @param {string} role - Minimum role
+ * @returns {boolean}
+ */
+const hasRoleAtLeast = (user, role) => !!user && roleRank(user.role) >= roleRank(role);
+
+/**
+ * Check whether a user's role is strictly above a given role
+ * @param {Object} user - User document (or anything with a role)
+ * @param {string} role - Role to compare against
+ * @returns {boolean}
+ */
+const outranks = (user, role) => !!user && roleRank(user.role) > roleRank(role);
+
+/**
+ * Check whether a user's role is one of the allowed roles, where a
+ * superadmin satisfies any check an admin does
+ * @param {string} role - User role
+ * @param {Array<string>} allowedRoles - Allowed roles
+ * @returns {boolean}
+ */
+const roleSatisfies = (role, allowedRoles) => allowedRoles.includes(role) ||
+  (role === 'superadmin' && allowedRoles.includes('admin'));
+
+const isAdmin = (user) => hasRoleAtLeast(user, 'admin');
+
+module.exports = {
+  ROLES,
+  hasRoleAtLeast,
+  outranks,
+  roleSatisfies,
+  isAdmin
+};
\ No newline at end of file
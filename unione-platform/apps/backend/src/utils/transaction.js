@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// MongoDB error code returned when transactions are used on a standalone server
+const ILLEGAL_OPERATION = 20;
+
+const isTransactionUnsupported = (error) => {
+  return error && (
+    error.code === ILLEGAL_OPERATION ||
+    /Transaction numbers are only allowed/i.test(error.message)
+  );
+};
+
+/**
+ * Run a unit of work inside a MongoDB transaction.
+ * The work function receives the session to pass to every query and may be
+ * retried by the driver on transient errors, so it must re-read any state it
+ * depends on. Standalone servers (local development, in-memory test servers)
+ * do not support transactions; there the work runs once without a session.
+ */
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (isTransactionUnsupported(error)) {
+      return work(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  runInTransaction
+};
\ No newline at end of file
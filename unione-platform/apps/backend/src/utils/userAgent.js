@@ -0,0 +1,47 @@
+// Checked in order; the first match wins (Edge and Opera also claim to be Chrome)
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /OPR\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari/]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Summarise a User-Agent header for display in a session list
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {Object} - { browser, os, type, label }
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return { browser: null, os: null, type: 'unknown', label: 'Unknown device' };
+  }
+
+  const browserMatch = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const osMatch = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  const browser = browserMatch
+    ? `${browserMatch[0]} ${userAgent.match(browserMatch[1])[1].split('.')[0]}`
+    : null;
+  const os = osMatch ? osMatch[0] : null;
+
+  let type = 'desktop';
+  if (/iPad|Tablet/.test(userAgent)) type = 'tablet';
+  else if (/Mobi|iPhone|Android/.test(userAgent)) type = 'mobile';
+
+  const label = [browser, os].filter(Boolean).join(' on ') || userAgent.slice(0, 60);
+
+  return { browser, os, type, label };
+};
+
+module.exports = {
+  describeDevice
+};
\ No newline at end of file
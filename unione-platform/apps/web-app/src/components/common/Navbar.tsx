@@ -1,18 +1,35 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
 import { BookOpen, Menu, X, Bell, User, Settings, LogOut } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import IoSCBranding from './IoSCBranding';
+import { notificationAPI } from '../../services/api';
+import { onRealtime } from '../../services/realtime';
 
 const Navbar: React.FC = () => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [isProfileOpen, setIsProfileOpen] = useState(false);
   const location = useLocation();
   const navigate = useNavigate();
-  const { user, logout } = useAuth();
+  const { user, logout, hasApiSession } = useAuth();
   
   const isLoggedIn = !!user;
 
+  const { data: unreadCount = 0, refetch: refetchUnreadCount } = useQuery(
+    ['notifications', 'unread-count'],
+    async () => (await notificationAPI.getUnreadCount()).data.data.unreadCount as number,
+    { enabled: isLoggedIn && hasApiSession, refetchInterval: 60000 }
+  );
+
+  // New notifications are pushed over the socket; refresh the badge when one arrives
+  useEffect(() => {
+    if (!isLoggedIn || !hasApiSession) return;
+    return onRealtime('notification:new', () => {
+      refetchUnreadCount();
+    });
+  }, [isLoggedIn, hasApiSession, refetchUnreadCount]);
+
   const handleLogout = () => {
     logout();
     navigate('/login');
@@ -57,9 +74,16 @@ const Navbar: React.FC = () => {
           ) : (
             <div className="hidden md:flex items-center space-x-4">
               {/* Notifications */}
-              <button className="relative p-2 text-gray-600 hover:text-gray-900 transition-colors">
+              <button
+                className="relative p-2 text-gray-600 hover:text-gray-900 transition-colors"
+                aria-label={unreadCount > 0 ? `${unreadCount} unread notifications` : 'Notifications'}
+              >
                 <Bell className="w-6 h-6" />
-                <span className="absolute -top-1 -right-1 w-3 h-3 bg-red-500 rounded-full"></span>
+                {unreadCount > 0 && (
+                  <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 bg-red-500 text-white text-xs font-semibold rounded-full flex items-center justify-center">
+                    {unreadCount > 99 ? '99+' : unreadCount}
+                  </span>
+                )}
               </button>
 
               {/* Profile Dropdown */}
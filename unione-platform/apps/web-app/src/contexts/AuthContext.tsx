@@ -1,4 +1,5 @@
-import React, { createContext, useContext, useState, ReactNode } from 'react';
+import React, { createContext, useContext, useEffect, useState, ReactNode } from 'react';
+import { connectRealtime, disconnectRealtime } from '../services/realtime';
 
 interface User {
   id: string;
@@ -14,6 +15,8 @@ interface AuthContextType {
   login: (email: string, password: string, role: 'student' | 'faculty' | 'admin') => Promise<void>;
   logout: () => void;
   isLoading: boolean;
+  // True only while a real JWT from the auth API is held; gates authenticated API calls
+  hasApiSession: boolean;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
@@ -33,6 +36,14 @@ interface AuthProviderProps {
 export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   const [user, setUser] = useState<User | null>(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [hasApiSession, setHasApiSession] = useState(false);
+
+  // The socket authenticates with the stored JWT, so only connect with a real one
+  useEffect(() => {
+    if (!hasApiSession) return;
+    connectRealtime();
+    return () => disconnectRealtime();
+  }, [hasApiSession]);
 
   const login = async (email: string, password: string, role: 'student' | 'faculty' | 'admin') => {
     setIsLoading(true);
@@ -67,19 +78,24 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
 
     setUser(mockUsers[role]);
     localStorage.setItem('authToken', 'mock-jwt-token');
+    // The mock token is rejected by the API (and a 401 redirects to /login),
+    // so no API session until login goes through authAPI
+    setHasApiSession(false);
     setIsLoading(false);
   };
 
   const logout = () => {
     setUser(null);
     localStorage.removeItem('authToken');
+    setHasApiSession(false);
   };
 
   const value = {
     user,
     login,
     logout,
-    isLoading
+    isLoading,
+    hasApiSession
   };
 
   return (
@@ -12,7 +12,7 @@ export const api = axios.create({
 // Request interceptor to add auth token
 api.interceptors.request.use((config) => {
   const token = localStorage.getItem('authToken');
-  if (token) {
+  if (token && !config.headers.Authorization) {
     config.headers.Authorization = `Bearer ${token}`;
   }
   return config;
@@ -39,6 +39,36 @@ export const authAPI = {
     
   getProfile: () =>
     api.get('/auth/profile'),
+
+  forgotPassword: (email: string) =>
+    api.post('/auth/forgot-password', { email }),
+
+  resetPassword: (token: string, password: string) =>
+    api.post('/auth/reset-password', { token, password }),
+
+  verifyTwoFactor: (challengeToken: string, code: { code?: string; recoveryCode?: string }) =>
+    api.post('/auth/2fa/verify', { challengeToken, ...code }),
+
+  getTwoFactorStatus: () =>
+    api.get('/auth/2fa'),
+
+  setupTwoFactor: (challengeToken?: string) =>
+    api.post('/auth/2fa/setup', { challengeToken }),
+
+  enableTwoFactor: (code: string, challengeToken?: string) =>
+    api.post('/auth/2fa/enable', { code, challengeToken }),
+
+  disableTwoFactor: (password: string, code: string) =>
+    api.post('/auth/2fa/disable', { password, code }),
+
+  regenerateRecoveryCodes: (code: string) =>
+    api.post('/auth/2fa/recovery-codes', { code }),
+
+  // passwordChangeToken comes from a login that returned passwordChangeRequired
+  changePassword: (currentPassword: string, newPassword: string, passwordChangeToken?: string) =>
+    api.put('/users/change-password', { currentPassword, newPassword }, passwordChangeToken
+      ? { headers: { Authorization: `Bearer ${passwordChangeToken}` } }
+      : undefined),
 };
 
 export const courseAPI = {
@@ -50,4 +80,27 @@ export const courseAPI = {
     
   createCourse: (courseData: any) =>
     api.post('/courses', courseData),
+};
+
+export const notificationAPI = {
+  getNotifications: (params?: { page?: number; limit?: number; category?: string; unread?: boolean }) =>
+    api.get('/notifications', { params }),
+
+  getUnreadCount: () =>
+    api.get('/notifications/unread-count'),
+
+  markAsRead: (id: string) =>
+    api.put(`/notifications/${id}/read`),
+
+  markAllAsRead: (category?: string) =>
+    api.put('/notifications/read-all', { category }),
+
+  deleteNotification: (id: string) =>
+    api.delete(`/notifications/${id}`),
+
+  getPreferences: () =>
+    api.get('/notifications/preferences'),
+
+  updatePreferences: (preferences: Record<string, { inApp?: boolean; email?: boolean }>) =>
+    api.put('/notifications/preferences', preferences),
 };
\ No newline at end of file
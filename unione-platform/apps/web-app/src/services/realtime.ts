@@ -0,0 +1,46 @@
+import { io, Socket } from 'socket.io-client';
+
+const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
+
+export type RealtimeEvent =
+  | 'announcement:created'
+  | 'announcement:broadcast'
+  | 'grades:released'
+  | 'attendance:session-opened'
+  | 'assignment:deadline'
+  | 'notification:new';
+
+let socket: Socket | null = null;
+
+// Open (or reuse) the realtime connection for the signed-in user
+export const connectRealtime = (): Socket | null => {
+  const token = localStorage.getItem('authToken');
+  if (!token) return null;
+
+  if (!socket) {
+    socket = io(SOCKET_URL, {
+      auth: (cb) => cb({ token: localStorage.getItem('authToken') }),
+      transports: ['websocket', 'polling'],
+    });
+  }
+  return socket;
+};
+
+export const disconnectRealtime = () => {
+  socket?.disconnect();
+  socket = null;
+};
+
+// Subscribe to a server event; returns the unsubscribe function
+export const onRealtime = <T = unknown>(event: RealtimeEvent, handler: (payload: T) => void) => {
+  const current = connectRealtime();
+  current?.on(event, handler as (...args: unknown[]) => void);
+  return () => {
+    current?.off(event, handler as (...args: unknown[]) => void);
+  };
+};
+
+// Ask the server to re-check course rooms after joining or leaving a course
+export const refreshCourseRooms = () => {
+  socket?.emit('courses:refresh');
+};
\ No newline at end of file
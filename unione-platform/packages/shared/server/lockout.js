@@ -0,0 +1,60 @@
+/**
+ * Failed-login lockout used by both the auth server and the platform backend,
+ * read from MAX_LOGIN_ATTEMPTS and LOCK_TIME. Each consecutive lockout
+ * doubles the lock time, up to MAX_LOCK_TIME; a successful login resets it.
+ */
+
+const MAX_LOCK_TIME = 24 * 60; // minutes
+
+const envNumber = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+/**
+ * Current settings, read from the environment
+ * @returns {Object} - { maxLoginAttempts, lockTime } (lockTime in minutes)
+ */
+const getLockoutSettings = () => ({
+  maxLoginAttempts: envNumber('MAX_LOGIN_ATTEMPTS', 5),
+  lockTime: envNumber('LOCK_TIME', 30)
+});
+
+/**
+ * Build the update recording one more failed login
+ * @param {Object} user - User document (loginAttempts, lockUntil, lockCount)
+ * @returns {Object} - { update, lockUntil }; lockUntil is set when this attempt locks the account
+ */
+const failedLoginUpdate = (user) => {
+  // If we have a previous lock that has expired, restart at 1
+  if (user.lockUntil && user.lockUntil < Date.now()) {
+    return { update: { $set: { loginAttempts: 1, lockUntil: null } }, lockUntil: null };
+  }
+
+  const update = { $inc: { loginAttempts: 1 } };
+  let lockUntil = null;
+
+  // If we have reached max attempts and it's not locked already, lock the account
+  const { maxLoginAttempts, lockTime } = getLockoutSettings();
+  const isLocked = !!(user.lockUntil && user.lockUntil > Date.now());
+  if ((user.loginAttempts || 0) + 1 >= maxLoginAttempts && !isLocked) {
+    const lockMinutes = Math.min(lockTime * Math.pow(2, user.lockCount || 0), MAX_LOCK_TIME);
+    lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+    update.$set = { lockUntil };
+    update.$inc.lockCount = 1;
+  }
+
+  return { update, lockUntil };
+};
+
+/**
+ * Update clearing failed logins after a successful one (or an admin unlock)
+ * @returns {Object}
+ */
+const resetLoginUpdate = () => ({
+  $set: { loginAttempts: 0, lockUntil: null, lockCount: 0 }
+});
+
+module.exports = {
+  MAX_LOCK_TIME,
+  getLockoutSettings,
+  failedLoginUpdate,
+  resetLoginUpdate
+};
\ No newline at end of file
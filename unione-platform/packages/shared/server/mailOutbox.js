@@ -0,0 +1,131 @@
+const { templates } = require('./mailTemplates');
+
+/**
+ * Mail outbox shared by the auth server and the platform backend. Either
+ * server renders a template into a MailMessage; the auth server's outbox
+ * worker (MailService.processOutbox) delivers it, retrying failures with
+ * exponential backoff until maxAttempts is reached.
+ */
+
+const STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Templates whose body carries a credential; cleared from the outbox once done
+const SENSITIVE_TEMPLATES = ['passwordReset', 'accountCreated'];
+
+/**
+ * Render a template into the fields of an outbox entry
+ * @param {string} template - Template name
+ * @param {string} to - Recipient email address
+ * @param {Object} data - Template variables
+ * @returns {Object} - { to, template, subject, text, html, sensitive }
+ */
+const renderMessage = (template, to, data = {}) => {
+  if (!templates[template]) {
+    throw new Error(`Unknown mail template: ${template}`);
+  }
+
+  const { subject, text, html } = templates[template](data);
+  return { to, template, subject, text, html, sensitive: SENSITIVE_TEMPLATES.includes(template) };
+};
+
+/**
+ * Outbox entry for an email, rendered when queued
+ * @param {Object} mongoose - The caller's mongoose instance
+ * @returns {Object} - MailMessage schema
+ */
+const createMailMessageSchema = (mongoose) => {
+  const mailMessageSchema = new mongoose.Schema({
+    to: {
+      type: String,
+      required: [true, 'Recipient is required'],
+      trim: true,
+      lowercase: true
+    },
+    template: {
+      type: String,
+      required: [true, 'Template is required'],
+      trim: true
+    },
+    subject: {
+      type: String,
+      required: [true, 'Subject is required'],
+      trim: true
+    },
+    text: {
+      type: String,
+      default: null
+    },
+    html: {
+      type: String,
+      default: null
+    },
+    // Body contains credentials or reset links and is cleared once the message is done
+    sensitive: {
+      type: Boolean,
+      default: false
+    },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: () => parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now
+    },
+    lockedAt: {
+      type: Date,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    messageId: {
+      type: String,
+      default: null
+    },
+    sentAt: {
+      type: Date,
+      default: null
+    }
+  }, {
+    timestamps: true
+  });
+
+  // Index used by the outbox worker to find due messages
+  mailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+  mailMessageSchema.index({ to: 1, createdAt: -1 });
+
+  // Static method to get outbox counts by status
+  mailMessageSchema.statics.getOutboxStats = async function() {
+    const counts = await this.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    return STATUSES.reduce((stats, status) => {
+      const entry = counts.find(count => count._id === status);
+      stats[status] = entry ? entry.count : 0;
+      return stats;
+    }, {});
+  };
+
+  mailMessageSchema.statics.STATUSES = STATUSES;
+
+  return mailMessageSchema;
+};
+
+module.exports = {
+  STATUSES,
+  SENSITIVE_TEMPLATES,
+  renderMessage,
+  createMailMessageSchema
+};
\ No newline at end of file
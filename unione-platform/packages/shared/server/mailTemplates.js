@@ -0,0 +1,116 @@
+/**
+ * Mail Templates
+ * Used by both the auth server and the platform backend. Each template
+ * receives the data passed to queue and returns { subject, text, html }.
+ * Values are escaped before going into the HTML part.
+ */
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => new Date(date).toLocaleString('en-US', {
+  dateStyle: 'full',
+  timeStyle: 'short',
+  timeZone: 'UTC'
+}) + ' UTC';
+
+// Wrap template paragraphs in the shared HTML layout
+const layout = (paragraphs) => [
+  '<!DOCTYPE html>',
+  '<html><body style="font-family: Arial, sans-serif; color: #1f2937; line-height: 1.5;">',
+  ...paragraphs.map(paragraph => `<p>${paragraph}</p>`),
+  '<p style="color: #6b7280; font-size: 12px;">This message was sent by UniONE. Please do not reply to this email.</p>',
+  '</body></html>'
+].join('\n');
+
+const button = (url, label) =>
+  `<a href="${escapeHtml(url)}" style="background: #2563eb; color: #ffffff; padding: 10px 16px; border-radius: 6px; text-decoration: none;">${escapeHtml(label)}</a>`;
+
+const templates = {
+  welcome: ({ name, role, loginUrl }) => ({
+    subject: 'Welcome to UniONE',
+    text: [
+      `Hi ${name},`,
+      `Your UniONE ${role} account is ready.`,
+      `Sign in at ${loginUrl}`
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(name)},`,
+      `Your UniONE ${escapeHtml(role)} account is ready.`,
+      button(loginUrl, 'Sign in to UniONE')
+    ])
+  }),
+
+  passwordReset: ({ name, resetUrl, expiresInMinutes }) => ({
+    subject: 'Reset your UniONE password',
+    text: [
+      `Hi ${name},`,
+      'We received a request to reset your UniONE password. Use the link below to choose a new one:',
+      resetUrl,
+      `The link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't ask for a reset, you can ignore this email.`
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(name)},`,
+      'We received a request to reset your UniONE password. Use the button below to choose a new one:',
+      button(resetUrl, 'Reset password'),
+      `The link expires in ${escapeHtml(expiresInMinutes)} minutes and can only be used once. If you didn't ask for a reset, you can ignore this email.`
+    ])
+  }),
+
+  accountCreated: ({ name, role, username, temporaryPassword, createdByName, loginUrl }) => ({
+    subject: 'Your UniONE account has been created',
+    text: [
+      `Hi ${name},`,
+      `${createdByName} created a UniONE ${role} account for you.`,
+      `Username: ${username}\nTemporary password: ${temporaryPassword}`,
+      `Sign in at ${loginUrl}. You will be asked to choose a new password on first login.`
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(name)},`,
+      `${escapeHtml(createdByName)} created a UniONE ${escapeHtml(role)} account for you.`,
+      `Username: <strong>${escapeHtml(username)}</strong><br>Temporary password: <strong>${escapeHtml(temporaryPassword)}</strong>`,
+      button(loginUrl, 'Sign in to UniONE'),
+      'You will be asked to choose a new password on first login.'
+    ])
+  }),
+
+  deadlineReminder: ({ name, assignmentTitle, courseName, dueDate, assignmentUrl }) => ({
+    subject: `Reminder: ${assignmentTitle} is due soon`,
+    text: [
+      `Hi ${name},`,
+      `"${assignmentTitle}" for ${courseName} is due on ${formatDate(dueDate)} and you haven't submitted it yet.`,
+      `View the assignment: ${assignmentUrl}`
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(name)},`,
+      `<strong>${escapeHtml(assignmentTitle)}</strong> for ${escapeHtml(courseName)} is due on ${escapeHtml(formatDate(dueDate))} and you haven't submitted it yet.`,
+      button(assignmentUrl, 'View assignment')
+    ])
+  }),
+
+  // Email copy of an in-app notification, for categories with the email channel on
+  notification: ({ name, title, message, notificationsUrl }) => ({
+    subject: title,
+    text: [
+      `Hi ${name},`,
+      message,
+      `See your notifications: ${notificationsUrl}`,
+      'You can choose which notifications are emailed to you in your notification settings.'
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(name)},`,
+      `<strong>${escapeHtml(title)}</strong><br>${escapeHtml(message)}`,
+      button(notificationsUrl, 'View notifications'),
+      'You can choose which notifications are emailed to you in your notification settings.'
+    ])
+  })
+};
+
+module.exports = {
+  templates,
+  escapeHtml
+};
\ No newline at end of file
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Password policy used by both the auth server and the platform backend,
+ * read from the PASSWORD_* variables. Applied when a password is set on
+ * register, admin create, change and reset; history checks live on the
+ * user models.
+ */
+
+const MAX_LENGTH = 128;
+const DEFAULT_BLOCKLIST_FILE = path.join(__dirname, 'common-passwords.txt');
+
+const envFlag = (name, fallback) => (process.env[name] === undefined ? fallback : process.env[name] === 'true');
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Current policy, read from the environment
+ * @returns {Object} - { minLength, requireUppercase, requireLowercase, requireNumber,
+ *   requireSpecial, history, maxAgeDays, blocklistFile }
+ */
+const getPolicy = () => ({
+  minLength: envNumber('PASSWORD_MIN_LENGTH', 8),
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireNumber: envFlag('PASSWORD_REQUIRE_NUMBER', true),
+  requireSpecial: envFlag('PASSWORD_REQUIRE_SPECIAL', false),
+  // Previous passwords that may not be reused (the current one never can be)
+  history: envNumber('PASSWORD_HISTORY', 5),
+  // 0 disables expiry
+  maxAgeDays: envNumber('PASSWORD_MAX_AGE_DAYS', 0),
+  // Empty string disables the list
+  blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE === undefined
+    ? DEFAULT_BLOCKLIST_FILE
+    : process.env.PASSWORD_BLOCKLIST_FILE
+});
+
+// Blocklist loaded once per file
+let blocklist = { file: null, entries: new Set() };
+
+const loadBlocklist = (file) => {
+  if (!file) return new Set();
+  if (blocklist.file === file) return blocklist.entries;
+
+  let entries = new Set();
+  try {
+    entries = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  } catch (error) {
+    console.warn(`Password blocklist ${file} could not be read: ${error.message}`);
+  }
+
+  blocklist = { file, entries };
+  return entries;
+};
+
+/**
+ * Check whether a password is on the common/breached password list
+ * @param {string} password - Candidate password
+ * @returns {boolean}
+ */
+const isCommonPassword = (password) => loadBlocklist(getPolicy().blocklistFile).has(password.toLowerCase());
+
+/**
+ * Check a password against the policy
+ * @param {string} password - Candidate password
+ * @returns {Object} - { isValid, errors }
+ */
+const validatePassword = (password) => {
+  const policy = getPolicy();
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return { isValid: false, errors: ['Password is required'] };
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (password.length > MAX_LENGTH) {
+    errors.push(`Password cannot exceed ${MAX_LENGTH} characters`);
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain at least one lowercase letter');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain at least one uppercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    errors.push('Password must contain at least one number');
+  }
+  if (policy.requireSpecial && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain at least one special character');
+  }
+  if (isCommonPassword(password)) {
+    errors.push('Password is too common. Please choose a less predictable password');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Check whether a user's password is older than the maximum age
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+const isPasswordExpired = (user) => {
+  const { maxAgeDays } = getPolicy();
+  if (maxAgeDays <= 0) return false;
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  return !!changedAt && Date.now() - new Date(changedAt).getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+module.exports = {
+  getPolicy,
+  isCommonPassword,
+  validatePassword,
+  isPasswordExpired
+};
\ No newline at end of file
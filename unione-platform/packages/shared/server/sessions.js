@@ -0,0 +1,115 @@
+/**
+ * Schemas for the `sessions` and `revokedtokens` collections. Both the auth
+ * server and the platform backend issue and revoke tokens, so each builds its
+ * Session and RevokedToken models from these with its own mongoose. Neither
+ * caches session state, so a revocation by one server is seen by the other on
+ * its next request.
+ */
+
+const REVOKE_REASONS = ['logout', 'reuse_detected', 'password_reset', 'password_change', 'user_revoked', 'admin_revoked'];
+
+/**
+ * A signed-in device. Every refresh token issued for it belongs to the same
+ * family; only the latest one (tokenId) may be used to refresh.
+ * @param {Object} mongoose - The caller's mongoose instance
+ * @returns {Object} - Session schema
+ */
+const createSessionSchema = (mongoose) => {
+  const sessionSchema = new mongoose.Schema({
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    // jti of the current refresh token
+    tokenId: {
+      type: String,
+      required: [true, 'Token ID is required']
+    },
+    userAgent: {
+      type: String,
+      default: null
+    },
+    ip: {
+      type: String,
+      default: null
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required']
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      enum: [...REVOKE_REASONS, null],
+      default: null
+    }
+  }, {
+    timestamps: true
+  });
+
+  // Indexes for better query performance
+  sessionSchema.index({ user: 1, revokedAt: 1 });
+  // Expired sessions are removed by MongoDB's TTL monitor
+  sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  // Virtual to check if the session can still be refreshed
+  sessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+  });
+
+  // Ensure virtual fields are serialized
+  sessionSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.tokenId;
+      return ret;
+    }
+  });
+
+  sessionSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+  return sessionSchema;
+};
+
+/**
+ * Denylisted access token, kept only until the token would have expired anyway
+ * @param {Object} mongoose - The caller's mongoose instance
+ * @returns {Object} - RevokedToken schema
+ */
+const createRevokedTokenSchema = (mongoose) => {
+  const revokedTokenSchema = new mongoose.Schema({
+    // jti of the access token
+    _id: {
+      type: String
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required']
+    }
+  }, {
+    timestamps: true
+  });
+
+  revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  return revokedTokenSchema;
+};
+
+module.exports = {
+  REVOKE_REASONS,
+  createSessionSchema,
+  createRevokedTokenSchema
+};
\ No newline at end of file
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+
+/**
+ * Two-factor helpers used by both the auth server and the platform backend:
+ * time-based one-time passwords (RFC 6238) on top of HOTP (RFC 4226), with
+ * the defaults authenticator apps expect (SHA-1, 6 digits, 30s steps), plus
+ * the at-rest encryption of secrets and the hashing of recovery codes. Both
+ * servers read and write the same twoFactor fields, so these must not differ.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP = 30; // seconds
+const RECOVERY_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new shared secret
+ * @returns {string} - Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * HOTP value for a counter
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @returns {string} - Zero-padded code
+ */
+const generateHOTP = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+};
+
+/**
+ * Time step for a moment in time
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number}
+ */
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP);
+
+/**
+ * TOTP value for a moment in time
+ * @param {string} secret - Base32 secret
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string}
+ */
+const generateTOTP = (secret, time = Date.now()) => generateHOTP(secret, getTimeStep(time));
+
+/**
+ * Check a code, allowing `window` steps of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { time, window }
+ * @returns {number|null} - Matching time step, or null if the code is wrong
+ */
+const verifyTOTP = (secret, code, { time = Date.now(), window = 1 } = {}) => {
+  if (!/^\d{6}$/.test(String(code))) return null;
+
+  const current = getTimeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateHOTP(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - e.g. the user's email
+ * @param {string} issuer - Service name shown in the app
+ * @returns {string}
+ */
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// AES-256-GCM key for secrets at rest (TWO_FACTOR_ENCRYPTION_KEY, falling back to JWT_SECRET)
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'fallback-secret-key')
+  .digest();
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} - iv:tag:ciphertext in hex
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+/**
+ * Decrypt a stored secret
+ * @param {string} stored - Value from encryptSecret
+ * @returns {string} - Base32 secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Generate single-use recovery codes
+ * @returns {Array<string>} - Codes formatted as xxxxx-xxxxx
+ */
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+/**
+ * Hash a recovery code for storage; "a1b2c-3d4e5" and "A1B2C3D4E5" hash the same
+ * @param {string} code - Recovery code
+ * @returns {string} - SHA-256 hash
+ */
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-f0-9]/g, ''))
+  .digest('hex');
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHOTP,
+  generateTOTP,
+  getTimeStep,
+  verifyTOTP,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
\ No newline at end of file
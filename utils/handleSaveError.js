@@ -0,0 +1,33 @@
+/**
+ * Save error translation for the controllers
+ * Turns a Mongoose validation error into VALIDATION_ERROR (400) and a
+ * duplicate key into DUPLICATE_FIELD (409); anything else is rethrown for
+ * the error handler.
+ */
+const handleSaveError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+      }
+    });
+  }
+
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyPattern)[0];
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'DUPLICATE_FIELD',
+        message: `${field} already exists`
+      }
+    });
+  }
+
+  throw error;
+};
+
+module.exports = handleSaveError;
\ No newline at end of file
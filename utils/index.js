@@ -3,7 +3,13 @@
  */
 
 const PasswordService = require('../services/passwordService');
+const MailService = require('../services/mailService');
+const TwoFactorService = require('../services/twoFactorService');
+const TokenService = require('../services/tokenService');
 
 module.exports = {
-  PasswordService
+  PasswordService,
+  MailService,
+  TwoFactorService,
+  TokenService
 };
\ No newline at end of file